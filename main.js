@@ -1,4 +1,5 @@
 const { app, BrowserWindow, Menu, ipcMain, dialog } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const http = require('http');
 require('dotenv').config();
@@ -9,8 +10,21 @@ const logger = require('./src/utils/logger');
 const recorder = require('./src/modules/recorder');
 const executor = require('./src/modules/executor');
 const storage = require('./src/modules/storage');
+const healer = require('./src/modules/healer');
+const runHistory = require('./src/modules/run-history');
+const versions = require('./src/modules/versions');
+const bundles = require('./src/modules/bundles');
+const catalog = require('./src/modules/catalog');
+const trash = require('./src/modules/trash');
+const retention = require('./src/modules/retention');
+const secrets = require('./src/modules/secrets');
+const { validateVariables } = require('./src/utils/variables');
+const { generateId } = require('./src/utils/helpers');
 
 let mainWindow;
+
+// Step confirmations awaiting a decision from the renderer, by request ID
+const pendingConfirmations = new Map();
 const REACT_DEVELOPER_TOOLS =
   'fmkadmapgofadopljbjfkapdkoienihi';
 
@@ -82,10 +96,13 @@ async function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+    abortPendingConfirmations();
   });
 }
 
 app.on('ready', async () => {
+  runHistory.migrateExecutionHistory();
+  retention.start();
   await createWindow();
   createMenu();
   logger.info('Application started');
@@ -196,7 +213,10 @@ ipcMain.handle('add-intent', async (event, intent) => {
 
 ipcMain.handle('get-workflows', async (event) => {
   try {
-    const workflows = storage.getAllWorkflows();
+    const workflows = storage.getAllWorkflows().map(workflow => ({
+      ...workflow,
+      runCount: storage.countRuns(workflow.id),
+    }));
     return { success: true, workflows };
   } catch (error) {
     logger.error('Error getting workflows:', error);
@@ -204,6 +224,30 @@ ipcMain.handle('get-workflows', async (event) => {
   }
 });
 
+ipcMain.handle('search-workflows', async (event, options = {}) => {
+  try {
+    const page = catalog.search(options);
+    page.workflows = page.workflows.map(workflow => ({
+      ...workflow,
+      runCount: storage.countRuns(workflow.id),
+    }));
+    return { success: true, ...page };
+  } catch (error) {
+    logger.error('Error searching workflows:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-workflow-details', async (event, id, details, revision) => {
+  try {
+    const workflow = catalog.updateDetails(id, details, revision);
+    return { success: true, workflow };
+  } catch (error) {
+    logger.error('Error updating workflow details:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('get-workflow', async (event, id) => {
   try {
     const workflow = storage.getWorkflow(id);
@@ -219,23 +263,85 @@ ipcMain.handle('get-workflow', async (event, id) => {
 
 ipcMain.handle('delete-workflow', async (event, id) => {
   try {
-    storage.deleteWorkflow(id);
-    logger.info(`Workflow deleted: ${id}`);
-    return { success: true };
+    const trashed = trash.trash(id);
+    if (!trashed) {
+      return { success: false, error: 'Workflow not found' };
+    }
+    return { success: true, deletedAt: trashed.deletedAt };
   } catch (error) {
     logger.error('Error deleting workflow:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('execute-workflow', async (event, id) => {
+ipcMain.handle('get-trash', async (event) => {
+  try {
+    return { success: true, workflows: trash.list() };
+  } catch (error) {
+    logger.error('Error listing trash:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-workflow', async (event, id) => {
+  try {
+    const workflow = trash.restore(id);
+    if (!workflow) {
+      return { success: false, error: 'Workflow not in trash' };
+    }
+    return { success: true, workflow };
+  } catch (error) {
+    logger.error('Error restoring workflow:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('purge-workflow', async (event, id) => {
+  try {
+    if (!trash.purge(id)) {
+      return { success: false, error: 'Workflow not in trash' };
+    }
+    return { success: true };
+  } catch (error) {
+    logger.error('Error purging workflow:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('empty-trash', async (event) => {
+  try {
+    return { success: true, purged: trash.empty() };
+  } catch (error) {
+    logger.error('Error emptying trash:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('execute-workflow', async (event, id, variables = {}, options = {}) => {
   try {
     logger.info(`Executing workflow: ${id}`);
     const workflow = storage.getWorkflow(id);
     if (!workflow) {
       return { success: false, error: 'Workflow not found' };
     }
-    const result = await executor.execute(workflow);
+    executor.assertRunnable(workflow);
+
+    const validation = validateVariables(workflow.analysis?.variables, variables || {});
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join('; ') };
+    }
+
+    const { runId, promise } = executor.start(workflow, validation.values, {
+      confirmStep: options.confirmEachStep
+        ? (request) => requestStepConfirmation(event.sender, { workflowId: id, ...request })
+        : null,
+      heal: Boolean(options.heal),
+    });
+
+    // Let the renderer offer pause/cancel while the run is in progress
+    event.sender.send('execution-started', { runId, workflowId: id });
+
+    const result = await promise;
     return { success: true, result };
   } catch (error) {
     logger.error('Error executing workflow:', error);
@@ -243,6 +349,280 @@ ipcMain.handle('execute-workflow', async (event, id) => {
   }
 });
 
+ipcMain.handle('get-workflow-versions', async (event, workflowId) => {
+  try {
+    return { success: true, versions: versions.list(workflowId) };
+  } catch (error) {
+    logger.error('Error getting workflow versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('diff-workflow-versions', async (event, workflowId, from, to) => {
+  try {
+    const diff = versions.diff(workflowId, from, to);
+    return { success: true, diff };
+  } catch (error) {
+    logger.error('Error comparing workflow versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-workflow-version', async (event, workflowId, version, meta = {}) => {
+  try {
+    const workflow = versions.restore(workflowId, version, meta);
+    return { success: true, workflow };
+  } catch (error) {
+    logger.error('Error restoring workflow version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-workflows', async (event, filePath, options = {}) => {
+  try {
+    const bundle = bundles.export(options);
+    fs.writeFileSync(filePath, JSON.stringify(bundle, null, 2));
+    return { success: true, workflows: bundle.workflows.length, files: bundle.files.length };
+  } catch (error) {
+    logger.error('Error exporting workflows:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-workflows', async (event, filePath, options = {}) => {
+  try {
+    const bundle = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const result = bundles.import(bundle, options);
+    return { success: true, ...result };
+  } catch (error) {
+    logger.error('Error importing workflows:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-workflow-runs', async (event, workflowId, options = {}) => {
+  try {
+    const page = runHistory.list(workflowId, options);
+    return { success: true, ...page };
+  } catch (error) {
+    logger.error('Error getting runs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-run', async (event, runId) => {
+  try {
+    const run = runHistory.get(runId);
+    if (!run) {
+      return { success: false, error: 'Run not found' };
+    }
+    return { success: true, run };
+  } catch (error) {
+    logger.error('Error getting run:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clear-run-history', async (event, workflowId = null) => {
+  try {
+    return { success: true, deleted: retention.clearRuns(workflowId) };
+  } catch (error) {
+    logger.error('Error clearing run history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-retention-policy', async (event) => {
+  try {
+    return { success: true, policy: retention.getPolicy() };
+  } catch (error) {
+    logger.error('Error getting retention policy:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-retention-policy', async (event, updates) => {
+  try {
+    return { success: true, policy: retention.savePolicy(updates) };
+  } catch (error) {
+    logger.error('Error saving retention policy:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-secrets', async (event) => {
+  try {
+    return { success: true, unlocked: secrets.isUnlocked(), secrets: secrets.list() };
+  } catch (error) {
+    logger.error('Error listing secrets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('unlock-secrets', async (event, passphrase) => {
+  try {
+    secrets.unlock(passphrase);
+    return { success: true, unlocked: true };
+  } catch (error) {
+    logger.error('Error unlocking secrets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lock-secrets', async (event) => {
+  secrets.lock();
+  return { success: true, unlocked: false };
+});
+
+ipcMain.handle('set-secret', async (event, name, value) => {
+  try {
+    return { success: true, secret: secrets.set(name, value) };
+  } catch (error) {
+    logger.error('Error saving secret:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-secret', async (event, name) => {
+  try {
+    if (!secrets.delete(name)) {
+      return { success: false, error: 'Secret not found' };
+    }
+    return { success: true };
+  } catch (error) {
+    logger.error('Error deleting secret:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// The AI provider's API key is kept in the vault under the name of its
+// environment variable (CLAUDE_API_KEY or OPENAI_API_KEY)
+ipcMain.handle('save-api-key', async (event, value) => {
+  try {
+    const { apiKeyName } = require('./src/modules/ai-client');
+    return { success: true, secret: secrets.set(apiKeyName, value) };
+  } catch (error) {
+    logger.error('Error saving API key:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-step-fixes', async (event, workflowId, status) => {
+  try {
+    const fixes = healer.getProposals(workflowId, status || null);
+    return { success: true, fixes };
+  } catch (error) {
+    logger.error('Error getting step fixes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('approve-step-fix', async (event, workflowId, fixId) => {
+  try {
+    const fix = healer.applyProposal(workflowId, fixId);
+    return { success: true, fix };
+  } catch (error) {
+    logger.error('Error approving step fix:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reject-step-fix', async (event, workflowId, fixId) => {
+  try {
+    const fix = healer.rejectProposal(workflowId, fixId);
+    return { success: true, fix };
+  } catch (error) {
+    logger.error('Error rejecting step fix:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-suspended-executions', async (event, workflowId) => {
+  try {
+    const executions = executor.getSavedExecutions(workflowId || null);
+    return { success: true, executions };
+  } catch (error) {
+    logger.error('Error getting suspended executions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('pause-execution', async (event, runId) => {
+  try {
+    const execution = executor.pause(runId);
+    return { success: true, execution };
+  } catch (error) {
+    logger.error('Error pausing execution:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cancel-execution', async (event, runId) => {
+  try {
+    if (executor.isActive(runId)) {
+      const execution = executor.cancel(runId);
+      abortPendingConfirmations(runId);
+      return { success: true, execution };
+    }
+
+    if (!storage.getExecutionState(runId)) {
+      return { success: false, error: 'Execution not found' };
+    }
+
+    const result = await executor.resume(runId, { action: 'abort' });
+    return { success: true, result };
+  } catch (error) {
+    logger.error('Error cancelling execution:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rollback-execution', async (event, runId) => {
+  try {
+    logger.info(`Rolling back execution: ${runId}`);
+    const result = executor.rollback(runId);
+    return { success: true, result };
+  } catch (error) {
+    logger.error('Error rolling back execution:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('resume-execution', async (event, runId, decision = {}, options = {}) => {
+  try {
+    logger.info(`Resuming execution: ${runId}`);
+    if (executor.isActive(runId)) {
+      const execution = executor.unpause(runId);
+      return { success: true, execution };
+    }
+
+    const state = storage.getExecutionState(runId);
+    if (!state) {
+      return { success: false, error: 'Execution not found' };
+    }
+
+    const result = await executor.resume(runId, decision, {
+      confirmStep: options.confirmEachStep
+        ? (request) => requestStepConfirmation(event.sender, { workflowId: state.workflowId, ...request })
+        : null,
+    });
+    return { success: true, result };
+  } catch (error) {
+    logger.error('Error resuming execution:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('respond-step-confirmation', async (event, requestId, decision) => {
+  const pending = pendingConfirmations.get(requestId);
+  if (!pending) {
+    return { success: false, error: 'No pending confirmation for this step' };
+  }
+  pendingConfirmations.delete(requestId);
+  pending.resolve(decision || { action: 'abort' });
+  return { success: true };
+});
+
 ipcMain.handle('show-save-dialog', async (event, options) => {
   const result = await dialog.showSaveDialog(mainWindow, options);
   return result;
@@ -252,3 +632,43 @@ ipcMain.handle('show-open-dialog', async (event, options) => {
   const result = await dialog.showOpenDialog(mainWindow, options);
   return result;
 });
+
+// =====================
+// Execution Progress
+// =====================
+
+// Forward step progress to the renderer for the live timeline
+executor.on('execution-event', (event) => {
+  if (mainWindow && !mainWindow.webContents.isDestroyed()) {
+    mainWindow.webContents.send('execution-event', event);
+  }
+});
+
+// =====================
+// Step Confirmation
+// =====================
+
+/**
+ * Send a step to the renderer for review and wait for the user's decision
+ * (approve, approve with edited parameters, skip or abort)
+ */
+function requestStepConfirmation(webContents, request) {
+  return new Promise((resolve) => {
+    const requestId = generateId();
+    pendingConfirmations.set(requestId, { runId: request.runId, resolve });
+    webContents.send('step-confirmation-request', { requestId, ...request });
+  });
+}
+
+/**
+ * Abort runs still waiting on a confirmation when the window goes away,
+ * or only the given run when it is cancelled
+ */
+function abortPendingConfirmations(runId = null) {
+  pendingConfirmations.forEach((pending, requestId) => {
+    if (!runId || pending.runId === runId) {
+      pending.resolve({ action: 'abort' });
+      pendingConfirmations.delete(requestId);
+    }
+  });
+}
@@ -11,8 +11,50 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Workflow Functions
   getWorkflows: () => ipcRenderer.invoke('get-workflows'),
   getWorkflow: (id) => ipcRenderer.invoke('get-workflow', id),
+  searchWorkflows: (options) => ipcRenderer.invoke('search-workflows', options),
+  updateWorkflowDetails: (id, details, revision) =>
+    ipcRenderer.invoke('update-workflow-details', id, details, revision),
   deleteWorkflow: (id) => ipcRenderer.invoke('delete-workflow', id),
-  executeWorkflow: (id) => ipcRenderer.invoke('execute-workflow', id),
+  getTrash: () => ipcRenderer.invoke('get-trash'),
+  restoreWorkflow: (id) => ipcRenderer.invoke('restore-workflow', id),
+  purgeWorkflow: (id) => ipcRenderer.invoke('purge-workflow', id),
+  emptyTrash: () => ipcRenderer.invoke('empty-trash'),
+  executeWorkflow: (id, variables, options) => ipcRenderer.invoke('execute-workflow', id, variables, options),
+  getWorkflowVersions: (workflowId) => ipcRenderer.invoke('get-workflow-versions', workflowId),
+  diffWorkflowVersions: (workflowId, from, to) => ipcRenderer.invoke('diff-workflow-versions', workflowId, from, to),
+  restoreWorkflowVersion: (workflowId, version, meta) =>
+    ipcRenderer.invoke('restore-workflow-version', workflowId, version, meta),
+  exportWorkflows: (filePath, options) => ipcRenderer.invoke('export-workflows', filePath, options),
+  importWorkflows: (filePath, options) => ipcRenderer.invoke('import-workflows', filePath, options),
+  getWorkflowRuns: (workflowId, options) => ipcRenderer.invoke('get-workflow-runs', workflowId, options),
+  getRun: (runId) => ipcRenderer.invoke('get-run', runId),
+  clearRunHistory: (workflowId) => ipcRenderer.invoke('clear-run-history', workflowId),
+  getRetentionPolicy: () => ipcRenderer.invoke('get-retention-policy'),
+  saveRetentionPolicy: (updates) => ipcRenderer.invoke('save-retention-policy', updates),
+  getSecrets: () => ipcRenderer.invoke('get-secrets'),
+  unlockSecrets: (passphrase) => ipcRenderer.invoke('unlock-secrets', passphrase),
+  lockSecrets: () => ipcRenderer.invoke('lock-secrets'),
+  setSecret: (name, value) => ipcRenderer.invoke('set-secret', name, value),
+  deleteSecret: (name) => ipcRenderer.invoke('delete-secret', name),
+  saveApiKey: (value) => ipcRenderer.invoke('save-api-key', value),
+  getSuspendedExecutions: (workflowId) => ipcRenderer.invoke('get-suspended-executions', workflowId),
+  resumeExecution: (runId, decision, options) => ipcRenderer.invoke('resume-execution', runId, decision, options),
+  pauseExecution: (runId) => ipcRenderer.invoke('pause-execution', runId),
+  cancelExecution: (runId) => ipcRenderer.invoke('cancel-execution', runId),
+  rollbackExecution: (runId) => ipcRenderer.invoke('rollback-execution', runId),
+  getStepFixes: (workflowId, status) => ipcRenderer.invoke('get-step-fixes', workflowId, status),
+  approveStepFix: (workflowId, fixId) => ipcRenderer.invoke('approve-step-fix', workflowId, fixId),
+  rejectStepFix: (workflowId, fixId) => ipcRenderer.invoke('reject-step-fix', workflowId, fixId),
+  onExecutionStarted: (callback) =>
+    ipcRenderer.on('execution-started', (event, execution) => callback(execution)),
+  onExecutionEvent: (callback) =>
+    ipcRenderer.on('execution-event', (event, executionEvent) => callback(executionEvent)),
+
+  // Step Confirmation
+  onStepConfirmationRequest: (callback) =>
+    ipcRenderer.on('step-confirmation-request', (event, request) => callback(request)),
+  respondStepConfirmation: (requestId, decision) =>
+    ipcRenderer.invoke('respond-step-confirmation', requestId, decision),
 
   // Dialog Functions
   showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
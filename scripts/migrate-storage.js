@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Copy workflows (including those in the trash), versions, runs and saved
+ * execution states from one storage backend to another (by default from the JSON files in DATA_DIR
+ * into SQLite). The source is left untouched and versions already in the
+ * target are skipped, so the command can be run again safely.
+ *
+ *   npm run migrate-storage -- [--from json] [--to sqlite]
+ */
+require('dotenv').config();
+
+const { createStorage, BACKENDS } = require('../src/storage');
+
+function parseArgs(argv) {
+  const options = { from: 'json', to: 'sqlite' };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(from|to)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    options[match[1]] = match[2] ?? argv[++i];
+  }
+  [options.from, options.to].forEach(backend => {
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown storage backend: ${backend} (expected ${BACKENDS.join(' or ')})`);
+    }
+  });
+  if (options.from === options.to) {
+    throw new Error('--from and --to must be different backends');
+  }
+  return options;
+}
+
+function migrate(source, target) {
+  const counts = { workflows: 0, trashed: 0, versions: 0, runs: 0, executionStates: 0 };
+
+  // Copy a workflow's versions and runs
+  const copyHistory = workflowId => {
+    // Oldest first so the target holds the same history in the same order
+    source
+      .getWorkflowVersions(workflowId)
+      .reverse()
+      .forEach(snapshot => {
+        if (!target.getWorkflowVersion(workflowId, snapshot.version)) {
+          target.insertWorkflowVersion(snapshot);
+          counts.versions++;
+        }
+      });
+
+    source.getRuns(workflowId).forEach(record => {
+      target.saveRun(record);
+      counts.runs++;
+    });
+  };
+
+  source.getAllWorkflows().forEach(workflow => {
+    // Written as-is (apart from schema migrations): the copy keeps the
+    // source's revision, and invalid workflows are copied for fixing later
+    const { schemaErrors, ...document } = workflow;
+    target.writeWorkflow(document);
+    counts.workflows++;
+    copyHistory(workflow.id);
+  });
+
+  // Kept in the target's trash, so they can still be restored or purged
+  source.getTrashedWorkflows().forEach(workflow => {
+    const { schemaErrors, ...document } = workflow;
+    target.moveToTrash(document);
+    counts.trashed++;
+    copyHistory(workflow.id);
+  });
+
+  source.getExecutionStates().forEach(state => {
+    target.saveExecutionState(state);
+    counts.executionStates++;
+  });
+
+  return counts;
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const counts = migrate(createStorage({ backend: options.from }), createStorage({ backend: options.to }));
+    console.log(
+      `Copied ${counts.workflows} workflow(s), ${counts.trashed} trashed workflow(s), ${counts.versions} version(s), ` +
+        `${counts.runs} run(s) and ${counts.executionStates} execution state(s) from ${options.from} to ${options.to}`
+    );
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { migrate };
@@ -6,6 +6,17 @@ const logger = require('./src/utils/logger');
 const workflowAnalyzer = require('./src/modules/workflow-analyzer');
 const storage = require('./src/modules/storage');
 const executor = require('./src/modules/executor');
+const healer = require('./src/modules/healer');
+const runHistory = require('./src/modules/run-history');
+const versions = require('./src/modules/versions');
+const bundles = require('./src/modules/bundles');
+const catalog = require('./src/modules/catalog');
+const trash = require('./src/modules/trash');
+const retention = require('./src/modules/retention');
+const secrets = require('./src/modules/secrets');
+const apiKeys = require('./src/modules/api-keys');
+const auditLog = require('./src/modules/audit-log');
+const { validateVariables } = require('./src/utils/variables');
 
 const app = express();
 
@@ -15,6 +26,92 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 logger.info('Express server starting...');
 
+const PORT = process.env.PORT || 3000;
+
+// =====================
+// API Authentication
+// =====================
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'].map(host => `${host}:${PORT}`);
+
+const LOCAL_ORIGINS = LOCAL_HOSTS.map(host => `http://${host}`).concat('file://');
+
+/**
+ * Whether a request comes from this machine, and not from a web page
+ * served elsewhere that a local browser is running
+ * The Host header must name this server too: a page whose own domain has
+ * been rebound to 127.0.0.1 sends requests from a loopback address with
+ * its own origin's host and, for same-origin requests, no Origin header.
+ */
+function isLocalRequest(req) {
+  const origin = req.get('Origin');
+  const host = (req.get('Host') || '').toLowerCase();
+  return (
+    LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) &&
+    LOCAL_HOSTS.includes(host) &&
+    (!origin || LOCAL_ORIGINS.includes(origin))
+  );
+}
+
+/**
+ * The API key a request presents, as "Authorization: Bearer <key>" or
+ * "X-API-Key: <key>"
+ */
+function presentedKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Requests from this machine are trusted unless API_AUTH_LOCAL=true; every
+ * other request needs an API key with the scope it calls for (401 without
+ * a valid key, 403 without the scope). Requests made with a key, and
+ * changes made without one, are written to the audit log.
+ */
+app.use('/api', (req, res, next) => {
+  if (req.path === '/health') {
+    return next();
+  }
+
+  const token = presentedKey(req);
+  const trusted = !token && process.env.API_AUTH_LOCAL !== 'true' && isLocalRequest(req);
+  const key = token ? apiKeys.verify(token) : null;
+  const scope = apiKeys.requiredScope(req.method, req.path);
+
+  if (token || !trusted || req.method !== 'GET') {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      auditLog.record({
+        keyId: key?.id || null,
+        keyName: key?.name || null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        scope,
+        status: res.statusCode,
+        ip: req.socket.remoteAddress,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+  }
+
+  if (trusted) {
+    return next();
+  }
+  if (!key) {
+    return res.status(401).json({ success: false, error: token ? 'Invalid or revoked API key' : 'An API key is required' });
+  }
+  if (!apiKeys.allows(key, scope)) {
+    return res.status(403).json({ success: false, error: `This API key does not have the ${scope} scope` });
+  }
+  req.apiKey = key;
+  next();
+});
+
 // =====================
 // API Routes
 // =====================
@@ -22,10 +119,15 @@ logger.info('Express server starting...');
 /**
  * POST /api/workflows
  * Save a recorded workflow (upsert by name)
+ * Body: { name, recordedData, note?, author?, revision?, description?, tags?, folder? }
+ *   revision - the revision the client last loaded; 409 if the stored
+ *     workflow has changed since
+ * 400 with `errors` if recordedData is not a recording or the AI's analysis
+ * does not match the workflow schema (nothing is saved)
  */
 app.post('/api/workflows', async (req, res) => {
   try {
-    const { name, recordedData } = req.body;
+    const { name, recordedData, note, author, revision, description, tags, folder } = req.body;
 
     if (!name || !recordedData) {
       return res.status(400).json({ error: 'Missing name or recordedData' });
@@ -39,31 +141,87 @@ app.post('/api/workflows', async (req, res) => {
       name,
       recordedData,
       analysis,
-      executionHistory: [],
+      revision,
+      ...catalog.normalizeDetails({ description, tags, folder }),
     };
 
     // Use saveOrUpdateWorkflow to handle deduplication by name
-    const savedWorkflow = storage.saveOrUpdateWorkflow(workflow);
+    const savedWorkflow = storage.saveOrUpdateWorkflow(workflow, { note, author });
     logger.info(`Workflow saved/updated: ${savedWorkflow.id}`);
 
     res.json({ success: true, workflow: savedWorkflow });
   } catch (error) {
     logger.error('Error saving workflow:', error);
-    res.status(500).json({ success: false, error: error.message });
+    const status = error.code === 'EINVALID' ? 400 : error.code === 'ECONFLICT' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message, errors: error.errors });
   }
 });
 
 /**
  * GET /api/workflows
- * Get all workflows
+ * Search workflows, a page at a time
+ * Query: ?q=finance share (matches name, tags, description, goal, folder,
+ *   step descriptions, intents, tools and their parameters; may include
+ *   tag:x, tool:x and folder:x) &tag=a,b &tool=spreadsheet &folder=Finance
+ *   &sort=relevance|newest|oldest|name|updated &limit=50 &offset=0
  */
 app.get('/api/workflows', (req, res) => {
   try {
-    const workflows = storage.getAllWorkflows();
-    res.json({ success: true, workflows });
+    const page = catalog.search(req.query);
+    page.workflows = page.workflows.map(workflow => ({
+      ...workflow,
+      runCount: storage.countRuns(workflow.id),
+    }));
+    res.json({ success: true, ...page });
   } catch (error) {
     logger.error('Error getting workflows:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workflows/export
+ * Export workflows as a portable bundle (see src/modules/bundles.js)
+ * Query: ?ids=a,b (default all) &versions=all|current|none|<latest n>
+ *   &runs=true (include run history) &files=false (leave out fixture files)
+ */
+app.get('/api/workflows/export', (req, res) => {
+  try {
+    const bundle = bundles.export({
+      ids: req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null,
+      versions: req.query.versions || 'all',
+      runs: req.query.runs === 'true',
+      files: req.query.files !== 'false',
+    });
+    res.json({ success: true, bundle });
+  } catch (error) {
+    logger.error('Error exporting workflows:', error);
+    const status = error.message.startsWith('Workflow not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/import
+ * Import a bundle made by /api/workflows/export
+ * Body: { bundle, onConflict?: 'rename'|'overwrite'|'skip', files?: boolean }
+ *   onConflict - what to do when a workflow name is taken (default rename)
+ *   files - write fixture files and point steps at them (default true)
+ */
+app.post('/api/workflows/import', (req, res) => {
+  try {
+    const { bundle, onConflict = 'rename', files = true } = req.body;
+
+    const validation = bundles.validate(bundle);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: 'Invalid bundle', errors: validation.errors });
+    }
+    const result = bundles.import(bundle, { onConflict, files: files !== false });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error importing workflows:', error);
+    const status = error.code === 'EINVALID' ? 400 : error.code === 'ECONFLICT' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message, errors: error.errors });
   }
 });
 
@@ -84,9 +242,37 @@ app.get('/api/workflows/:id', (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/workflows/:id
+ * Change a workflow's details
+ * Body: { description?, tags?: string[] | 'a,b', folder?: 'Finance/Reports', revision? }
+ */
+app.patch('/api/workflows/:id', (req, res) => {
+  try {
+    if (!storage.getWorkflow(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    const { revision, ...details } = req.body || {};
+    if (Object.keys(catalog.normalizeDetails(details)).length === 0) {
+      return res.status(400).json({ success: false, error: 'Expected description, tags or folder' });
+    }
+
+    const workflow = catalog.updateDetails(req.params.id, details, revision);
+    res.json({ success: true, workflow });
+  } catch (error) {
+    logger.error('Error updating workflow details:', error);
+    const status = error.code === 'EINVALID' ? 400 : error.code === 'ECONFLICT' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
 /**
  * POST /api/workflows/:id/execute
  * Execute a workflow
+ * Body: { variables?: { [name]: value }, wait?: boolean, heal?: boolean }
+ *   variables - values for analysis.variables
+ *   wait - false to return { runId } immediately instead of the result
+ *   heal - ask the AI to fix any failing step and retry it
  */
 app.post('/api/workflows/:id/execute', async (req, res) => {
   try {
@@ -94,34 +280,424 @@ app.post('/api/workflows/:id/execute', async (req, res) => {
     if (!workflow) {
       return res.status(404).json({ success: false, error: 'Workflow not found' });
     }
+    executor.assertRunnable(workflow);
 
-    logger.info(`Executing workflow: ${req.params.id}`);
-    const executionResult = await executor.execute(workflow);
+    const validation = validateVariables(workflow.analysis?.variables, req.body?.variables || {});
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid workflow variables',
+        details: validation.errors,
+      });
+    }
 
-    // Save execution history
-    workflow.executionHistory.push({
-      timestamp: new Date().toISOString(),
-      success: executionResult.success,
-      result: executionResult,
+    logger.info(`Executing workflow: ${req.params.id}`);
+    const { runId, promise } = executor.start(workflow, validation.values, {
+      heal: req.body?.heal === true,
     });
-    storage.saveWorkflow(workflow);
 
+    // wait: false returns straight away so the run can be paused or cancelled
+    if (req.body?.wait === false) {
+      promise.catch(error => logger.error('Error executing workflow:', error));
+      return res.status(202).json({ success: true, runId, status: 'running' });
+    }
+
+    const executionResult = await promise;
     res.json({ success: true, result: executionResult });
   } catch (error) {
     logger.error('Error executing workflow:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * POST /api/workflows/:id/dry-run
+ * Simulate a workflow: resolve parameters, check preconditions and report
+ * the effects each step would have, without changing anything
+ * Body: { variables?: { [name]: value } }
+ */
+app.post('/api/workflows/:id/dry-run', async (req, res) => {
+  try {
+    const workflow = storage.getWorkflow(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    executor.assertRunnable(workflow);
+
+    const validation = validateVariables(workflow.analysis?.variables, req.body?.variables || {});
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid workflow variables',
+        details: validation.errors,
+      });
+    }
+
+    logger.info(`Dry run of workflow: ${req.params.id}`);
+    const result = await executor.dryRun(workflow, validation.values);
+
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Error running dry run:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * GET /api/workflows/:id/versions
+ * A workflow's saved versions, newest first
+ */
+app.get('/api/workflows/:id/versions', (req, res) => {
+  try {
+    const workflow = storage.getWorkflow(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    res.json({ success: true, current: workflow.version || null, versions: versions.list(req.params.id) });
+  } catch (error) {
+    logger.error('Error getting workflow versions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workflows/:id/versions/diff?from=1&to=2
+ * Compare the steps of two versions
+ */
+app.get('/api/workflows/:id/versions/diff', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'from and to versions are required' });
+    }
+    if (!versions.get(req.params.id, from) || !versions.get(req.params.id, to)) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+    const diff = versions.diff(req.params.id, from, to);
+    res.json({ success: true, diff });
+  } catch (error) {
+    logger.error('Error comparing workflow versions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workflows/:id/versions/:version
+ * A single version with its full definition
+ */
+app.get('/api/workflows/:id/versions/:version', (req, res) => {
+  try {
+    const version = versions.get(req.params.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+    res.json({ success: true, version });
+  } catch (error) {
+    logger.error('Error getting workflow version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/:id/versions/:version/restore
+ * Make an old version current again (saved as a new version)
+ * Body: { note?, author?, revision? } - 409 if revision is not the current one
+ */
+app.post('/api/workflows/:id/versions/:version/restore', (req, res) => {
+  try {
+    if (!storage.getWorkflow(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    if (!versions.get(req.params.id, req.params.version)) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    const workflow = versions.restore(req.params.id, req.params.version, {
+      note: req.body?.note,
+      author: req.body?.author,
+      revision: req.body?.revision,
+    });
+    res.json({ success: true, workflow });
+  } catch (error) {
+    logger.error('Error restoring workflow version:', error);
+    const status = error.code === 'EINVALID' ? 400 : error.code === 'ECONFLICT' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * GET /api/workflows/:id/runs
+ * A workflow's runs, newest first, without their step logs
+ * Query: ?limit=20&offset=0&status=completed|failed|suspended|cancelled|aborted
+ */
+app.get('/api/workflows/:id/runs', (req, res) => {
+  try {
+    if (!storage.getWorkflow(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    const page = runHistory.list(req.params.id, req.query);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    logger.error('Error getting runs:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/runs/:runId
+ * A single run with its inputs, timings, step logs and artifacts
+ */
+app.get('/api/runs/:runId', (req, res) => {
+  try {
+    const run = runHistory.get(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    logger.error('Error getting run:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workflows/:id/fixes
+ * Step fixes found by healing runs, newest first
+ * Query: ?status=pending|applied|rejected
+ */
+app.get('/api/workflows/:id/fixes', (req, res) => {
+  try {
+    if (!storage.getWorkflow(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    const fixes = healer.getProposals(req.params.id, req.query.status || null);
+    res.json({ success: true, fixes });
+  } catch (error) {
+    logger.error('Error getting step fixes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/:id/fixes/:fixId/approve
+ * POST /api/workflows/:id/fixes/:fixId/reject
+ * Write a pending fix back into the workflow's analysis, or discard it
+ */
+app.post('/api/workflows/:id/fixes/:fixId/:decision(approve|reject)', (req, res) => {
+  try {
+    const workflow = storage.getWorkflow(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    if (!(workflow.healProposals || []).some(fix => fix.id === req.params.fixId)) {
+      return res.status(404).json({ success: false, error: 'Fix not found' });
+    }
+
+    const fix = req.params.decision === 'approve'
+      ? healer.applyProposal(req.params.id, req.params.fixId)
+      : healer.rejectProposal(req.params.id, req.params.fixId);
+    res.json({ success: true, fix });
+  } catch (error) {
+    logger.error('Error resolving step fix:', error);
+    const status = error.code === 'EINVALID' ? 400 : error.code === 'ECONFLICT' ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * GET /api/executions
+ * List suspended executions awaiting a user decision
+ */
+app.get('/api/executions', (req, res) => {
+  try {
+    const workflowId = req.query.workflowId || null;
+    const executions = executor.getSavedExecutions(workflowId);
+    const active = executor.getActiveExecutions(workflowId);
+    res.json({ success: true, executions, active });
+  } catch (error) {
+    logger.error('Error getting executions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/executions/:runId/events
+ * Stream a run's progress as Server-Sent Events
+ * Events already emitted are replayed first; the stream ends after run-finished.
+ */
+app.get('/api/executions/:runId/events', (req, res) => {
+  try {
+    const { runId } = req.params;
+    const history = executor.getExecutionEvents(runId);
+    if (!history) {
+      return res.status(404).json({ success: false, error: 'Execution not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+
+    const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    history.forEach(send);
+
+    if (!executor.isActive(runId)) {
+      return res.end();
+    }
+
+    const listener = event => {
+      if (event.runId !== runId) return;
+      send(event);
+      if (event.type === 'run-finished') {
+        res.end();
+      }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    executor.on('execution-event', listener);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      executor.off('execution-event', listener);
+    });
+  } catch (error) {
+    logger.error('Error streaming execution events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/executions/:runId/pause
+ * Pause a running execution before its next step
+ */
+app.post('/api/executions/:runId/pause', (req, res) => {
+  try {
+    if (!executor.isActive(req.params.runId)) {
+      return res.status(404).json({ success: false, error: 'Execution not running' });
+    }
+
+    const execution = executor.pause(req.params.runId);
+    res.json({ success: true, execution });
+  } catch (error) {
+    logger.error('Error pausing execution:', error);
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/executions/:runId/cancel
+ * Cancel a running or paused execution, aborting in-flight commands and
+ * requests. A suspended or interrupted execution is discarded.
+ */
+app.post('/api/executions/:runId/cancel', async (req, res) => {
+  try {
+    if (executor.isActive(req.params.runId)) {
+      const execution = executor.cancel(req.params.runId);
+      return res.json({ success: true, execution });
+    }
+
+    const state = storage.getExecutionState(req.params.runId);
+    if (!state) {
+      return res.status(404).json({ success: false, error: 'Execution not found' });
+    }
+    if (executor.getRunStatus(state) === 'running') {
+      return res.status(409).json({ success: false, error: 'Execution is running in another process' });
+    }
+
+    const result = await executor.resume(req.params.runId, { action: 'abort' });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Error cancelling execution:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/executions/:runId/rollback
+ * Undo the file changes made by an execution, newest first
+ */
+app.post('/api/executions/:runId/rollback', (req, res) => {
+  try {
+    const journal = storage.getJournal(req.params.runId);
+    if (!journal) {
+      return res.status(404).json({ success: false, error: 'No undo journal for this execution' });
+    }
+    if (executor.isActive(req.params.runId)) {
+      return res.status(409).json({ success: false, error: 'Execution is still running' });
+    }
+    if (journal.status === 'rolled_back') {
+      return res.status(409).json({ success: false, error: 'Execution has already been rolled back' });
+    }
+
+    logger.info(`Rolling back execution: ${req.params.runId}`);
+    const result = executor.rollback(req.params.runId);
+    res.json({ success: result.success, result });
+  } catch (error) {
+    logger.error('Error rolling back execution:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/executions/:runId/resume
+ * Continue a paused execution, or resume a suspended or interrupted one
+ * Body: { action?, parameters?, wait? }
+ *   action - suspended runs: 'retry'|'skip'|'abort' (required);
+ *            interrupted runs: 'retry' (default) or 'abort'
+ *   wait - false to return { runId } immediately instead of the result
+ */
+app.post('/api/executions/:runId/resume', async (req, res) => {
+  try {
+    if (executor.isActive(req.params.runId)) {
+      const execution = executor.unpause(req.params.runId);
+      return res.json({ success: true, execution });
+    }
+
+    const state = storage.getExecutionState(req.params.runId);
+    if (!state) {
+      return res.status(404).json({ success: false, error: 'Execution not found' });
+    }
+
+    const status = executor.getRunStatus(state);
+    if (status === 'running') {
+      return res.status(409).json({ success: false, error: 'Execution is running in another process' });
+    }
+
+    const { parameters } = req.body || {};
+    const action = req.body?.action || (status === 'interrupted' ? 'retry' : undefined);
+    const allowed = status === 'interrupted' ? ['retry', 'abort'] : ['retry', 'skip', 'abort'];
+    if (!allowed.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be ${allowed.join(', ')}` });
+    }
+
+    logger.info(`Resuming ${status} execution: ${req.params.runId} (${action})`);
+    const resumed = executor.resume(req.params.runId, { action, parameters });
+
+    if (req.body?.wait === false) {
+      resumed.catch(error => logger.error('Error resuming execution:', error));
+      return res.status(202).json({ success: true, runId: req.params.runId, status: 'running' });
+    }
+
+    const executionResult = await resumed;
+    res.json({ success: true, result: executionResult });
+  } catch (error) {
+    logger.error('Error resuming execution:', error);
+    res.status(secretErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * DELETE /api/workflows/:id
- * Delete a workflow
+ * Move a workflow to the trash (see /api/trash)
+ * Query: ?author=name - recorded as deletedBy
  */
 app.delete('/api/workflows/:id', (req, res) => {
   try {
-    storage.deleteWorkflow(req.params.id);
-    logger.info(`Workflow deleted: ${req.params.id}`);
-    res.json({ success: true });
+    const trashed = trash.trash(req.params.id, { author: req.query.author });
+    if (!trashed) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    res.json({ success: true, deletedAt: trashed.deletedAt });
   } catch (error) {
     logger.error('Error deleting workflow:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -146,10 +722,266 @@ app.post('/api/analyze', async (req, res) => {
     res.json({ success: true, analysis });
   } catch (error) {
     logger.error('Error analyzing workflow:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+// =====================
+// Trash & Retention
+// =====================
+
+/**
+ * GET /api/trash
+ * Workflows in the trash, most recently deleted first
+ */
+app.get('/api/trash', (req, res) => {
+  try {
+    res.json({ success: true, workflows: trash.list() });
+  } catch (error) {
+    logger.error('Error listing trash:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * POST /api/trash/:id/restore
+ * Move a workflow out of the trash, renamed if its name has been taken
+ */
+app.post('/api/trash/:id/restore', (req, res) => {
+  try {
+    const workflow = trash.restore(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not in trash' });
+    }
+    res.json({ success: true, workflow });
+  } catch (error) {
+    logger.error('Error restoring workflow:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * DELETE /api/trash/:id
+ * Delete a trashed workflow for good, with its runs and versions
+ */
+app.delete('/api/trash/:id', (req, res) => {
+  try {
+    if (!trash.purge(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Workflow not in trash' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error purging workflow:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/trash
+ * Empty the trash
+ */
+app.delete('/api/trash', (req, res) => {
+  try {
+    res.json({ success: true, purged: trash.empty() });
+  } catch (error) {
+    logger.error('Error emptying trash:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/runs
+ * Clear run history, except suspended runs
+ * Query: ?workflowId=id - only this workflow's runs
+ */
+app.delete('/api/runs', (req, res) => {
+  try {
+    res.json({ success: true, deleted: retention.clearRuns(req.query.workflowId || null) });
+  } catch (error) {
+    logger.error('Error clearing run history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/retention
+ * The retention policy in force
+ */
+app.get('/api/retention', (req, res) => {
+  try {
+    res.json({ success: true, policy: retention.getPolicy() });
+  } catch (error) {
+    logger.error('Error getting retention policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/retention
+ * Body: any of { keepLast, keepDays, keepFailedDays, trashDays, auditDays } - null turns a rule off
+ */
+app.put('/api/retention', (req, res) => {
+  try {
+    res.json({ success: true, policy: retention.savePolicy(req.body || {}) });
+  } catch (error) {
+    logger.error('Error saving retention policy:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * POST /api/retention/sweep
+ * Apply the retention policy now instead of waiting for the sweeper
+ */
+app.post('/api/retention/sweep', (req, res) => {
+  try {
+    res.json({ success: true, ...retention.sweep() });
+  } catch (error) {
+    logger.error('Error sweeping expired data:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =====================
+// Secrets
+// =====================
+
+/**
+ * Status for secret vault errors: locked, wrong passphrase or bad input
+ */
+function secretErrorStatus(error) {
+  return { ESECRETSLOCKED: 423, EPASSPHRASE: 403, EINVALID: 400 }[error.code] || 500;
+}
+
+/**
+ * GET /api/secrets
+ * Secret names (never values) and whether the vault is unlocked
+ */
+app.get('/api/secrets', (req, res) => {
+  try {
+    res.json({ success: true, unlocked: secrets.isUnlocked(), secrets: secrets.list() });
+  } catch (error) {
+    logger.error('Error listing secrets:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/secrets/unlock
+ * Body: { passphrase } - 403 if it is wrong; the first one used creates the vault
+ */
+app.post('/api/secrets/unlock', (req, res) => {
+  try {
+    secrets.unlock(req.body?.passphrase);
+    res.json({ success: true, unlocked: true });
+  } catch (error) {
+    logger.error('Error unlocking secrets:', error);
+    res.status(secretErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/secrets/lock
+ * Forget the master key until the vault is unlocked again
+ */
+app.post('/api/secrets/lock', (req, res) => {
+  secrets.lock();
+  res.json({ success: true, unlocked: false });
+});
+
+/**
+ * PUT /api/secrets/:name
+ * Body: { value } - create or replace a secret; 423 while the vault is locked
+ */
+app.put('/api/secrets/:name', (req, res) => {
+  try {
+    const secret = secrets.set(req.params.name, req.body?.value);
+    res.json({ success: true, secret });
+  } catch (error) {
+    logger.error('Error saving secret:', error);
+    res.status(secretErrorStatus(error)).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * DELETE /api/secrets/:name
+ */
+app.delete('/api/secrets/:name', (req, res) => {
+  try {
+    if (!secrets.delete(req.params.name)) {
+      return res.status(404).json({ success: false, error: 'Secret not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting secret:', error);
+    res.status(secretErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// =====================
+// API Keys & Audit Log
+// =====================
+
+/**
+ * GET /api/keys
+ * All API keys, newest first, revoked ones included (never the keys themselves)
+ */
+app.get('/api/keys', (req, res) => {
+  try {
+    res.json({ success: true, keys: apiKeys.list() });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Body: { name, scopes } - scopes from read, run and admin
+ * The response's `token` is the key; it is not shown again
+ */
+app.post('/api/keys', (req, res) => {
+  try {
+    const { key, token } = apiKeys.create(req.body || {});
+    res.json({ success: true, key, token });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke a key
+ */
+app.delete('/api/keys/:id', (req, res) => {
+  try {
+    const key = apiKeys.revoke(req.params.id);
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, key });
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/audit
+ * Audit log entries, newest first
+ * Query: keyId?, since? (ISO date), limit? (default 100, at most 1000)
+ */
+app.get('/api/audit', (req, res) => {
+  try {
+    const { keyId, since, limit } = req.query;
+    res.json({ success: true, ...auditLog.list({ keyId, since, limit }) });
+  } catch (error) {
+    logger.error('Error reading audit log:', error);
+    res.status(error.code === 'EINVALID' ? 400 : 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
 // =====================
 // Health Check
 // =====================
@@ -183,9 +1015,24 @@ app.use((err, req, res, next) => {
 // Start Server
 // =====================
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logger.info(`Express server running on port ${PORT}`);
-});
+runHistory.migrateExecutionHistory();
+retention.start();
+
+// Listen on this machine only, unless remote access is turned on
+const ALLOW_REMOTE = process.env.API_ALLOW_REMOTE === 'true';
+const HOST = process.env.API_HOST || (ALLOW_REMOTE ? '0.0.0.0' : '127.0.0.1');
+
+if (!ALLOW_REMOTE && !['127.0.0.1', '::1', 'localhost'].includes(HOST)) {
+  // Not listening lets the process exit once the log is written
+  logger.error(`API_HOST=${HOST} would accept remote connections; set API_ALLOW_REMOTE=true to allow that`);
+  process.exitCode = 1;
+} else {
+  if (ALLOW_REMOTE && !apiKeys.hasActiveKeys()) {
+    logger.warn('Remote access is on but there are no API keys; create one with POST /api/keys from this machine');
+  }
+  app.listen(PORT, HOST, () => {
+    logger.info(`Express server running on ${HOST}:${PORT}`);
+  });
+}
 
 module.exports = app;
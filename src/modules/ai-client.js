@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const secrets = require('./secrets');
 
 /**
  * Unified AI Client for Claude and OpenAI APIs
@@ -10,21 +11,13 @@ class AIClient {
     this.provider = process.env.AI_PROVIDER || 'claude';
     
     if (this.provider === 'openai') {
-      this.apiKey = process.env.OPENAI_API_KEY;
+      this.apiKeyName = 'OPENAI_API_KEY';
       this.baseUrl = 'https://api.openai.com/v1';
       this.model = process.env.OPENAI_MODEL || 'gpt-4-turbo';
-      
-      if (!this.apiKey) {
-        throw new Error('OPENAI_API_KEY not found in environment variables');
-      }
     } else if (this.provider === 'claude') {
-      this.apiKey = process.env.CLAUDE_API_KEY;
+      this.apiKeyName = 'CLAUDE_API_KEY';
       this.baseUrl = 'https://api.anthropic.com/v1';
       this.model = process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022';
-      
-      if (!this.apiKey) {
-        throw new Error('CLAUDE_API_KEY not found in environment variables');
-      }
     } else {
       throw new Error(`Unknown AI provider: ${this.provider}`);
     }
@@ -32,6 +25,18 @@ class AIClient {
     logger.info(`AIClient initialized with provider: ${this.provider} (model: ${this.model})`);
   }
 
+  /**
+   * The provider's API key: from the environment, or else the secret of the
+   * same name in the vault (where the Settings view saves it)
+   */
+  getApiKey() {
+    const apiKey = process.env[this.apiKeyName] || (secrets.isUnlocked() ? secrets.get(this.apiKeyName) : null);
+    if (!apiKey) {
+      throw new Error(`${this.apiKeyName} not found in environment variables or the secret vault`);
+    }
+    return apiKey;
+  }
+
   /**
    * Send a message to the AI and get a response
    * @param {string} prompt - The user's prompt/message
@@ -70,7 +75,7 @@ class AIClient {
         },
         {
           headers: {
-            'x-api-key': this.apiKey,
+            'x-api-key': this.getApiKey(),
             'anthropic-version': '2023-06-01',
             'content-type': 'application/json',
           },
@@ -104,7 +109,7 @@ class AIClient {
         },
         {
           headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
+            'Authorization': `Bearer ${this.getApiKey()}`,
             'Content-Type': 'application/json',
           },
         }
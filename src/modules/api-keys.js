@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+/**
+ * API Keys
+ * Keys for calling the REST API from other machines, kept in
+ * DATA_DIR/settings/api-keys.json. Only a SHA-256 hash of each key is
+ * stored; the key itself is shown once, when it is created.
+ *
+ * A key is "yodo_<id>_<secret>" and has one or more scopes:
+ *   read  - GET requests for workflows, versions, fixes, the trash and
+ *           settings
+ *   run   - execute, dry-run, and pause, resume, cancel or roll back runs
+ *   admin - everything, including exports, run records, saved executions,
+ *           managing keys and reading the audit log
+ * Revoked keys are kept, marked with revokedAt, so the audit log can
+ * still name them.
+ */
+
+const SCOPES = ['read', 'run', 'admin'];
+
+// Requests (relative to /api) that start or control runs. Express matches
+// routes case-insensitively and with a trailing slash, so these do too.
+const RUN_REQUESTS = /^\/(workflows\/[^/]+\/(execute|dry-run)|executions\/[^/]+\/(pause|resume|cancel|rollback))\/?$/i;
+
+// GETs that need admin: keys and the audit log, export bundles (which
+// carry fixture file contents) and execution state - run records and
+// listings, saved executions and progress events hold step inputs, results
+// and errors, which may include file contents and secrets from outside the
+// vault
+const ADMIN_READS = /^\/(keys|audit|runs|executions|workflows\/export|workflows\/[^/]+\/runs)(\/|$)/i;
+
+const KEY_PREFIX = 'yodo';
+
+// lastUsedAt is saved at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class ApiKeys {
+  readKeys() {
+    return storage.getSettings('api-keys')?.keys || [];
+  }
+
+  /**
+   * A key without its hash, for listings
+   */
+  describe(key) {
+    const { hash, ...description } = key;
+    return description;
+  }
+
+  /**
+   * All keys, newest first, revoked ones included
+   */
+  list() {
+    return this.readKeys()
+      .map(key => this.describe(key))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Whether any key can still be used
+   */
+  hasActiveKeys() {
+    return this.readKeys().some(key => !key.revokedAt);
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - {name, scopes}
+   * @returns {{key: Object, token: string}} token is the key to hand out;
+   *   it cannot be read again
+   */
+  create(options = {}) {
+    const { name, scopes } = options;
+    const errors = [];
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.push('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push(`scopes must list at least one of ${SCOPES.join(', ')}`);
+    } else {
+      scopes
+        .filter(scope => !SCOPES.includes(scope))
+        .forEach(scope => errors.push(`Unknown scope: ${scope}`));
+    }
+    if (errors.length > 0) {
+      const error = new Error(`Invalid API key: ${errors.join('; ')}`);
+      error.code = 'EINVALID';
+      error.errors = errors;
+      throw error;
+    }
+
+    try {
+      const id = crypto.randomBytes(4).toString('hex');
+      const secret = crypto.randomBytes(24).toString('base64url');
+      const key = {
+        id,
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        hash: hashKey(secret),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null,
+      };
+
+      storage.lockSettings('api-keys', () => {
+        storage.saveSettings('api-keys', { keys: [...this.readKeys(), key] });
+      });
+      logger.info(`API key created: ${id} (${key.name}, scopes: ${key.scopes.join(', ')})`);
+      return { key: this.describe(key), token: `${KEY_PREFIX}_${id}_${secret}` };
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key; requests made with it are refused from then on
+   * @returns {Object|null} the revoked key, or null if there is no such key
+   */
+  revoke(id) {
+    try {
+      return storage.lockSettings('api-keys', () => {
+        const keys = this.readKeys();
+        const key = keys.find(k => k.id === id);
+        if (!key) {
+          return null;
+        }
+        if (!key.revokedAt) {
+          key.revokedAt = new Date().toISOString();
+          storage.saveSettings('api-keys', { keys });
+          logger.info(`API key revoked: ${id} (${key.name})`);
+        }
+        return this.describe(key);
+      });
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the key a request presented
+   * @returns {Object|null} the key (without its hash) if the token is a
+   *   valid, unrevoked key
+   */
+  verify(token) {
+    const match = typeof token === 'string' && token.match(new RegExp(`^${KEY_PREFIX}_([0-9a-f]{8})_([A-Za-z0-9_-]+)$`));
+    if (!match) {
+      return null;
+    }
+    const key = this.readKeys().find(k => k.id === match[1]);
+    if (!key || key.revokedAt) {
+      return null;
+    }
+    const expected = Buffer.from(key.hash, 'hex');
+    const actual = Buffer.from(hashKey(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    this.touch(key);
+    return this.describe(key);
+  }
+
+  /**
+   * Record when a key was last used, at most once a minute
+   */
+  touch(key) {
+    if (key.lastUsedAt && Date.now() - new Date(key.lastUsedAt).getTime() < LAST_USED_INTERVAL_MS) {
+      return;
+    }
+    try {
+      storage.lockSettings('api-keys', () => {
+        const keys = this.readKeys();
+        const stored = keys.find(k => k.id === key.id);
+        if (stored) {
+          stored.lastUsedAt = new Date().toISOString();
+          storage.saveSettings('api-keys', { keys });
+        }
+      });
+    } catch (error) {
+      // Only the last-used time is lost
+      logger.warn(`Could not update API key ${key.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a key's scopes allow a request needing the given scope
+   */
+  allows(key, scope) {
+    return key.scopes.includes('admin') || key.scopes.includes(scope);
+  }
+
+  /**
+   * The scope a request needs: run for starting and controlling runs, read
+   * for GETs other than ADMIN_READS, admin for everything else
+   * @param {string} requestPath - the path below /api, e.g. "/workflows"
+   */
+  requiredScope(method, requestPath) {
+    if (method === 'POST' && RUN_REQUESTS.test(requestPath)) {
+      return 'run';
+    }
+    if (method === 'GET' && !ADMIN_READS.test(requestPath)) {
+      return 'read';
+    }
+    return 'admin';
+  }
+}
+
+module.exports = new ApiKeys();
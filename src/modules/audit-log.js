@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+/**
+ * API Audit Log
+ * One line of JSON per API request made with a key, and per change made
+ * without one from this machine, in DATA_DIR/audit/{YYYY-MM-DD}.jsonl:
+ *   { timestamp, keyId, keyName, method, path, scope, status, ip, durationMs }
+ * keyId is null for requests made without a valid key. Refused requests
+ * are logged too.
+ * Appending a line is a single write, so the app and the API server can
+ * share the files. Files older than the retention policy's auditDays are
+ * deleted by the retention sweeper (see src/modules/retention.js).
+ */
+
+// Entries returned when no limit is given, and the most allowed
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_FILE = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+
+class AuditLog {
+  constructor() {
+    this.auditDir = path.join(storage.dataDir, 'audit');
+  }
+
+  /**
+   * Append an entry to today's file
+   */
+  record(entry) {
+    try {
+      if (!fs.existsSync(this.auditDir)) {
+        fs.mkdirSync(this.auditDir, { recursive: true });
+      }
+      const timestamp = entry.timestamp || new Date().toISOString();
+      const file = path.join(this.auditDir, `${timestamp.slice(0, 10)}.jsonl`);
+      fs.appendFileSync(file, `${JSON.stringify({ timestamp, ...entry })}\n`);
+    } catch (error) {
+      // A lost audit entry must not fail the request it describes
+      logger.error('Error writing audit log:', error);
+    }
+  }
+
+  /**
+   * Entries, newest first
+   * @param {Object} options - {keyId, since (ISO date), limit}
+   */
+  list(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const since = options.since ? new Date(options.since) : null;
+    if (since && Number.isNaN(since.getTime())) {
+      const error = new Error('Invalid audit log query: since must be a date');
+      error.code = 'EINVALID';
+      error.errors = ['since must be a date'];
+      throw error;
+    }
+    if (!fs.existsSync(this.auditDir)) {
+      return { entries: [], limit };
+    }
+
+    const entries = [];
+    const files = fs
+      .readdirSync(this.auditDir)
+      .filter(f => f.endsWith('.jsonl'))
+      .sort()
+      .reverse();
+    for (const file of files) {
+      // Files are named by day, so older files hold only older entries
+      if (since && file.slice(0, 10) < since.toISOString().slice(0, 10)) {
+        break;
+      }
+      const lines = fs.readFileSync(path.join(this.auditDir, file), 'utf-8').split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash
+          continue;
+        }
+        if (since && new Date(entry.timestamp) < since) {
+          continue;
+        }
+        if (options.keyId && entry.keyId !== options.keyId) {
+          continue;
+        }
+        entries.push(entry);
+        if (entries.length >= limit) {
+          return { entries, limit };
+        }
+      }
+    }
+    return { entries, limit };
+  }
+
+  /**
+   * Delete the files of days that ended more than `days` days ago; today's
+   * file is always kept
+   * @param {number|null} days - null keeps every file
+   * @returns {number} how many files were deleted
+   */
+  prune(days) {
+    if (days == null || !fs.existsSync(this.auditDir)) {
+      return 0;
+    }
+    const cutoff = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+    const expired = fs
+      .readdirSync(this.auditDir)
+      .filter(file => DAY_FILE.test(file) && file.slice(0, 10) < cutoff);
+    expired.forEach(file => fs.rmSync(path.join(this.auditDir, file), { force: true }));
+    return expired.length;
+  }
+}
+
+module.exports = new AuditLog();
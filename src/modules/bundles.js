@@ -0,0 +1,498 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { generateId } = require('../utils/helpers');
+const { migrate, validateDocument } = require('../storage/schema');
+
+/**
+ * Workflow Bundles
+ * A portable file for sharing workflows between machines:
+ *   { format, formatVersion, exportedAt,
+ *     workflows: [{ workflow, versions: [...], runs: [...] }],
+ *     files: [{ path, name, size, content (base64) }] }
+ * Exporting a workflow also exports the sub-workflows its steps run, and
+ * the input files its steps read (fixtures). Importing gives every
+ * workflow and run a new ID and rewrites references between them.
+ */
+
+const BUNDLE_FORMAT = 'you-only-do-once/workflow-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// How to import a workflow whose name is already taken
+const CONFLICT_MODES = ['rename', 'overwrite', 'skip'];
+
+// Step parameters naming a file the step reads, by tool and action
+const FIXTURE_PARAMS = {
+  filesystem: {
+    read_file: ['path'],
+    copy_file: ['source'],
+  },
+  spreadsheet: {
+    read_spreadsheet: ['path'],
+    filter_data: ['path'],
+  },
+};
+
+// Fixtures larger than this are left out of the bundle
+const MAX_FIXTURE_BYTES = 10 * 1024 * 1024;
+
+// Keys holding nested step lists in if, for_each and parallel steps
+const NESTED_STEP_KEYS = ['then', 'else', 'steps'];
+
+// Workflow fields that only make sense on the machine they were made on
+// (schemaErrors is worked out again when a workflow is loaded)
+const LOCAL_FIELDS = ['revision', 'healProposals', 'schemaErrors'];
+
+class WorkflowBundles {
+  /**
+   * Build a bundle
+   * @param {Object} options
+   *   ids - workflows to export (all when omitted)
+   *   versions - 'all' (default), 'current', 'none', or a number to keep
+   *     only that many of the latest versions
+   *   runs - include run history (default false)
+   *   files - include fixture files (default true)
+   */
+  export(options = {}) {
+    try {
+      const { versions = 'all', runs = false, files = true } = options;
+      const workflows = this.collectWorkflows(options.ids);
+
+      const fixturePaths = new Set();
+      const entries = workflows.map(workflow => {
+        const definition = { ...workflow };
+        LOCAL_FIELDS.forEach(field => delete definition[field]);
+
+        const entry = {
+          workflow: definition,
+          versions: this.selectVersions(workflow, versions),
+          runs: runs ? storage.getRuns(workflow.id) : [],
+        };
+        if (files) {
+          [workflow.analysis, ...entry.versions.map(version => version.analysis)].forEach(analysis => {
+            this.findFixtures(analysis?.steps || []).forEach(filePath => fixturePaths.add(filePath));
+          });
+        }
+        return entry;
+      });
+
+      const bundle = {
+        format: BUNDLE_FORMAT,
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        workflows: entries,
+        files: [...fixturePaths].map(filePath => this.readFixture(filePath)).filter(Boolean),
+      };
+
+      logger.info(`Exported ${entries.length} workflow(s) and ${bundle.files.length} file(s)`);
+      return bundle;
+    } catch (error) {
+      logger.error('Error exporting workflows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The workflows to export, with the sub-workflows they run
+   */
+  collectWorkflows(ids) {
+    let queue = storage.getAllWorkflows();
+    if (ids && ids.length > 0) {
+      queue = ids.map(id => {
+        const workflow = storage.getWorkflow(id);
+        if (!workflow) {
+          throw new Error(`Workflow not found: ${id}`);
+        }
+        return workflow;
+      });
+    }
+
+    const collected = new Map();
+    while (queue.length > 0) {
+      const workflow = queue.shift();
+      if (collected.has(workflow.id)) {
+        continue;
+      }
+      collected.set(workflow.id, workflow);
+
+      this.findSubWorkflowRefs(workflow.analysis?.steps || []).forEach(ref => {
+        const child = storage.getWorkflowByName(ref) || storage.getWorkflow(ref);
+        if (child) {
+          queue.push(child);
+        } else {
+          logger.warn(`Sub-workflow ${ref} of ${workflow.name} not found; not exported`);
+        }
+      });
+    }
+    return [...collected.values()];
+  }
+
+  /**
+   * Version snapshots to export for a workflow
+   */
+  selectVersions(workflow, selection) {
+    if (selection === 'none') {
+      return [];
+    }
+    const all = storage.getWorkflowVersions(workflow.id);
+    if (selection === 'current') {
+      return all.filter(version => version.version === workflow.version);
+    }
+    const latest = parseInt(selection, 10);
+    return latest > 0 ? all.slice(0, latest) : all;
+  }
+
+  /**
+   * Call fn for every step, including steps nested in if, for_each and
+   * parallel steps
+   */
+  forEachStep(steps, fn) {
+    steps.forEach(step => {
+      fn(step);
+      NESTED_STEP_KEYS.forEach(key => {
+        if (Array.isArray(step[key])) {
+          this.forEachStep(step[key], fn);
+        }
+      });
+    });
+  }
+
+  /**
+   * IDs or names of the workflows run by workflow steps
+   */
+  findSubWorkflowRefs(steps) {
+    const refs = new Set();
+    this.forEachStep(steps, step => {
+      if (step.type === 'workflow' && step.workflow) {
+        refs.add(step.workflow);
+      }
+    });
+    return [...refs];
+  }
+
+  /**
+   * Literal paths of the files that steps read (templated paths are
+   * only known at run time)
+   */
+  findFixtures(steps) {
+    const paths = new Set();
+    this.forEachStep(steps, step => {
+      const category = step.tool === 'file' ? 'filesystem' : step.tool;
+      const params = FIXTURE_PARAMS[category]?.[step.tool_action] || [];
+      params.forEach(param => {
+        const value = step.parameters?.[param];
+        if (typeof value === 'string' && value && !value.includes('{{')) {
+          paths.add(value);
+        }
+      });
+    });
+    return [...paths];
+  }
+
+  /**
+   * A fixture file as a bundle entry, or null if it cannot be included
+   */
+  readFixture(filePath) {
+    try {
+      const stats = fs.statSync(path.resolve(filePath));
+      if (!stats.isFile()) {
+        return null;
+      }
+      if (stats.size > MAX_FIXTURE_BYTES) {
+        logger.warn(`Fixture ${filePath} is larger than ${MAX_FIXTURE_BYTES} bytes; not exported`);
+        return null;
+      }
+      return {
+        path: filePath,
+        name: path.basename(filePath),
+        size: stats.size,
+        content: fs.readFileSync(path.resolve(filePath)).toString('base64'),
+      };
+    } catch (error) {
+      logger.warn(`Fixture ${filePath} could not be read; not exported: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Error for a request that cannot be imported as given
+   */
+  invalid(message) {
+    const error = new Error(message);
+    error.code = 'EINVALID';
+    return error;
+  }
+
+  /**
+   * Check that a bundle can be imported
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate(bundle) {
+    const errors = [];
+    if (!bundle || typeof bundle !== 'object') {
+      return { valid: false, errors: ['Bundle must be an object'] };
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+      errors.push(`Not a workflow bundle (format should be ${BUNDLE_FORMAT})`);
+    } else if (!(bundle.formatVersion >= 1 && bundle.formatVersion <= BUNDLE_FORMAT_VERSION)) {
+      errors.push(`Unsupported bundle format version: ${bundle.formatVersion}`);
+    }
+    if (!Array.isArray(bundle.workflows)) {
+      errors.push('Bundle has no workflows list');
+    } else {
+      bundle.workflows.forEach((entry, index) => {
+        if (!entry?.workflow?.id || !entry.workflow.name) {
+          errors.push(`Workflow ${index + 1} has no id or name`);
+          return;
+        }
+        // Checked as they will be saved, migrated to the current schema
+        const copy = document => JSON.parse(JSON.stringify(document));
+        validateDocument('workflow', migrate('workflow', copy(entry.workflow))).forEach(error => {
+          errors.push(`Workflow "${entry.workflow.name}": ${error}`);
+        });
+        (Array.isArray(entry.runs) ? entry.runs : []).forEach((record, runIndex) => {
+          const run = record && typeof record === 'object' ? migrate('run', copy(record)) : record;
+          validateDocument('run', run).forEach(error => {
+            errors.push(`Workflow "${entry.workflow.name}" run ${runIndex + 1}: ${error}`);
+          });
+        });
+      });
+    }
+    if (bundle.files !== undefined && !Array.isArray(bundle.files)) {
+      errors.push('Bundle files must be a list');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Import a bundle
+   * @param {Object} options
+   *   onConflict - 'rename' (default), 'overwrite' or 'skip' when a
+   *     workflow with the same name exists
+   *   files - write fixture files and point steps at them (default true)
+   * @returns {{imported: Array, skipped: Array}}
+   */
+  import(bundle, options = {}) {
+    try {
+      const { onConflict = 'rename', files = true } = options;
+      if (!CONFLICT_MODES.includes(onConflict)) {
+        throw this.invalid(`Unknown conflict mode: ${onConflict} (expected ${CONFLICT_MODES.join(', ')})`);
+      }
+      const validation = this.validate(bundle);
+      if (!validation.valid) {
+        throw this.invalid(`Invalid bundle: ${validation.errors.join('; ')}`);
+      }
+
+      const plans = this.planImport(bundle.workflows, onConflict);
+      const refs = new Map();
+      plans.forEach(plan => {
+        refs.set(plan.entry.workflow.id, plan.id);
+        // A name shared by several workflows in the bundle means the first
+        if (!refs.has(plan.entry.workflow.name)) {
+          refs.set(plan.entry.workflow.name, plan.name);
+        }
+      });
+      const fixtures = new Map((bundle.files || []).map(file => [file.path, file]));
+
+      const result = { imported: [], skipped: [] };
+      plans.forEach(plan => {
+        if (plan.action === 'skip') {
+          result.skipped.push({ name: plan.name, originalId: plan.entry.workflow.id, id: plan.id });
+          return;
+        }
+        result.imported.push(this.importWorkflow(plan, refs, files ? fixtures : new Map()));
+      });
+
+      logger.info(`Imported ${result.imported.length} workflow(s), skipped ${result.skipped.length}`);
+      return result;
+    } catch (error) {
+      logger.error('Error importing workflows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide the ID, name and action for each workflow in the bundle
+   * A name used by an earlier workflow in the same bundle conflicts like
+   * a stored one: the later workflow is renamed, skipped, or imported as
+   * the next version of the earlier one.
+   */
+  planImport(entries, onConflict) {
+    const taken = new Set(storage.getAllWorkflows().map(workflow => workflow.name));
+    // Names given to workflows earlier in the bundle -> their plans
+    const planned = new Map();
+    return entries.map(entry => {
+      const existing = storage.getWorkflowByName(entry.workflow.name);
+      const earlier = planned.get(entry.workflow.name);
+      if (!existing && !earlier) {
+        taken.add(entry.workflow.name);
+        const plan = { entry, action: 'create', id: generateId(), name: entry.workflow.name };
+        planned.set(plan.name, plan);
+        return plan;
+      }
+      if (onConflict === 'skip' || onConflict === 'overwrite') {
+        const target = existing || earlier;
+        return { entry, action: onConflict, id: target.id, name: target.name, existing };
+      }
+
+      let name = `${entry.workflow.name} (imported)`;
+      for (let n = 2; taken.has(name); n++) {
+        name = `${entry.workflow.name} (imported ${n})`;
+      }
+      taken.add(name);
+      const plan = { entry, action: 'rename', id: generateId(), name };
+      planned.set(name, plan);
+      return plan;
+    });
+  }
+
+  /**
+   * Save one planned workflow with its versions, runs and fixtures
+   */
+  importWorkflow(plan, refs, fixtures) {
+    const { entry } = plan;
+    const files = this.writeFixtures(plan.id, entry, fixtures);
+    const rewrite = analysis => this.rewriteAnalysis(analysis, refs, files);
+    const now = new Date().toISOString();
+
+    const workflow = {
+      ...entry.workflow,
+      id: plan.id,
+      name: plan.name,
+      analysis: rewrite(entry.workflow.analysis),
+      updatedAt: now,
+      importedAt: now,
+    };
+    LOCAL_FIELDS.forEach(field => delete workflow[field]);
+    migrate('workflow', workflow);
+
+    let versions = 0;
+    if (plan.action === 'overwrite') {
+      // The existing workflow keeps its history; the import is its next version
+      storage.lockWorkflow(plan.id, () => {
+        const existing = storage.getWorkflow(plan.id);
+        Object.assign(workflow, {
+          createdAt: existing.createdAt,
+          version: existing.version,
+          revision: existing.revision,
+          healProposals: existing.healProposals,
+        });
+        if (!existing.version) {
+          storage.commitVersion(existing, { note: 'Saved before versioning' });
+          workflow.version = existing.version;
+        }
+        storage.commitVersion(workflow, { note: 'Imported from bundle' });
+        storage.saveWorkflow(workflow);
+      });
+      versions = 1;
+    } else {
+      const snapshots = (entry.versions || []).slice().sort((a, b) => a.version - b.version);
+      snapshots.forEach(snapshot => {
+        storage.insertWorkflowVersion({
+          ...snapshot,
+          workflowId: plan.id,
+          name: plan.name,
+          analysis: rewrite(snapshot.analysis),
+        });
+      });
+      versions = snapshots.length;
+
+      if (!snapshots.some(snapshot => snapshot.version === workflow.version)) {
+        workflow.version = snapshots.length ? snapshots[snapshots.length - 1].version : undefined;
+        storage.commitVersion(workflow, { note: 'Imported from bundle' });
+        versions++;
+      }
+      storage.saveWorkflow(workflow);
+    }
+
+    // Runs get new IDs; ones the workflow already has (an overwrite of the
+    // workflow they came from, or an earlier import) are not copied again
+    const known = new Set(storage.getRuns(plan.id).flatMap(record => [record.runId, record.importedRunId]));
+    const runs = (entry.runs || []).filter(record => !known.has(record.runId));
+    runs.forEach(record => {
+      storage.saveRun(
+        migrate('run', {
+          ...record,
+          runId: generateId(),
+          importedRunId: record.runId,
+          workflowId: plan.id,
+          workflowName: plan.name,
+        })
+      );
+    });
+
+    return {
+      name: plan.name,
+      originalId: entry.workflow.id,
+      id: plan.id,
+      action: plan.action === 'create' ? 'created' : plan.action === 'rename' ? 'renamed' : 'overwritten',
+      versions,
+      runs: runs.length,
+      files: files.size,
+    };
+  }
+
+  /**
+   * Write the fixtures a workflow reads to its fixtures directory
+   * @returns {Map<string, string>} original path -> written path
+   */
+  writeFixtures(workflowId, entry, fixtures) {
+    const written = new Map();
+    if (fixtures.size === 0) {
+      return written;
+    }
+
+    const analyses = [entry.workflow.analysis, ...(entry.versions || []).map(version => version.analysis)];
+    const needed = new Set(analyses.flatMap(analysis => this.findFixtures(analysis?.steps || [])));
+
+    const dir = storage.getFixtureDir(workflowId);
+    const names = new Set();
+    needed.forEach(originalPath => {
+      const file = fixtures.get(originalPath);
+      if (!file) {
+        return;
+      }
+
+      // Keep the original name unless two fixtures share it
+      const original = path.basename(file.name || originalPath);
+      const ext = path.extname(original);
+      let name = original;
+      for (let n = 2; names.has(name); n++) {
+        name = `${path.basename(original, ext)}-${n}${ext}`;
+      }
+      names.add(name);
+
+      const target = path.join(dir, name);
+      fs.writeFileSync(target, Buffer.from(file.content || '', 'base64'));
+      written.set(originalPath, target);
+    });
+    return written;
+  }
+
+  /**
+   * A copy of an analysis with sub-workflow references pointing at the
+   * imported workflows and fixture paths at the written files
+   */
+  rewriteAnalysis(analysis, refs, files) {
+    if (!analysis || !Array.isArray(analysis.steps)) {
+      return analysis;
+    }
+    const copy = JSON.parse(JSON.stringify(analysis));
+    this.forEachStep(copy.steps, step => {
+      if (step.type === 'workflow' && refs.has(step.workflow)) {
+        step.workflow = refs.get(step.workflow);
+      }
+      if (step.parameters && files.size > 0) {
+        Object.keys(step.parameters).forEach(param => {
+          if (files.has(step.parameters[param])) {
+            step.parameters[param] = files.get(step.parameters[param]);
+          }
+        });
+      }
+    });
+    return copy;
+  }
+}
+
+module.exports = new WorkflowBundles();
@@ -0,0 +1,129 @@
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { SORTS, tokenize } = require('../storage/search');
+
+/**
+ * Workflow Catalog
+ * Organizes workflows by their details - tags, a folder path such as
+ * "Finance/Reports" and a description - and searches them.
+ *
+ * Matching and ranking are defined in src/storage/search.js; the storage
+ * backend does the searching, so the SQLite backend can use its index
+ * instead of reading every workflow.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Filters that can be written into the query text, e.g. "tag:finance q3"
+const QUERY_FILTERS = ['tag', 'tool', 'folder'];
+
+class WorkflowCatalog {
+  /**
+   * Clean up user-entered details
+   * @returns {{description?: string, tags?: string[], folder?: string}}
+   *   with only the fields that were given
+   */
+  normalizeDetails(details = {}) {
+    const normalized = {};
+    if (details.description !== undefined) {
+      normalized.description = String(details.description || '').trim();
+    }
+    if (details.tags !== undefined) {
+      const tags = Array.isArray(details.tags) ? details.tags : String(details.tags || '').split(',');
+      normalized.tags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    }
+    if (details.folder !== undefined) {
+      normalized.folder = String(details.folder || '')
+        .split(/[\\/]+/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .join('/');
+    }
+    return normalized;
+  }
+
+  /**
+   * Change a workflow's description, tags or folder
+   * @param {number} [revision] - fail with ECONFLICT unless the workflow
+   *   is still at this revision
+   */
+  updateDetails(workflowId, details, revision) {
+    try {
+      const updates = this.normalizeDetails(details);
+      if (Object.keys(updates).length === 0) {
+        throw new Error('No details to update (expected description, tags or folder)');
+      }
+      return storage.updateWorkflow(workflowId, { ...updates, updatedAt: new Date().toISOString() }, revision);
+    } catch (error) {
+      logger.error('Error updating workflow details:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pull tag:, tool: and folder: filters out of the query text
+   * @returns {{terms: string[], tag: string[], tool: string[], folder: string[]}}
+   */
+  parseQuery(q) {
+    const parsed = { terms: [], tag: [], tool: [], folder: [] };
+    String(q || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach(part => {
+        const match = part.match(/^(\w+):(.+)$/);
+        if (match && QUERY_FILTERS.includes(match[1].toLowerCase())) {
+          parsed[match[1].toLowerCase()].push(match[2]);
+        } else {
+          parsed.terms.push(...tokenize(part));
+        }
+      });
+    return parsed;
+  }
+
+  /**
+   * Search workflows
+   * @param {Object} options - {q, tag, tool, folder, sort, limit, offset};
+   *   tag, tool and folder take a value or a list, and all must match
+   * @returns {{workflows: Array, total: number, limit: number, offset: number}}
+   */
+  search(options = {}) {
+    const parsed = this.parseQuery(options.q);
+    const list = value => (value === undefined ? [] : [].concat(value).flatMap(item => String(item).split(',')));
+    const tags = [...list(options.tag), ...parsed.tag].map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    const tools = [...list(options.tool), ...parsed.tool].map(tool => tool.trim().toLowerCase()).filter(Boolean);
+    const folders = [...list(options.folder), ...parsed.folder]
+      .map(folder => this.normalizeDetails({ folder }).folder.toLowerCase())
+      .filter(Boolean);
+
+    const sort = options.sort || (parsed.terms.length > 0 ? 'relevance' : 'newest');
+    if (!SORTS.includes(sort)) {
+      const error = new Error(`Unknown sort: ${sort} (expected ${SORTS.join(', ')})`);
+      error.code = 'EINVALID';
+      throw error;
+    }
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    const { matches, total } = storage.findWorkflows({
+      terms: parsed.terms,
+      tags,
+      tools,
+      folders,
+      sort,
+      limit,
+      offset,
+    });
+
+    return {
+      workflows: matches.map(({ workflow, score, matchedFields }) =>
+        parsed.terms.length > 0 ? { ...workflow, score, matchedFields } : workflow
+      ),
+      total,
+      limit,
+      offset,
+    };
+  }
+}
+
+module.exports = new WorkflowCatalog();
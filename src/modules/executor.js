@@ -1,77 +1,333 @@
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const mcpTools = require('./mcp-tools');
+const storage = require('./storage');
+const simulator = require('./simulator');
+const journal = require('./journal');
+const healer = require('./healer');
+const runHistory = require('./run-history');
+const versions = require('./versions');
+const secrets = require('./secrets');
+const { generateId, isProcessAlive } = require('../utils/helpers');
+const { validateDocument, invalid } = require('../storage/schema');
+const {
+  getRetryPolicy,
+  getBackoffDelay,
+  shouldRetry,
+  withTimeout,
+  withAbort,
+  sleep,
+} = require('../utils/retry');
+const { resolveTemplates } = require('../utils/template');
+const {
+  maskSecrets,
+  maskSecretsTracked,
+  restoreMaskedSecrets,
+  unmaskSecrets,
+} = require('../utils/secret-mask');
+const { evaluate } = require('../utils/expression');
+const { validateVariables } = require('../utils/variables');
+const { assertStepResult } = require('../utils/assertions');
 
-class Executor {
+// Finished runs whose progress events are kept for late subscribers
+const MAX_FINISHED_EVENT_HISTORIES = 50;
+
+// Tool categories that stop when their attempt times out (they get the
+// timeout and abort signal); others keep running in the background
+const CANCELLABLE_TOOLS = ['shell', 'web'];
+
+// Filesystem actions that remove or move files: an AI fix that does one
+// runs only once the user confirms it
+const DESTRUCTIVE_FILE_ACTIONS = ['delete_file', 'rename_file'];
+
+// Parallel steps without a `concurrency` run this many children at once
+const DEFAULT_PARALLEL_CONCURRENCY = 4;
+
+// When several parallel children end a run, the outcome reported
+const PARALLEL_OUTCOME_PRECEDENCE = ['cancelled', 'aborted', 'stopped', 'needs_input'];
+
+// Context key holding the chain of workflow IDs being run, for cycle
+// detection (a symbol so it can never clash with a template reference)
+const WORKFLOW_STACK = Symbol('workflowStack');
+
+/**
+ * Emits 'execution-event' for run and step progress:
+ *   run-started, run-paused, run-resumed, run-finished,
+ *   step-started, step-finished, step-failed
+ * Every event carries {runId, workflowId, type, timestamp}; step events add
+ * stepId, and step-finished/step-failed add the step's log entry.
+ */
+class Executor extends EventEmitter {
   constructor() {
+    super();
+    // runId -> control state for executions currently running
+    this.activeRuns = new Map();
+    // runId -> progress events emitted so far
+    this.runEvents = new Map();
     logger.info('Executor initialized');
   }
 
   /**
    * Execute a workflow using MCP tools
+   * @param {Object} workflow
+   * @param {Object} variables - values for analysis.variables
+   * @param {Object} options
+   * @param {Function} [options.confirmStep] - async ({runId, stepId, description, tool, toolAction, parameters})
+   *   => {action: 'approve'|'skip'|'abort', parameters?}; called before every tool step
+   * @param {boolean} [options.heal] - ask the AI to fix any failing tool step,
+   *   as if every step had error_handling 'heal'
    */
-  async execute(workflow) {
+  async execute(workflow, variables = {}, options = {}) {
+    return this.start(workflow, variables, options).promise;
+  }
+
+  /**
+   * Start a workflow without waiting for it to finish
+   * The returned runId can be passed to pause(), unpause() and cancel()
+   * while the run is in progress.
+   * @returns {{runId: string, promise: Promise<Object>}} promise resolves to
+   *   the same result as execute()
+   */
+  start(workflow, variables = {}, options = {}) {
+    logger.info(`Starting execution of workflow: ${workflow.id}`);
+
+    const run = {
+      runId: generateId(),
+      workflowId: workflow.id,
+      workflowVersion: workflow.version,
+      variables,
+      executionLog: [],
+      results: [],
+      completed: {},
+      decisions: {},
+      heal: Boolean(options.heal),
+      createdAt: new Date().toISOString(),
+    };
+
+    return { runId: run.runId, promise: this.runWorkflow(workflow, run, options) };
+  }
+
+  /**
+   * Resume an execution that was suspended by a step with
+   * error_handling 'ask', or one that was interrupted by a crash or restart
+   * An interrupted run continues from its first incomplete step.
+   * @param {string} runId
+   * @param {Object} decision - {action: 'retry'|'skip'|'abort', parameters?}
+   *   `parameters` replaces the failed step's parameters when retrying;
+   *   interrupted runs accept only 'retry' and 'abort'
+   * @param {Object} options - same as execute()
+   */
+  async resume(runId, decision = {}, options = {}) {
+    const state = storage.getExecutionState(runId);
+    if (!state) {
+      throw new Error(`Execution not found: ${runId}`);
+    }
+
+    const status = this.getRunStatus(state);
+    if (status === 'running') {
+      throw new Error(`Execution ${runId} is still running`);
+    }
+
+    const action = decision.action || 'retry';
+    const allowed = status === 'interrupted' ? ['retry', 'abort'] : ['retry', 'skip', 'abort'];
+    if (!allowed.includes(action)) {
+      throw new Error(`Invalid resume decision: ${action}`);
+    }
+    if (decision.parameters !== undefined &&
+      (!decision.parameters || typeof decision.parameters !== 'object' || Array.isArray(decision.parameters))) {
+      throw new Error('Edited parameters must be an object');
+    }
+
+    const position = status === 'interrupted' ? 'after interruption' : `at step ${state.suspended.stepId}`;
+    logger.info(`Resuming execution ${runId} ${position}: ${action}`);
+
+    if (action === 'abort') {
+      storage.deleteExecutionState(runId);
+      runHistory.markAborted(runId, `Execution aborted by user ${position}`);
+      return {
+        success: false,
+        aborted: true,
+        runId,
+        workflowId: state.workflowId,
+        error: `Execution aborted by user ${position}`,
+        executionLog: state.executionLog,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    const current = storage.getWorkflow(state.workflowId);
+    if (!current) {
+      throw new Error(`Workflow not found: ${state.workflowId}`);
+    }
+    // Continue with the steps the run started with, even if the workflow
+    // has been saved again since
+    const workflow = versions.getWorkflowAt(current, state.workflowVersion);
+
+    // The decision applies to every suspended step (several children of a
+    // parallel step may have failed); edited parameters only to the first
+    const decisions = {};
+    if (state.suspended) {
+      (state.suspended.steps || [state.suspended]).forEach((suspended, index) => {
+        decisions[String(suspended.stepId)] = { action, parameters: index === 0 ? decision.parameters : undefined };
+      });
+    }
+
+    // Saved states are masked; put the secret values back where they were
+    // masked in the results and variables replayed into later steps
+    const { status: savedStatus, pid, updatedAt, maskedSecrets = [], ...saved } = state;
+    if (maskedSecrets.length > 0) {
+      secrets.requireUnlocked();
+      secrets.refresh();
+    }
+    const run = {
+      ...saved,
+      ...restoreMaskedSecrets({ completed: saved.completed, variables: saved.variables }, maskedSecrets),
+      decisions,
+      suspended: null,
+      resumedAt: new Date().toISOString(),
+    };
+
+    return this.runWorkflow(workflow, run, options);
+  }
+
+  /**
+   * Status of a saved execution: 'suspended', 'running' (in this or another
+   * live process) or 'interrupted' (its process is gone)
+   */
+  getRunStatus(state) {
+    if (state.status !== 'running') {
+      return state.status;
+    }
+    if (this.isActive(state.runId)) {
+      return 'running';
+    }
+    return state.pid !== process.pid && isProcessAlive(state.pid) ? 'running' : 'interrupted';
+  }
+
+  /**
+   * Saved executions (suspended, running or interrupted), newest first
+   */
+  getSavedExecutions(workflowId = null) {
+    return storage.getExecutionStates(workflowId).map(state => ({
+      ...state,
+      status: this.getRunStatus(state),
+    }));
+  }
+
+  /**
+   * Run (or continue) a workflow for the given run state
+   * Steps already recorded in run.completed are replayed from their
+   * recorded outcome rather than executed again.
+   */
+  async runWorkflow(workflow, run, options = {}) {
+    run.control = this.registerRun(run);
+    this.emitEvent(run, 'run-started', { totalSteps: workflow.analysis?.steps?.length || 0 });
+    this.checkpoint(run);
+
+    let result;
+    try {
+      result = await this.runWorkflowSteps(workflow, run, options);
+    } finally {
+      this.activeRuns.delete(run.runId);
+      delete run.control;
+    }
+
     try {
-      logger.info(`Starting execution of workflow: ${workflow.id}`);
+      runHistory.record(workflow, run, result);
+    } catch (error) {
+      // The run itself is over; only its history entry is lost
+      logger.warn(`Could not record run ${run.runId}: ${error.message}`);
+    }
+
+    this.emitEvent(run, 'run-finished', {
+      status: this.describeResult(result),
+      error: result.error,
+    });
+    this.pruneEventHistories();
+    return maskSecrets(result);
+  }
+
+  /**
+   * Refuse to run a workflow whose analysis does not match its schema
+   */
+  assertRunnable(workflow) {
+    const errors = validateDocument('analysis', workflow.analysis);
+    if (errors.length > 0) {
+      throw invalid(`Workflow ${workflow.name || workflow.id} has an invalid analysis`, errors);
+    }
+  }
 
+  /**
+   * Run the workflow's steps and build the execution result
+   */
+  async runWorkflowSteps(workflow, run, options) {
+    try {
       const analysis = workflow.analysis;
-      if (!analysis || !analysis.steps) {
-        throw new Error('Workflow analysis missing or invalid');
+      this.assertRunnable(workflow);
+
+      run.confirmStep = options.confirmStep || null;
+      const context = this.createContext(workflow, run.variables);
+
+      const outcome = await this.runSteps(analysis.steps, run, context);
+      const { runId, executionLog, results } = run;
+
+      if (outcome.status === 'needs_input') {
+        // Persist the run so the user can decide how to continue
+        this.saveRunState(run);
+        logger.info(`Execution ${runId} suspended at step ${run.suspended.stepId}`);
+        return {
+          success: false,
+          requiresUserInput: true,
+          runId,
+          workflowId: workflow.id,
+          suspendedStep: run.suspended,
+          error: outcome.error,
+          executionLog,
+        };
       }
 
-      const executionLog = [];
-      const results = [];
+      storage.deleteExecutionState(runId);
 
-      for (let i = 0; i < analysis.steps.length; i++) {
-        const step = analysis.steps[i];
-        logger.info(`Executing step ${i + 1}: ${step.description}`);
+      if (outcome.status === 'stopped') {
+        return {
+          success: false,
+          runId,
+          error: outcome.error,
+          executionLog,
+          completedSteps: outcome.index,
+          totalSteps: analysis.steps.length,
+        };
+      }
 
-        try {
-          const result = await this.executeStep(step, executionLog);
-          results.push(result);
-          executionLog.push({
-            step: i + 1,
-            description: step.description,
-            status: 'success',
-            result,
-            timestamp: new Date().toISOString(),
-          });
-        } catch (error) {
-          logger.error(`Error executing step ${i + 1}:`, error);
-          executionLog.push({
-            step: i + 1,
-            description: step.description,
-            status: 'error',
-            error: error.message,
-            timestamp: new Date().toISOString(),
-          });
+      if (outcome.status === 'cancelled') {
+        logger.info(`Execution ${runId} cancelled`);
+        return {
+          success: false,
+          cancelled: true,
+          runId,
+          error: outcome.error,
+          executionLog,
+          completedSteps: outcome.index,
+          totalSteps: analysis.steps.length,
+        };
+      }
 
-          // Handle error based on error_handling instruction
-          if (step.error_handling === 'stop') {
-            return {
-              success: false,
-              error: `Failed at step ${i + 1}: ${error.message}`,
-              executionLog,
-              completedSteps: i,
-              totalSteps: analysis.steps.length,
-            };
-          } else if (step.error_handling === 'continue') {
-            logger.warn(`Continuing after error in step ${i + 1}`);
-            continue;
-          } else {
-            // Ask user for help (would require UI interaction)
-            return {
-              success: false,
-              requiresUserInput: true,
-              error: `Step ${i + 1} failed: ${error.message}`,
-              executionLog,
-            };
-          }
-        }
+      if (outcome.status === 'aborted') {
+        return {
+          success: false,
+          aborted: true,
+          runId,
+          error: outcome.error,
+          executionLog,
+          completedSteps: outcome.index,
+          totalSteps: analysis.steps.length,
+        };
       }
 
       logger.info(`Workflow execution completed successfully: ${workflow.id}`);
       return {
         success: true,
+        runId,
         workflowId: workflow.id,
         executionLog,
         results,
@@ -79,8 +335,10 @@ class Executor {
       };
     } catch (error) {
       logger.error('Error executing workflow:', error);
+      storage.deleteExecutionState(run.runId);
       return {
         success: false,
+        runId: run.runId,
         error: error.message,
         timestamp: new Date().toISOString(),
       };
@@ -88,29 +346,1186 @@ class Executor {
   }
 
   /**
-   * Execute a single step
+   * Summarize an execution result as a single status
+   */
+  describeResult(result) {
+    return runHistory.describeResult(result);
+  }
+
+  /**
+   * Record a progress event for a run and emit it to listeners
+   */
+  emitEvent(run, type, data = {}) {
+    if (run.dryRun) {
+      return;
+    }
+
+    const event = maskSecrets({
+      runId: run.runId,
+      workflowId: run.workflowId,
+      type,
+      ...data,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (!this.runEvents.has(run.runId)) {
+      this.runEvents.set(run.runId, []);
+    }
+    this.runEvents.get(run.runId).push(event);
+
+    this.emit('execution-event', event);
+  }
+
+  /**
+   * Progress events emitted so far for a run, or null if it is unknown
+   */
+  getExecutionEvents(runId) {
+    return this.runEvents.get(runId) || null;
+  }
+
+  /**
+   * Drop the event history of the oldest finished runs
+   */
+  pruneEventHistories() {
+    const finished = Array.from(this.runEvents.keys()).filter(runId => !this.activeRuns.has(runId));
+    finished
+      .slice(0, Math.max(0, finished.length - MAX_FINISHED_EVENT_HISTORIES))
+      .forEach(runId => this.runEvents.delete(runId));
+  }
+
+  /**
+   * Add an entry to the run's execution log and report the step's outcome
+   */
+  logStep(run, entry) {
+    run.executionLog.push(entry);
+    const failed = entry.status === 'error' || entry.status === 'cancelled';
+    this.emitEvent(run, failed ? 'step-failed' : 'step-finished', { stepId: entry.step, entry });
+  }
+
+  /**
+   * Track a run so it can be paused or cancelled while in progress
+   */
+  registerRun(run) {
+    const control = {
+      runId: run.runId,
+      workflowId: run.workflowId,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      abortController: new AbortController(),
+      resumeWaiters: [],
+    };
+    this.activeRuns.set(run.runId, control);
+    return control;
+  }
+
+  /**
+   * List executions that are currently running or paused
+   */
+  getActiveExecutions(workflowId = null) {
+    return Array.from(this.activeRuns.values())
+      .filter(control => !workflowId || control.workflowId === workflowId)
+      .map(({ runId, workflowId: id, status, startedAt, pausedAt }) => ({
+        runId,
+        workflowId: id,
+        status,
+        startedAt,
+        pausedAt,
+      }));
+  }
+
+  /**
+   * Is this run currently in progress?
+   */
+  isActive(runId) {
+    return this.activeRuns.has(runId);
+  }
+
+  /**
+   * Pause a running execution before its next step
+   * A step that is already running is allowed to finish.
+   */
+  pause(runId) {
+    const control = this.getControl(runId);
+    if (control.status !== 'running') {
+      throw new Error(`Execution ${runId} is not running`);
+    }
+
+    control.status = 'paused';
+    control.pausedAt = new Date().toISOString();
+    this.emitEvent(control, 'run-paused');
+    logger.info(`Execution ${runId} paused`);
+    return this.getActiveExecutions().find(e => e.runId === runId);
+  }
+
+  /**
+   * Continue a paused execution
+   */
+  unpause(runId) {
+    const control = this.getControl(runId);
+    if (control.status !== 'paused') {
+      throw new Error(`Execution ${runId} is not paused`);
+    }
+
+    control.status = 'running';
+    delete control.pausedAt;
+    this.releaseWaiters(control);
+    this.emitEvent(control, 'run-resumed');
+    logger.info(`Execution ${runId} resumed`);
+    return this.getActiveExecutions().find(e => e.runId === runId);
+  }
+
+  /**
+   * Cancel a running or paused execution
+   * In-flight shell commands and HTTP requests are aborted.
+   */
+  cancel(runId) {
+    const control = this.getControl(runId);
+    if (control.status === 'cancelling') {
+      return this.getActiveExecutions().find(e => e.runId === runId);
+    }
+
+    control.status = 'cancelling';
+    control.abortController.abort();
+    this.releaseWaiters(control);
+    logger.info(`Execution ${runId} cancelling`);
+    return this.getActiveExecutions().find(e => e.runId === runId);
+  }
+
+  /**
+   * Look up the control state of an active run
+   */
+  getControl(runId) {
+    const control = this.activeRuns.get(runId);
+    if (!control) {
+      throw new Error(`Execution ${runId} is not running`);
+    }
+    return control;
+  }
+
+  /**
+   * Wake anything waiting for a paused run to continue
+   */
+  releaseWaiters(control) {
+    const waiters = control.resumeWaiters;
+    control.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Called before each step: waits while the run is paused and reports
+   * whether it has been cancelled
+   * @returns {Promise<Object|null>} a cancelled outcome, or null to continue
+   */
+  async checkControl(run, stepId) {
+    const control = run.control;
+    if (!control) {
+      return null;
+    }
+
+    while (control.status === 'paused') {
+      logger.info(`Execution ${run.runId} paused before step ${stepId}`);
+      await new Promise(resolve => control.resumeWaiters.push(resolve));
+    }
+
+    if (control.abortController.signal.aborted) {
+      return { status: 'cancelled', error: `Execution cancelled before step ${stepId}` };
+    }
+    return null;
+  }
+
+  /**
+   * Has this run been cancelled?
+   */
+  isCancelled(run) {
+    return Boolean(run.control && run.control.abortController.signal.aborted);
+  }
+
+  /**
+   * Undo the file changes made by a finished or suspended execution
+   * A suspended execution is discarded, since its recorded results no
+   * longer match the files on disk.
+   */
+  rollback(runId) {
+    if (this.isActive(runId)) {
+      throw new Error(`Execution ${runId} is still running; cancel it before rolling back`);
+    }
+
+    const result = journal.rollback(runId);
+    storage.deleteExecutionState(runId);
+    logger.info(`Execution ${runId} rolled back: ${result.restored.length} file(s) restored`);
+    return result;
+  }
+
+  /**
+   * Persist the resumable parts of a run
+   * @param {string} status - 'suspended', or 'running' for checkpoints
+   */
+  saveRunState(run, status = 'suspended') {
+    const { confirmStep, decisions, control, completed, variables, ...state } = run;
+    // Replayed on resume, so where secrets are masked in them is recorded
+    const replayed = maskSecretsTracked({ completed, variables });
+    storage.saveExecutionState({
+      ...maskSecrets({
+        ...state,
+        status,
+        pid: process.pid,
+        updatedAt: new Date().toISOString(),
+      }),
+      ...replayed.value,
+      maskedSecrets: replayed.masked,
+    });
+  }
+
+  /**
+   * Save a running execution's progress so it can be resumed if the
+   * process dies before it finishes
+   */
+  checkpoint(run) {
+    if (run.dryRun) {
+      return;
+    }
+    try {
+      this.saveRunState(run, 'running');
+    } catch (error) {
+      // A failed checkpoint only costs resumability; keep the run going
+      logger.warn(`Could not checkpoint execution ${run.runId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a list of steps in order
+   * Step IDs are 1-based; nested steps are prefixed with their parent's ID
+   * (e.g. "3.2" inside an if step, "4[0].1" inside a for_each iteration)
+   * @returns {Promise<{status: 'completed'|'stopped'|'aborted'|'cancelled'|'needs_input', error?: string, index?: number, suspended?: Object}>}
+   *   suspended is the step (or, for a parallel step, the steps) a
+   *   needs_input run is waiting on
+   */
+  async runSteps(steps, run, context, prefix = '') {
+    for (let i = 0; i < steps.length; i++) {
+      const stepId = prefix ? `${prefix}.${i + 1}` : i + 1;
+      const interrupted = await this.checkControl(run, stepId);
+      if (interrupted) {
+        return { ...interrupted, index: i };
+      }
+
+      const outcome = await this.runStep(steps[i], stepId, run, context);
+      if (outcome.status !== 'completed') {
+        return { ...outcome, index: i };
+      }
+      this.checkpoint(run);
+    }
+    return { status: 'completed' };
+  }
+
+  /**
+   * Run a single step of any type
+   */
+  async runStep(step, stepId, run, context) {
+    const key = String(stepId);
+
+    // Replaying a resumed run: steps that were skipped or failed with
+    // 'continue' stay that way
+    if (['skipped', 'error'].includes(run.completed[key]?.status)) {
+      return { status: 'completed' };
+    }
+
+    if (run.decisions[key]?.action === 'skip') {
+      delete run.decisions[key];
+      this.logStep(run, {
+        step: stepId,
+        description: step.description,
+        status: 'skipped',
+        timestamp: new Date().toISOString(),
+      });
+      run.completed[key] = { status: 'skipped' };
+      return { status: 'completed' };
+    }
+
+    logger.info(`Executing step ${stepId}: ${step.description}`);
+    if (!run.completed[key]) {
+      this.emitEvent(run, 'step-started', {
+        stepId,
+        description: step.description,
+        stepType: step.type || 'tool',
+        tool: step.tool,
+        toolAction: step.tool_action,
+      });
+    }
+
+    switch (step.type) {
+      case 'if':
+        return this.runIfStep(step, stepId, run, context);
+      case 'for_each':
+        return this.runForEachStep(step, stepId, run, context);
+      case 'parallel':
+        return this.runParallelStep(step, stepId, run, context);
+      case 'workflow':
+        return this.runWorkflowStep(step, stepId, run, context);
+      default:
+        return this.runToolStep(step, stepId, run, context);
+    }
+  }
+
+  /**
+   * Run a tool step and record its result
+   */
+  async runToolStep(step, stepId, run, context) {
+    const key = String(stepId);
+    const completed = run.completed[key];
+    if (completed) {
+      // Replaying a resumed run: reuse the recorded result
+      this.recordStepResult(context, step, stepId, completed.result);
+      return { status: 'completed' };
+    }
+
+    const decision = run.decisions[key];
+    delete run.decisions[key];
+
+    let parameters = step.parameters || {};
+    try {
+      // Parameters sent back with a decision were shown masked
+      parameters = decision && decision.parameters
+        ? unmaskSecrets(decision.parameters)
+        : resolveTemplates(parameters, context);
+
+      if (run.dryRun) {
+        return this.simulateToolStep(step, stepId, parameters, run, context);
+      }
+
+      if (run.confirmStep) {
+        const confirmation = await withAbort(
+          this.confirmStep(step, stepId, parameters, run),
+          run.control && run.control.abortController.signal,
+          `Step ${stepId}`
+        );
+        if (confirmation.action === 'skip') {
+          this.logStep(run, {
+            step: stepId,
+            description: step.description,
+            status: 'skipped',
+            timestamp: new Date().toISOString(),
+          });
+          run.completed[key] = { status: 'skipped' };
+          return { status: 'completed' };
+        }
+        if (confirmation.action === 'abort') {
+          this.logStep(run, {
+            step: stepId,
+            description: step.description,
+            status: 'aborted',
+            timestamp: new Date().toISOString(),
+          });
+          return { status: 'aborted', error: `Execution aborted by user at step ${stepId}` };
+        }
+        parameters = confirmation.parameters;
+      }
+
+      // Back up whatever the step is about to change so the run can be rolled back
+      const journalEntry = journal.recordStep(run, stepId, this.resolveToolCategory(step.tool), step.tool_action, parameters);
+
+      const { result, attempts, assertions } = await this.invokeWithRetry(step, stepId, parameters, {
+        signal: run.control && run.control.abortController.signal,
+        assertions: resolveTemplates(step.assertions || [], context),
+      });
+      this.recordStepResult(context, step, stepId, result);
+      run.completed[key] = { status: 'success', result };
+      run.results.push(result);
+      this.logStep(run, {
+        step: stepId,
+        description: step.description,
+        status: 'success',
+        result,
+        attempts,
+        assertions: assertions.length > 0 ? assertions : undefined,
+        journaled: Boolean(journalEntry),
+        timestamp: new Date().toISOString(),
+      });
+      return { status: 'completed' };
+    } catch (error) {
+      if (this.isCancelled(run)) {
+        return this.cancelStep(step, stepId, run, error.attempts);
+      }
+      if (this.shouldHeal(step, run)) {
+        return this.healStep(step, stepId, error, run, context, parameters);
+      }
+      return this.handleStepFailure(step, stepId, error, run, parameters);
+    }
+  }
+
+  /**
+   * Log a tool step that was interrupted by cancelling the run
+   */
+  cancelStep(step, stepId, run, attempts) {
+    this.logStep(run, {
+      step: stepId,
+      description: step.description,
+      status: 'cancelled',
+      attempts,
+      timestamp: new Date().toISOString(),
+    });
+    return { status: 'cancelled', error: `Execution cancelled at step ${stepId}` };
+  }
+
+  /**
+   * Should a failed tool step be sent to the AI for a fix?
+   */
+  shouldHeal(step, run) {
+    return !run.dryRun && (step.error_handling === 'heal' || Boolean(run.heal));
+  }
+
+  /**
+   * Ask the AI for a corrected version of a failed tool step and retry it
+   * once. A fix that works is logged under `healed` and kept as a proposal
+   * the user can approve to write it back into the workflow. Without a
+   * working fix the original failure is handled as usual ('ask' for steps
+   * with error_handling 'heal'). A fix that needs confirmation (see
+   * fixNeedsConfirmation) in a run that does not confirm steps is only
+   * dry run and kept as a proposal.
+   */
+  async healStep(step, stepId, error, run, context, parameters) {
+    const key = String(stepId);
+    const signal = run.control && run.control.abortController.signal;
+    const stack = context[WORKFLOW_STACK] || [run.workflowId];
+    const workflowId = stack[stack.length - 1];
+    const fallbackStep = step.error_handling === 'heal' ? { ...step, error_handling: 'ask' } : step;
+
+    let fix;
+    try {
+      logger.info(`Asking AI to fix step ${stepId}: ${error.message}`);
+      fix = await withAbort(
+        healer.proposeFix({ workflowId, step, stepId, parameters, error, executionLog: run.executionLog }),
+        signal,
+        `Healing step ${stepId}`
+      );
+    } catch (healError) {
+      if (this.isCancelled(run)) {
+        return this.cancelStep(step, stepId, run, error.attempts);
+      }
+      logger.warn(`Could not heal step ${stepId}: ${healError.message}`);
+      error.heal = { status: 'failed', error: healError.message };
+      return this.handleStepFailure(fallbackStep, stepId, error, run, parameters);
+    }
+
+    if (!fix) {
+      error.heal = { status: 'no_fix' };
+      return this.handleStepFailure(fallbackStep, stepId, error, run, parameters);
+    }
+
+    const correctedStep = fix.step;
+    try {
+      let correctedParameters = resolveTemplates(correctedStep.parameters, context);
+
+      if (!run.confirmStep && this.fixNeedsConfirmation(step, parameters, correctedStep, correctedParameters)) {
+        return this.proposeUnconfirmedFix(step, stepId, error, run, fix, parameters, correctedParameters, workflowId);
+      }
+
+      // The fix is a new action, so runs that confirm each step confirm it too
+      if (run.confirmStep) {
+        const confirmation = await withAbort(
+          this.confirmStep(correctedStep, stepId, correctedParameters, run),
+          signal,
+          `Step ${stepId}`
+        );
+        if (confirmation.action === 'abort') {
+          this.logStep(run, {
+            step: stepId,
+            description: step.description,
+            status: 'aborted',
+            timestamp: new Date().toISOString(),
+          });
+          return { status: 'aborted', error: `Execution aborted by user at step ${stepId}` };
+        }
+        if (confirmation.action === 'skip') {
+          error.heal = { status: 'declined', explanation: fix.explanation, correctedStep };
+          return this.handleStepFailure(fallbackStep, stepId, error, run, parameters);
+        }
+        correctedParameters = confirmation.parameters;
+      }
+
+      const journalEntry = journal.recordStep(
+        run, stepId, this.resolveToolCategory(correctedStep.tool), correctedStep.tool_action, correctedParameters
+      );
+
+      const { result, attempts, assertions } = await this.invokeWithRetry(correctedStep, stepId, correctedParameters, {
+        signal,
+        assertions: resolveTemplates(step.assertions || [], context),
+      });
+
+      const proposal = this.keepFix(step, stepId, run, fix, workflowId);
+
+      this.recordStepResult(context, step, stepId, result);
+      run.completed[key] = { status: 'success', result };
+      run.results.push(result);
+      this.logStep(run, {
+        step: stepId,
+        description: step.description,
+        status: 'success',
+        result,
+        attempts: [...(error.attempts || []), ...attempts],
+        assertions: assertions.length > 0 ? assertions : undefined,
+        journaled: Boolean(journalEntry),
+        healed: {
+          error: error.message,
+          explanation: fix.explanation,
+          originalStep: step,
+          correctedStep,
+          workflowId,
+          proposalId: proposal ? proposal.id : undefined,
+        },
+        timestamp: new Date().toISOString(),
+      });
+      return { status: 'completed' };
+    } catch (retryError) {
+      if (this.isCancelled(run)) {
+        return this.cancelStep(step, stepId, run, retryError.attempts);
+      }
+      logger.warn(`Fixed step ${stepId} failed too: ${retryError.message}`);
+      error.heal = { status: 'failed', explanation: fix.explanation, correctedStep, error: retryError.message };
+      error.attempts = [...(error.attempts || []), ...(retryError.attempts || [])];
+      return this.handleStepFailure(fallbackStep, stepId, error, run, parameters);
+    }
+  }
+
+  /**
+   * Does an AI fix need the user's go-ahead before it runs? It does if it
+   * runs a shell command or replaces one, removes or moves files, or
+   * changes files the failed step would not have changed.
+   */
+  fixNeedsConfirmation(step, parameters, correctedStep, correctedParameters) {
+    const toolCategory = this.resolveToolCategory(step.tool);
+    const correctedCategory = this.resolveToolCategory(correctedStep.tool);
+    if (toolCategory === 'shell' || correctedCategory === 'shell') {
+      return true;
+    }
+    if (correctedCategory === 'filesystem' && DESTRUCTIVE_FILE_ACTIONS.includes(correctedStep.tool_action)) {
+      return true;
+    }
+    const allowed = new Set(journal.changedPaths(toolCategory, step.tool_action, parameters));
+    return journal
+      .changedPaths(correctedCategory, correctedStep.tool_action, correctedParameters)
+      .some(filePath => !allowed.has(filePath));
+  }
+
+  /**
+   * Keep an AI fix on the workflow for the user to approve
+   * @returns {Object|null} the proposal, or null if it could not be kept
+   */
+  keepFix(step, stepId, run, fix, workflowId) {
+    try {
+      return healer.recordProposal({
+        workflowId,
+        runId: run.runId,
+        stepId,
+        originalStep: step,
+        correctedStep: fix.step,
+        explanation: fix.explanation,
+      });
+    } catch (recordError) {
+      // The run goes on; only the offer to save the fix is lost
+      logger.warn(`Could not keep the fix for step ${stepId}: ${recordError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Dry run an AI fix that needs confirmation and keep it as a proposal
+   * without running it; the step's failure is then handled as usual
+   */
+  async proposeUnconfirmedFix(step, stepId, error, run, fix, parameters, correctedParameters, workflowId) {
+    const correctedStep = fix.step;
+    logger.warn(`Fix for step ${stepId} needs confirmation; kept as a proposal without running it`);
+    const simulation = await simulator.simulateStep(
+      this.resolveToolCategory(correctedStep.tool),
+      correctedStep.tool_action,
+      correctedParameters,
+      simulator.createState()
+    );
+    const proposal = this.keepFix(step, stepId, run, fix, workflowId);
+
+    error.heal = {
+      status: 'proposed',
+      explanation: fix.explanation,
+      correctedStep,
+      workflowId,
+      proposalId: proposal ? proposal.id : undefined,
+      checks: simulation.checks,
+      effects: simulation.effects,
+    };
+    const fallbackStep = step.error_handling === 'heal' ? { ...step, error_handling: 'ask' } : step;
+    return this.handleStepFailure(fallbackStep, stepId, error, run, parameters);
+  }
+
+  /**
+   * Dry run a tool step: check preconditions and record the effects it
+   * would have instead of calling the tool
+   */
+  async simulateToolStep(step, stepId, parameters, run, context) {
+    const toolCategory = this.resolveToolCategory(step.tool);
+    const simulation = await simulator.simulateStep(toolCategory, step.tool_action, parameters, run.simulation);
+    const failedChecks = simulation.checks.filter(c => !c.passed);
+
+    const result = {
+      tool: step.tool,
+      toolAction: step.tool_action,
+      parameters,
+      result: simulation.result,
+      success: failedChecks.length === 0,
+    };
+    this.recordStepResult(context, step, stepId, result);
+
+    this.logStep(run, {
+      step: stepId,
+      description: step.description,
+      status: failedChecks.length === 0 ? 'success' : 'error',
+      error: failedChecks.length > 0 ? failedChecks.map(c => c.message).join('; ') : undefined,
+      tool: step.tool,
+      toolAction: step.tool_action,
+      parameters,
+      checks: simulation.checks,
+      effects: simulation.effects,
+      executed: simulation.executed,
+      expectedOutput: step.expected_output,
+      wouldExecute: true,
+      timestamp: new Date().toISOString(),
+    });
+
+    return { status: 'completed' };
+  }
+
+  /**
+   * Run an if step: evaluate its condition and run the matching branch
+   * { type: 'if', condition: 'steps.1.result.count > 0', then: [...], else: [...] }
+   */
+  async runIfStep(step, stepId, run, context) {
+    const key = String(stepId);
+    delete run.decisions[key];
+    let branch = run.completed[key]?.branch;
+
+    if (!branch) {
+      let conditionMet;
+      try {
+        conditionMet = Boolean(evaluate(step.condition, context));
+      } catch (error) {
+        return this.handleStepFailure(step, stepId, error, run);
+      }
+
+      branch = conditionMet ? 'then' : 'else';
+      run.completed[key] = { status: 'success', branch };
+      this.logStep(run, {
+        step: stepId,
+        type: 'if',
+        description: step.description,
+        status: 'success',
+        condition: step.condition,
+        branch,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const branchSteps = step[branch] || [];
+
+    return this.runSteps(branchSteps, run, context, String(stepId));
+  }
+
+  /**
+   * Run a for_each step: run its child steps once per item
+   * { type: 'for_each', items: '{{steps.1.result.files}}', as: 'file', steps: [...] }
+   * Inside the loop, {{file}} (or {{item}} when `as` is omitted) and
+   * {{loop.index}} refer to the current iteration.
+   */
+  async runForEachStep(step, stepId, run, context) {
+    const key = String(stepId);
+    delete run.decisions[key];
+    let items = run.completed[key]?.items;
+
+    if (!items) {
+      try {
+        items = resolveTemplates(step.items, context);
+        if (!Array.isArray(items)) {
+          throw new Error(`for_each items must resolve to an array, got ${typeof items}`);
+        }
+      } catch (error) {
+        return this.handleStepFailure(step, stepId, error, run);
+      }
+
+      run.completed[key] = { status: 'success', items };
+      this.logStep(run, {
+        step: stepId,
+        type: 'for_each',
+        description: step.description,
+        status: 'success',
+        iterations: items.length,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const itemName = step.as || 'item';
+
+    for (let index = 0; index < items.length; index++) {
+      const iterationContext = {
+        ...context,
+        [itemName]: items[index],
+        loop: { index, count: items.length, item: items[index] },
+      };
+
+      const outcome = await this.runSteps(step.steps || [], run, iterationContext, `${stepId}[${index}]`);
+      if (outcome.status !== 'completed') {
+        return outcome;
+      }
+    }
+
+    return { status: 'completed' };
+  }
+
+  /**
+   * Run a parallel step: run its child steps concurrently, at most
+   * `concurrency` at a time, then log their aggregated results
+   * { type: 'parallel', concurrency: 4, steps: [...] }
+   * Children cannot reference each other's results. Once a child stops,
+   * suspends or is cancelled, no further children are started. Dry runs and
+   * runs that confirm each step run the children one at a time.
+   */
+  async runParallelStep(step, stepId, run, context) {
+    const key = String(stepId);
+    delete run.decisions[key];
+    const children = step.steps || [];
+    // Each child records its results in its own context, so siblings that
+    // share a step_number cannot overwrite each other's
+    const childContexts = children.map(() => ({ ...context, steps: { ...context.steps } }));
+
+    if (run.completed[key]) {
+      // Replaying a resumed run: the children replay themselves
+      for (let i = 0; i < children.length; i++) {
+        await this.runStep(children[i], `${stepId}.${i + 1}`, run, childContexts[i]);
+      }
+      this.publishParallelResults(children, stepId, context, childContexts);
+      this.recordStepResult(context, step, stepId, { result: run.completed[key].results, success: true });
+      return { status: 'completed' };
+    }
+
+    const concurrency = run.dryRun || run.confirmStep
+      ? 1
+      : Math.max(1, parseInt(step.concurrency, 10) || DEFAULT_PARALLEL_CONCURRENCY);
+    const startedAt = Date.now();
+    const outcomes = [];
+    const suspendedSteps = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < children.length && outcomes.every(o => o.status === 'completed')) {
+        const index = next++;
+        const childId = `${stepId}.${index + 1}`;
+
+        const interrupted = await this.checkControl(run, childId);
+        if (interrupted) {
+          outcomes.push(interrupted);
+          return;
+        }
+
+        const outcome = await this.runStep(children[index], childId, run, childContexts[index]);
+        outcomes.push(outcome);
+        if (outcome.status === 'completed') {
+          this.checkpoint(run);
+        } else if (outcome.status === 'needs_input') {
+          suspendedSteps.push(...(outcome.suspended.steps || [outcome.suspended]));
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, children.length) }, worker));
+
+    const failedOutcome = PARALLEL_OUTCOME_PRECEDENCE
+      .map(status => outcomes.find(o => o.status === status))
+      .find(Boolean);
+    if (failedOutcome) {
+      if (failedOutcome.status === 'needs_input') {
+        // Several children may have failed; the run is suspended on all of them
+        if (suspendedSteps.length === 1) {
+          run.suspended = suspendedSteps[0];
+          return { ...failedOutcome, suspended: run.suspended };
+        }
+        run.suspended = { ...suspendedSteps[0], steps: suspendedSteps };
+        const stepIds = suspendedSteps.map(suspended => suspended.stepId).join(', ');
+        return { status: 'needs_input', error: `Steps ${stepIds} failed: ${suspendedSteps[0].error}`, suspended: run.suspended };
+      }
+      return failedOutcome;
+    }
+
+    this.publishParallelResults(children, stepId, context, childContexts);
+
+    const results = [];
+    const errors = [];
+    children.forEach((child, index) => {
+      const childKey = `${stepId}.${index + 1}`;
+      const completed = run.completed[childKey] || {};
+      results.push(completed.result ? completed.result.result : null);
+      if (completed.status === 'error') {
+        const entry = run.executionLog.find(e => String(e.step) === childKey && e.status === 'error');
+        errors.push({ step: childKey, error: entry ? entry.error : 'Step failed' });
+      }
+    });
+
+    run.completed[key] = { status: 'success', results };
+    this.recordStepResult(context, step, stepId, { result: results, success: errors.length === 0 });
+    this.logStep(run, {
+      step: stepId,
+      type: 'parallel',
+      description: step.description,
+      status: 'success',
+      concurrency,
+      succeeded: children.length - errors.length,
+      failed: errors.length,
+      errors,
+      durationMs: Date.now() - startedAt,
+      timestamp: new Date().toISOString(),
+    });
+
+    return { status: 'completed' };
+  }
+
+  /**
+   * Make the results of a parallel step's children available to the steps
+   * after it, under each child's hierarchical ID (e.g. "3.2") and its `id`
+   * if it has one
+   */
+  publishParallelResults(children, stepId, context, childContexts) {
+    children.forEach((child, index) => {
+      const childId = `${stepId}.${index + 1}`;
+      const childKey = child.id || child.step_number || childId;
+      const recorded = childContexts[index].steps[childKey];
+      if (!recorded || recorded === context.steps[childKey]) {
+        return;
+      }
+      context.steps[childId] = recorded;
+      if (child.id) {
+        context.steps[child.id] = recorded;
+      }
+    });
+  }
+
+  /**
+   * Run a workflow step: run another stored workflow's steps as part of
+   * this run and make its outputs available as this step's result
+   * { type: 'workflow', workflow: 'id or name', variables: { name: '{{...}}' } }
+   * The child's steps are logged with IDs nested under this step. Its
+   * result is the child's `analysis.outputs` resolved against the child's
+   * context, or all of its step results when it declares none.
+   */
+  async runWorkflowStep(step, stepId, run, context) {
+    const key = String(stepId);
+    delete run.decisions[key];
+
+    if (run.completed[key]) {
+      // Replaying a resumed run: the child finished before the run stopped
+      this.recordStepResult(context, step, stepId, { result: run.completed[key].result, success: true });
+      return { status: 'completed' };
+    }
+
+    let child;
+    let childContext;
+    try {
+      child = storage.getWorkflowByName(step.workflow) || storage.getWorkflow(step.workflow);
+      if (!child) {
+        throw new Error(`Sub-workflow not found: ${step.workflow}`);
+      }
+      this.assertRunnable(child);
+
+      const stack = context[WORKFLOW_STACK] || [];
+      if (stack.includes(child.id)) {
+        throw new Error(`Workflow cycle detected: ${[...stack, child.id].join(' -> ')}`);
+      }
+
+      const validation = validateVariables(child.analysis.variables, resolveTemplates(step.variables || {}, context));
+      if (!validation.valid) {
+        throw new Error(`Invalid variables for sub-workflow ${child.name || child.id}: ${validation.errors.join('; ')}`);
+      }
+
+      childContext = this.createContext(child, validation.values);
+      childContext[WORKFLOW_STACK] = [...stack, child.id];
+    } catch (error) {
+      return this.handleStepFailure(step, stepId, error, run);
+    }
+
+    const startedAt = Date.now();
+    const outcome = await this.runSteps(child.analysis.steps, run, childContext, key);
+    if (outcome.status !== 'completed') {
+      return outcome;
+    }
+
+    let outputs;
+    try {
+      outputs = child.analysis.outputs
+        ? resolveTemplates(child.analysis.outputs, childContext)
+        : this.collectStepResults(childContext);
+    } catch (error) {
+      return this.handleStepFailure(step, stepId, error, run);
+    }
+
+    run.completed[key] = { status: 'success', result: outputs };
+    this.recordStepResult(context, step, stepId, { result: outputs, success: true });
+    this.logStep(run, {
+      step: stepId,
+      type: 'workflow',
+      description: step.description,
+      status: 'success',
+      workflowId: child.id,
+      workflowName: child.name,
+      outputs,
+      durationMs: Date.now() - startedAt,
+      timestamp: new Date().toISOString(),
+    });
+
+    return { status: 'completed' };
+  }
+
+  /**
+   * Every step result recorded in a context, keyed like {{steps.<key>.result}}
+   */
+  collectStepResults(context) {
+    const results = {};
+    Object.entries(context.steps).forEach(([key, recorded]) => {
+      results[key] = recorded.result;
+    });
+    return results;
+  }
+
+  /**
+   * Ask the confirmStep callback whether a tool step may run
+   * @returns {Promise<{action: 'approve'|'skip'|'abort', parameters: Object}>}
+   */
+  async confirmStep(step, stepId, parameters, run) {
+    logger.info(`Step ${stepId} awaiting confirmation: ${step.description}`);
+
+    const decision = (await run.confirmStep({
+      runId: run.runId,
+      stepId,
+      description: step.description,
+      tool: step.tool,
+      toolAction: step.tool_action,
+      parameters: maskSecrets(parameters),
+      expectedOutput: step.expected_output,
+    })) || {};
+
+    const action = decision.action || 'approve';
+    if (!['approve', 'skip', 'abort'].includes(action)) {
+      throw new Error(`Invalid confirmation decision: ${action}`);
+    }
+
+    let approvedParameters = parameters;
+    if (action === 'approve' && decision.parameters !== undefined) {
+      if (!decision.parameters || typeof decision.parameters !== 'object' || Array.isArray(decision.parameters)) {
+        throw new Error('Edited parameters must be an object');
+      }
+      approvedParameters = unmaskSecrets(decision.parameters);
+      logger.info(`Step ${stepId} parameters edited by user`);
+    }
+
+    logger.info(`Step ${stepId} confirmation: ${action}`);
+    return { action, parameters: approvedParameters };
+  }
+
+  /**
+   * Log a failed step and decide how the run proceeds based on the step's
+   * error_handling instruction
+   */
+  handleStepFailure(step, stepId, error, run, parameters = step.parameters) {
+    logger.error(`Error executing step ${stepId}:`, error);
+    this.logStep(run, {
+      step: stepId,
+      description: step.description,
+      status: 'error',
+      error: error.message,
+      attempts: error.attempts,
+      assertions: error.assertions,
+      heal: error.heal,
+      timestamp: new Date().toISOString(),
+    });
+
+    // A dry run reports every problem instead of stopping at the first
+    if (run.dryRun) {
+      return { status: 'completed' };
+    }
+
+    if (step.error_handling === 'stop') {
+      return { status: 'stopped', error: `Failed at step ${stepId}: ${error.message}` };
+    }
+
+    if (step.error_handling === 'continue') {
+      logger.warn(`Continuing after error in step ${stepId}`);
+      run.completed[String(stepId)] = { status: 'error' };
+      return { status: 'completed' };
+    }
+
+    // 'ask' (the default, also used by 'heal' steps that could not be
+    // fixed): suspend the run until the user decides
+    run.suspended = {
+      stepId,
+      description: step.description,
+      tool: step.tool,
+      toolAction: step.tool_action,
+      parameters,
+      error: error.message,
+    };
+    return { status: 'needs_input', error: `Step ${stepId} failed: ${error.message}`, suspended: run.suspended };
+  }
+
+  /**
+   * Build the templating context for a run from the workflow's declared
+   * variables, overridden by any values supplied for this run
+   */
+  createContext(workflow, variables = {}) {
+    const declared = {};
+    (workflow.analysis?.variables || []).forEach(variable => {
+      if (variable && variable.name) {
+        declared[variable.name] = variable.value;
+      }
+    });
+
+    return {
+      variables: { ...declared, ...variables },
+      steps: {},
+      secret: secrets.scope(),
+      [WORKFLOW_STACK]: [workflow.id],
+    };
+  }
+
+  /**
+   * Make a completed step's output available to later steps as
+   * {{steps.<key>.result}}, keyed by the step's `id` or `step_number`
+   * (falling back to its position in the run)
+   */
+  recordStepResult(context, step, fallbackKey, stepResult) {
+    const key = step.id || step.step_number || fallbackKey;
+    context.steps[key] = {
+      parameters: stepResult.parameters,
+      result: stepResult.result,
+      success: stepResult.success,
+    };
+  }
+
+  /**
+   * Rebuild a templating context from an execution log
+   */
+  contextFromLog(previousLog = [], variables = {}) {
+    const steps = {};
+    previousLog.forEach(entry => {
+      if (entry.status === 'success' && entry.result) {
+        steps[entry.step] = {
+          parameters: entry.result.parameters,
+          result: entry.result.result,
+          success: entry.result.success,
+        };
+      }
+    });
+    return { variables, steps, secret: secrets.scope() };
+  }
+
+  /**
+   * Execute a single step, resolving parameter templates against the
+   * run context before the tool is called
+   */
+  async executeStep(step, previousLog, context = this.contextFromLog(previousLog)) {
+    const parameters = resolveTemplates(step.parameters || {}, context);
+    return maskSecrets(await this.invokeTool(step, parameters));
+  }
+
+  /**
+   * Map tool names to categories for MCP execution
+   */
+  resolveToolCategory(tool) {
+    const toolMapping = {
+      filesystem: 'filesystem',
+      file: 'filesystem',
+      spreadsheet: 'spreadsheet',
+      web: 'web',
+      shell: 'shell',
+    };
+    return toolMapping[tool] || tool;
+  }
+
+  /**
+   * Call a step's tool, applying its retry policy and per-attempt timeout
+   * and checking its assertions after every attempt
+   * @param {Object} options
+   * @param {AbortSignal} [options.signal] - aborts the running tool call and any backoff wait
+   * @param {Array} [options.assertions] - resolved step assertions
+   * @returns {Promise<{result: Object, attempts: Array, assertions: Array}>} attempts
+   *   records every try; on final failure the thrown error carries `attempts` too
+   */
+  async invokeWithRetry(step, stepId, parameters, options = {}) {
+    const { signal, assertions = [] } = options;
+    const policy = getRetryPolicy(step);
+    const attempts = [];
+
+    for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await withAbort(
+          withTimeout(
+            this.invokeTool(step, parameters, { timeoutMs: policy.timeoutMs, signal }),
+            policy.timeoutMs,
+            `Step ${stepId}`
+          ),
+          signal,
+          `Step ${stepId}`
+        );
+        const checks = assertStepResult(result.result, parameters, assertions);
+        attempts.push({
+          attempt,
+          status: 'success',
+          durationMs: Date.now() - startedAt,
+          timestamp: new Date(startedAt).toISOString(),
+        });
+        return { result, attempts, assertions: checks };
+      } catch (error) {
+        attempts.push({
+          attempt,
+          status: 'error',
+          error: error.message,
+          durationMs: Date.now() - startedAt,
+          timestamp: new Date(startedAt).toISOString(),
+        });
+
+        const cancelled = signal && signal.aborted;
+        // A timed-out attempt of a tool that cannot be stopped may still
+        // write; retrying it would do the write twice
+        const stillRunning = error.timedOut && !CANCELLABLE_TOOLS.includes(this.resolveToolCategory(step.tool));
+        if (stillRunning && attempt < policy.attempts) {
+          logger.warn(`Step ${stepId} timed out and its ${step.tool} action cannot be stopped; not retrying it`);
+        }
+        if (cancelled || stillRunning || attempt >= policy.attempts || !shouldRetry(policy, error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        const wait = getBackoffDelay(policy, attempt);
+        logger.warn(`Step ${stepId} attempt ${attempt}/${policy.attempts} failed, retrying in ${wait}ms: ${error.message}`);
+        try {
+          await sleep(wait, signal);
+        } catch (cancelError) {
+          cancelError.attempts = attempts;
+          throw cancelError;
+        }
+      }
+    }
+  }
+
+  /**
+   * Call a step's tool with already-resolved parameters
+   * @param {Object} options - {timeoutMs, signal} passed through to tools
+   *   that can enforce them themselves (shell, web)
    */
-  async executeStep(step, previousLog) {
+  async invokeTool(step, parameters, options = {}) {
     try {
       const tool = step.tool;
       const toolAction = step.tool_action;
-      const parameters = step.parameters || {};
 
       logger.debug(`Executing tool: ${tool}.${toolAction}`, { parameters });
 
-      // Map tool names to categories for MCP execution
-      const toolMapping = {
-        filesystem: 'filesystem',
-        file: 'filesystem',
-        spreadsheet: 'spreadsheet',
-        web: 'web',
-        shell: 'shell',
-      };
-
-      const toolCategory = toolMapping[tool] || tool;
+      const toolCategory = this.resolveToolCategory(tool);
 
       // Use mcpTools.executeTool which handles the actual execution
-      const result = await mcpTools.executeTool(toolCategory, toolAction, parameters);
+      const result = await mcpTools.executeTool(toolCategory, toolAction, parameters, options);
 
       return {
         tool,
@@ -127,67 +1542,50 @@ class Executor {
 
   /**
    * Execute workflow with user confirmation for each step
+   * @param {Function} confirmStep - see execute()
    */
-  async executeWithConfirmation(workflow) {
-    try {
-      logger.info(`Starting execution with confirmation: ${workflow.id}`);
-
-      const analysis = workflow.analysis;
-      const executionLog = [];
-
-      // Placeholder: In UI implementation, prompt user for confirmation
-      for (let i = 0; i < analysis.steps.length; i++) {
-        const step = analysis.steps[i];
-        logger.info(`Step ${i + 1} ready: ${step.description}`);
-
-        // TODO: Wait for user confirmation via IPC
-        const result = await this.executeStep(step, executionLog);
-        executionLog.push({
-          step: i + 1,
-          ...result,
-          timestamp: new Date().toISOString(),
-        });
-      }
-
-      return {
-        success: true,
-        executionLog,
-        timestamp: new Date().toISOString(),
-      };
-    } catch (error) {
-      logger.error('Error executing workflow with confirmation:', error);
-      throw error;
-    }
+  async executeWithConfirmation(workflow, variables = {}, confirmStep) {
+    logger.info(`Starting execution with confirmation: ${workflow.id}`);
+    return this.execute(workflow, variables, { confirmStep });
   }
 
   /**
    * Dry run - simulate execution without making changes
+   * Resolves parameters, checks each step's preconditions and reports the
+   * effects it would have. Control steps are followed using real results of
+   * read-only steps and simulated results of everything else.
    */
-  async dryRun(workflow) {
+  async dryRun(workflow, variables = {}) {
     try {
       logger.info(`Starting dry run: ${workflow.id}`);
 
       const analysis = workflow.analysis;
-      const simulationLog = [];
-
-      for (let i = 0; i < analysis.steps.length; i++) {
-        const step = analysis.steps[i];
-        simulationLog.push({
-          step: i + 1,
-          description: step.description,
-          tool: step.tool,
-          parameters: step.parameters,
-          expectedOutput: step.expected_output,
-          wouldExecute: true,
-        });
-      }
+      this.assertRunnable(workflow);
 
-      return {
-        success: true,
+      const run = {
+        runId: generateId(),
+        workflowId: workflow.id,
+        variables,
+        executionLog: [],
+        results: [],
+        completed: {},
+        decisions: {},
+        dryRun: true,
+        simulation: simulator.createState(),
+      };
+      const context = this.createContext(workflow, variables);
+
+      await this.runSteps(analysis.steps, run, context);
+
+      const problems = run.executionLog.filter(entry => entry.status === 'error');
+      return maskSecrets({
+        success: problems.length === 0,
         isDryRun: true,
-        simulationLog,
+        workflowId: workflow.id,
+        simulationLog: run.executionLog,
+        problems: problems.map(entry => `Step ${entry.step}: ${entry.error}`),
         timestamp: new Date().toISOString(),
-      };
+      });
     } catch (error) {
       logger.error('Error running dry run:', error);
       throw error;
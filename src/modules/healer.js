@@ -0,0 +1,320 @@
+const logger = require('../utils/logger');
+const mcpTools = require('./mcp-tools');
+const storage = require('./storage');
+const { generateId } = require('../utils/helpers');
+const { validateDocument, invalid } = require('../storage/schema');
+const { maskSecrets } = require('../utils/secret-mask');
+
+/**
+ * Step Healer
+ * Asks the AI for a corrected version of a tool step that failed (a renamed
+ * column, a moved folder, a changed URL) so the executor can retry it.
+ * Fixes that work are kept as proposals on the workflow
+ * (workflow.healProposals) until the user approves or rejects writing them
+ * back into the analysis.
+ */
+
+// Most recent execution log entries sent as context
+const RECENT_LOG_ENTRIES = 5;
+
+// Longest serialized step result sent as context
+const MAX_RESULT_LENGTH = 500;
+
+// Step fields a fix may change. Assertions are deliberately left out so a
+// fix cannot pass by weakening the step's own checks.
+const HEALABLE_FIELDS = ['tool', 'tool_action', 'parameters', 'timeout_ms', 'retry'];
+
+// Keys holding nested step lists in if, for_each and parallel steps
+const NESTED_STEP_KEYS = ['then', 'else', 'steps'];
+
+class Healer {
+  /**
+   * The AI client is loaded on first use: it throws for an unknown
+   * provider, and workflows must still run when healing is not available
+   */
+  getAIClient() {
+    return require('./ai-client');
+  }
+
+  /**
+   * Ask the AI how to fix a failed tool step
+   * @param {Object} failure - {workflowId, step, stepId, parameters, error, executionLog}
+   * @returns {Promise<{step: Object, explanation: string}|null>} the corrected
+   *   step, or null if the AI found no fix
+   */
+  async proposeFix(failure) {
+    try {
+      const workflow = storage.getWorkflow(failure.workflowId);
+      const aiClient = this.getAIClient();
+
+      // Secrets go to the AI as their {{secret.NAME}} references, which the
+      // corrected step can use in turn
+      const response = await aiClient.sendMessage(maskSecrets(this.buildPrompt(workflow, failure)), { maxTokens: 2048 });
+      const fix = aiClient.parseJSONResponse(response);
+
+      if (!fix || !fix.fixable || !fix.step) {
+        logger.info(`No fix proposed for step ${failure.stepId}: ${fix?.explanation || 'no explanation'}`);
+        return null;
+      }
+
+      return {
+        step: this.applyFix(failure.step, fix.step),
+        explanation: fix.explanation || '',
+      };
+    } catch (error) {
+      logger.error('Error proposing step fix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the prompt describing the failure
+   */
+  buildPrompt(workflow, failure) {
+    const analysis = workflow?.analysis || {};
+    const recentLog = (failure.executionLog || []).slice(-RECENT_LOG_ENTRIES).map(entry => ({
+      step: entry.step,
+      description: entry.description,
+      status: entry.status,
+      error: entry.error,
+      result: entry.result ? this.truncate(JSON.stringify(entry.result.result)) : undefined,
+    }));
+
+    return `A step in an automated workflow failed. Propose a corrected version of the step.
+
+Workflow goal: ${analysis.goal || workflow?.name || 'unknown'}
+Adaptive rules:
+${(analysis.adaptive_rules || []).map(rule => `- ${rule}`).join('\n') || 'None'}
+
+Failed step ${failure.stepId}:
+${JSON.stringify(failure.step, null, 2)}
+
+Parameters after resolving templates:
+${JSON.stringify(failure.parameters, null, 2)}
+
+Error: ${failure.error.message}
+
+Recent execution log:
+${JSON.stringify(recentLog, null, 2)}
+
+Available tools:
+${JSON.stringify(mcpTools.getToolDefinitions(), null, 2)}
+
+Keep the step's intent. Change only what is needed for it to succeed, using only the tools above.
+Parameters may keep {{...}} template references. If the failure cannot be fixed by changing
+the step (e.g. a missing permission or an unreachable server), set "fixable" to false.
+
+Format your response as JSON with this structure:
+{
+  "fixable": true,
+  "explanation": "what changed and why",
+  "step": {
+    "tool": "filesystem|spreadsheet|web|shell",
+    "tool_action": "read_file|write_file|list_files|etc",
+    "parameters": {"key": "value"}
+  }
+}
+`;
+  }
+
+  /**
+   * Merge the healable fields of a fix into the original step, checking
+   * that it names a tool action that exists
+   */
+  applyFix(step, fix) {
+    const corrected = { ...step };
+    HEALABLE_FIELDS.forEach(field => {
+      if (fix[field] !== undefined) {
+        corrected[field] = fix[field];
+      }
+    });
+
+    const definitions = mcpTools.getToolDefinitions();
+    const category = corrected.tool === 'file' ? 'filesystem' : corrected.tool;
+    if (!definitions[category]?.tools.some(tool => tool.name === corrected.tool_action)) {
+      throw new Error(`Proposed fix uses an unknown tool action: ${corrected.tool}.${corrected.tool_action}`);
+    }
+    if (!corrected.parameters || typeof corrected.parameters !== 'object' || Array.isArray(corrected.parameters)) {
+      throw new Error('Proposed fix has invalid parameters');
+    }
+
+    return corrected;
+  }
+
+  /**
+   * Keep a fix that worked so the user can write it back to the workflow
+   * A newer fix for the same step replaces any pending one.
+   * @returns {Object|null} the proposal, or null if the step could not be
+   *   found in the stored workflow (e.g. it was edited during the run)
+   */
+  recordProposal({ workflowId, runId, stepId, originalStep, correctedStep, explanation }) {
+    try {
+      return storage.lockWorkflow(workflowId, () => {
+        const workflow = storage.getWorkflow(workflowId);
+        const stepPath = workflow?.analysis ? this.findStepPath(workflow.analysis.steps || [], originalStep) : null;
+        if (!stepPath) {
+          logger.warn(`Step ${stepId} not found in workflow ${workflowId}; fix not kept`);
+          return null;
+        }
+
+        const proposal = {
+          id: generateId(),
+          runId,
+          stepId,
+          stepPath,
+          status: 'pending',
+          explanation,
+          originalStep,
+          correctedStep,
+          createdAt: new Date().toISOString(),
+        };
+
+        const samePath = JSON.stringify(stepPath);
+        workflow.healProposals = (workflow.healProposals || []).filter(existing =>
+          existing.status !== 'pending' || JSON.stringify(existing.stepPath) !== samePath
+        );
+        workflow.healProposals.push(proposal);
+        storage.saveWorkflow(workflow);
+
+        logger.info(`Recorded fix ${proposal.id} for step ${stepId} of workflow ${workflowId}`);
+        return proposal;
+      });
+    } catch (error) {
+      logger.error('Error recording step fix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Path to a step within an analysis (e.g. ['steps', 2, 'then', 0]),
+   * matched by content
+   */
+  findStepPath(steps, target, basePath = ['steps']) {
+    const wanted = JSON.stringify(target);
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      if (JSON.stringify(step) === wanted) {
+        return [...basePath, i];
+      }
+      for (const key of NESTED_STEP_KEYS) {
+        if (Array.isArray(step[key])) {
+          const found = this.findStepPath(step[key], target, [...basePath, i, key]);
+          if (found) {
+            return found;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fix proposals for a workflow, newest first
+   * @param {string} [status] - only proposals with this status
+   */
+  getProposals(workflowId, status = null) {
+    const workflow = storage.getWorkflow(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+    return (workflow.healProposals || [])
+      .filter(proposal => !status || proposal.status === status)
+      .reverse();
+  }
+
+  /**
+   * Approve a pending fix: replace the step in the stored analysis
+   * Fails if the step has changed since the fix was proposed.
+   */
+  applyProposal(workflowId, proposalId) {
+    try {
+      return storage.lockWorkflow(workflowId, () => {
+        const { workflow, proposal } = this.getPendingProposal(workflowId, proposalId);
+
+        let parent = workflow.analysis;
+        const stepPath = proposal.stepPath;
+        stepPath.slice(0, -1).forEach(segment => {
+          parent = parent?.[segment];
+        });
+        const index = stepPath[stepPath.length - 1];
+
+        if (!parent || JSON.stringify(parent[index]) !== JSON.stringify(proposal.originalStep)) {
+          const error = new Error(`Step ${proposal.stepId} has changed since the fix was proposed`);
+          error.code = 'ECONFLICT';
+          throw error;
+        }
+
+        const errors = validateDocument('step', proposal.correctedStep);
+        if (errors.length > 0) {
+          throw invalid(`The fix for step ${proposal.stepId} is not a valid step`, errors);
+        }
+
+        if (!workflow.version) {
+          storage.commitVersion(workflow, { note: 'Saved before versioning' });
+        }
+
+        parent[index] = proposal.correctedStep;
+        proposal.status = 'applied';
+        proposal.resolvedAt = new Date().toISOString();
+        workflow.updatedAt = proposal.resolvedAt;
+        storage.commitVersion(workflow, { note: `Applied AI fix to step ${proposal.stepId}: ${proposal.explanation}` });
+        storage.saveWorkflow(workflow);
+
+        logger.info(`Applied fix ${proposalId} to step ${proposal.stepId} of workflow ${workflowId}`);
+        return proposal;
+      });
+    } catch (error) {
+      logger.error('Error applying step fix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending fix, leaving the workflow unchanged
+   */
+  rejectProposal(workflowId, proposalId) {
+    try {
+      return storage.lockWorkflow(workflowId, () => {
+        const { workflow, proposal } = this.getPendingProposal(workflowId, proposalId);
+        proposal.status = 'rejected';
+        proposal.resolvedAt = new Date().toISOString();
+        storage.saveWorkflow(workflow);
+
+        logger.info(`Rejected fix ${proposalId} for workflow ${workflowId}`);
+        return proposal;
+      });
+    } catch (error) {
+      logger.error('Error rejecting step fix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a proposal that has not been approved or rejected yet
+   */
+  getPendingProposal(workflowId, proposalId) {
+    const workflow = storage.getWorkflow(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+    const proposal = (workflow.healProposals || []).find(p => p.id === proposalId);
+    if (!proposal) {
+      throw new Error(`Fix not found: ${proposalId}`);
+    }
+    if (proposal.status !== 'pending') {
+      const error = new Error(`Fix ${proposalId} has already been ${proposal.status}`);
+      error.code = 'ECONFLICT';
+      throw error;
+    }
+    return { workflow, proposal };
+  }
+
+  /**
+   * Shorten text sent as context
+   */
+  truncate(text = '') {
+    return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}...` : text;
+  }
+}
+
+module.exports = new Healer();
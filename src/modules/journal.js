@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+/**
+ * Undo Journal
+ * Before a mutating filesystem or spreadsheet step runs, the files it may
+ * change are backed up (or noted as not existing yet, with any of their
+ * directories that do not exist either). Rolling back an execution restores
+ * every pre-image in reverse step order: backed up files are copied back,
+ * files the run created are removed, and so are the directories it created
+ * for them, deepest first, once they are empty.
+ *
+ * Journals live in data/journals/{runId}/ next to their backup copies.
+ */
+
+// Parameters naming the files each mutating action may change
+const MUTATING_ACTIONS = {
+  filesystem: {
+    write_file: params => [params.path],
+    rename_file: params => [params.oldPath, params.newPath],
+    delete_file: params => [params.path],
+    copy_file: params => [params.destination],
+  },
+  spreadsheet: {
+    write_spreadsheet: params => [params.path],
+    sort_data: params => [params.path],
+    append_data: params => [params.path],
+  },
+};
+
+class Journal {
+  constructor() {
+    logger.info('Journal initialized');
+  }
+
+  /**
+   * Does this tool action change files the journal can restore?
+   */
+  isMutating(toolCategory, toolAction) {
+    return Boolean(MUTATING_ACTIONS[toolCategory]?.[toolAction]);
+  }
+
+  /**
+   * Absolute paths of the files a tool action may change (none for
+   * actions that change nothing)
+   */
+  changedPaths(toolCategory, toolAction, parameters = {}) {
+    if (!this.isMutating(toolCategory, toolAction)) {
+      return [];
+    }
+    const paths = MUTATING_ACTIONS[toolCategory][toolAction](parameters)
+      .filter(Boolean)
+      .map(filePath => path.resolve(String(filePath)));
+    return [...new Set(paths)];
+  }
+
+  /**
+   * Save pre-images of the files a step is about to change
+   * @returns {Object|null} the journal entry, or null for steps that change nothing
+   */
+  recordStep(run, stepId, toolCategory, toolAction, parameters = {}) {
+    try {
+      if (!this.isMutating(toolCategory, toolAction)) {
+        return null;
+      }
+
+      const journal = storage.getJournal(run.runId) || {
+        runId: run.runId,
+        workflowId: run.workflowId,
+        status: 'open',
+        createdAt: new Date().toISOString(),
+        steps: [],
+      };
+      const backupDir = storage.getJournalDir(run.runId);
+      const sequence = journal.steps.length + 1;
+
+      const files = this.changedPaths(toolCategory, toolAction, parameters).map((filePath, index) => {
+        if (!fs.existsSync(filePath)) {
+          return { path: filePath, existed: false, createdDirs: this.missingDirs(filePath) };
+        }
+
+        const backup = path.join(backupDir, `${sequence}-${index}-${path.basename(filePath)}`);
+        fs.copyFileSync(filePath, backup);
+        return { path: filePath, existed: true, backup };
+      });
+
+      const entry = {
+        stepId,
+        tool: toolCategory,
+        toolAction,
+        files,
+        recordedAt: new Date().toISOString(),
+      };
+      journal.steps.push(entry);
+      storage.saveJournal(journal);
+
+      logger.debug(`Journaled step ${stepId} of ${run.runId}: ${files.length} file(s)`);
+      return entry;
+    } catch (error) {
+      logger.error('Error recording journal entry:', error);
+      throw new Error(`Could not back up files for step ${stepId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Directories above a file that do not exist yet, deepest first
+   */
+  missingDirs(filePath) {
+    const dirs = [];
+    for (let dir = path.dirname(filePath); !fs.existsSync(dir); dir = path.dirname(dir)) {
+      dirs.push(dir);
+    }
+    return dirs;
+  }
+
+  /**
+   * Restore every file the execution changed
+   * Files that cannot be restored are reported in `errors`; the journal is
+   * kept so the rollback can be retried.
+   * @returns {{success: boolean, runId: string, restored: Array, errors: Array}}
+   */
+  rollback(runId) {
+    try {
+      const journal = storage.getJournal(runId);
+      if (!journal) {
+        throw new Error(`No undo journal for execution ${runId}`);
+      }
+      if (journal.status === 'rolled_back') {
+        throw new Error(`Execution ${runId} has already been rolled back`);
+      }
+
+      logger.info(`Rolling back execution ${runId} (${journal.steps.length} journaled step(s))`);
+
+      const restored = [];
+      const errors = [];
+
+      [...journal.steps].reverse().forEach(entry => {
+        [...entry.files].reverse().forEach(file => {
+          try {
+            if (file.existed) {
+              fs.mkdirSync(path.dirname(file.path), { recursive: true });
+              fs.copyFileSync(file.backup, file.path);
+              restored.push({ stepId: entry.stepId, path: file.path, action: 'restored' });
+            } else {
+              if (fs.existsSync(file.path)) {
+                fs.unlinkSync(file.path);
+                restored.push({ stepId: entry.stepId, path: file.path, action: 'removed' });
+              }
+              (file.createdDirs || []).forEach(dir => {
+                // Left alone if something else has been put in it since
+                if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                  fs.rmdirSync(dir);
+                  restored.push({ stepId: entry.stepId, path: dir, action: 'removed' });
+                }
+              });
+            }
+          } catch (error) {
+            logger.error(`Error restoring ${file.path}:`, error);
+            errors.push({ stepId: entry.stepId, path: file.path, error: error.message });
+          }
+        });
+      });
+
+      journal.status = errors.length === 0 ? 'rolled_back' : 'partially_rolled_back';
+      journal.rolledBackAt = new Date().toISOString();
+      storage.saveJournal(journal);
+
+      return { success: errors.length === 0, runId, restored, errors };
+    } catch (error) {
+      logger.error('Error rolling back execution:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Journal();
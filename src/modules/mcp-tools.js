@@ -170,8 +170,9 @@ class MCPTools {
 
   /**
    * Execute a tool with given parameters
+   * @param {Object} options - execution options passed to the tool (timeoutMs, signal)
    */
-  async executeTool(toolCategory, toolName, parameters) {
+  async executeTool(toolCategory, toolName, parameters, options = {}) {
     try {
       logger.info(`Executing tool: ${toolCategory}.${toolName}`, { parameters });
 
@@ -184,7 +185,7 @@ class MCPTools {
         throw new Error(`Tool not found: ${toolCategory}.${toolName}`);
       }
 
-      const result = await toolModule[toolName](parameters);
+      const result = await toolModule[toolName](parameters, options);
       logger.info(`Tool executed successfully: ${toolCategory}.${toolName}`);
       return result;
     } catch (error) {
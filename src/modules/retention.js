@@ -0,0 +1,233 @@
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const trash = require('./trash');
+const auditLog = require('./audit-log');
+
+/**
+ * Retention
+ * Rules for how long run records, trashed workflows and the API audit log
+ * are kept, enforced by a sweeper that runs at startup and then every RETENTION_SWEEP_MINUTES.
+ *
+ * Policy (saved as data/settings/retention.json; null turns a rule off):
+ *   keepLast       - runs always kept per workflow, newest first
+ *   keepDays       - runs younger than this are always kept
+ *   keepFailedDays - failed, aborted and cancelled runs are kept at least
+ *                    this long, even past the other rules
+ *   trashDays      - trashed workflows are purged after this long
+ *   auditDays      - audit log files are deleted after this long
+ * A run is deleted only once every rule that is on lets it go, and never
+ * while it is suspended or has a saved execution state. With both keepLast
+ * and keepDays off, no runs are deleted.
+ */
+
+const POLICY_FIELDS = ['keepLast', 'keepDays', 'keepFailedDays', 'trashDays', 'auditDays'];
+
+const FAILED_STATUSES = ['failed', 'aborted', 'cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return value === 'off' ? null : parseInt(value, 10);
+}
+
+const DEFAULT_POLICY = {
+  keepLast: envLimit('RUN_KEEP_LAST', 100),
+  keepDays: envLimit('RUN_KEEP_DAYS', 90),
+  keepFailedDays: envLimit('RUN_KEEP_FAILED_DAYS', 365),
+  trashDays: envLimit('TRASH_KEEP_DAYS', 30),
+  auditDays: envLimit('AUDIT_KEEP_DAYS', 365),
+};
+
+const SWEEP_INTERVAL_MS = (parseInt(process.env.RETENTION_SWEEP_MINUTES, 10) || 60) * 60 * 1000;
+
+class Retention {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * The policy in force: the saved one over the defaults from the environment
+   */
+  getPolicy() {
+    return { ...DEFAULT_POLICY, ...(storage.getSettings('retention') || {}) };
+  }
+
+  /**
+   * Save changes to the policy
+   * @param {Object} updates - any of the policy fields, each a whole number
+   *   of runs or days, or null to turn the rule off
+   * @returns {Object} the policy in force
+   */
+  savePolicy(updates = {}) {
+    const errors = [];
+    Object.entries(updates).forEach(([key, value]) => {
+      if (!POLICY_FIELDS.includes(key)) {
+        errors.push(`${key} is not a retention setting`);
+      } else if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        errors.push(`${key} must be a whole number of at least 0, or null`);
+      }
+    });
+    if (errors.length > 0) {
+      const error = new Error(`Invalid retention policy: ${errors.join('; ')}`);
+      error.code = 'EINVALID';
+      error.errors = errors;
+      throw error;
+    }
+
+    const policy = { ...this.getPolicy(), ...updates };
+    storage.saveSettings('retention', policy);
+    logger.info(`Retention policy saved: ${JSON.stringify(policy)}`);
+    return policy;
+  }
+
+  /**
+   * Whether the policy lets a run go
+   * @param {number} position - the run's place among its workflow's runs,
+   *   newest first
+   */
+  isExpired(run, position, policy, now = Date.now()) {
+    if (run.status === 'suspended' || (policy.keepLast == null && policy.keepDays == null)) {
+      return false;
+    }
+    const age = now - new Date(run.finishedAt || run.startedAt).getTime();
+    if (policy.keepLast != null && position < policy.keepLast) {
+      return false;
+    }
+    if (policy.keepDays != null && age < policy.keepDays * DAY_MS) {
+      return false;
+    }
+    if (FAILED_STATUSES.includes(run.status) && policy.keepFailedDays != null && age < policy.keepFailedDays * DAY_MS) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Delete a run record with its undo journal
+   */
+  deleteRun(runId) {
+    storage.deleteRun(runId);
+    storage.deleteJournal(runId);
+  }
+
+  /**
+   * Delete the expired runs of every workflow, trashed ones included
+   * @returns {number} how many runs were deleted
+   */
+  sweepRuns(policy = this.getPolicy()) {
+    const now = Date.now();
+    let deleted = 0;
+    [...storage.getAllWorkflows(), ...storage.getTrashedWorkflows()].forEach(workflow => {
+      storage.listRuns(workflow.id).runs.forEach((run, position) => {
+        if (this.isExpired(run, position, policy, now) && !storage.getExecutionState(run.runId)) {
+          this.deleteRun(run.runId);
+          deleted++;
+        }
+      });
+    });
+    return deleted;
+  }
+
+  /**
+   * Purge workflows that have been in the trash longer than trashDays
+   * @returns {number} how many workflows were purged
+   */
+  sweepTrash(policy = this.getPolicy()) {
+    if (policy.trashDays == null) {
+      return 0;
+    }
+    const cutoff = Date.now() - policy.trashDays * DAY_MS;
+    return storage
+      .getTrashedWorkflows()
+      .filter(workflow => new Date(workflow.deletedAt).getTime() < cutoff)
+      .filter(workflow => trash.purge(workflow.id)).length;
+  }
+
+  /**
+   * Apply the policy now
+   * @returns {{runsDeleted: number, workflowsPurged: number, auditFilesDeleted: number}}
+   */
+  sweep() {
+    try {
+      const policy = this.getPolicy();
+      const result = {
+        runsDeleted: this.sweepRuns(policy),
+        workflowsPurged: this.sweepTrash(policy),
+        auditFilesDeleted: auditLog.prune(policy.auditDays),
+      };
+      if (result.runsDeleted > 0 || result.workflowsPurged > 0 || result.auditFilesDeleted > 0) {
+        logger.info(
+          `Retention sweep: ${result.runsDeleted} run(s) deleted, ${result.workflowsPurged} workflow(s) purged, ` +
+            `${result.auditFilesDeleted} audit log file(s) deleted`
+        );
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error sweeping expired data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sweep shortly after startup and then every RETENTION_SWEEP_MINUTES
+   * The timers do not keep the process alive.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const sweepQuietly = () => {
+      try {
+        this.sweep();
+      } catch (error) {
+        // Logged by sweep(); the next sweep tries again
+      }
+    };
+    this.startupTimer = setTimeout(sweepQuietly, 5000);
+    this.timer = setInterval(sweepQuietly, SWEEP_INTERVAL_MS);
+    this.startupTimer.unref();
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the sweeper
+   */
+  stop() {
+    clearTimeout(this.startupTimer);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete the run history of one workflow, or of every workflow, whatever
+   * the policy says; suspended runs are kept so they can still be resumed
+   * @returns {number} how many runs were deleted
+   */
+  clearRuns(workflowId = null) {
+    try {
+      const workflows = workflowId ? [{ id: workflowId }] : storage.getAllWorkflows();
+      let deleted = 0;
+      workflows.forEach(workflow => {
+        storage.listRuns(workflow.id).runs.forEach(run => {
+          if (run.status !== 'suspended' && !storage.getExecutionState(run.runId)) {
+            this.deleteRun(run.runId);
+            deleted++;
+          }
+        });
+      });
+      logger.info(`Run history cleared${workflowId ? ` for ${workflowId}` : ''}: ${deleted} run(s) deleted`);
+      return deleted;
+    } catch (error) {
+      logger.error('Error clearing run history:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Retention();
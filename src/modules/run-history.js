@@ -0,0 +1,211 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { generateId } = require('../utils/helpers');
+const { maskSecrets } = require('../utils/secret-mask');
+
+/**
+ * Run History
+ * One record per execution, stored apart from the workflow definition:
+ *   { runId, workflowId, workflowName, workflowVersion, status, success, variables,
+ *     startedAt, finishedAt, durationMs, error, completedSteps, totalSteps,
+ *     steps: [execution log entries], artifacts: [{stepId, tool, toolAction, path}] }
+ * A suspended run's record is updated when it is resumed and finishes.
+ * Secret values are masked before a record is saved.
+ */
+
+// Runs returned per page when no limit is given, and the most allowed
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parameters naming the files each tool action creates or changes
+const ARTIFACT_PARAMS = {
+  filesystem: {
+    write_file: ['path'],
+    rename_file: ['newPath'],
+    copy_file: ['destination'],
+  },
+  spreadsheet: {
+    write_spreadsheet: ['path'],
+    sort_data: ['path'],
+    append_data: ['path'],
+  },
+};
+
+class RunHistory {
+  /**
+   * Summarize an execution result as a single status
+   */
+  describeResult(result) {
+    if (result.success) return 'completed';
+    if (result.requiresUserInput) return 'suspended';
+    if (result.cancelled) return 'cancelled';
+    if (result.aborted) return 'aborted';
+    return 'failed';
+  }
+
+  /**
+   * Save the record of a run that has finished or been suspended
+   */
+  record(workflow, run, result) {
+    try {
+      const finishedAt = new Date().toISOString();
+      const previous = run.resumedAt ? storage.getRun(run.runId) : null;
+      const steps = result.executionLog || run.executionLog || [];
+
+      return storage.saveRun(maskSecrets({
+        runId: run.runId,
+        workflowId: workflow.id,
+        workflowName: workflow.name,
+        workflowVersion: run.workflowVersion,
+        status: this.describeResult(result),
+        success: Boolean(result.success),
+        variables: run.variables,
+        heal: run.heal || undefined,
+        startedAt: run.createdAt || finishedAt,
+        finishedAt,
+        durationMs: new Date(finishedAt) - new Date(run.createdAt || finishedAt),
+        resumedAt: run.resumedAt,
+        resumeCount: run.resumedAt ? (previous?.resumeCount || 0) + 1 : undefined,
+        error: result.error,
+        completedSteps: result.completedSteps,
+        totalSteps: result.totalSteps ?? workflow.analysis?.steps?.length,
+        steps,
+        artifacts: this.collectArtifacts(steps),
+      }));
+    } catch (error) {
+      logger.error('Error recording run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a saved run as aborted without it running again
+   */
+  markAborted(runId, error) {
+    const record = storage.getRun(runId);
+    if (!record) {
+      return null;
+    }
+    const finishedAt = new Date().toISOString();
+    return storage.saveRun({
+      ...record,
+      status: 'aborted',
+      success: false,
+      error,
+      finishedAt,
+      durationMs: new Date(finishedAt) - new Date(record.startedAt),
+    });
+  }
+
+  /**
+   * Files written by the successful steps of a run
+   */
+  collectArtifacts(steps) {
+    const artifacts = [];
+    steps.forEach(entry => {
+      const result = entry.result;
+      if (entry.status !== 'success' || !result || !result.parameters) {
+        return;
+      }
+      const category = result.tool === 'file' ? 'filesystem' : result.tool;
+      const params = ARTIFACT_PARAMS[category]?.[result.toolAction] || [];
+      params.forEach(param => {
+        if (result.parameters[param]) {
+          artifacts.push({
+            stepId: entry.step,
+            tool: result.tool,
+            toolAction: result.toolAction,
+            path: path.resolve(String(result.parameters[param])),
+          });
+        }
+      });
+    });
+    return artifacts;
+  }
+
+  /**
+   * A page of a workflow's runs, newest first, without their step logs
+   * @param {Object} options - {limit, offset, status}
+   * @returns {{runs: Array, total: number, limit: number, offset: number}}
+   */
+  list(workflowId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    const { runs, total } = storage.listRuns(workflowId, { limit, offset, status: options.status });
+
+    return {
+      runs,
+      total,
+      limit,
+      offset,
+    };
+  }
+
+  /**
+   * A single run with its step logs
+   */
+  get(runId) {
+    return storage.getRun(runId);
+  }
+
+  /**
+   * Move execution history embedded in workflow files (from before runs
+   * were stored separately) into run records
+   * @returns {number} how many runs were moved
+   */
+  migrateExecutionHistory() {
+    try {
+      let moved = 0;
+      storage.getAllWorkflows().forEach(workflow => {
+        if (!Array.isArray(workflow.executionHistory)) {
+          return;
+        }
+
+        storage.lockWorkflow(workflow.id, () => {
+          // Re-read under the lock so a concurrent save is not lost
+          const current = storage.getWorkflow(workflow.id);
+          if (!current || !Array.isArray(current.executionHistory)) {
+            return;
+          }
+
+          current.executionHistory.forEach(entry => {
+            const result = entry.result || {};
+            const steps = result.executionLog || [];
+            storage.saveRun({
+              runId: result.runId || entry.id || generateId(),
+              workflowId: workflow.id,
+              workflowName: workflow.name,
+              status: this.describeResult(result),
+              success: Boolean(entry.success),
+              variables: entry.variables || {},
+              startedAt: entry.timestamp,
+              finishedAt: entry.timestamp,
+              resumedAt: entry.resumed ? entry.timestamp : undefined,
+              error: result.error,
+              completedSteps: result.completedSteps,
+              totalSteps: result.totalSteps,
+              steps,
+              artifacts: this.collectArtifacts(steps),
+            });
+            moved++;
+          });
+
+          delete current.executionHistory;
+          storage.saveWorkflow(current);
+        });
+      });
+
+      if (moved > 0) {
+        logger.info(`Moved ${moved} run(s) out of workflow files`);
+      }
+      return moved;
+    } catch (error) {
+      logger.error('Error migrating execution history:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RunHistory();
@@ -0,0 +1,284 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { setMaskedSecrets } = require('../utils/secret-mask');
+
+/**
+ * Secret Vault
+ * Named secrets (API tokens, passwords) kept encrypted in
+ * DATA_DIR/settings/secrets.json. Step parameters reference them as
+ * {{secret.NAME}}, resolved only when the step runs, so workflow files,
+ * run history and logs hold the reference rather than the value (see
+ * src/utils/secret-mask.js).
+ *
+ * Each value is encrypted with AES-256-GCM under a key derived with scrypt
+ * from the master key: SECRETS_MASTER_KEY from the environment, or a
+ * passphrase given to unlock(). The key is only held in memory. Until the
+ * vault is unlocked, secret names can be listed but values cannot be read
+ * or changed. The first passphrase used on an empty vault becomes its
+ * master key.
+ *
+ * Vault file:
+ *   { version: 1, salt, check: {iv, tag, data},
+ *     secrets: { NAME: {iv, tag, data, createdAt, updatedAt} } }
+ */
+
+const VAULT_VERSION = 1;
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Encrypted in every vault to tell a wrong passphrase from a right one
+const CHECK_VALUE = 'vault-check';
+
+function vaultError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class SecretVault {
+  constructor() {
+    this.key = null;
+    // name -> decrypted value, while unlocked
+    this.values = new Map();
+
+    if (process.env.SECRETS_MASTER_KEY) {
+      try {
+        this.unlock(process.env.SECRETS_MASTER_KEY);
+      } catch (error) {
+        logger.error(`Could not unlock the secret vault with SECRETS_MASTER_KEY: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * The vault file, or an empty vault if there is none yet
+   * A vault that cannot be read fails with EVAULTCORRUPT rather than
+   * passing for an empty one, which the next unlock would replace.
+   */
+  readVault() {
+    let vault;
+    try {
+      vault = storage.readSettings('secrets');
+    } catch (error) {
+      throw vaultError(`The secret vault cannot be read: ${error.message}`, 'EVAULTCORRUPT');
+    }
+    if (vault === null) {
+      return { version: VAULT_VERSION, salt: null, check: null, secrets: {} };
+    }
+    const secretsValid = vault && typeof vault.secrets === 'object' && vault.secrets !== null && !Array.isArray(vault.secrets);
+    if (!secretsValid || (!vault.salt && Object.keys(vault.secrets).length > 0) || (vault.salt && !vault.check)) {
+      throw vaultError('The secret vault file is damaged', 'EVAULTCORRUPT');
+    }
+    return vault;
+  }
+
+  encrypt(value, key = this.key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  decrypt(entry, key = this.key) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Unlock the vault with its master key, creating the vault if it has
+   * none yet
+   * Fails with EPASSPHRASE if the passphrase is wrong.
+   */
+  unlock(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase === '') {
+      throw vaultError('A passphrase is required', 'EINVALID');
+    }
+
+    this.key = storage.lockSettings('secrets', () => {
+      const vault = this.readVault();
+      if (!vault.salt) {
+        vault.salt = crypto.randomBytes(16).toString('base64');
+        const key = crypto.scryptSync(passphrase, Buffer.from(vault.salt, 'base64'), 32);
+        vault.check = this.encrypt(CHECK_VALUE, key);
+        storage.saveSettings('secrets', vault);
+        logger.info('Secret vault created');
+        return key;
+      }
+
+      const key = crypto.scryptSync(passphrase, Buffer.from(vault.salt, 'base64'), 32);
+      try {
+        if (this.decrypt(vault.check, key) === CHECK_VALUE) {
+          return key;
+        }
+      } catch (error) {
+        // GCM authentication fails for the wrong key
+      }
+      throw vaultError('Wrong passphrase for the secret vault', 'EPASSPHRASE');
+    });
+
+    this.refresh();
+    logger.info('Secret vault unlocked');
+  }
+
+  /**
+   * Forget the master key and the decrypted values
+   */
+  lock() {
+    this.key = null;
+    this.values = new Map();
+    setMaskedSecrets(this.values);
+    logger.info('Secret vault locked');
+  }
+
+  requireUnlocked() {
+    if (!this.isUnlocked()) {
+      throw vaultError('The secret vault is locked; set SECRETS_MASTER_KEY or unlock it with its passphrase', 'ESECRETSLOCKED');
+    }
+  }
+
+  /**
+   * Re-read the vault, picking up changes made by another process
+   * If it can no longer be read, the values already read are kept.
+   */
+  refresh() {
+    if (!this.isUnlocked()) {
+      return;
+    }
+    let vault;
+    try {
+      vault = this.readVault();
+    } catch (error) {
+      logger.error(`${error.message}; keeping the secrets already read`);
+      return;
+    }
+    const values = new Map();
+    Object.entries(vault.secrets).forEach(([name, entry]) => {
+      try {
+        values.set(name, this.decrypt(entry));
+      } catch (error) {
+        logger.error(`Could not decrypt secret ${name}`);
+      }
+    });
+    this.values = values;
+    setMaskedSecrets(values);
+  }
+
+  /**
+   * Secret names with when they were set, never their values
+   */
+  list() {
+    return Object.entries(this.readVault().secrets)
+      .map(([name, entry]) => ({ name, createdAt: entry.createdAt, updatedAt: entry.updatedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A secret's value, or null if there is no such secret
+   */
+  get(name) {
+    this.requireUnlocked();
+    this.refresh();
+    return this.values.has(name) ? this.values.get(name) : null;
+  }
+
+  /**
+   * Create or replace a secret
+   * @returns {{name, createdAt, updatedAt, created: boolean}}
+   */
+  set(name, value) {
+    const errors = [];
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      errors.push('name must start with a letter or underscore and contain only letters, digits and underscores');
+    }
+    if (typeof value !== 'string' || value === '') {
+      errors.push('value must be a non-empty string');
+    }
+    if (errors.length > 0) {
+      const error = vaultError(`Invalid secret: ${errors.join('; ')}`, 'EINVALID');
+      error.errors = errors;
+      throw error;
+    }
+    this.requireUnlocked();
+
+    try {
+      const saved = storage.lockSettings('secrets', () => {
+        const vault = this.readVault();
+        const existing = vault.secrets[name];
+        const now = new Date().toISOString();
+        vault.secrets[name] = { ...this.encrypt(value), createdAt: existing?.createdAt || now, updatedAt: now };
+        storage.saveSettings('secrets', vault);
+        return { name, createdAt: vault.secrets[name].createdAt, updatedAt: now, created: !existing };
+      });
+      this.refresh();
+      logger.info(`Secret ${saved.created ? 'created' : 'updated'}: ${name}`);
+      return saved;
+    } catch (error) {
+      logger.error('Error saving secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a secret
+   * @returns {boolean} false if there is no such secret
+   */
+  delete(name) {
+    this.requireUnlocked();
+    try {
+      const deleted = storage.lockSettings('secrets', () => {
+        const vault = this.readVault();
+        if (!vault.secrets[name]) {
+          return false;
+        }
+        delete vault.secrets[name];
+        storage.saveSettings('secrets', vault);
+        return true;
+      });
+      if (deleted) {
+        this.refresh();
+        logger.info(`Secret deleted: ${name}`);
+      }
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The `secret` namespace of a run's templating context
+   * Values are read when a reference is resolved; resolving one while the
+   * vault is locked fails with ESECRETSLOCKED.
+   */
+  scope() {
+    this.refresh();
+    return new Proxy(
+      {},
+      {
+        has: (target, name) => {
+          this.requireUnlocked();
+          return typeof name === 'string' && this.values.has(name);
+        },
+        // Templates look references up as own keys
+        getOwnPropertyDescriptor: (target, name) => {
+          this.requireUnlocked();
+          return typeof name === 'string' && this.values.has(name)
+            ? { value: this.values.get(name), writable: false, enumerable: false, configurable: true }
+            : undefined;
+        },
+        get: (target, name) => (typeof name === 'string' && this.isUnlocked() ? this.values.get(name) : undefined),
+        ownKeys: () => [],
+      }
+    );
+  }
+}
+
+module.exports = new SecretVault();
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const mcpTools = require('./mcp-tools');
+
+/**
+ * Dry-run Simulator
+ * Checks a step's preconditions and describes the effects it would have,
+ * without mutating anything. Read-only tool actions are executed for real
+ * so later steps can template against their results; mutating actions
+ * return a simulated result and are tracked in a virtual file overlay so
+ * that e.g. a file created by step 2 counts as existing for step 3.
+ */
+
+// Tool actions that never change anything and can safely run in a dry run
+const READ_ONLY_ACTIONS = {
+  filesystem: ['list_files', 'read_file', 'file_exists', 'get_file_info'],
+  spreadsheet: ['read_spreadsheet', 'filter_data', 'get_cell'],
+  web: ['parse_html', 'parse_json'],
+  shell: [],
+};
+
+// Shell builtins that will not be found on PATH
+const SHELL_BUILTINS = [
+  'cd', 'echo', 'set', 'export', 'dir', 'copy', 'move', 'del', 'erase', 'ren', 'rename',
+  'md', 'mkdir', 'rd', 'rmdir', 'type', 'cls', 'exit', 'if', 'for', 'call', 'start', 'pushd',
+  'popd', 'source', '.', 'test', '[', 'true', 'false', 'pwd', 'alias', 'unset', 'exec',
+];
+
+class Simulator {
+  constructor() {
+    logger.info('Simulator initialized');
+  }
+
+  /**
+   * Create the per-run simulation state
+   */
+  createState() {
+    return {
+      created: new Set(),
+      deleted: new Set(),
+    };
+  }
+
+  /**
+   * Simulate a single tool step
+   * @returns {Promise<{result: Object, checks: Array, effects: string[], executed: boolean}>}
+   */
+  async simulateStep(toolCategory, toolAction, parameters, state) {
+    const checks = [];
+    const effects = [];
+
+    const toolModule = mcpTools.tools[toolCategory];
+    if (!toolModule || typeof toolModule[toolAction] !== 'function') {
+      checks.push(this.check('tool exists', false, `Tool not found: ${toolCategory}.${toolAction}`));
+      return { result: null, checks, effects, executed: false };
+    }
+
+    const handler = this[`${toolCategory}_${toolAction}`];
+    const simulated = handler
+      ? handler.call(this, parameters, state, checks, effects)
+      : { success: true, simulated: true };
+
+    const canExecute = (READ_ONLY_ACTIONS[toolCategory] || []).includes(toolAction) &&
+      checks.every(c => c.passed) &&
+      !this.touchesOverlay(parameters, state);
+
+    if (canExecute) {
+      try {
+        const result = await mcpTools.executeTool(toolCategory, toolAction, parameters);
+        return { result, checks, effects, executed: true };
+      } catch (error) {
+        checks.push(this.check('read succeeds', false, error.message));
+      }
+    }
+
+    return { result: simulated, checks, effects, executed: false };
+  }
+
+  // ==================== Helpers ==================== //
+
+  check(name, passed, message) {
+    return { check: name, passed, message };
+  }
+
+  /**
+   * Does a path exist, taking earlier simulated steps into account?
+   */
+  exists(filePath, state) {
+    const resolved = path.resolve(String(filePath));
+    if (state.created.has(resolved)) return true;
+    if (state.deleted.has(resolved)) return false;
+    return fs.existsSync(resolved);
+  }
+
+  /**
+   * Would a read-only action see a path changed by an earlier simulated step?
+   */
+  touchesOverlay(parameters, state) {
+    const filePath = parameters.path;
+    if (!filePath) return false;
+    const resolved = path.resolve(String(filePath));
+    return state.created.has(resolved) || state.deleted.has(resolved);
+  }
+
+  /**
+   * Is the target's directory (or its nearest existing ancestor) writable?
+   */
+  isWritable(filePath, state) {
+    let dir = path.dirname(path.resolve(String(filePath)));
+    while (!this.exists(dir, state)) {
+      const parent = path.dirname(dir);
+      if (parent === dir) return false;
+      dir = parent;
+    }
+    if (state.created.has(dir)) return true;
+    try {
+      fs.accessSync(dir, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  fileSize(filePath) {
+    try {
+      return fs.statSync(filePath).size;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  requireExisting(filePath, state, checks, label = 'file exists') {
+    if (!filePath) {
+      checks.push(this.check(label, false, 'Path parameter is missing'));
+      return false;
+    }
+    const found = this.exists(filePath, state);
+    checks.push(this.check(label, found, found ? `${filePath} exists` : `${filePath} not found`));
+    return found;
+  }
+
+  requireWritable(filePath, state, checks) {
+    if (!filePath) {
+      checks.push(this.check('target writable', false, 'Target path parameter is missing'));
+      return false;
+    }
+    const writable = this.isWritable(filePath, state);
+    checks.push(this.check(
+      'target writable',
+      writable,
+      writable ? `${path.dirname(filePath)} is writable` : `Cannot write to ${path.dirname(filePath)}`
+    ));
+    return writable;
+  }
+
+  requireUrl(url, checks) {
+    let valid = false;
+    try {
+      const parsed = new URL(String(url));
+      valid = ['http:', 'https:'].includes(parsed.protocol);
+    } catch (error) {
+      valid = false;
+    }
+    checks.push(this.check('URL well-formed', valid, valid ? `${url} is a valid URL` : `Invalid URL: ${url}`));
+    return valid;
+  }
+
+  markCreated(filePath, state) {
+    const resolved = path.resolve(String(filePath));
+    state.created.add(resolved);
+    state.deleted.delete(resolved);
+  }
+
+  markDeleted(filePath, state) {
+    const resolved = path.resolve(String(filePath));
+    state.deleted.add(resolved);
+    state.created.delete(resolved);
+  }
+
+  /**
+   * Find an executable on PATH
+   */
+  findExecutable(name) {
+    if (name.includes('/') || name.includes('\\')) {
+      return fs.existsSync(name);
+    }
+
+    const extensions = process.platform === 'win32'
+      ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').map(e => e.toLowerCase())]
+      : [''];
+
+    return (process.env.PATH || '')
+      .split(path.delimiter)
+      .filter(Boolean)
+      .some(dir => extensions.some(ext => fs.existsSync(path.join(dir, name + ext))));
+  }
+
+  // ==================== Filesystem ==================== //
+
+  filesystem_list_files(params, state, checks) {
+    this.requireExisting(params.path, state, checks, 'directory exists');
+    return { success: true, files: [], count: 0, directory: params.path, simulated: true };
+  }
+
+  filesystem_read_file(params, state, checks) {
+    this.requireExisting(params.path, state, checks);
+    return { success: true, path: params.path, content: '', size: 0, simulated: true };
+  }
+
+  filesystem_file_exists(params, state) {
+    return { success: true, path: params.path, exists: this.exists(params.path, state), simulated: true };
+  }
+
+  filesystem_get_file_info(params, state, checks) {
+    this.requireExisting(params.path, state, checks);
+    return { success: true, path: params.path, simulated: true };
+  }
+
+  filesystem_write_file(params, state, checks, effects) {
+    const { path: filePath, content = '' } = params;
+    if (this.requireWritable(filePath, state, checks)) {
+      const bytes = String(content).length;
+      if (this.exists(filePath, state)) {
+        const size = this.fileSize(filePath);
+        effects.push(`Overwrite ${filePath} with ${bytes} bytes${size !== null ? ` (currently ${size} bytes)` : ''}`);
+      } else {
+        effects.push(`Create ${filePath} (${bytes} bytes)`);
+      }
+      this.markCreated(filePath, state);
+    }
+    return { success: true, path: filePath, bytesWritten: String(content).length, simulated: true };
+  }
+
+  filesystem_rename_file(params, state, checks, effects) {
+    const { oldPath, newPath } = params;
+    const sourceOk = this.requireExisting(oldPath, state, checks, 'source exists');
+    const targetOk = this.requireWritable(newPath, state, checks);
+    if (sourceOk && targetOk) {
+      effects.push(`Rename ${oldPath} -> ${newPath}`);
+      if (this.exists(newPath, state)) {
+        effects.push(`Replace existing ${newPath}`);
+      }
+      this.markDeleted(oldPath, state);
+      this.markCreated(newPath, state);
+    }
+    return { success: true, oldPath, newPath, simulated: true };
+  }
+
+  filesystem_delete_file(params, state, checks, effects) {
+    const { path: filePath } = params;
+    if (this.requireExisting(filePath, state, checks)) {
+      const size = this.fileSize(filePath);
+      effects.push(`Delete ${filePath}${size !== null ? ` (${size} bytes)` : ''}`);
+      this.markDeleted(filePath, state);
+    }
+    return { success: true, deletedPath: filePath, simulated: true };
+  }
+
+  filesystem_copy_file(params, state, checks, effects) {
+    const { source, destination } = params;
+    const sourceOk = this.requireExisting(source, state, checks, 'source exists');
+    const targetOk = this.requireWritable(destination, state, checks);
+    if (sourceOk && targetOk) {
+      effects.push(`Copy ${source} -> ${destination}`);
+      if (this.exists(destination, state)) {
+        effects.push(`Replace existing ${destination}`);
+      }
+      this.markCreated(destination, state);
+    }
+    return { success: true, source, destination, simulated: true };
+  }
+
+  // ==================== Spreadsheet ==================== //
+
+  spreadsheet_read_spreadsheet(params, state, checks) {
+    this.requireExisting(params.path, state, checks);
+    return { success: true, path: params.path, data: [], rowCount: 0, columnCount: 0, simulated: true };
+  }
+
+  spreadsheet_filter_data(params, state, checks) {
+    this.requireExisting(params.path, state, checks);
+    return { success: true, path: params.path, matchedRows: 0, data: [], simulated: true };
+  }
+
+  spreadsheet_get_cell(params, state, checks) {
+    this.requireExisting(params.path, state, checks);
+    return { success: true, row: params.row, column: params.column, value: null, simulated: true };
+  }
+
+  spreadsheet_write_spreadsheet(params, state, checks, effects) {
+    const { path: filePath, data, sheet } = params;
+    const isArray = Array.isArray(data);
+    checks.push(this.check('data is a list of rows', isArray, isArray ? `${data.length} rows` : 'data must be an array'));
+    if (this.requireWritable(filePath, state, checks) && isArray) {
+      const verb = this.exists(filePath, state) ? 'Overwrite' : 'Create';
+      effects.push(`${verb} ${filePath} with ${data.length} rows (sheet: ${sheet || 'Sheet1'})`);
+      this.markCreated(filePath, state);
+    }
+    return { success: true, path: filePath, sheet: sheet || 'Sheet1', rowsWritten: isArray ? data.length : 0, simulated: true };
+  }
+
+  spreadsheet_sort_data(params, state, checks, effects) {
+    const { path: filePath, column, order } = params;
+    const exists = this.requireExisting(filePath, state, checks);
+    checks.push(this.check('column given', Boolean(column), column ? `Sort by ${column}` : 'Column parameter required'));
+    if (exists && column) {
+      effects.push(`Sort ${filePath} by ${column} (${order === 'desc' ? 'desc' : 'asc'}) and rewrite it in place`);
+    }
+    return { success: true, path: filePath, sortedBy: column, order: order === 'desc' ? 'desc' : 'asc', simulated: true };
+  }
+
+  spreadsheet_append_data(params, state, checks, effects) {
+    const { path: filePath, data } = params;
+    const exists = this.requireExisting(filePath, state, checks);
+    const isArray = Array.isArray(data);
+    checks.push(this.check('data is a list of rows', isArray, isArray ? `${data.length} rows` : 'data must be an array'));
+    if (exists && isArray) {
+      effects.push(`Append ${data.length} rows to ${filePath}`);
+    }
+    return { success: true, path: filePath, rowsAppended: isArray ? data.length : 0, simulated: true };
+  }
+
+  // ==================== Web ==================== //
+
+  web_fetch_url(params, state, checks, effects) {
+    const { url, method = 'GET' } = params;
+    if (this.requireUrl(url, checks)) {
+      const upper = String(method).toUpperCase();
+      effects.push(upper === 'GET'
+        ? `Fetch ${url} (not requested during dry run)`
+        : `Send ${upper} request to ${url}`);
+    }
+    return { success: true, url, method, status: null, data: '', simulated: true };
+  }
+
+  web_submit_form(params, state, checks, effects) {
+    const { url, fields = {} } = params;
+    if (this.requireUrl(url, checks)) {
+      effects.push(`Submit form with ${Object.keys(fields).length} field(s) to ${url}`);
+    }
+    return { success: true, url, status: null, simulated: true };
+  }
+
+  web_get_page_info(params, state, checks, effects) {
+    if (this.requireUrl(params.url, checks)) {
+      effects.push(`Fetch ${params.url} (not requested during dry run)`);
+    }
+    return { success: true, url: params.url, title: null, description: null, simulated: true };
+  }
+
+  // ==================== Shell ==================== //
+
+  shell_execute_command(params, state, checks, effects) {
+    const { command, cwd = process.cwd() } = params;
+    if (!command) {
+      checks.push(this.check('command given', false, 'Command parameter is required'));
+      return { success: true, command, simulated: true };
+    }
+
+    this.requireExisting(cwd, state, checks, 'working directory exists');
+
+    const match = String(command).trim().match(/^"([^"]+)"|^(\S+)/);
+    const binary = match ? match[1] || match[2] : '';
+    const found = SHELL_BUILTINS.includes(binary.toLowerCase()) || this.findExecutable(binary);
+    checks.push(this.check('command on PATH', found, found ? `${binary} found` : `${binary} not found on PATH`));
+
+    effects.push(`Run \`${command}\` in ${cwd}`);
+    return { success: true, command, cwd, stdout: '', stderr: '', exitCode: 0, simulated: true };
+  }
+
+  shell_get_output(params, state, checks, effects) {
+    const result = this.shell_execute_command(params, state, checks, effects);
+    return { success: true, command: result.command, output: '', simulated: true };
+  }
+
+  shell_create_directory(params, state, checks, effects) {
+    if (this.requireWritable(path.join(String(params.path || ''), 'x'), state, checks)) {
+      effects.push(`Create directory ${params.path}`);
+      this.markCreated(params.path, state);
+    }
+    return { success: true, path: params.path, created: true, simulated: true };
+  }
+
+  shell_remove_directory(params, state, checks, effects) {
+    if (this.requireExisting(params.path, state, checks, 'directory exists')) {
+      effects.push(`Remove directory ${params.path}${params.recursive ? ' and everything in it' : ''}`);
+      this.markDeleted(params.path, state);
+    }
+    return { success: true, path: params.path, removed: true, simulated: true };
+  }
+
+  shell_list_directory(params, state, checks) {
+    this.requireExisting(params.path || '.', state, checks, 'directory exists');
+    return { success: true, path: params.path, contents: '', simulated: true };
+  }
+}
+
+module.exports = new Simulator();
@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+/**
+ * Workflow Trash
+ * Deleting a workflow moves it to the trash, recording when it was deleted
+ * and by whom. Its runs, versions and fixture files are kept until it is
+ * purged, either by hand or by the retention sweeper (see retention.js).
+ * A workflow restored from the trash keeps its ID and history.
+ */
+
+class WorkflowTrash {
+  /**
+   * Move a workflow to the trash
+   * @param {Object} meta - {author} recorded as deletedBy
+   * @returns {Object|null} the trashed workflow, or null if there is no
+   *   such workflow
+   */
+  trash(workflowId, meta = {}) {
+    try {
+      return storage.lockWorkflow(workflowId, () => {
+        const workflow = storage.readWorkflow(workflowId);
+        if (!workflow) {
+          return null;
+        }
+
+        const trashed = { ...workflow, deletedAt: new Date().toISOString(), deletedBy: meta.author || null };
+        delete trashed.schemaErrors;
+        storage.moveToTrash(trashed);
+        logger.info(`Workflow moved to trash: ${workflowId}${meta.author ? ` (by ${meta.author})` : ''}`);
+        return trashed;
+      });
+    } catch (error) {
+      logger.error('Error moving workflow to trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Workflows in the trash, most recently deleted first, without their
+   * definitions
+   */
+  list() {
+    return storage.getTrashedWorkflows().map(workflow => ({
+      id: workflow.id,
+      name: workflow.name,
+      description: workflow.description,
+      folder: workflow.folder,
+      tags: workflow.tags,
+      version: workflow.version,
+      createdAt: workflow.createdAt,
+      deletedAt: workflow.deletedAt,
+      deletedBy: workflow.deletedBy,
+      runCount: storage.countRuns(workflow.id),
+    }));
+  }
+
+  /**
+   * Move a workflow out of the trash
+   * If another workflow has taken its name in the meantime, it is restored
+   * as "Name (restored)", "Name (restored 2)", and so on. Each name is
+   * checked and taken while holding its name lock, so a workflow saved
+   * under the same name at once cannot end up sharing it.
+   * @returns {Object|null} the restored workflow, or null if it is not in
+   *   the trash
+   */
+  restore(workflowId) {
+    try {
+      const found = storage.readTrashedWorkflow(workflowId);
+      if (!found) {
+        return null;
+      }
+
+      return storage.lockWorkflowName(found.name, () => {
+        if (!storage.getWorkflowByName(found.name)) {
+          return this.moveFromTrash(workflowId, found.name);
+        }
+        for (let n = 1; ; n++) {
+          const name = n === 1 ? `${found.name} (restored)` : `${found.name} (restored ${n})`;
+          const restored = storage.lockWorkflowName(name, () =>
+            storage.getWorkflowByName(name) ? undefined : this.moveFromTrash(workflowId, name)
+          );
+          if (restored !== undefined) {
+            return restored;
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error restoring workflow from trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a workflow out of the trash under the given name; the caller
+   * holds the lock on that name
+   * @returns {Object|null} null if it is no longer in the trash
+   */
+  moveFromTrash(workflowId, name) {
+    return storage.lockWorkflow(workflowId, () => {
+      const trashed = storage.readTrashedWorkflow(workflowId);
+      if (!trashed) {
+        return null;
+      }
+
+      const restored = { ...trashed, name, revision: (trashed.revision || 0) + 1 };
+      delete restored.deletedAt;
+      delete restored.deletedBy;
+
+      storage.checkWorkflow(restored, trashed);
+      storage.moveFromTrash(restored);
+      logger.info(`Workflow restored from trash: ${workflowId} as "${restored.name}"`);
+      return restored;
+    });
+  }
+
+  /**
+   * Delete a workflow in the trash for good, with its runs, versions,
+   * fixture files and undo journals
+   * @returns {boolean} false if it is not in the trash
+   */
+  purge(workflowId) {
+    try {
+      if (!storage.readTrashedWorkflow(workflowId)) {
+        return false;
+      }
+      storage.getRuns(workflowId).forEach(record => storage.deleteJournal(record.runId));
+      storage.deleteWorkflow(workflowId);
+      logger.info(`Workflow purged from trash: ${workflowId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error purging workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge every workflow in the trash
+   * @returns {number} how many were purged
+   */
+  empty() {
+    return storage.getTrashedWorkflows().filter(workflow => this.purge(workflow.id)).length;
+  }
+}
+
+module.exports = new WorkflowTrash();
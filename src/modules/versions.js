@@ -0,0 +1,188 @@
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+/**
+ * Workflow Versions
+ * Every save of a workflow's definition (recording, re-recording, an
+ * approved AI fix, a restore) is kept as an immutable version by
+ * storage.commitVersion. This module lists, compares and restores them.
+ */
+
+class WorkflowVersions {
+  /**
+   * Versions of a workflow, newest first, without their definitions
+   */
+  list(workflowId) {
+    return storage.getWorkflowVersions(workflowId).map(version => ({
+      version: version.version,
+      note: version.note,
+      author: version.author,
+      createdAt: version.createdAt,
+      stepCount: version.analysis?.steps?.length || 0,
+    }));
+  }
+
+  /**
+   * A single version with its full definition
+   */
+  get(workflowId, version) {
+    return storage.getWorkflowVersion(workflowId, version);
+  }
+
+  /**
+   * The workflow as it was at a version (the current workflow if that is
+   * the version asked for, or the version no longer exists)
+   */
+  getWorkflowAt(workflow, version) {
+    if (!version || workflow.version === version) {
+      return workflow;
+    }
+    const snapshot = storage.getWorkflowVersion(workflow.id, version);
+    if (!snapshot) {
+      logger.warn(`Version ${version} of workflow ${workflow.id} not found; using the current version`);
+      return workflow;
+    }
+    return { ...workflow, analysis: snapshot.analysis, version };
+  }
+
+  /**
+   * Compare the steps of two versions
+   * Steps are matched by content; a removed step followed by an added one
+   * at the same place is reported as a change with the fields that differ.
+   * @returns {{from: number, to: number, changes: Array<{type: 'added'|'removed'|'changed',
+   *   fromStep?: number, toStep?: number, step?: Object, fields?: Array}>}}
+   */
+  diff(workflowId, fromVersion, toVersion) {
+    const from = storage.getWorkflowVersion(workflowId, fromVersion);
+    const to = storage.getWorkflowVersion(workflowId, toVersion);
+    if (!from || !to) {
+      throw new Error(`Version not found: ${!from ? fromVersion : toVersion}`);
+    }
+
+    const fromSteps = from.analysis?.steps || [];
+    const toSteps = to.analysis?.steps || [];
+    const changes = [];
+
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      const paired = Math.min(removed.length, added.length);
+      for (let i = 0; i < paired; i++) {
+        changes.push({
+          type: 'changed',
+          fromStep: removed[i] + 1,
+          toStep: added[i] + 1,
+          fields: this.diffFields(fromSteps[removed[i]], toSteps[added[i]]),
+        });
+      }
+      removed.slice(paired).forEach(index => {
+        changes.push({ type: 'removed', fromStep: index + 1, step: fromSteps[index] });
+      });
+      added.slice(paired).forEach(index => {
+        changes.push({ type: 'added', toStep: index + 1, step: toSteps[index] });
+      });
+      removed = [];
+      added = [];
+    };
+
+    this.alignSteps(fromSteps, toSteps).forEach(([fromIndex, toIndex]) => {
+      if (fromIndex !== null && toIndex !== null) {
+        flush();
+      } else if (fromIndex !== null) {
+        removed.push(fromIndex);
+      } else {
+        added.push(toIndex);
+      }
+    });
+    flush();
+
+    return { from: from.version, to: to.version, changes };
+  }
+
+  /**
+   * Align two step lists by their longest common subsequence
+   * @returns {Array<[number|null, number|null]>} index pairs in order;
+   *   null on one side for a step only in the other list
+   */
+  alignSteps(fromSteps, toSteps) {
+    const a = fromSteps.map(step => JSON.stringify(step));
+    const b = toSteps.map(step => JSON.stringify(step));
+
+    // lengths[i][j]: LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        pairs.push([i++, j++]);
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        pairs.push([i++, null]);
+      } else {
+        pairs.push([null, j++]);
+      }
+    }
+    while (i < a.length) pairs.push([i++, null]);
+    while (j < b.length) pairs.push([null, j++]);
+    return pairs;
+  }
+
+  /**
+   * Top-level fields that differ between two steps
+   */
+  diffFields(fromStep, toStep) {
+    const fields = [...new Set([...Object.keys(fromStep), ...Object.keys(toStep)])];
+    return fields
+      .filter(field => JSON.stringify(fromStep[field]) !== JSON.stringify(toStep[field]))
+      .map(field => ({ field, from: fromStep[field], to: toStep[field] }));
+  }
+
+  /**
+   * Make an old version current again, saved as a new version
+   * @param {Object} meta - {note, author, revision}; if revision is given the
+   *   workflow must still be at that revision
+   */
+  restore(workflowId, version, meta = {}) {
+    try {
+      return storage.lockWorkflow(workflowId, () => {
+        const workflow = storage.getWorkflow(workflowId);
+        if (!workflow) {
+          throw new Error(`Workflow not found: ${workflowId}`);
+        }
+        if (meta.revision !== undefined && meta.revision !== (workflow.revision || 0)) {
+          throw storage.conflict(workflowId, workflow.revision || 0);
+        }
+        const snapshot = storage.getWorkflowVersion(workflowId, version);
+        if (!snapshot) {
+          throw new Error(`Version not found: ${version}`);
+        }
+
+        const restored = {
+          ...workflow,
+          analysis: snapshot.analysis,
+          recordedData: snapshot.recordedData,
+          updatedAt: new Date().toISOString(),
+        };
+        storage.commitVersion(restored, {
+          note: meta.note || `Restored version ${snapshot.version}`,
+          author: meta.author,
+        });
+        storage.saveWorkflow(restored);
+
+        logger.info(`Workflow ${workflowId} restored to version ${snapshot.version} as version ${restored.version}`);
+        return restored;
+      });
+    } catch (error) {
+      logger.error('Error restoring workflow version:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WorkflowVersions();
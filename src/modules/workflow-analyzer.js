@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const mcpTools = require('./mcp-tools');
 const aiClient = require('./ai-client');
+const { validateDocument, invalid } = require('../storage/schema');
 
 class WorkflowAnalyzer {
   constructor() {
@@ -9,9 +10,15 @@ class WorkflowAnalyzer {
 
   /**
    * Analyze recorded workflow and generate procedures
+   * Fails with EINVALID if recordedData is not a recording or the AI's
+   * answer is not a usable analysis.
    */
   async analyzeWorkflow(recordedData) {
     try {
+      const recordingErrors = validateDocument('recording', recordedData);
+      if (recordingErrors.length > 0) {
+        throw invalid('Invalid recordedData', recordingErrors);
+      }
       logger.info('Starting workflow analysis');
 
       const summary = this.createWorkflowSummary(recordedData);
@@ -46,11 +53,37 @@ Generate a structured procedure that:
 
 IMPORTANT: Use the EXACT method names from the tool definitions above (e.g., list_files, read_file, write_file, etc.)
 
+Parameters can reference values resolved at run time instead of hard-coding them:
+- {{variables.name}} for an extracted variable (e.g., {{variables.sample_name}})
+- {{steps.N.result.field}} for the result of an earlier step (e.g., {{steps.1.result.files}})
+A parameter that is exactly one reference receives the raw value (arrays and objects are kept intact).
+
+Conditional logic and loops are expressed with control steps, which contain their own nested steps:
+- {"type": "if", "description": "...", "condition": "steps.1.result.count > 0", "then": [steps], "else": [steps]}
+  Conditions support == != > >= < <= && || ! contains matches, quoted strings, numbers and references.
+- {"type": "for_each", "description": "...", "items": "{{steps.1.result.files}}", "as": "file", "steps": [steps]}
+  Inside the loop, {{file}} is the current item and {{loop.index}} its position.
+- {"type": "parallel", "description": "...", "concurrency": 4, "steps": [steps]}
+  Runs independent steps (e.g. fetching several URLs) at the same time; they must not depend on each other.
+Give nested steps a unique "id" (e.g. "rename_file") if later steps need to reference their results.
+
+Steps that touch the network or shared drives may fail intermittently. They can optionally declare:
+- "retry": {"attempts": 3, "backoff": "exponential", "retryOn": ["timeout", "network", "http_5xx"]}
+- "timeout_ms": 60000 (per attempt)
+
+Turn each step's expected_output into checkable "assertions" where possible:
+- {"type": "exit_code", "equals": 0} for shell commands (use "in": [0, 1] if other codes are fine)
+- {"type": "file_exists", "path": "..."} after creating, moving or copying a file
+- {"type": "row_count", "gt": 0} for spreadsheet reads and writes
+- {"type": "status", "range": "2xx"} for web requests
+- {"type": "matches", "pattern": "regex", "field": "stdout"} for text output
+Comparisons available: equals, not_equals, gt, gte, lt, lte, in.
+
 Format your response as JSON with this structure:
 {
   "goal": "high-level description of what this workflow accomplishes",
   "variables": [
-    {"name": "sample_name", "type": "string", "extracted_from": "filename pattern", "value": ""}
+    {"name": "sample_name", "type": "string|number|boolean|array|date|url", "extracted_from": "filename pattern", "value": "default value"}
   ],
   "steps": [
     {
@@ -60,7 +93,8 @@ Format your response as JSON with this structure:
       "tool_action": "read_file|write_file|list_files|etc",
       "parameters": {"key": "value"},
       "expected_output": "description of expected result",
-      "error_handling": "stop|continue|ask"
+      "assertions": [{"type": "exit_code", "equals": 0}],
+      "error_handling": "stop|continue|ask|heal"
     }
   ],
   "adaptive_rules": [
@@ -72,6 +106,7 @@ Format your response as JSON with this structure:
 `;
 
       const response = await this.callAI(prompt);
+      this.validateAnalysis(response);
       logger.info('Workflow analysis completed');
 
       return response;
@@ -132,12 +167,18 @@ Format your response as JSON with this structure:
   }
 
   /**
-   * Validate if analysis looks reasonable
+   * Check that the AI's answer is an analysis that can be saved and run
+   * @throws {Error} EINVALID, with the schema errors in error.errors
    */
   validateAnalysis(analysis) {
-    if (!analysis.goal || !analysis.steps || analysis.steps.length === 0) {
-      logger.warn('Analysis validation failed: missing goal or steps');
-      return false;
+    if (analysis && analysis.raw_response !== undefined) {
+      logger.warn('Analysis validation failed: AI response was not JSON');
+      throw invalid('The AI response was not valid JSON', [String(analysis.raw_response).slice(0, 200)]);
+    }
+    const errors = validateDocument('analysis', analysis);
+    if (errors.length > 0) {
+      logger.warn(`Analysis validation failed: ${errors.join('; ')}`);
+      throw invalid('The AI returned an analysis that cannot be run', errors);
     }
     return true;
   }
@@ -8,6 +8,10 @@ let appState = {
   recordingData: null,
   recordingStartTime: null,
   recordingTimerInterval: null,
+  pendingConfirmation: null,
+  suspendedExecution: null,
+  runningExecution: null,
+  lastExecution: null,
 };
 
 const API_BASE = 'http://localhost:3000/api';
@@ -26,7 +30,9 @@ async function initializeApp() {
   setupRecorderListeners();
   setupWorkflowsListeners();
   setupExecutionListeners();
+  setupStepConfirmationListeners();
   setupSettingsListeners();
+  removeStoredApiKey();
 
   // Load initial data
   await loadWorkflows();
@@ -68,6 +74,11 @@ function switchView(viewName) {
       loadWorkflows();
     } else if (viewName === 'execute') {
       populateWorkflowDropdown();
+      loadInterruptedExecutions();
+    } else if (viewName === 'settings') {
+      loadSecrets();
+      loadRetentionPolicy();
+      loadTrash();
     }
   }
 }
@@ -290,6 +301,9 @@ async function saveWorkflow() {
       body: JSON.stringify({
         name,
         recordedData: appState.recordingData,
+        description: document.getElementById('workflow-description').value,
+        tags: document.getElementById('workflow-tags').value,
+        folder: document.getElementById('workflow-folder').value,
       }),
     });
 
@@ -310,6 +324,8 @@ async function saveWorkflow() {
 function resetRecorder() {
   document.getElementById('workflow-name').value = '';
   document.getElementById('workflow-description').value = '';
+  document.getElementById('workflow-tags').value = '';
+  document.getElementById('workflow-folder').value = '';
   document.getElementById('recording-setup').classList.remove('hidden');
   document.getElementById('recording-progress').classList.add('hidden');
   document.getElementById('analysis-results').classList.add('hidden');
@@ -362,13 +378,26 @@ function displayWorkflows(workflows) {
         <div style="font-size: 1.5em;">📋</div>
       </div>
       <div class="workflow-item-meta">
+        ${workflow.folder ? `<span>📁 ${escapeHtml(workflow.folder)}</span>` : ''}
+        ${
+          workflow.schemaErrors
+            ? `<span class="workflow-invalid" title="${escapeHtml(workflow.schemaErrors.join('\n'))}">⚠️ Invalid</span>`
+            : ''
+        }
         <span>📅 ${new Date(workflow.createdAt).toLocaleDateString()}</span>
         <span>⚡ ${workflow.recordedData?.actionCount || 0} actions</span>
         <span>💭 ${workflow.recordedData?.intentCount || 0} intents</span>
       </div>
       <div class="workflow-item-desc">
-        ${workflow.analysis?.goal || 'Click to view details'}
+        ${escapeHtml(workflow.description || workflow.analysis?.goal || 'Click to view details')}
       </div>
+      ${
+        workflow.tags?.length
+          ? `<div class="workflow-tags">${workflow.tags
+              .map(tag => `<span class="workflow-tag" data-tag="${escapeHtml(tag)}" onclick="filterByTag(event, this.dataset.tag)">#${escapeHtml(tag)}</span>`)
+              .join('')}</div>`
+          : ''
+      }
       <div class="workflow-item-actions">
         <button class="btn btn-primary btn-sm" onclick="executeWorkflowDirect('${workflow.id}')">▶️ Execute</button>
         <button class="btn btn-secondary btn-sm" onclick="deleteWorkflowItem('${workflow.id}')">🗑️ Delete</button>
@@ -379,11 +408,34 @@ function displayWorkflows(workflows) {
     .join('');
 }
 
-function filterWorkflows(query) {
-  const filtered = appState.workflows.filter(w =>
-    w.name.toLowerCase().includes(query.toLowerCase())
-  );
-  displayWorkflows(filtered);
+// Numbers searches so a slow response cannot replace a newer one
+let searchSequence = 0;
+
+async function filterWorkflows(query) {
+  const sequence = ++searchSequence;
+  if (!query.trim()) {
+    displayWorkflows(appState.workflows);
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.searchWorkflows({ q: query, limit: 200 });
+    if (sequence !== searchSequence) return;
+    if (result.success) {
+      displayWorkflows(result.workflows);
+    } else {
+      showToast('Error searching workflows: ' + result.error, 'error');
+    }
+  } catch (error) {
+    console.error('Error searching workflows:', error);
+  }
+}
+
+function filterByTag(event, tag) {
+  event.stopPropagation();
+  const searchInput = document.getElementById('workflow-search');
+  searchInput.value = `tag:${tag}`;
+  filterWorkflows(searchInput.value);
 }
 
 async function showWorkflowModal(workflowId) {
@@ -411,8 +463,26 @@ async function showWorkflowModal(workflowId) {
       `
           : ''
       }
+      <div class="workflow-details-form">
+        <div class="form-group">
+          <label for="details-description">Description</label>
+          <textarea id="details-description" class="input" rows="2">${escapeHtml(workflow.description || '')}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="details-tags">Tags (comma-separated)</label>
+          <input type="text" id="details-tags" class="input" value="${escapeHtml((workflow.tags || []).join(', '))}" />
+        </div>
+        <div class="form-group">
+          <label for="details-folder">Folder</label>
+          <input type="text" id="details-folder" class="input" value="${escapeHtml(workflow.folder || '')}" />
+        </div>
+        <button class="btn btn-secondary btn-sm" onclick="saveWorkflowDetails('${workflow.id}', ${workflow.revision || 0})">💾 Save Details</button>
+      </div>
       <p><strong>Created:</strong> ${new Date(workflow.createdAt).toLocaleString()}</p>
-      <p><strong>Executions:</strong> ${workflow.executionHistory?.length || 0}</p>
+      <p><strong>Version:</strong> ${workflow.version || 'unversioned'}</p>
+      <p><strong>Executions:</strong> ${workflow.runCount || 0}</p>
+      <div id="modal-recent-runs"></div>
+      <div id="modal-versions"></div>
     </div>
   `;
 
@@ -423,6 +493,112 @@ async function showWorkflowModal(workflowId) {
   };
 
   modal.classList.remove('hidden');
+  loadRecentRuns(workflowId);
+  loadVersions(workflow);
+}
+
+async function saveWorkflowDetails(workflowId, revision) {
+  try {
+    const result = await window.electronAPI.updateWorkflowDetails(
+      workflowId,
+      {
+        description: document.getElementById('details-description').value,
+        tags: document.getElementById('details-tags').value,
+        folder: document.getElementById('details-folder').value,
+      },
+      revision
+    );
+    if (!result.success) {
+      showToast('Error saving details: ' + result.error, 'error');
+      return;
+    }
+
+    showToast('Details saved', 'success');
+    await loadWorkflows();
+    showWorkflowModal(workflowId);
+  } catch (error) {
+    showToast('Error saving details: ' + error.message, 'error');
+  }
+}
+
+async function loadVersions(workflow) {
+  const container = document.getElementById('modal-versions');
+  try {
+    const result = await window.electronAPI.getWorkflowVersions(workflow.id);
+    if (!result.success || result.versions.length < 2) return;
+
+    container.innerHTML = `
+      <p><strong>Versions:</strong></p>
+      <ul class="workflow-versions">
+        ${result.versions
+          .map(
+            version => `<li>
+              v${version.version} — ${escapeHtml(version.note || 'No note')}
+              (${new Date(version.createdAt).toLocaleString()}${version.author ? `, ${escapeHtml(version.author)}` : ''})
+              ${
+                version.version === workflow.version
+                  ? '<em>current</em>'
+                  : `<button class="btn btn-secondary btn-sm" onclick="restoreVersion('${workflow.id}', ${version.version}, ${workflow.version}, ${workflow.revision || 0})">↩️ Restore</button>`
+              }
+            </li>`
+          )
+          .join('')}
+      </ul>
+    `;
+  } catch (error) {
+    console.error('Error loading versions:', error);
+  }
+}
+
+async function restoreVersion(workflowId, version, currentVersion, revision) {
+  try {
+    const diff = await window.electronAPI.diffWorkflowVersions(workflowId, currentVersion, version);
+    const summary = diff.success
+      ? `${diff.diff.changes.length} step change(s) from the current version.`
+      : '';
+    if (!confirm(`Restore version ${version}? ${summary} The current version is kept in the history.`)) {
+      return;
+    }
+
+    const result = await window.electronAPI.restoreWorkflowVersion(workflowId, version, { revision });
+    if (!result.success) {
+      showToast('Error restoring version: ' + result.error, 'error');
+      // The workflow may have been changed elsewhere; show the latest
+      await loadWorkflows();
+      return;
+    }
+
+    showToast(`Restored version ${version} as version ${result.workflow.version}`, 'success');
+    await loadWorkflows();
+    showWorkflowModal(workflowId);
+  } catch (error) {
+    showToast('Error restoring version: ' + error.message, 'error');
+  }
+}
+
+async function loadRecentRuns(workflowId) {
+  const container = document.getElementById('modal-recent-runs');
+  try {
+    const result = await window.electronAPI.getWorkflowRuns(workflowId, { limit: 5 });
+    if (!result.success || result.runs.length === 0) return;
+
+    container.innerHTML = `
+      <p><strong>Recent runs:</strong></p>
+      <ul class="recent-runs">
+        ${result.runs
+          .map(
+            run => `<li class="${run.success ? 'success' : 'error'}">
+              ${new Date(run.startedAt).toLocaleString()} — ${run.status}${
+                run.durationMs !== undefined ? ` in ${(run.durationMs / 1000).toFixed(1)}s` : ''
+              }${run.artifacts?.length ? ` (${run.artifacts.length} file(s) written)` : ''}
+            </li>`
+          )
+          .join('')}
+      </ul>
+    `;
+  } catch (error) {
+    console.error('Error loading runs:', error);
+  }
 }
 
 function closeModal() {
@@ -430,15 +606,17 @@ function closeModal() {
 }
 
 async function deleteWorkflowItem(workflowId) {
-  if (!confirm('Are you sure you want to delete this workflow?')) {
+  if (!confirm('Move this workflow to the trash? It can be restored from Settings.')) {
     return;
   }
 
   try {
     const result = await window.electronAPI.deleteWorkflow(workflowId);
     if (result.success) {
-      showToast('Workflow deleted', 'success');
+      showToast('Workflow moved to trash', 'success');
       await loadWorkflows();
+    } else {
+      showToast('Error deleting workflow: ' + result.error, 'error');
     }
   } catch (error) {
     showToast('Error deleting workflow: ' + error.message, 'error');
@@ -456,12 +634,28 @@ function setupExecutionListeners() {
       const hasSelection = e.target.value !== '';
       document.getElementById('execution-options').classList.toggle('hidden', !hasSelection);
       document.getElementById('execute-btn').classList.toggle('hidden', !hasSelection);
+      renderVariablesForm(e.target.value);
     });
   }
 
   if (executeBtn) {
     executeBtn.addEventListener('click', executeWorkflow);
   }
+
+  document.getElementById('resume-retry-btn').addEventListener('click', () => resumeSuspendedExecution('retry'));
+  document.getElementById('resume-skip-btn').addEventListener('click', () => resumeSuspendedExecution('skip'));
+  document.getElementById('resume-abort-btn').addEventListener('click', () => resumeSuspendedExecution('abort'));
+
+  document.getElementById('execution-pause-btn').addEventListener('click', pauseRunningExecution);
+  document.getElementById('execution-resume-btn').addEventListener('click', unpauseRunningExecution);
+  document.getElementById('execution-cancel-btn').addEventListener('click', cancelRunningExecution);
+  document.getElementById('rollback-btn').addEventListener('click', rollbackLastExecution);
+
+  window.electronAPI.onExecutionStarted((execution) => {
+    showExecutionControls(execution);
+    startLiveTimeline();
+  });
+  window.electronAPI.onExecutionEvent(handleExecutionEvent);
 }
 
 function populateWorkflowDropdown() {
@@ -473,6 +667,71 @@ function populateWorkflowDropdown() {
   select.innerHTML = '<option value="">Choose a workflow...</option>' + options;
 }
 
+function renderVariablesForm(workflowId) {
+  const container = document.getElementById('execution-variables');
+  if (!container) return;
+
+  const workflow = appState.workflows.find(w => w.id === workflowId);
+  const variables = workflow?.analysis?.variables || [];
+
+  if (variables.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+
+  container.innerHTML = `
+    <h4>Workflow Variables</h4>
+    ${variables.map(v => renderVariableInput(v)).join('')}
+  `;
+  container.classList.remove('hidden');
+}
+
+function renderVariableInput(variable) {
+  const type = (variable.type || 'string').toLowerCase();
+  const inputId = `variable-${variable.name}`;
+  const value = variable.value ?? '';
+  const hint = variable.extracted_from ? `<p class="help-text">From: ${variable.extracted_from}</p>` : '';
+
+  if (type === 'boolean') {
+    return `
+      <div class="form-group">
+        <label class="checkbox">
+          <input type="checkbox" id="${inputId}" data-variable="${variable.name}" data-type="${type}" ${value === true || value === 'true' ? 'checked' : ''} />
+          <span>${variable.name}</span>
+        </label>
+        ${hint}
+      </div>
+    `;
+  }
+
+  const inputType = ['number', 'integer'].includes(type) ? 'number' : type === 'date' ? 'date' : 'text';
+  const displayValue = typeof value === 'object' ? JSON.stringify(value) : value;
+
+  return `
+    <div class="form-group">
+      <label for="${inputId}">${variable.name} <small>(${type})</small></label>
+      <input
+        type="${inputType}"
+        id="${inputId}"
+        class="input"
+        data-variable="${variable.name}"
+        data-type="${type}"
+        value="${String(displayValue).replace(/"/g, '&quot;')}"
+      />
+      ${hint}
+    </div>
+  `;
+}
+
+function collectVariables() {
+  const variables = {};
+  document.querySelectorAll('#execution-variables [data-variable]').forEach(input => {
+    variables[input.dataset.variable] = input.dataset.type === 'boolean' ? input.checked : input.value;
+  });
+  return variables;
+}
+
 async function executeWorkflow() {
   const selectElement = document.getElementById('execute-workflow-select');
   const workflowId = selectElement.value;
@@ -482,12 +741,18 @@ async function executeWorkflow() {
     return;
   }
 
+  if (document.getElementById('dry-run-checkbox')?.checked) {
+    await dryRunWorkflow(workflowId);
+    return;
+  }
+
   try {
-    const result = await window.electronAPI.executeWorkflow(workflowId);
+    const result = await window.electronAPI.executeWorkflow(workflowId, collectVariables(), getExecutionOptions());
+    hideExecutionControls();
 
     if (result.success) {
       showExecutionLog(result.result);
-      showToast('Workflow executed successfully!', 'success');
+      showExecutionToast(result.result);
     } else {
       showToast('Workflow execution failed: ' + result.error, 'error');
     }
@@ -497,11 +762,20 @@ async function executeWorkflow() {
 }
 
 async function executeWorkflowDirect(workflowId) {
+  const workflow = appState.workflows.find(w => w.id === workflowId);
+  if (workflow?.analysis?.variables?.length > 0) {
+    // Parameterized workflows need their variables filled in first
+    openExecuteView(workflowId);
+    showToast('Fill in the workflow variables, then execute', 'info');
+    return;
+  }
+
   try {
-    const result = await window.electronAPI.executeWorkflow(workflowId);
+    const result = await window.electronAPI.executeWorkflow(workflowId, {}, getExecutionOptions());
+    hideExecutionControls();
 
     if (result.success) {
-      showToast('Workflow executed successfully!', 'success');
+      showExecutionToast(result.result);
       switchView('execute');
       // Lazy load the results
       setTimeout(() => {
@@ -515,6 +789,49 @@ async function executeWorkflowDirect(workflowId) {
   }
 }
 
+async function dryRunWorkflow(workflowId) {
+  try {
+    const response = await fetch(`${API_BASE}/workflows/${workflowId}/dry-run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variables: collectVariables() }),
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      showExecutionLog({ executionLog: result.result.simulationLog });
+      if (result.result.success) {
+        showToast('Dry run passed: no problems found', 'success');
+      } else {
+        showToast(`Dry run found ${result.result.problems.length} problem(s)`, 'warning');
+      }
+    } else {
+      const details = result.details ? ': ' + result.details.join('; ') : '';
+      showToast('Dry run failed: ' + result.error + details, 'error');
+    }
+  } catch (error) {
+    showToast('Error running dry run: ' + error.message, 'error');
+  }
+}
+
+function getExecutionOptions() {
+  const confirmCheckbox = document.getElementById('confirm-each-step');
+  const healCheckbox = document.getElementById('heal-failed-steps');
+  const settings = getSettings();
+  return {
+    confirmEachStep: Boolean(confirmCheckbox?.checked) && !settings.autoConfirmSteps,
+    heal: Boolean(healCheckbox?.checked),
+  };
+}
+
+function openExecuteView(workflowId) {
+  switchView('execute');
+  const select = document.getElementById('execute-workflow-select');
+  select.value = workflowId;
+  select.dispatchEvent(new Event('change'));
+}
+
 function showExecutionLog(result) {
   const logDiv = document.getElementById('execution-log');
   const logEntries = document.getElementById('execution-log-entries');
@@ -522,21 +839,450 @@ function showExecutionLog(result) {
   if (!logDiv) return;
 
   let html = result.executionLog
-    ? result.executionLog
-        .map(
-          entry => `
-      <div class="log-entry ${entry.status}">
-        <strong>Step ${entry.step}:</strong> ${entry.description}
-        <br/>
-        <small>${entry.status === 'success' ? '✅ Success' : '❌ Error: ' + (entry.error || entry.result?.error)}</small>
-      </div>
-    `
-        )
-        .join('')
+    ? result.executionLog.map(renderLogEntry).join('')
     : '<p>No execution log available</p>';
 
   logEntries.innerHTML = html;
   logDiv.classList.remove('hidden');
+
+  // Runs that changed files can be undone from their journal
+  appState.lastExecution = result.runId ? { runId: result.runId } : null;
+  const journaled = (result.executionLog || []).some(entry => entry.journaled);
+  document.getElementById('rollback-btn').classList.toggle('hidden', !(journaled && result.runId));
+
+  showSuspendedExecution(result);
+}
+
+async function rollbackLastExecution() {
+  const execution = appState.lastExecution;
+  if (!execution) return;
+
+  if (!confirm('Undo the file changes made by this run? Files it wrote, renamed or deleted will be restored.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.rollbackExecution(execution.runId);
+    if (!result.success) {
+      showToast('Error rolling back: ' + result.error, 'error');
+      return;
+    }
+
+    document.getElementById('rollback-btn').classList.add('hidden');
+    document.getElementById('execution-suspended').classList.add('hidden');
+    appState.suspendedExecution = null;
+
+    if (result.result.errors.length > 0) {
+      showToast(`Rolled back with ${result.result.errors.length} file(s) not restored`, 'warning');
+    } else {
+      showToast(`Rolled back ${result.result.restored.length} file change(s)`, 'success');
+    }
+  } catch (error) {
+    showToast('Error rolling back: ' + error.message, 'error');
+  }
+}
+
+function renderLogEntry(entry) {
+  return `
+      <div class="log-entry ${entry.status}" data-step="${entry.step}">
+        <strong>Step ${entry.step}:</strong> ${entry.description || entry.type || ''}
+        <br/>
+        <small>${describeEntryStatus(entry)}${describeControlEntry(entry)}${describeAttempts(entry)}${describeAssertions(entry)}</small>
+        ${
+          entry.effects && entry.effects.length > 0
+            ? `<ul class="log-entry-effects">${entry.effects.map(effect => `<li>${effect}</li>`).join('')}</ul>`
+            : ''
+        }
+        ${renderHealedStep(entry)}
+      </div>
+    `;
+}
+
+function renderHealedStep(entry) {
+  // A fix that needed confirmation was only dry run
+  const proposed = entry.heal && entry.heal.status === 'proposed' ? entry.heal : null;
+  if (!entry.healed && !proposed) return '';
+  const fix = entry.healed || proposed;
+  const actions = fix.proposalId
+    ? `<div class="action-buttons" id="fix-${fix.proposalId}">
+          <button class="btn btn-primary btn-sm" onclick="resolveStepFix('${fix.workflowId}', '${fix.proposalId}', true)">💾 Save fix to workflow</button>
+          <button class="btn btn-secondary btn-sm" onclick="resolveStepFix('${fix.workflowId}', '${fix.proposalId}', false)">Discard</button>
+        </div>`
+    : '';
+  return `
+        <div class="healed-step">
+          <small>${
+            proposed
+              ? `🩹 AI fix not run without your confirmation: ${escapeHtml(`${fix.correctedStep.tool}.${fix.correctedStep.tool_action}`)}`
+              : `🩹 Fixed by AI after: ${escapeHtml(fix.error)}`
+          }</small>
+          ${fix.explanation ? `<p>${escapeHtml(fix.explanation)}</p>` : ''}
+          <pre>${escapeHtml(JSON.stringify(fix.correctedStep.parameters, null, 2))}</pre>
+          ${
+            proposed && proposed.effects && proposed.effects.length > 0
+              ? `<ul class="log-entry-effects">${proposed.effects.map(effect => `<li>${escapeHtml(effect)}</li>`).join('')}</ul>`
+              : ''
+          }
+          ${actions}
+        </div>
+      `;
+}
+
+async function resolveStepFix(workflowId, fixId, approve) {
+  try {
+    const result = approve
+      ? await window.electronAPI.approveStepFix(workflowId, fixId)
+      : await window.electronAPI.rejectStepFix(workflowId, fixId);
+    if (!result.success) {
+      showToast('Error saving fix: ' + result.error, 'error');
+      return;
+    }
+
+    document.getElementById(`fix-${fixId}`)?.remove();
+    showToast(approve ? 'Fix saved to the workflow' : 'Fix discarded', approve ? 'success' : 'info');
+  } catch (error) {
+    showToast('Error saving fix: ' + error.message, 'error');
+  }
+}
+
+function showExecutionToast(result) {
+  if (result.cancelled) {
+    showToast('Workflow execution cancelled', 'warning');
+  } else if (result.requiresUserInput) {
+    showToast('A step failed and needs your decision', 'warning');
+  } else if (result.success) {
+    showToast('Workflow executed successfully!', 'success');
+  } else {
+    showToast('Workflow execution failed: ' + result.error, 'error');
+  }
+}
+
+function showSuspendedExecution(result) {
+  const panel = document.getElementById('execution-suspended');
+  if (!panel) return;
+
+  if (!result.requiresUserInput || !result.suspendedStep) {
+    appState.suspendedExecution = null;
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const step = result.suspendedStep;
+  const parametersText = JSON.stringify(step.parameters || {}, null, 2);
+  appState.suspendedExecution = { runId: result.runId, parametersText };
+
+  document.getElementById('suspended-step-title').textContent =
+    `Step ${step.stepId} failed: ${step.description || ''}`;
+  document.getElementById('suspended-step-error').textContent = step.error;
+  document.getElementById('suspended-step-parameters').value = parametersText;
+  panel.classList.remove('hidden');
+}
+
+async function resumeSuspendedExecution(action) {
+  const suspended = appState.suspendedExecution;
+  if (!suspended) return;
+
+  const decision = { action };
+  if (action === 'retry') {
+    const parametersText = document.getElementById('suspended-step-parameters').value;
+    if (parametersText.trim() !== suspended.parametersText.trim()) {
+      try {
+        decision.parameters = JSON.parse(parametersText);
+      } catch (error) {
+        showToast('Parameters must be valid JSON: ' + error.message, 'error');
+        return;
+      }
+    }
+  }
+
+  try {
+    if (action !== 'abort') {
+      showExecutionControls({ runId: suspended.runId });
+    }
+    const result = await window.electronAPI.resumeExecution(suspended.runId, decision, getExecutionOptions());
+    hideExecutionControls();
+    if (result.success) {
+      showExecutionLog(result.result);
+      showExecutionToast(result.result);
+    } else {
+      showToast('Error resuming execution: ' + result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Error resuming execution: ' + error.message, 'error');
+  }
+}
+
+function describeEntryStatus(entry) {
+  const labels = {
+    success: '✅ Success',
+    skipped: '⏭️ Skipped',
+    aborted: '⏹️ Aborted',
+    cancelled: '⏹️ Cancelled',
+  };
+  return labels[entry.status] || '❌ Error: ' + (entry.error || entry.result?.error);
+}
+
+function describeAssertions(entry) {
+  if (!entry.assertions || entry.assertions.length === 0) return '';
+  const passed = entry.assertions.filter(check => check.passed).length;
+  return ` (${passed}/${entry.assertions.length} checks passed)`;
+}
+
+function describeAttempts(entry) {
+  return entry.attempts && entry.attempts.length > 1 ? ` (${entry.attempts.length} attempts)` : '';
+}
+
+function describeControlEntry(entry) {
+  if (entry.type === 'if' && entry.branch) {
+    return ` — took "${entry.branch}" branch`;
+  }
+  if (entry.type === 'for_each' && entry.iterations !== undefined) {
+    return ` — ${entry.iterations} iteration(s)`;
+  }
+  if (entry.type === 'workflow') {
+    return ` — ran workflow "${entry.workflowName || entry.workflowId}"`;
+  }
+  if (entry.type === 'parallel') {
+    return ` — ${entry.succeeded} of ${entry.succeeded + entry.failed} step(s) succeeded in ${entry.durationMs}ms`;
+  }
+  return '';
+}
+
+// ==================== EXECUTION CONTROLS ==================== //
+
+function showExecutionControls(execution) {
+  appState.runningExecution = { runId: execution.runId, paused: false };
+  updateExecutionControls();
+  document.getElementById('execution-controls').classList.remove('hidden');
+}
+
+function hideExecutionControls() {
+  appState.runningExecution = null;
+  document.getElementById('execution-controls').classList.add('hidden');
+}
+
+function updateExecutionControls() {
+  const running = appState.runningExecution;
+  if (!running) return;
+
+  document.getElementById('execution-status').textContent = running.paused
+    ? 'Paused before the next step'
+    : 'Running...';
+  document.getElementById('execution-controls').classList.toggle('paused', running.paused);
+  document.getElementById('execution-pause-btn').classList.toggle('hidden', running.paused);
+  document.getElementById('execution-resume-btn').classList.toggle('hidden', !running.paused);
+}
+
+async function pauseRunningExecution() {
+  const running = appState.runningExecution;
+  if (!running) return;
+
+  const result = await window.electronAPI.pauseExecution(running.runId);
+  if (result.success) {
+    running.paused = true;
+    updateExecutionControls();
+  } else {
+    showToast('Error pausing execution: ' + result.error, 'error');
+  }
+}
+
+async function unpauseRunningExecution() {
+  const running = appState.runningExecution;
+  if (!running) return;
+
+  const result = await window.electronAPI.resumeExecution(running.runId);
+  if (result.success) {
+    running.paused = false;
+    updateExecutionControls();
+  } else {
+    showToast('Error resuming execution: ' + result.error, 'error');
+  }
+}
+
+async function cancelRunningExecution() {
+  const running = appState.runningExecution;
+  if (!running) return;
+
+  if (!confirm('Cancel this execution? Running commands and requests will be stopped.')) {
+    return;
+  }
+
+  const result = await window.electronAPI.cancelExecution(running.runId);
+  if (result.success) {
+    document.getElementById('execution-status').textContent = 'Cancelling...';
+    if (appState.pendingConfirmation?.runId === running.runId) {
+      appState.pendingConfirmation = null;
+      document.getElementById('step-confirm-modal').classList.add('hidden');
+    }
+  } else {
+    showToast('Error cancelling execution: ' + result.error, 'error');
+  }
+}
+
+// ==================== INTERRUPTED RUNS ==================== //
+
+async function loadInterruptedExecutions() {
+  const panel = document.getElementById('interrupted-executions');
+  if (!panel) return;
+
+  try {
+    const result = await window.electronAPI.getSuspendedExecutions();
+    const interrupted = result.success
+      ? result.executions.filter(execution => execution.status === 'interrupted')
+      : [];
+
+    panel.classList.toggle('hidden', interrupted.length === 0);
+    document.getElementById('interrupted-executions-list').innerHTML = interrupted
+      .map(execution => {
+        const workflow = appState.workflows.find(w => w.id === execution.workflowId);
+        const completedSteps = (execution.executionLog || []).length;
+        return `
+      <div class="interrupted-run">
+        <div>
+          <strong>${workflow ? workflow.name : execution.workflowId}</strong>
+          <br/>
+          <small>${completedSteps} step(s) done · last checkpoint ${new Date(execution.updatedAt).toLocaleString()}</small>
+        </div>
+        <div class="action-buttons">
+          <button class="btn btn-primary" onclick="resumeInterruptedExecution('${execution.runId}')">▶️ Resume</button>
+          <button class="btn btn-danger" onclick="discardInterruptedExecution('${execution.runId}')">🗑️ Discard</button>
+        </div>
+      </div>
+    `;
+      })
+      .join('');
+  } catch (error) {
+    console.error('Error loading interrupted executions:', error);
+  }
+}
+
+async function resumeInterruptedExecution(runId) {
+  try {
+    startLiveTimeline();
+    showExecutionControls({ runId });
+    document.getElementById('interrupted-executions').classList.add('hidden');
+
+    const result = await window.electronAPI.resumeExecution(runId, { action: 'retry' }, getExecutionOptions());
+    hideExecutionControls();
+
+    if (result.success) {
+      showExecutionLog(result.result);
+      showExecutionToast(result.result);
+    } else {
+      showToast('Error resuming execution: ' + result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Error resuming execution: ' + error.message, 'error');
+  }
+  loadInterruptedExecutions();
+}
+
+async function discardInterruptedExecution(runId) {
+  if (!confirm('Discard this interrupted run? It can no longer be resumed.')) {
+    return;
+  }
+
+  const result = await window.electronAPI.cancelExecution(runId);
+  if (!result.success) {
+    showToast('Error discarding run: ' + result.error, 'error');
+  }
+  loadInterruptedExecutions();
+}
+
+// ==================== LIVE TIMELINE ==================== //
+
+function startLiveTimeline() {
+  document.getElementById('execution-log-entries').innerHTML = '';
+  document.getElementById('rollback-btn').classList.add('hidden');
+  document.getElementById('execution-log').classList.remove('hidden');
+  document.getElementById('execution-suspended').classList.add('hidden');
+}
+
+function handleExecutionEvent(event) {
+  const running = appState.runningExecution;
+  if (!running || event.runId !== running.runId) return;
+
+  switch (event.type) {
+    case 'step-started':
+      updateTimelineEntry(event.stepId, `
+      <div class="log-entry running" data-step="${event.stepId}">
+        <strong>Step ${event.stepId}:</strong> ${event.description || event.stepType || ''}
+        <br/>
+        <small>⏳ Running...</small>
+      </div>
+    `);
+      break;
+    case 'step-finished':
+    case 'step-failed':
+      updateTimelineEntry(event.stepId, renderLogEntry(event.entry));
+      break;
+    case 'run-paused':
+    case 'run-resumed':
+      running.paused = event.type === 'run-paused';
+      updateExecutionControls();
+      break;
+  }
+}
+
+function updateTimelineEntry(stepId, html) {
+  const logEntries = document.getElementById('execution-log-entries');
+  const existing = logEntries.querySelector(`[data-step="${stepId}"]`);
+
+  if (existing) {
+    existing.outerHTML = html;
+  } else {
+    logEntries.insertAdjacentHTML('beforeend', html);
+  }
+  logEntries.lastElementChild?.scrollIntoView({ block: 'nearest' });
+}
+
+// ==================== STEP CONFIRMATION ==================== //
+
+function setupStepConfirmationListeners() {
+  document.getElementById('step-approve-btn').addEventListener('click', approveStep);
+  document.getElementById('step-skip-btn').addEventListener('click', () => respondToStep({ action: 'skip' }));
+  document.getElementById('step-abort-btn').addEventListener('click', () => respondToStep({ action: 'abort' }));
+
+  window.electronAPI.onStepConfirmationRequest(showStepConfirmation);
+}
+
+function showStepConfirmation(request) {
+  appState.pendingConfirmation = request;
+
+  document.getElementById('step-confirm-title').textContent = `Confirm Step ${request.stepId}`;
+  document.getElementById('step-confirm-description').textContent = request.description || '';
+  document.getElementById('step-confirm-tool').textContent = `Tool: ${request.tool}.${request.toolAction}`;
+  document.getElementById('step-confirm-expected').textContent = request.expectedOutput
+    ? `Expected: ${request.expectedOutput}`
+    : '';
+  document.getElementById('step-confirm-parameters').value = JSON.stringify(request.parameters, null, 2);
+
+  document.getElementById('step-confirm-modal').classList.remove('hidden');
+}
+
+function approveStep() {
+  let parameters;
+  try {
+    parameters = JSON.parse(document.getElementById('step-confirm-parameters').value);
+  } catch (error) {
+    showToast('Parameters must be valid JSON: ' + error.message, 'error');
+    return;
+  }
+  respondToStep({ action: 'approve', parameters });
+}
+
+async function respondToStep(decision) {
+  const request = appState.pendingConfirmation;
+  if (!request) return;
+
+  appState.pendingConfirmation = null;
+  document.getElementById('step-confirm-modal').classList.add('hidden');
+
+  try {
+    await window.electronAPI.respondStepConfirmation(request.requestId, decision);
+  } catch (error) {
+    showToast('Error responding to step: ' + error.message, 'error');
+  }
 }
 
 // ==================== SETTINGS ==================== //
@@ -544,53 +1290,370 @@ function showExecutionLog(result) {
 function setupSettingsListeners() {
   const saveBtn = document.getElementById('save-settings-btn');
   const exportBtn = document.getElementById('export-workflows-btn');
+  const importBtn = document.getElementById('import-workflows-btn');
   const clearBtn = document.getElementById('clear-history-btn');
+  const emptyTrashBtn = document.getElementById('empty-trash-btn');
+  const unlockSecretsBtn = document.getElementById('unlock-secrets-btn');
+  const lockSecretsBtn = document.getElementById('lock-secrets-btn');
+  const addSecretBtn = document.getElementById('add-secret-btn');
 
   if (saveBtn) saveBtn.addEventListener('click', saveSettings);
   if (exportBtn) exportBtn.addEventListener('click', exportWorkflows);
+  if (importBtn) importBtn.addEventListener('click', importWorkflows);
   if (clearBtn) clearBtn.addEventListener('click', clearHistory);
+  if (emptyTrashBtn) emptyTrashBtn.addEventListener('click', emptyTrash);
+  if (unlockSecretsBtn) unlockSecretsBtn.addEventListener('click', unlockSecrets);
+  if (lockSecretsBtn) lockSecretsBtn.addEventListener('click', lockSecrets);
+  if (addSecretBtn) addSecretBtn.addEventListener('click', addSecret);
 }
 
-function saveSettings() {
+// Retention policy fields and the inputs editing them; an empty input turns the rule off
+const RETENTION_INPUTS = {
+  keepLast: 'retention-keep-last',
+  keepDays: 'retention-keep-days',
+  keepFailedDays: 'retention-keep-failed-days',
+  trashDays: 'retention-trash-days',
+  auditDays: 'retention-audit-days',
+};
+
+async function saveSettings() {
   const settings = {
-    apiKey: document.getElementById('api-key').value,
     recordInterval: document.getElementById('record-interval').value,
     autoConfirmSteps: document.getElementById('auto-confirm-steps').checked,
   };
 
   localStorage.setItem('appSettings', JSON.stringify(settings));
+
+  // The API key goes to the secret vault, never to localStorage
+  const apiKeyInput = document.getElementById('api-key');
+  if (apiKeyInput.value) {
+    const result = await window.electronAPI.saveApiKey(apiKeyInput.value);
+    if (!result.success) {
+      showToast('Error saving API key: ' + result.error, 'error');
+      return;
+    }
+    apiKeyInput.value = '';
+    await loadSecrets();
+  }
+
+  const policy = {};
+  Object.entries(RETENTION_INPUTS).forEach(([field, inputId]) => {
+    const value = document.getElementById(inputId).value;
+    policy[field] = value === '' ? null : parseInt(value, 10);
+  });
+  try {
+    const result = await window.electronAPI.saveRetentionPolicy(policy);
+    if (!result.success) {
+      showToast('Error saving retention policy: ' + result.error, 'error');
+      return;
+    }
+  } catch (error) {
+    showToast('Error saving retention policy: ' + error.message, 'error');
+    return;
+  }
+
   showToast('Settings saved!', 'success');
 }
 
-function exportWorkflows() {
-  const dataStr = JSON.stringify(appState.workflows, null, 2);
-  const dataBlob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(dataBlob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `workflows_${Date.now()}.json`;
-  link.click();
-  URL.revokeObjectURL(url);
-  showToast('Workflows exported!', 'success');
+async function loadRetentionPolicy() {
+  try {
+    const result = await window.electronAPI.getRetentionPolicy();
+    if (!result.success) return;
+    Object.entries(RETENTION_INPUTS).forEach(([field, inputId]) => {
+      document.getElementById(inputId).value = result.policy[field] ?? '';
+    });
+  } catch (error) {
+    console.error('Error loading retention policy:', error);
+  }
+}
+
+async function loadTrash() {
+  const list = document.getElementById('trash-list');
+  if (!list) return;
+
+  try {
+    const result = await window.electronAPI.getTrash();
+    const workflows = result.success ? result.workflows : [];
+    document.getElementById('empty-trash-btn').classList.toggle('hidden', workflows.length === 0);
+
+    if (workflows.length === 0) {
+      list.innerHTML = '<p class="help-text">The trash is empty.</p>';
+      return;
+    }
+
+    list.innerHTML = workflows
+      .map(
+        workflow => `
+      <div class="trash-item">
+        <div>
+          <strong>${escapeHtml(workflow.name)}</strong>
+          <br/>
+          <small>Deleted ${new Date(workflow.deletedAt).toLocaleString()} · ${workflow.runCount} run(s)</small>
+        </div>
+        <div class="action-buttons">
+          <button class="btn btn-secondary btn-sm" onclick="restoreTrashedWorkflow('${workflow.id}')">↩️ Restore</button>
+          <button class="btn btn-danger btn-sm" onclick="purgeTrashedWorkflow('${workflow.id}')">Delete Forever</button>
+        </div>
+      </div>
+    `
+      )
+      .join('');
+  } catch (error) {
+    console.error('Error loading trash:', error);
+  }
+}
+
+async function restoreTrashedWorkflow(workflowId) {
+  try {
+    const result = await window.electronAPI.restoreWorkflow(workflowId);
+    if (!result.success) {
+      showToast('Error restoring workflow: ' + result.error, 'error');
+      return;
+    }
+    showToast(`Restored "${result.workflow.name}"`, 'success');
+    await loadTrash();
+    await loadWorkflows();
+  } catch (error) {
+    showToast('Error restoring workflow: ' + error.message, 'error');
+  }
 }
 
-function clearHistory() {
-  if (!confirm('Clear all execution history? This cannot be undone.')) {
+async function purgeTrashedWorkflow(workflowId) {
+  if (!confirm('Delete this workflow for good, with its runs and versions? This cannot be undone.')) {
     return;
   }
 
-  appState.workflows.forEach(w => {
-    w.executionHistory = [];
-  });
+  try {
+    const result = await window.electronAPI.purgeWorkflow(workflowId);
+    if (!result.success) {
+      showToast('Error deleting workflow: ' + result.error, 'error');
+      return;
+    }
+    showToast('Workflow deleted', 'success');
+    await loadTrash();
+  } catch (error) {
+    showToast('Error deleting workflow: ' + error.message, 'error');
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm('Delete every workflow in the trash for good? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.emptyTrash();
+    if (!result.success) {
+      showToast('Error emptying trash: ' + result.error, 'error');
+      return;
+    }
+    showToast(`Deleted ${result.purged} workflow(s)`, 'success');
+    await loadTrash();
+  } catch (error) {
+    showToast('Error emptying trash: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Drop an API key saved in localStorage by earlier versions
+ */
+function removeStoredApiKey() {
+  const settings = getSettings();
+  if (settings.apiKey !== undefined) {
+    delete settings.apiKey;
+    localStorage.setItem('appSettings', JSON.stringify(settings));
+  }
+}
+
+async function loadSecrets() {
+  try {
+    const result = await window.electronAPI.getSecrets();
+    if (!result.success) return;
+
+    document.getElementById('secrets-status').textContent = result.unlocked
+      ? `${result.secrets.length} secret(s) in the vault.`
+      : 'The vault is locked. Enter its passphrase to use or change secrets (the first passphrase creates it).';
+    document.getElementById('secrets-unlock-form').classList.toggle('hidden', result.unlocked);
+    document.getElementById('secrets-add-form').classList.toggle('hidden', !result.unlocked);
+    document.getElementById('secrets-list').innerHTML = result.secrets
+      .map(
+        secret => `
+      <div class="secret-item">
+        <div>
+          <code>{{secret.${escapeHtml(secret.name)}}}</code>
+          <br/>
+          <small>Updated ${new Date(secret.updatedAt).toLocaleString()}</small>
+        </div>
+        ${result.unlocked ? `<button class="btn btn-danger btn-sm" onclick="deleteSecret('${secret.name}')">🗑️ Delete</button>` : ''}
+      </div>
+    `
+      )
+      .join('');
+  } catch (error) {
+    console.error('Error loading secrets:', error);
+  }
+}
+
+async function unlockSecrets() {
+  const input = document.getElementById('secrets-passphrase');
+  try {
+    const result = await window.electronAPI.unlockSecrets(input.value);
+    if (!result.success) {
+      showToast('Error unlocking secrets: ' + result.error, 'error');
+      return;
+    }
+
+    // Analysis runs in the API server, which reads the API key from its own copy of the vault
+    try {
+      await fetch(`${API_BASE}/secrets/unlock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passphrase: input.value }),
+      });
+    } catch (error) {
+      console.error('Error unlocking secrets in the API server:', error);
+    }
+
+    input.value = '';
+    showToast('Secret vault unlocked', 'success');
+    await loadSecrets();
+  } catch (error) {
+    showToast('Error unlocking secrets: ' + error.message, 'error');
+  }
+}
+
+async function lockSecrets() {
+  try {
+    await window.electronAPI.lockSecrets();
+    await fetch(`${API_BASE}/secrets/lock`, { method: 'POST' }).catch(error =>
+      console.error('Error locking secrets in the API server:', error)
+    );
+    showToast('Secret vault locked', 'info');
+    await loadSecrets();
+  } catch (error) {
+    showToast('Error locking secrets: ' + error.message, 'error');
+  }
+}
+
+async function addSecret() {
+  const nameInput = document.getElementById('secret-name');
+  const valueInput = document.getElementById('secret-value');
+  try {
+    const result = await window.electronAPI.setSecret(nameInput.value.trim(), valueInput.value);
+    if (!result.success) {
+      showToast('Error saving secret: ' + result.error, 'error');
+      return;
+    }
+    nameInput.value = '';
+    valueInput.value = '';
+    showToast(`Secret ${result.secret.name} saved`, 'success');
+    await loadSecrets();
+  } catch (error) {
+    showToast('Error saving secret: ' + error.message, 'error');
+  }
+}
+
+async function deleteSecret(name) {
+  if (!confirm(`Delete the secret ${name}? Steps that use it will fail.`)) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.deleteSecret(name);
+    if (!result.success) {
+      showToast('Error deleting secret: ' + result.error, 'error');
+      return;
+    }
+    showToast(`Secret ${name} deleted`, 'success');
+    await loadSecrets();
+  } catch (error) {
+    showToast('Error deleting secret: ' + error.message, 'error');
+  }
+}
 
-  showToast('Execution history cleared', 'success');
+function getSettings() {
+  try {
+    return JSON.parse(localStorage.getItem('appSettings')) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function exportWorkflows() {
+  try {
+    const dialog = await window.electronAPI.showSaveDialog({
+      title: 'Export Workflows',
+      defaultPath: `workflows_${Date.now()}.json`,
+      filters: [{ name: 'Workflow Bundle', extensions: ['json'] }],
+    });
+    if (dialog.canceled || !dialog.filePath) return;
+
+    const result = await window.electronAPI.exportWorkflows(dialog.filePath, {
+      runs: document.getElementById('export-include-runs').checked,
+    });
+    if (!result.success) {
+      showToast('Error exporting workflows: ' + result.error, 'error');
+      return;
+    }
+    showToast(`Exported ${result.workflows} workflow(s) and ${result.files} file(s)`, 'success');
+  } catch (error) {
+    showToast('Error exporting workflows: ' + error.message, 'error');
+  }
+}
+
+async function importWorkflows() {
+  try {
+    const dialog = await window.electronAPI.showOpenDialog({
+      title: 'Import Workflows',
+      properties: ['openFile'],
+      filters: [{ name: 'Workflow Bundle', extensions: ['json'] }],
+    });
+    if (dialog.canceled || dialog.filePaths.length === 0) return;
+
+    const result = await window.electronAPI.importWorkflows(dialog.filePaths[0], {
+      onConflict: document.getElementById('import-conflict').value,
+    });
+    if (!result.success) {
+      showToast('Error importing workflows: ' + result.error, 'error');
+      return;
+    }
+
+    const renamed = result.imported.filter(workflow => workflow.action === 'renamed').length;
+    showToast(
+      `Imported ${result.imported.length} workflow(s)` +
+        (renamed ? `, ${renamed} renamed` : '') +
+        (result.skipped.length ? `, skipped ${result.skipped.length}` : ''),
+      'success'
+    );
+    await loadWorkflows();
+  } catch (error) {
+    showToast('Error importing workflows: ' + error.message, 'error');
+  }
+}
+
+async function clearHistory() {
+  if (!confirm('Clear all execution history? Suspended runs are kept. This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.clearRunHistory();
+    if (!result.success) {
+      showToast('Error clearing history: ' + result.error, 'error');
+      return;
+    }
+    showToast(`Execution history cleared (${result.deleted} run(s))`, 'success');
+    await loadWorkflows();
+  } catch (error) {
+    showToast('Error clearing history: ' + error.message, 'error');
+  }
 }
 
 // ==================== DASHBOARD ==================== //
 
 function updateDashboard() {
   const totalWorkflows = appState.workflows.length;
-  const totalExecutions = appState.workflows.reduce((sum, w) => sum + (w.executionHistory?.length || 0), 0);
+  const totalExecutions = appState.workflows.reduce((sum, w) => sum + (w.runCount || 0), 0);
 
   document.getElementById('stat-workflows').textContent = totalWorkflows;
   document.getElementById('stat-executions').textContent = totalExecutions;
@@ -615,7 +1678,7 @@ function updateDashboard() {
       <div class="workflow-item-title">${w.name}</div>
       <div class="workflow-item-meta">
         <span>📅 ${new Date(w.createdAt).toLocaleDateString()}</span>
-        <span>⚡ ${w.executionHistory?.length || 0} runs</span>
+        <span>⚡ ${w.runCount || 0} runs</span>
       </div>
     </div>
   `
@@ -650,3 +1713,10 @@ function getToastIcon(type) {
   };
   return icons[type] || '📢';
 }
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  // Quotes too, so the result is also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
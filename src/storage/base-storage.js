@@ -0,0 +1,794 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+const { withFileLock } = require('../utils/file-lock');
+const { SCHEMA_VERSIONS, migrate, validateDocument, invalid } = require('./schema');
+const { buildSearchEntry, scoreFields, inFolders, compareMatches } = require('./search');
+
+// Workflow fields captured in each version
+const VERSIONED_FIELDS = ['name', 'analysis', 'recordedData'];
+
+// Workflow and run IDs are generated as UUIDs; IDs with any other
+// characters (such as "../") are refused before they reach a file path
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Workflow fields set by the user rather than by recording, kept when a
+// workflow is re-recorded without them
+const DETAIL_FIELDS = ['description', 'tags', 'folder'];
+
+/**
+ * Storage interface
+ * Backends implement the record-level methods below (workflows, versions,
+ * runs, execution states). Everything built on top of them - upserts,
+ * version numbering, revision checks, history and statistics - lives here
+ * so every backend behaves the same. Undo journals (next to their file
+ * backups), imported fixture files and settings always stay on disk,
+ * whichever backend is used.
+ *
+ * Workflow and run IDs used in file paths must match ID_PATTERN: reads of
+ * any other ID find nothing, and writes fail with code EINVALID.
+ *
+ * Workflows carry a revision number, incremented by every save. A save
+ * whose revision is not the stored one fails with code ECONFLICT, so a
+ * process cannot overwrite a change it has not seen. Read-modify-write
+ * sequences run inside lockWorkflow(), which serializes them across
+ * processes.
+ *
+ * Backends pass every workflow and run they read through loadDocument(),
+ * which migrates it to the current schema (see ./schema.js). Workflows
+ * and runs that do not match their schema are rejected with code EINVALID
+ * when saved.
+ */
+class BaseStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    // Invalid documents already logged, so listings do not repeat warnings
+    this.reportedInvalid = new Set();
+    // workflowId -> { revision, fields: { [field]: Set<word> }, tools: Set<string> }
+    // for findWorkflows()
+    this.searchIndex = new Map();
+    this.journalsDir = path.join(dataDir, 'journals');
+    this.fixturesDir = path.join(dataDir, 'fixtures');
+    this.settingsDir = path.join(dataDir, 'settings');
+    if (!fs.existsSync(this.journalsDir)) {
+      fs.mkdirSync(this.journalsDir, { recursive: true });
+    }
+  }
+
+  // ---- Workflows ----
+
+  /**
+   * Write a workflow as given, replacing any stored copy
+   */
+  writeWorkflow(workflow) {
+    throw this.notImplemented('writeWorkflow');
+  }
+
+  /**
+   * Read a stored workflow, or null
+   */
+  readWorkflow(id) {
+    throw this.notImplemented('readWorkflow');
+  }
+
+  /**
+   * Run fn while no other process or caller can change the workflow;
+   * must be re-entrant
+   * @returns whatever fn returns
+   */
+  lockWorkflow(id, fn) {
+    throw this.notImplemented('lockWorkflow');
+  }
+
+  /**
+   * Run fn while no other process or caller can save a workflow with this
+   * name; must be re-entrant. Taken before lockWorkflow() when both are held.
+   * @returns whatever fn returns
+   */
+  lockWorkflowName(name, fn) {
+    throw this.notImplemented('lockWorkflowName');
+  }
+
+  /**
+   * Get all workflows, newest first
+   */
+  getAllWorkflows() {
+    throw this.notImplemented('getAllWorkflows');
+  }
+
+  /**
+   * Delete a workflow with its runs and versions, whether it is in the
+   * trash or not
+   */
+  deleteWorkflow(id) {
+    throw this.notImplemented('deleteWorkflow');
+  }
+
+  /**
+   * Get workflow by name, or null
+   */
+  getWorkflowByName(name) {
+    throw this.notImplemented('getWorkflowByName');
+  }
+
+  /**
+   * Search workflows by name or ID
+   */
+  searchWorkflows(query) {
+    throw this.notImplemented('searchWorkflows');
+  }
+
+  // ---- Trash ----
+
+  /**
+   * Move a workflow into the trash, stored as given (with its deletedAt);
+   * its runs and versions stay where they are
+   */
+  moveToTrash(workflow) {
+    throw this.notImplemented('moveToTrash');
+  }
+
+  /**
+   * Move a workflow out of the trash, stored as given
+   */
+  moveFromTrash(workflow) {
+    throw this.notImplemented('moveFromTrash');
+  }
+
+  /**
+   * Get a workflow in the trash, or null
+   */
+  readTrashedWorkflow(id) {
+    throw this.notImplemented('readTrashedWorkflow');
+  }
+
+  /**
+   * Get every workflow in the trash, most recently deleted first
+   */
+  getTrashedWorkflows() {
+    throw this.notImplemented('getTrashedWorkflows');
+  }
+
+  // ---- Versions ----
+
+  /**
+   * Store a new version snapshot; must fail if that version already exists
+   */
+  insertWorkflowVersion(snapshot) {
+    throw this.notImplemented('insertWorkflowVersion');
+  }
+
+  /**
+   * Get one version of a workflow, or null
+   */
+  getWorkflowVersion(workflowId, version) {
+    throw this.notImplemented('getWorkflowVersion');
+  }
+
+  /**
+   * Get every version of a workflow, newest first
+   */
+  getWorkflowVersions(workflowId) {
+    throw this.notImplemented('getWorkflowVersions');
+  }
+
+  // ---- Runs ----
+
+  /**
+   * Save (or replace) a run record
+   */
+  saveRun(record) {
+    throw this.notImplemented('saveRun');
+  }
+
+  /**
+   * Get a run record, or null
+   */
+  getRun(runId) {
+    throw this.notImplemented('getRun');
+  }
+
+  /**
+   * Get every run record of a workflow, newest first
+   */
+  getRuns(workflowId) {
+    throw this.notImplemented('getRuns');
+  }
+
+  /**
+   * A page of a workflow's runs, newest first, as summaries (see summarizeRun)
+   * @param {Object} options - {limit, offset, status}
+   * @returns {{runs: Array, total: number}}
+   */
+  listRuns(workflowId, options) {
+    throw this.notImplemented('listRuns');
+  }
+
+  /**
+   * Number of runs recorded for a workflow
+   */
+  countRuns(workflowId) {
+    throw this.notImplemented('countRuns');
+  }
+
+  /**
+   * Delete a run record
+   */
+  deleteRun(runId) {
+    throw this.notImplemented('deleteRun');
+  }
+
+  // ---- Execution states ----
+
+  /**
+   * Save the state of an unfinished execution (e.g. suspended awaiting
+   * a user decision) so it can be resumed later
+   */
+  saveExecutionState(state) {
+    throw this.notImplemented('saveExecutionState');
+  }
+
+  /**
+   * Get the saved state of an unfinished execution, or null
+   */
+  getExecutionState(runId) {
+    throw this.notImplemented('getExecutionState');
+  }
+
+  /**
+   * Get all saved unfinished executions, optionally for one workflow,
+   * most recently updated first
+   */
+  getExecutionStates(workflowId = null) {
+    throw this.notImplemented('getExecutionStates');
+  }
+
+  /**
+   * Remove the saved state of an execution once it has finished
+   */
+  deleteExecutionState(runId) {
+    throw this.notImplemented('deleteExecutionState');
+  }
+
+  // ---- Shared behaviour ----
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  /**
+   * Whether an ID is safe to use in a file path
+   */
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * Fail with EINVALID unless an ID is safe to use in a file path
+   * @param {string} kind - e.g. 'workflow' or 'run', for the message
+   */
+  checkId(id, kind) {
+    if (!this.isValidId(id)) {
+      throw invalid(`Invalid ${kind} ID`, [`${kind} ID must contain only letters, digits, '-' and '_'`]);
+    }
+  }
+
+  /**
+   * Error for a save based on an out-of-date revision
+   */
+  conflict(workflowId, revision) {
+    const error = new Error(
+      `Workflow ${workflowId} was changed elsewhere (now at revision ${revision}); reload it and try again`
+    );
+    error.code = 'ECONFLICT';
+    error.revision = revision;
+    return error;
+  }
+
+  /**
+   * Bring a workflow or run read from storage up to the current schema
+   * A workflow that does not match its schema is still returned, with the
+   * errors in schemaErrors (never stored), so it can be listed, fixed or
+   * deleted; the executor refuses to run it.
+   * @param {string} kind - 'workflow' or 'run'
+   */
+  loadDocument(kind, document) {
+    if (!document) {
+      return document;
+    }
+    migrate(kind, document);
+    const errors = validateDocument(kind, document);
+    if (errors.length > 0) {
+      const id = kind === 'workflow' ? document.id : document.runId;
+      const key = `${kind}:${id}:${document.revision || 0}`;
+      if (!this.reportedInvalid.has(key)) {
+        this.reportedInvalid.add(key);
+        logger.warn(`Stored ${kind} ${id} does not match its schema: ${errors.join('; ')}`);
+      }
+      if (kind === 'workflow') {
+        document.schemaErrors = errors;
+      }
+    }
+    return document;
+  }
+
+  /**
+   * Bring a document about to be saved to the current schema version
+   * Documents built by this version of the app have no schemaVersion yet;
+   * ones written by a newer version are refused rather than downgraded.
+   */
+  prepareDocument(kind, document) {
+    if ((document.schemaVersion || 0) > SCHEMA_VERSIONS[kind]) {
+      throw invalid(`Cannot save ${kind}`, validateDocument(kind, document).slice(0, 1));
+    }
+    if (document.schemaVersion) {
+      migrate(kind, document);
+    } else {
+      document.schemaVersion = SCHEMA_VERSIONS[kind];
+    }
+  }
+
+  /**
+   * Fail with EINVALID if saving the workflow would add schema errors
+   * A workflow stored before validation existed may already be invalid; it
+   * can still be saved as long as the save makes it no worse (e.g. tagging
+   * it, or re-recording it with a valid analysis).
+   * @param {Object} [stored] - the stored workflow, if already read
+   */
+  checkWorkflow(workflow, stored = this.readWorkflow(workflow.id)) {
+    delete workflow.schemaErrors;
+    this.prepareDocument('workflow', workflow);
+    const errors = validateDocument('workflow', workflow);
+    if (errors.length === 0) {
+      return;
+    }
+    const known = stored?.schemaErrors || [];
+    const added = errors.filter(error => !known.includes(error));
+    if (added.length > 0) {
+      throw invalid(`Workflow ${workflow.name || workflow.id} is invalid`, added);
+    }
+  }
+
+  /**
+   * Fail with EINVALID unless the run record matches its schema
+   */
+  checkRun(record) {
+    this.prepareDocument('run', record);
+    const errors = validateDocument('run', record);
+    if (errors.length > 0) {
+      throw invalid(`Run ${record.runId} is invalid`, errors);
+    }
+  }
+
+  /**
+   * Get a specific workflow
+   */
+  getWorkflow(id) {
+    try {
+      const workflow = this.readWorkflow(id);
+      if (!workflow) {
+        logger.warn(`Workflow not found: ${id}`);
+      }
+      return workflow;
+    } catch (error) {
+      logger.error('Error getting workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a workflow, incrementing its revision
+   * workflow.revision must be the stored revision (absent for a new
+   * workflow), otherwise the save fails with ECONFLICT. See checkWorkflow
+   * for when it fails with EINVALID.
+   */
+  saveWorkflow(workflow) {
+    try {
+      return this.lockWorkflow(workflow.id, () => {
+        const stored = this.readWorkflow(workflow.id);
+        const revision = stored?.revision || 0;
+        if ((workflow.revision || 0) !== revision) {
+          throw this.conflict(workflow.id, revision);
+        }
+        this.checkWorkflow(workflow, stored);
+
+        workflow.revision = revision + 1;
+        this.writeWorkflow(workflow);
+        logger.info(`Workflow saved: ${workflow.id} (revision ${workflow.revision})`);
+        return workflow;
+      });
+    } catch (error) {
+      logger.error('Error saving workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a workflow
+   * @param {number} [expectedRevision] - fail with ECONFLICT unless the
+   *   stored workflow is at this revision
+   */
+  updateWorkflow(id, updates, expectedRevision) {
+    try {
+      return this.lockWorkflow(id, () => {
+        const workflow = this.readWorkflow(id);
+        if (!workflow) {
+          throw new Error(`Workflow not found: ${id}`);
+        }
+        if (expectedRevision !== undefined && expectedRevision !== (workflow.revision || 0)) {
+          throw this.conflict(id, workflow.revision || 0);
+        }
+
+        const updated = { ...workflow, ...updates, id, revision: workflow.revision };
+        return this.saveWorkflow(updated);
+      });
+    } catch (error) {
+      logger.error('Error updating workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save or update workflow (upsert by name)
+   * Each save is kept as a new version; an existing workflow saved before
+   * versioning is first kept as version 1 so re-recording cannot lose it.
+   * If workflow.revision is given, the existing workflow must still be at
+   * that revision; without it the re-recording replaces whatever is stored.
+   * @param {Object} meta - {note, author} for the new version
+   */
+  saveOrUpdateWorkflow(workflow, meta = {}) {
+    try {
+      // Check if a workflow with this name already exists; the name lock
+      // keeps two saves of a new name from both creating a workflow
+      return this.lockWorkflowName(workflow.name, () => {
+        const found = this.getWorkflowByName(workflow.name);
+
+        if (found) {
+          return this.lockWorkflow(found.id, () => {
+            // Re-read under the lock in case another process just saved it
+            const existing = this.readWorkflow(found.id) || found;
+            if (workflow.revision !== undefined && workflow.revision !== (existing.revision || 0)) {
+              throw this.conflict(existing.id, existing.revision || 0);
+            }
+
+            // Update existing workflow, preserve ID and createdAt
+            const updated = {
+              ...workflow,
+              id: existing.id,
+              createdAt: existing.createdAt,
+              updatedAt: new Date().toISOString(),
+              version: existing.version,
+              revision: existing.revision,
+            };
+            DETAIL_FIELDS.forEach(field => {
+              if (updated[field] === undefined && existing[field] !== undefined) {
+                updated[field] = existing[field];
+              }
+            });
+            // Check before any version is written
+            this.checkWorkflow(updated, existing);
+
+            if (!existing.version) {
+              this.commitVersion(existing, { note: 'Saved before versioning' });
+              updated.version = existing.version;
+            }
+            this.commitVersion(updated, { note: 'Re-recorded', ...meta });
+            return this.saveWorkflow(updated);
+          });
+        } else {
+          // Create new workflow (a revision means the caller read a workflow
+          // that has since been deleted)
+          if (workflow.revision) {
+            throw this.conflict(workflow.id || workflow.name, 0);
+          }
+          if (!workflow.id) {
+            workflow.id = uuidv4();
+          }
+          if (!workflow.createdAt) {
+            workflow.createdAt = new Date().toISOString();
+          }
+          this.commitVersion(workflow, { note: 'Recorded', ...meta });
+          return this.saveWorkflow(workflow);
+        }
+      });
+    } catch (error) {
+      logger.error('Error in saveOrUpdateWorkflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the workflow's current definition as its next version and set
+   * workflow.version; the caller still saves the workflow itself
+   * Versions are immutable: an existing version is never overwritten, and
+   * the definition is checked (see checkWorkflow) before one is written.
+   * @param {Object} meta - {note, author}
+   */
+  commitVersion(workflow, meta = {}) {
+    try {
+      this.checkWorkflow(workflow);
+      const version = (workflow.version || 0) + 1;
+      const snapshot = {
+        workflowId: workflow.id,
+        version,
+        note: meta.note || '',
+        author: meta.author || null,
+        createdAt: new Date().toISOString(),
+      };
+      VERSIONED_FIELDS.forEach(field => {
+        snapshot[field] = workflow[field];
+      });
+
+      this.insertWorkflowVersion(snapshot);
+      workflow.version = version;
+      logger.info(`Workflow ${workflow.id} version ${version} saved`);
+      return snapshot;
+    } catch (error) {
+      logger.error('Error saving workflow version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A run record without its step logs, for listings
+   */
+  summarizeRun(record) {
+    const { steps, ...summary } = record;
+    return { ...summary, stepCount: steps ? steps.length : 0 };
+  }
+
+  /**
+   * Save execution history
+   * Kept for callers of the old API; executions are stored as run records.
+   */
+  saveExecutionHistory(workflowId, execution) {
+    try {
+      if (!this.getWorkflow(workflowId)) {
+        throw new Error(`Workflow not found: ${workflowId}`);
+      }
+
+      return this.saveRun({
+        runId: execution.runId || uuidv4(),
+        workflowId,
+        startedAt: new Date().toISOString(),
+        ...execution,
+      });
+    } catch (error) {
+      logger.error('Error saving execution history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get execution history for a workflow
+   */
+  getExecutionHistory(workflowId) {
+    try {
+      const workflow = this.getWorkflow(workflowId);
+      if (!workflow) {
+        throw new Error(`Workflow not found: ${workflowId}`);
+      }
+      return this.getRuns(workflowId);
+    } catch (error) {
+      logger.error('Error getting execution history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Directory holding an execution's undo journal and file backups
+   */
+  getJournalDir(runId) {
+    this.checkId(runId, 'run');
+    const dir = path.join(this.journalsDir, runId);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
+  /**
+   * Save an execution's undo journal
+   */
+  saveJournal(journal) {
+    try {
+      writeJsonAtomic(path.join(this.getJournalDir(journal.runId), 'journal.json'), journal);
+      return journal;
+    } catch (error) {
+      logger.error('Error saving journal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an execution's undo journal
+   */
+  getJournal(runId) {
+    try {
+      if (!this.isValidId(runId)) {
+        return null;
+      }
+      const filePath = path.join(this.journalsDir, runId, 'journal.json');
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.error('Error getting journal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an execution's undo journal and its backups
+   */
+  deleteJournal(runId) {
+    try {
+      if (!this.isValidId(runId)) {
+        return;
+      }
+      const dir = path.join(this.journalsDir, runId);
+      if (fs.existsSync(dir)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        logger.info(`Journal deleted: ${runId}`);
+      }
+    } catch (error) {
+      logger.error('Error deleting journal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Directory holding the fixture files imported with a workflow
+   */
+  getFixtureDir(workflowId) {
+    this.checkId(workflowId, 'workflow');
+    const dir = path.join(this.fixturesDir, workflowId);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
+  /**
+   * Remove a workflow's imported fixture files
+   */
+  deleteFixtures(workflowId) {
+    if (!this.isValidId(workflowId)) {
+      return;
+    }
+    fs.rmSync(path.join(this.fixturesDir, workflowId), { recursive: true, force: true });
+  }
+
+  /**
+   * Get saved settings, or null if there are none
+   * Fails if the file cannot be read or parsed, for settings that must not
+   * be mistaken for missing ones (see getSettings)
+   * @param {string} name - e.g. 'retention' for data/settings/retention.json
+   */
+  readSettings(name) {
+    const filePath = path.join(this.settingsDir, `${name}.json`);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  /**
+   * Get saved settings, or null if there are none or they cannot be read
+   * @param {string} name - e.g. 'retention' for data/settings/retention.json
+   */
+  getSettings(name) {
+    try {
+      return this.readSettings(name);
+    } catch (error) {
+      logger.error(`Error reading ${name} settings:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save settings, replacing any saved before
+   */
+  saveSettings(name, settings) {
+    try {
+      if (!fs.existsSync(this.settingsDir)) {
+        fs.mkdirSync(this.settingsDir, { recursive: true });
+      }
+      writeJsonAtomic(path.join(this.settingsDir, `${name}.json`), settings);
+      return settings;
+    } catch (error) {
+      logger.error(`Error saving ${name} settings:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold a settings file's lock while fn runs, so a read-modify-write
+   * change is not lost to another process saving the same settings
+   * @returns whatever fn returns
+   */
+  lockSettings(name, fn) {
+    if (!fs.existsSync(this.settingsDir)) {
+      fs.mkdirSync(this.settingsDir, { recursive: true });
+    }
+    return withFileLock(path.join(this.settingsDir, `${name}.lock`), fn);
+  }
+
+  /**
+   * Find workflows for the catalog: filter, rank and page them (see
+   * ./search.js)
+   * This implementation reads every workflow, re-indexing only those saved
+   * since the last search; backends with an index of their own override it.
+   * @param {Object} criteria - {terms, tags, tools, folders, sort, limit,
+   *   offset}, normalized by the catalog (lowercase, folders as paths)
+   * @returns {{matches: Array<{workflow, score, matchedFields}>, total: number}}
+   */
+  findWorkflows(criteria) {
+    const { terms, tags, tools, folders, sort, limit, offset } = criteria;
+    const workflows = this.getAllWorkflows();
+    const ids = new Set(workflows.map(workflow => workflow.id));
+    [...this.searchIndex.keys()].filter(id => !ids.has(id)).forEach(id => this.searchIndex.delete(id));
+
+    const matches = [];
+    workflows.forEach(workflow => {
+      const entry = this.getSearchEntry(workflow);
+      const workflowTags = workflow.tags || [];
+
+      if (!tags.every(tag => workflowTags.includes(tag))) return;
+      if (!tools.every(tool => entry.tools.has(tool))) return;
+      if (!inFolders((workflow.folder || '').toLowerCase(), folders)) return;
+
+      const scored = terms.length > 0 ? scoreFields(entry.fields, terms) : { score: 0, matchedFields: [] };
+      if (scored) {
+        matches.push({ workflow, ...scored });
+      }
+    });
+
+    matches.sort(compareMatches(sort));
+    return { matches: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  /**
+   * A workflow's search entry, rebuilt only if it has been saved since
+   */
+  getSearchEntry(workflow) {
+    const revision = workflow.revision || 0;
+    const cached = this.searchIndex.get(workflow.id);
+    if (cached && cached.revision === revision) {
+      return cached;
+    }
+
+    const { fields, tools } = buildSearchEntry(workflow);
+    const entry = { revision, fields: {}, tools: new Set(tools) };
+    Object.entries(fields).forEach(([field, words]) => {
+      entry.fields[field] = new Set(words);
+    });
+    this.searchIndex.set(workflow.id, entry);
+    return entry;
+  }
+
+  /**
+   * Get workflow statistics
+   */
+  getStatistics() {
+    try {
+      const allWorkflows = this.getAllWorkflows();
+      const totalExecutions = allWorkflows.reduce((sum, w) => sum + this.countRuns(w.id), 0);
+
+      return {
+        totalWorkflows: allWorkflows.length,
+        totalExecutions,
+        createdAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error('Error getting statistics:', error);
+      return { totalWorkflows: 0, totalExecutions: 0 };
+    }
+  }
+}
+
+module.exports = BaseStorage;
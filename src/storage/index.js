@@ -0,0 +1,36 @@
+const path = require('path');
+
+const BaseStorage = require('./base-storage');
+const JsonStorage = require('./json-storage');
+
+const BACKENDS = ['json', 'sqlite'];
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Create a storage backend
+ * @param {Object} options - {backend: 'json'|'sqlite', dataDir, sqlitePath};
+ *   defaults come from STORAGE_BACKEND, DATA_DIR and SQLITE_PATH
+ */
+function createStorage(options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND || 'json').toLowerCase();
+  const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+  switch (backend) {
+    case 'json':
+      return new JsonStorage(dataDir);
+    case 'sqlite': {
+      // Required only when chosen, so the JSON backend needs no native module
+      const SqliteStorage = require('./sqlite-storage');
+      return new SqliteStorage(dataDir, { path: options.sqlitePath || process.env.SQLITE_PATH });
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected ${BACKENDS.join(' or ')})`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  BACKENDS,
+  BaseStorage,
+  JsonStorage,
+};
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+const { withFileLock } = require('../utils/file-lock');
+const BaseStorage = require('./base-storage');
+
+/**
+ * JSON file storage (the default backend)
+ *   data/workflows/{id}.json
+ *   data/versions/{workflowId}/{version}.json
+ *   data/runs/{workflowId}/{runId}.json
+ *   data/executions/{runId}.json
+ *   data/trash/{workflowId}.json
+ *   data/locks/{workflowId}.lock
+ *   data/locks/name-{hash of name}.lock
+ * Files are replaced atomically (write to a temp file, then rename), and
+ * changes to a workflow hold its lock file, so the app and the API server
+ * can share a data directory.
+ */
+class JsonStorage extends BaseStorage {
+  constructor(dataDir) {
+    super(dataDir);
+    this.workflowsDir = path.join(dataDir, 'workflows');
+    this.executionsDir = path.join(dataDir, 'executions');
+    this.runsDir = path.join(dataDir, 'runs');
+    this.versionsDir = path.join(dataDir, 'versions');
+    this.locksDir = path.join(dataDir, 'locks');
+    this.trashDir = path.join(dataDir, 'trash');
+
+    // Ensure directories exist
+    const dirs = [this.workflowsDir, this.executionsDir, this.runsDir, this.versionsDir, this.locksDir, this.trashDir];
+    dirs.forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  /**
+   * Write a workflow file
+   */
+  writeWorkflow(workflow) {
+    this.checkId(workflow.id, 'workflow');
+    writeJsonAtomic(path.join(this.workflowsDir, `${workflow.id}.json`), workflow);
+    return workflow;
+  }
+
+  /**
+   * Read a workflow file
+   */
+  readWorkflow(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    const filePath = path.join(this.workflowsDir, `${id}.json`);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return this.loadDocument('workflow', JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  }
+
+  /**
+   * Hold the workflow's lock file while fn runs
+   */
+  lockWorkflow(id, fn) {
+    this.checkId(id, 'workflow');
+    return withFileLock(path.join(this.locksDir, `${id}.lock`), fn);
+  }
+
+  /**
+   * Hold the lock file for a workflow name while fn runs
+   * Named by a hash, since a name may hold any characters.
+   */
+  lockWorkflowName(name, fn) {
+    const hash = crypto.createHash('sha256').update(String(name)).digest('hex').slice(0, 32);
+    return withFileLock(path.join(this.locksDir, `name-${hash}.lock`), fn);
+  }
+
+  /**
+   * Get all workflows
+   */
+  getAllWorkflows() {
+    try {
+      const files = fs.readdirSync(this.workflowsDir).filter(f => f.endsWith('.json'));
+      return files
+        .map(file => {
+          try {
+            const content = fs.readFileSync(path.join(this.workflowsDir, file), 'utf-8');
+            return this.loadDocument('workflow', JSON.parse(content));
+          } catch (error) {
+            logger.error(`Error reading workflow file ${file}:`, error);
+            return null;
+          }
+        })
+        .filter(w => w !== null)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      logger.error('Error getting all workflows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a workflow
+   */
+  deleteWorkflow(id) {
+    try {
+      this.lockWorkflow(id, () => {
+        const filePath = path.join(this.workflowsDir, `${id}.json`);
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          logger.info(`Workflow deleted: ${id}`);
+        }
+        fs.rmSync(path.join(this.trashDir, `${id}.json`), { force: true });
+        fs.rmSync(path.join(this.runsDir, id), { recursive: true, force: true });
+        fs.rmSync(path.join(this.versionsDir, id), { recursive: true, force: true });
+        this.deleteFixtures(id);
+      });
+    } catch (error) {
+      logger.error('Error deleting workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a workflow file into the trash directory
+   * Written before the original is removed, so a crash in between leaves
+   * the workflow in both places rather than in neither.
+   */
+  moveToTrash(workflow) {
+    this.checkId(workflow.id, 'workflow');
+    writeJsonAtomic(path.join(this.trashDir, `${workflow.id}.json`), workflow);
+    fs.rmSync(path.join(this.workflowsDir, `${workflow.id}.json`), { force: true });
+    return workflow;
+  }
+
+  /**
+   * Move a workflow file out of the trash directory
+   */
+  moveFromTrash(workflow) {
+    this.writeWorkflow(workflow);
+    fs.rmSync(path.join(this.trashDir, `${workflow.id}.json`), { force: true });
+    return workflow;
+  }
+
+  /**
+   * Read a workflow file in the trash
+   */
+  readTrashedWorkflow(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    const filePath = path.join(this.trashDir, `${id}.json`);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return this.loadDocument('workflow', JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  }
+
+  /**
+   * Get every workflow in the trash, most recently deleted first
+   */
+  getTrashedWorkflows() {
+    try {
+      return fs
+        .readdirSync(this.trashDir)
+        .filter(f => f.endsWith('.json'))
+        .map(file => {
+          try {
+            return this.loadDocument('workflow', JSON.parse(fs.readFileSync(path.join(this.trashDir, file), 'utf-8')));
+          } catch (error) {
+            logger.error(`Error reading trashed workflow ${file}:`, error);
+            return null;
+          }
+        })
+        .filter(w => w !== null)
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    } catch (error) {
+      logger.error('Error getting trashed workflows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Search workflows by name
+   */
+  searchWorkflows(query) {
+    try {
+      const allWorkflows = this.getAllWorkflows();
+      return allWorkflows.filter(
+        w =>
+          w.name.toLowerCase().includes(query.toLowerCase()) ||
+          w.id.toLowerCase().includes(query.toLowerCase())
+      );
+    } catch (error) {
+      logger.error('Error searching workflows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get workflow by name
+   */
+  getWorkflowByName(name) {
+    try {
+      const allWorkflows = this.getAllWorkflows();
+      return allWorkflows.find(w => w.name === name) || null;
+    } catch (error) {
+      logger.error('Error getting workflow by name:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a version file, refusing to overwrite an existing one
+   */
+  insertWorkflowVersion(snapshot) {
+    this.checkId(snapshot.workflowId, 'workflow');
+    const dir = path.join(this.versionsDir, snapshot.workflowId);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    writeJsonAtomic(path.join(dir, `${snapshot.version}.json`), snapshot, { exclusive: true });
+    return snapshot;
+  }
+
+  /**
+   * Get one version of a workflow
+   */
+  getWorkflowVersion(workflowId, version) {
+    try {
+      if (!this.isValidId(workflowId)) {
+        return null;
+      }
+      const filePath = path.join(this.versionsDir, workflowId, `${parseInt(version, 10)}.json`);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.error('Error getting workflow version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every version of a workflow, newest first
+   */
+  getWorkflowVersions(workflowId) {
+    try {
+      const dir = path.join(this.versionsDir, workflowId);
+      if (!this.isValidId(workflowId) || !fs.existsSync(dir)) {
+        return [];
+      }
+      return fs
+        .readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')))
+        .sort((a, b) => b.version - a.version);
+    } catch (error) {
+      logger.error('Error getting workflow versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a run record
+   * Runs are stored per workflow so workflow files stay small however
+   * often they run.
+   */
+  saveRun(record) {
+    try {
+      this.checkRun(record);
+      this.checkId(record.workflowId, 'workflow');
+      this.checkId(record.runId, 'run');
+      const dir = path.join(this.runsDir, record.workflowId);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      writeJsonAtomic(path.join(dir, `${record.runId}.json`), record);
+      logger.debug(`Run saved: ${record.runId}`);
+      return record;
+    } catch (error) {
+      logger.error('Error saving run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Path of a run record, whichever workflow it belongs to
+   */
+  findRunFile(runId) {
+    if (!this.isValidId(runId)) {
+      return null;
+    }
+    return fs
+      .readdirSync(this.runsDir)
+      .map(workflowId => path.join(this.runsDir, workflowId, `${runId}.json`))
+      .find(filePath => fs.existsSync(filePath)) || null;
+  }
+
+  /**
+   * Get a run record
+   */
+  getRun(runId) {
+    try {
+      const filePath = this.findRunFile(runId);
+      return filePath ? this.loadDocument('run', JSON.parse(fs.readFileSync(filePath, 'utf-8'))) : null;
+    } catch (error) {
+      logger.error('Error getting run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every run record of a workflow, newest first
+   */
+  getRuns(workflowId) {
+    try {
+      const dir = path.join(this.runsDir, workflowId);
+      if (!this.isValidId(workflowId) || !fs.existsSync(dir)) {
+        return [];
+      }
+      return fs
+        .readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(file => {
+          try {
+            return this.loadDocument('run', JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+          } catch (error) {
+            logger.error(`Error reading run ${file}:`, error);
+            return null;
+          }
+        })
+        .filter(record => record !== null)
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    } catch (error) {
+      logger.error('Error getting runs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * A page of a workflow's runs (every record is read to sort and filter)
+   */
+  listRuns(workflowId, options = {}) {
+    const { limit, offset = 0, status } = options;
+    const runs = this.getRuns(workflowId).filter(record => !status || record.status === status);
+    return {
+      runs: runs.slice(offset, limit ? offset + limit : undefined).map(record => this.summarizeRun(record)),
+      total: runs.length,
+    };
+  }
+
+  /**
+   * Number of runs recorded for a workflow, without reading them
+   */
+  countRuns(workflowId) {
+    const dir = path.join(this.runsDir, workflowId);
+    return this.isValidId(workflowId) && fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).length : 0;
+  }
+
+  /**
+   * Delete a run record
+   */
+  deleteRun(runId) {
+    try {
+      const filePath = this.findRunFile(runId);
+      if (filePath) {
+        fs.unlinkSync(filePath);
+        logger.info(`Run deleted: ${runId}`);
+      }
+    } catch (error) {
+      logger.error('Error deleting run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the state of an unfinished execution
+   */
+  saveExecutionState(state) {
+    try {
+      this.checkId(state.runId, 'run');
+      writeJsonAtomic(path.join(this.executionsDir, `${state.runId}.json`), state);
+      logger.info(`Execution state saved: ${state.runId}`);
+      return state;
+    } catch (error) {
+      logger.error('Error saving execution state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the saved state of an unfinished execution
+   */
+  getExecutionState(runId) {
+    try {
+      if (!this.isValidId(runId)) {
+        return null;
+      }
+      const filePath = path.join(this.executionsDir, `${runId}.json`);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.error('Error getting execution state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all saved unfinished executions, optionally for one workflow
+   */
+  getExecutionStates(workflowId = null) {
+    try {
+      return fs
+        .readdirSync(this.executionsDir)
+        .filter(f => f.endsWith('.json'))
+        .map(file => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(this.executionsDir, file), 'utf-8'));
+          } catch (error) {
+            logger.error(`Error reading execution state ${file}:`, error);
+            return null;
+          }
+        })
+        .filter(state => state !== null && (!workflowId || state.workflowId === workflowId))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    } catch (error) {
+      logger.error('Error getting execution states:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove the saved state of an execution once it has finished
+   */
+  deleteExecutionState(runId) {
+    try {
+      if (!this.isValidId(runId)) {
+        return;
+      }
+      const filePath = path.join(this.executionsDir, `${runId}.json`);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        logger.info(`Execution state deleted: ${runId}`);
+      }
+    } catch (error) {
+      logger.error('Error deleting execution state:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,219 @@
+const { validate } = require('../utils/json-schema');
+
+/**
+ * Document schemas
+ * Workflows and run records carry the schemaVersion they were written
+ * with. Documents written before versioning have none and count as
+ * version 0. Loading a document runs the migrations from its version up
+ * to the current one. Saving writes the current version and fails if the
+ * document does not match its schema.
+ *
+ * To change a schema, bump its version in SCHEMA_VERSIONS. Then add a
+ * migration under the new version number that turns a document of the
+ * previous version into the new shape.
+ */
+
+const SCHEMA_VERSIONS = {
+  workflow: 1,
+  run: 1,
+};
+
+const RUN_STATUSES = ['completed', 'suspended', 'cancelled', 'aborted', 'failed'];
+
+const STEP_TYPES = ['tool', 'if', 'for_each', 'parallel', 'workflow'];
+
+const stepList = { type: 'array', items: { $ref: '#/definitions/step' } };
+
+// Step fields each control step type needs; any other step is a tool step
+const CONTROL_STEP_FIELDS = {
+  if: ['condition', 'then'],
+  for_each: ['items', 'steps'],
+  parallel: ['steps'],
+  workflow: ['workflow'],
+};
+
+const DEFINITIONS = {
+  step: {
+    type: 'object',
+    properties: {
+      type: { enum: STEP_TYPES },
+      id: { type: ['string', 'number'] },
+      step_number: { type: ['integer', 'string'] },
+      description: { type: 'string' },
+      tool: { type: 'string', minLength: 1 },
+      tool_action: { type: 'string', minLength: 1 },
+      parameters: { type: 'object' },
+      assertions: { type: 'array', items: { type: 'object', required: ['type'] } },
+      retry: { type: 'object' },
+      timeout_ms: { type: ['number', 'string'] },
+      error_handling: { type: 'string' },
+      condition: { type: 'string', minLength: 1 },
+      then: stepList,
+      else: stepList,
+      items: { type: ['string', 'array'] },
+      as: { type: 'string', minLength: 1 },
+      steps: stepList,
+      concurrency: { type: ['number', 'string'] },
+      workflow: { type: 'string', minLength: 1 },
+      variables: { type: 'object' },
+    },
+    allOf: [
+      ...Object.entries(CONTROL_STEP_FIELDS).map(([type, required]) => ({
+        if: { required: ['type'], properties: { type: { const: type } } },
+        then: { required },
+      })),
+      {
+        if: { required: ['type'], properties: { type: { enum: Object.keys(CONTROL_STEP_FIELDS) } } },
+        else: { required: ['tool', 'tool_action'] },
+      },
+    ],
+  },
+
+  analysis: {
+    type: 'object',
+    required: ['goal', 'steps'],
+    properties: {
+      // Set by the AI client when the model's answer was not JSON
+      raw_response: false,
+      goal: { type: 'string', minLength: 1 },
+      steps: { ...stepList, minItems: 1 },
+      variables: {
+        type: 'array',
+        items: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } },
+      },
+    },
+  },
+
+  // What the recorder captures (POST /api/workflows and /api/analyze)
+  recording: {
+    type: 'object',
+    required: ['actions'],
+    properties: {
+      actions: { type: 'array', items: { type: 'object', required: ['type'] } },
+      intents: { type: 'array', items: { type: 'object' } },
+    },
+  },
+};
+
+const SCHEMAS = {
+  workflow: {
+    type: 'object',
+    required: ['id', 'name', 'analysis'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 1 },
+      id: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1 },
+      analysis: { $ref: '#/definitions/analysis' },
+      recordedData: { type: 'object' },
+      description: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      folder: { type: 'string' },
+      version: { type: 'integer', minimum: 1 },
+      revision: { type: 'integer', minimum: 0 },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' },
+      healProposals: { type: 'array' },
+    },
+  },
+
+  run: {
+    type: 'object',
+    required: ['runId', 'workflowId', 'status'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 1 },
+      runId: { type: 'string', minLength: 1 },
+      workflowId: { type: 'string', minLength: 1 },
+      workflowVersion: { type: ['integer', 'null'] },
+      status: { enum: RUN_STATUSES },
+      success: { type: 'boolean' },
+      variables: { type: ['object', 'null'] },
+      startedAt: { type: 'string' },
+      finishedAt: { type: 'string' },
+      steps: { type: 'array' },
+      artifacts: { type: 'array' },
+    },
+  },
+
+  analysis: { $ref: '#/definitions/analysis' },
+  step: { $ref: '#/definitions/step' },
+  recording: { $ref: '#/definitions/recording' },
+};
+
+Object.values(SCHEMAS).forEach(schema => {
+  schema.definitions = DEFINITIONS;
+});
+
+// migrations[kind][n] changes a version n-1 document into version n
+const MIGRATIONS = {
+  workflow: {
+    1: workflow => {
+      // Workflows saved before runs were stored apart had an empty
+      // history array; non-empty ones are moved by run-history at startup
+      if (Array.isArray(workflow.executionHistory) && workflow.executionHistory.length === 0) {
+        delete workflow.executionHistory;
+      }
+      if (typeof workflow.tags === 'string') {
+        workflow.tags = workflow.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+      }
+      return workflow;
+    },
+  },
+  run: {
+    1: run => {
+      if (!run.status) {
+        run.status = run.success ? 'completed' : 'failed';
+      }
+      return run;
+    },
+  },
+};
+
+/**
+ * Bring a document up to the current schema version, in place
+ * Documents from a newer version are left as they are (validation reports
+ * them).
+ * @returns the document
+ */
+function migrate(kind, document) {
+  if (!document || typeof document !== 'object') {
+    return document;
+  }
+  let version = document.schemaVersion || 0;
+  while (version < SCHEMA_VERSIONS[kind]) {
+    version++;
+    MIGRATIONS[kind][version](document);
+    document.schemaVersion = version;
+  }
+  return document;
+}
+
+/**
+ * Check a document against its schema
+ * @param {string} kind - 'workflow', 'run', 'analysis', 'step' or 'recording'
+ * @returns {string[]} errors, empty if the document is valid
+ */
+function validateDocument(kind, document) {
+  const errors = validate(SCHEMAS[kind], document);
+  if (SCHEMA_VERSIONS[kind] && document?.schemaVersion > SCHEMA_VERSIONS[kind]) {
+    errors.unshift(`Written by a newer version of the app (schema ${document.schemaVersion}, this app reads up to ${SCHEMA_VERSIONS[kind]})`);
+  }
+  return errors;
+}
+
+/**
+ * Error for a document that does not match its schema
+ */
+function invalid(message, errors) {
+  const error = new Error(`${message}: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`);
+  error.code = 'EINVALID';
+  error.errors = errors;
+  return error;
+}
+
+module.exports = {
+  SCHEMA_VERSIONS,
+  SCHEMAS,
+  migrate,
+  validateDocument,
+  invalid,
+};
@@ -0,0 +1,166 @@
+/**
+ * Workflow search
+ * How workflows are indexed, matched and ranked for the catalog (see
+ * src/modules/catalog.js), shared by every storage backend so they find
+ * and order workflows the same way.
+ *
+ * A workflow's search entry holds its words by field and the tools its
+ * steps use (category, action and "category.action"). A workflow matches
+ * when every search term matches one of its words, exactly or as the
+ * word's start; an exact match scores twice the field's weight, a prefix
+ * match the weight itself.
+ */
+
+// Fields searched, with the weight of a match in each
+const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 4,
+  description: 3,
+  goal: 3,
+  folder: 2,
+  steps: 2,
+  intents: 1,
+  tools: 1,
+};
+
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const SORTS = ['relevance', 'newest', 'oldest', 'name', 'updated'];
+
+// Keys holding nested step lists in if, for_each and parallel steps
+const NESTED_STEP_KEYS = ['then', 'else', 'steps'];
+
+/**
+ * Split text into lowercase words
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Call fn for every step, including nested ones
+ */
+function forEachStep(steps, fn) {
+  (steps || []).forEach(step => {
+    fn(step);
+    NESTED_STEP_KEYS.forEach(key => {
+      if (Array.isArray(step[key])) {
+        forEachStep(step[key], fn);
+      }
+    });
+  });
+}
+
+/**
+ * Build a workflow's search entry
+ * @returns {{fields: Object<string, string[]>, tools: string[]}} fields
+ *   maps each of SEARCH_FIELDS to its distinct words
+ */
+function buildSearchEntry(workflow) {
+  const text = { steps: [], tools: [] };
+  const tools = new Set();
+  forEachStep(workflow.analysis?.steps, step => {
+    text.steps.push(step.description);
+    if (step.tool) {
+      const category = step.tool === 'file' ? 'filesystem' : step.tool;
+      tools.add(category);
+      if (step.tool_action) {
+        tools.add(step.tool_action);
+        tools.add(`${category}.${step.tool_action}`);
+      }
+      text.tools.push(category, step.tool_action);
+      // Paths, URLs and commands say what a step touches
+      Object.values(step.parameters || {}).forEach(value => {
+        if (typeof value === 'string') {
+          text.tools.push(value);
+        }
+      });
+    }
+  });
+
+  const fields = {
+    name: tokenize(workflow.name),
+    tags: (workflow.tags || []).flatMap(tag => tokenize(tag)),
+    description: tokenize(workflow.description),
+    goal: tokenize(workflow.analysis?.goal),
+    folder: tokenize(workflow.folder),
+    steps: text.steps.flatMap(description => tokenize(description)),
+    intents: (workflow.recordedData?.intents || []).flatMap(intent => tokenize(intent.description)),
+    tools: text.tools.flatMap(value => tokenize(value)),
+  };
+  Object.keys(fields).forEach(field => {
+    fields[field] = [...new Set(fields[field])];
+  });
+
+  return { fields, tools: [...tools] };
+}
+
+/**
+ * Score a search entry's fields against the search terms
+ * @param {Object<string, Set<string>>} fields - words by field
+ * @returns {{score: number, matchedFields: string[]}|null} null unless
+ *   every term matches
+ */
+function scoreFields(fields, terms) {
+  let score = 0;
+  const matchedFields = new Set();
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(fields).forEach(([field, words]) => {
+      let points = 0;
+      if (words.has(term)) {
+        points = FIELD_WEIGHTS[field] * 2;
+      } else if ([...words].some(word => word.startsWith(term))) {
+        points = FIELD_WEIGHTS[field];
+      }
+      if (points > 0) {
+        matchedFields.add(field);
+        best = Math.max(best, points);
+      }
+    });
+    if (best === 0) {
+      return null;
+    }
+    score += best;
+  }
+  return { score, matchedFields: [...matchedFields] };
+}
+
+/**
+ * Whether a folder path is, or is inside, every wanted folder
+ * (all lowercase)
+ */
+function inFolders(folder, folders) {
+  return folders.every(wanted => folder === wanted || folder.startsWith(`${wanted}/`));
+}
+
+/**
+ * Comparator for {workflow, score} matches in the given sort order
+ */
+function compareMatches(sort) {
+  const byDate = field => (a, b) => new Date(b.workflow[field] || 0) - new Date(a.workflow[field] || 0);
+  const comparators = {
+    relevance: (a, b) => b.score - a.score || byDate('createdAt')(a, b),
+    newest: byDate('createdAt'),
+    oldest: (a, b) => byDate('createdAt')(b, a),
+    name: (a, b) => a.workflow.name.localeCompare(b.workflow.name),
+    updated: (a, b) =>
+      new Date(b.workflow.updatedAt || b.workflow.createdAt || 0) -
+      new Date(a.workflow.updatedAt || a.workflow.createdAt || 0),
+  };
+  return comparators[sort];
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  SEARCH_FIELDS,
+  SORTS,
+  tokenize,
+  buildSearchEntry,
+  scoreFields,
+  inFolders,
+  compareMatches,
+};
@@ -0,0 +1,616 @@
+const fs = require('fs');
+const path = require('path');
+
+const Database = require('better-sqlite3');
+
+const logger = require('../utils/logger');
+const BaseStorage = require('./base-storage');
+const { SEARCH_FIELDS, buildSearchEntry, scoreFields, compareMatches } = require('./search');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS workflows (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    created_at TEXT,
+    document TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS workflows_name ON workflows (name);
+  CREATE INDEX IF NOT EXISTS workflows_created_at ON workflows (created_at);
+
+  CREATE TABLE IF NOT EXISTS trashed_workflows (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    deleted_at TEXT,
+    document TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS workflow_versions (
+    workflow_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    document TEXT NOT NULL,
+    PRIMARY KEY (workflow_id, version)
+  );
+
+  CREATE TABLE IF NOT EXISTS runs (
+    run_id TEXT PRIMARY KEY,
+    workflow_id TEXT NOT NULL,
+    status TEXT,
+    started_at TEXT,
+    summary TEXT NOT NULL,
+    document TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS runs_workflow ON runs (workflow_id, started_at);
+
+  CREATE TABLE IF NOT EXISTS execution_states (
+    run_id TEXT PRIMARY KEY,
+    workflow_id TEXT,
+    updated_at TEXT,
+    document TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS workflow_search (
+    id INTEGER PRIMARY KEY,
+    workflow_id TEXT NOT NULL UNIQUE,
+    name TEXT,
+    folder TEXT,
+    created_at TEXT,
+    updated_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS workflow_search_folder ON workflow_search (folder);
+  CREATE INDEX IF NOT EXISTS workflow_search_created_at ON workflow_search (created_at);
+
+  CREATE TABLE IF NOT EXISTS workflow_tags (
+    workflow_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (tag, workflow_id)
+  );
+  CREATE INDEX IF NOT EXISTS workflow_tags_workflow ON workflow_tags (workflow_id);
+
+  CREATE TABLE IF NOT EXISTS workflow_tools (
+    workflow_id TEXT NOT NULL,
+    tool TEXT NOT NULL,
+    PRIMARY KEY (tool, workflow_id)
+  );
+  CREATE INDEX IF NOT EXISTS workflow_tools_workflow ON workflow_tools (workflow_id);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS workflow_words USING fts5(
+    ${SEARCH_FIELDS.join(', ')},
+    tokenize = 'unicode61 remove_diacritics 0'
+  );
+`;
+
+// ORDER BY for each catalog sort but relevance, which is ranked in code
+const SORT_ORDER = {
+  newest: 's.created_at DESC',
+  oldest: 's.created_at ASC',
+  name: 's.name COLLATE NOCASE ASC',
+  updated: 'COALESCE(s.updated_at, s.created_at) DESC',
+};
+
+// How long a write waits for another process (app or server) to finish
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Embedded SQLite storage (STORAGE_BACKEND=sqlite)
+ * Documents are stored as JSON text; the columns beside them exist for
+ * indexed lookups. Every write is a single statement or transaction, so a
+ * crash never leaves a half-written record, and lockWorkflow() is a write
+ * transaction, which SQLite serializes across processes. WAL mode lets the Electron app
+ * and the API server use the same database file at once.
+ *
+ * Workflows are indexed for the catalog as they are written: their words
+ * by field in the workflow_words full-text table (one row per workflow,
+ * matched by the rowid of its workflow_search row) and their tags and
+ * tools in tables of their own, so searches filter, sort and page in SQL
+ * and read only the workflows on the page.
+ */
+class SqliteStorage extends BaseStorage {
+  constructor(dataDir, options = {}) {
+    super(dataDir);
+    this.dbPath = options.path || path.join(dataDir, 'storage.db');
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    this.db.exec(SCHEMA);
+    logger.info(`SQLite storage opened: ${this.dbPath}`);
+    this.indexUnindexedWorkflows();
+  }
+
+  /**
+   * Parse the document column of each row
+   * @param {string} [kind] - 'workflow' or 'run' to migrate each document
+   *   to the current schema
+   */
+  parseRows(rows, column = 'document', kind = null) {
+    return rows.map(row => {
+      const document = JSON.parse(row[column]);
+      return kind ? this.loadDocument(kind, document) : document;
+    });
+  }
+
+  /**
+   * Write a workflow row
+   */
+  writeWorkflow(workflow) {
+    this.db.transaction(() => {
+      this.db
+        .prepare(`INSERT INTO workflows (id, name, created_at, document) VALUES (?, ?, ?, ?)
+          ON CONFLICT (id) DO UPDATE SET name = excluded.name, created_at = excluded.created_at, document = excluded.document`)
+        .run(workflow.id, workflow.name, workflow.createdAt || null, JSON.stringify(workflow));
+      this.indexWorkflow(workflow);
+    })();
+    return workflow;
+  }
+
+  /**
+   * Replace a workflow's rows in the search tables
+   */
+  indexWorkflow(workflow) {
+    this.unindexWorkflow(workflow.id);
+    const { fields, tools } = buildSearchEntry(workflow);
+    const { lastInsertRowid } = this.db
+      .prepare('INSERT INTO workflow_search (workflow_id, name, folder, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+      .run(
+        workflow.id,
+        workflow.name,
+        (workflow.folder || '').toLowerCase(),
+        workflow.createdAt || null,
+        workflow.updatedAt || null
+      );
+    this.db
+      .prepare(`INSERT INTO workflow_words (rowid, ${SEARCH_FIELDS.join(', ')}) VALUES (?, ${SEARCH_FIELDS.map(() => '?').join(', ')})`)
+      .run(lastInsertRowid, ...SEARCH_FIELDS.map(field => fields[field].join(' ')));
+    const insertTag = this.db.prepare('INSERT OR IGNORE INTO workflow_tags (workflow_id, tag) VALUES (?, ?)');
+    (workflow.tags || []).forEach(tag => insertTag.run(workflow.id, tag));
+    const insertTool = this.db.prepare('INSERT OR IGNORE INTO workflow_tools (workflow_id, tool) VALUES (?, ?)');
+    tools.forEach(tool => insertTool.run(workflow.id, tool));
+  }
+
+  /**
+   * Remove a workflow's rows from the search tables
+   */
+  unindexWorkflow(id) {
+    const row = this.db.prepare('SELECT id FROM workflow_search WHERE workflow_id = ?').get(id);
+    if (row) {
+      this.db.prepare('DELETE FROM workflow_words WHERE rowid = ?').run(row.id);
+      this.db.prepare('DELETE FROM workflow_search WHERE id = ?').run(row.id);
+    }
+    this.db.prepare('DELETE FROM workflow_tags WHERE workflow_id = ?').run(id);
+    this.db.prepare('DELETE FROM workflow_tools WHERE workflow_id = ?').run(id);
+  }
+
+  /**
+   * Index workflows stored before the search tables existed
+   */
+  indexUnindexedWorkflows() {
+    const workflows = this.parseRows(
+      this.db.prepare('SELECT document FROM workflows WHERE id NOT IN (SELECT workflow_id FROM workflow_search)').all(),
+      'document',
+      'workflow'
+    );
+    if (workflows.length > 0) {
+      this.db.transaction(() => workflows.forEach(workflow => this.indexWorkflow(workflow)))();
+      logger.info(`Indexed ${workflows.length} workflow(s) for search`);
+    }
+  }
+
+  /**
+   * Read a workflow row
+   */
+  readWorkflow(id) {
+    const row = this.db.prepare('SELECT document FROM workflows WHERE id = ?').get(id);
+    return row ? this.loadDocument('workflow', JSON.parse(row.document)) : null;
+  }
+
+  /**
+   * Run fn in a write transaction, which also rolls back everything fn
+   * wrote if it throws (nested calls become savepoints)
+   */
+  lockWorkflow(id, fn) {
+    const transaction = this.db.transaction(fn);
+    return this.db.inTransaction ? transaction() : transaction.immediate();
+  }
+
+  /**
+   * Run fn in a write transaction, like lockWorkflow()
+   */
+  lockWorkflowName(name, fn) {
+    return this.lockWorkflow(null, fn);
+  }
+
+  /**
+   * Get all workflows
+   */
+  getAllWorkflows() {
+    try {
+      return this.parseRows(
+        this.db.prepare('SELECT document FROM workflows ORDER BY created_at DESC').all(),
+        'document',
+        'workflow'
+      );
+    } catch (error) {
+      logger.error('Error getting all workflows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a workflow
+   */
+  deleteWorkflow(id) {
+    try {
+      this.db.transaction(() => {
+        this.db.prepare('DELETE FROM workflows WHERE id = ?').run(id);
+        this.unindexWorkflow(id);
+        this.db.prepare('DELETE FROM trashed_workflows WHERE id = ?').run(id);
+        this.db.prepare('DELETE FROM runs WHERE workflow_id = ?').run(id);
+        this.db.prepare('DELETE FROM workflow_versions WHERE workflow_id = ?').run(id);
+      })();
+      this.deleteFixtures(id);
+      logger.info(`Workflow deleted: ${id}`);
+    } catch (error) {
+      logger.error('Error deleting workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a workflow row into the trash table
+   */
+  moveToTrash(workflow) {
+    this.db.transaction(() => {
+      this.db
+        .prepare('INSERT OR REPLACE INTO trashed_workflows (id, name, deleted_at, document) VALUES (?, ?, ?, ?)')
+        .run(workflow.id, workflow.name, workflow.deletedAt || null, JSON.stringify(workflow));
+      this.db.prepare('DELETE FROM workflows WHERE id = ?').run(workflow.id);
+      this.unindexWorkflow(workflow.id);
+    })();
+    return workflow;
+  }
+
+  /**
+   * Move a workflow row out of the trash table
+   */
+  moveFromTrash(workflow) {
+    this.db.transaction(() => {
+      this.writeWorkflow(workflow);
+      this.db.prepare('DELETE FROM trashed_workflows WHERE id = ?').run(workflow.id);
+    })();
+    return workflow;
+  }
+
+  /**
+   * Read a workflow row in the trash
+   */
+  readTrashedWorkflow(id) {
+    const row = this.db.prepare('SELECT document FROM trashed_workflows WHERE id = ?').get(id);
+    return row ? this.loadDocument('workflow', JSON.parse(row.document)) : null;
+  }
+
+  /**
+   * Get every workflow in the trash, most recently deleted first
+   */
+  getTrashedWorkflows() {
+    try {
+      return this.parseRows(
+        this.db.prepare('SELECT document FROM trashed_workflows ORDER BY deleted_at DESC').all(),
+        'document',
+        'workflow'
+      );
+    } catch (error) {
+      logger.error('Error getting trashed workflows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Search workflows by name
+   */
+  searchWorkflows(query) {
+    try {
+      const pattern = `%${String(query).toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+      return this.parseRows(
+        this.db
+          .prepare(`SELECT document FROM workflows
+            WHERE lower(name) LIKE ? ESCAPE '\\' OR lower(id) LIKE ? ESCAPE '\\'
+            ORDER BY created_at DESC`)
+          .all(pattern, pattern),
+        'document',
+        'workflow'
+      );
+    } catch (error) {
+      logger.error('Error searching workflows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find workflows for the catalog using the search tables
+   * Tag, tool, folder and word filters and every sort but relevance run in
+   * the query, which returns only the page; relevance is ranked in code
+   * over the matching rows' words. Only the workflows on the page are read.
+   */
+  findWorkflows(criteria) {
+    try {
+      const { terms, tags, tools, folders, sort, limit, offset } = criteria;
+      const where = [];
+      const params = [];
+      tags.forEach(tag => {
+        where.push('s.workflow_id IN (SELECT workflow_id FROM workflow_tags WHERE tag = ?)');
+        params.push(tag);
+      });
+      tools.forEach(tool => {
+        where.push('s.workflow_id IN (SELECT workflow_id FROM workflow_tools WHERE tool = ?)');
+        params.push(tool);
+      });
+      folders.forEach(folder => {
+        where.push("(s.folder = ? OR s.folder LIKE ? ESCAPE '\\')");
+        params.push(folder, `${folder.replace(/[\\%_]/g, '\\$&')}/%`);
+      });
+      if (terms.length > 0) {
+        // Every term must start a word in some field
+        where.push('s.id IN (SELECT rowid FROM workflow_words WHERE workflow_words MATCH ?)');
+        params.push(terms.map(term => `"${term}"*`).join(' '));
+      }
+      const filter = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+      const select = `SELECT s.workflow_id, s.name, s.created_at, s.updated_at,
+          ${SEARCH_FIELDS.map(field => `w.${field} AS words_${field}`).join(', ')}
+        FROM workflow_search s LEFT JOIN workflow_words w ON w.rowid = s.id ${filter}`;
+
+      const toMatch = row => {
+        const fields = {};
+        SEARCH_FIELDS.forEach(field => {
+          fields[field] = new Set((row[`words_${field}`] || '').split(' ').filter(Boolean));
+        });
+        const scored = terms.length > 0 ? scoreFields(fields, terms) : { score: 0, matchedFields: [] };
+        if (!scored) {
+          return null;
+        }
+        return {
+          workflow: { id: row.workflow_id, name: row.name, createdAt: row.created_at, updatedAt: row.updated_at },
+          ...scored,
+        };
+      };
+
+      let page;
+      let total;
+      if (sort === 'relevance') {
+        const matches = this.db.prepare(select).all(...params).map(toMatch).filter(Boolean).sort(compareMatches(sort));
+        page = matches.slice(offset, offset + limit);
+        total = matches.length;
+      } else {
+        page = this.db
+          .prepare(`${select} ORDER BY ${SORT_ORDER[sort]} LIMIT ? OFFSET ?`)
+          .all(...params, limit, offset)
+          .map(toMatch)
+          .filter(Boolean);
+        total = this.db.prepare(`SELECT COUNT(*) AS count FROM workflow_search s ${filter}`).get(...params).count;
+      }
+
+      const matches = page
+        .map(match => ({ ...match, workflow: this.readWorkflow(match.workflow.id) }))
+        .filter(match => match.workflow);
+      return { matches, total };
+    } catch (error) {
+      logger.error('Error finding workflows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get workflow by name
+   */
+  getWorkflowByName(name) {
+    try {
+      const row = this.db
+        .prepare('SELECT document FROM workflows WHERE name = ? ORDER BY created_at DESC LIMIT 1')
+        .get(name);
+      return row ? this.loadDocument('workflow', JSON.parse(row.document)) : null;
+    } catch (error) {
+      logger.error('Error getting workflow by name:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Insert a version; the primary key rejects an existing version
+   */
+  insertWorkflowVersion(snapshot) {
+    this.db
+      .prepare('INSERT INTO workflow_versions (workflow_id, version, document) VALUES (?, ?, ?)')
+      .run(snapshot.workflowId, snapshot.version, JSON.stringify(snapshot));
+    return snapshot;
+  }
+
+  /**
+   * Get one version of a workflow
+   */
+  getWorkflowVersion(workflowId, version) {
+    try {
+      const row = this.db
+        .prepare('SELECT document FROM workflow_versions WHERE workflow_id = ? AND version = ?')
+        .get(workflowId, parseInt(version, 10));
+      return row ? JSON.parse(row.document) : null;
+    } catch (error) {
+      logger.error('Error getting workflow version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every version of a workflow, newest first
+   */
+  getWorkflowVersions(workflowId) {
+    try {
+      return this.parseRows(
+        this.db
+          .prepare('SELECT document FROM workflow_versions WHERE workflow_id = ? ORDER BY version DESC')
+          .all(workflowId)
+      );
+    } catch (error) {
+      logger.error('Error getting workflow versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a run record, with its summary stored separately so listings do
+   * not parse step logs
+   */
+  saveRun(record) {
+    try {
+      this.checkRun(record);
+      this.db
+        .prepare(`INSERT OR REPLACE INTO runs (run_id, workflow_id, status, started_at, summary, document)
+          VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(
+          record.runId,
+          record.workflowId,
+          record.status || null,
+          record.startedAt || null,
+          JSON.stringify(this.summarizeRun(record)),
+          JSON.stringify(record)
+        );
+      logger.debug(`Run saved: ${record.runId}`);
+      return record;
+    } catch (error) {
+      logger.error('Error saving run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a run record
+   */
+  getRun(runId) {
+    try {
+      const row = this.db.prepare('SELECT document FROM runs WHERE run_id = ?').get(runId);
+      return row ? this.loadDocument('run', JSON.parse(row.document)) : null;
+    } catch (error) {
+      logger.error('Error getting run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every run record of a workflow, newest first
+   */
+  getRuns(workflowId) {
+    try {
+      return this.parseRows(
+        this.db.prepare('SELECT document FROM runs WHERE workflow_id = ? ORDER BY started_at DESC').all(workflowId),
+        'document',
+        'run'
+      );
+    } catch (error) {
+      logger.error('Error getting runs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * A page of a workflow's runs, read from the summary column
+   */
+  listRuns(workflowId, options = {}) {
+    try {
+      const { limit = -1, offset = 0, status } = options;
+      const filter = status ? 'workflow_id = ? AND status = ?' : 'workflow_id = ?';
+      const params = status ? [workflowId, status] : [workflowId];
+
+      const rows = this.db
+        .prepare(`SELECT summary FROM runs WHERE ${filter} ORDER BY started_at DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+      const { total } = this.db.prepare(`SELECT count(*) AS total FROM runs WHERE ${filter}`).get(...params);
+
+      return { runs: this.parseRows(rows, 'summary', 'run'), total };
+    } catch (error) {
+      logger.error('Error listing runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of runs recorded for a workflow
+   */
+  countRuns(workflowId) {
+    return this.db.prepare('SELECT count(*) AS total FROM runs WHERE workflow_id = ?').get(workflowId).total;
+  }
+
+  /**
+   * Delete a run record
+   */
+  deleteRun(runId) {
+    try {
+      if (this.db.prepare('DELETE FROM runs WHERE run_id = ?').run(runId).changes > 0) {
+        logger.info(`Run deleted: ${runId}`);
+      }
+    } catch (error) {
+      logger.error('Error deleting run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the state of an unfinished execution
+   */
+  saveExecutionState(state) {
+    try {
+      this.db
+        .prepare('INSERT OR REPLACE INTO execution_states (run_id, workflow_id, updated_at, document) VALUES (?, ?, ?, ?)')
+        .run(state.runId, state.workflowId || null, state.updatedAt || null, JSON.stringify(state));
+      logger.info(`Execution state saved: ${state.runId}`);
+      return state;
+    } catch (error) {
+      logger.error('Error saving execution state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the saved state of an unfinished execution
+   */
+  getExecutionState(runId) {
+    try {
+      const row = this.db.prepare('SELECT document FROM execution_states WHERE run_id = ?').get(runId);
+      return row ? JSON.parse(row.document) : null;
+    } catch (error) {
+      logger.error('Error getting execution state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all saved unfinished executions, optionally for one workflow
+   */
+  getExecutionStates(workflowId = null) {
+    try {
+      const rows = workflowId
+        ? this.db
+          .prepare('SELECT document FROM execution_states WHERE workflow_id = ? ORDER BY updated_at DESC')
+          .all(workflowId)
+        : this.db.prepare('SELECT document FROM execution_states ORDER BY updated_at DESC').all();
+      return this.parseRows(rows);
+    } catch (error) {
+      logger.error('Error getting execution states:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove the saved state of an execution once it has finished
+   */
+  deleteExecutionState(runId) {
+    try {
+      if (this.db.prepare('DELETE FROM execution_states WHERE run_id = ?').run(runId).changes > 0) {
+        logger.info(`Execution state deleted: ${runId}`);
+      }
+    } catch (error) {
+      logger.error('Error deleting execution state:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SqliteStorage;
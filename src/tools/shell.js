@@ -11,7 +11,7 @@ const execPromise = util.promisify(exec);
 /**
  * Execute a shell command
  */
-async function execute_command(params) {
+async function execute_command(params, options = {}) {
   try {
     const { command, cwd = process.cwd() } = params;
 
@@ -24,7 +24,8 @@ async function execute_command(params) {
     const { stdout, stderr } = await execPromise(command, {
       cwd,
       maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-      timeout: 30000, // 30 second timeout
+      timeout: options.timeoutMs || 30000, // 30 second default timeout
+      signal: options.signal, // kills the child when the execution is cancelled
     });
 
     logger.debug(`Command executed successfully`);
@@ -40,6 +41,11 @@ async function execute_command(params) {
   } catch (error) {
     logger.error('Error executing command:', error);
 
+    // A cancelled execution is not a command failure
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+
     // Extract exit code if available
     const exitCode = error.code || error.status || 1;
 
@@ -139,7 +145,7 @@ async function remove_directory(params) {
 /**
  * Get command output
  */
-async function get_output(params) {
+async function get_output(params, options = {}) {
   try {
     const { command, cwd = process.cwd() } = params;
 
@@ -152,6 +158,8 @@ async function get_output(params) {
     const { stdout } = await execPromise(command, {
       cwd,
       maxBuffer: 10 * 1024 * 1024,
+      timeout: options.timeoutMs || 0,
+      signal: options.signal,
     });
 
     return {
@@ -8,7 +8,7 @@ const logger = require('../utils/logger');
 /**
  * Fetch URL
  */
-async function fetch_url(params) {
+async function fetch_url(params, options = {}) {
   try {
     const { url, method = 'GET', headers = {}, body = null } = params;
 
@@ -19,6 +19,8 @@ async function fetch_url(params) {
     const config = {
       method,
       url,
+      timeout: options.timeoutMs || 0,
+      signal: options.signal,
       headers: {
         'User-Agent':
           'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
@@ -50,7 +52,10 @@ async function fetch_url(params) {
     };
   } catch (error) {
     logger.error('Error fetching URL:', error);
-    throw new Error(`Failed to fetch ${params.url}: ${error.message}`);
+    const fetchError = new Error(`Failed to fetch ${params.url}: ${error.message}`);
+    fetchError.code = error.code;
+    fetchError.status = error.response?.status;
+    throw fetchError;
   }
 }
 
@@ -93,7 +98,7 @@ async function parse_html(params) {
 /**
  * Submit form (basic)
  */
-async function submit_form(params) {
+async function submit_form(params, options = {}) {
   try {
     const { url, fields = {} } = params;
 
@@ -104,6 +109,8 @@ async function submit_form(params) {
     logger.debug(`Submitting form to ${url}`);
 
     const response = await axios.post(url, fields, {
+      timeout: options.timeoutMs || 0,
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
@@ -150,7 +157,7 @@ async function parse_json(params) {
 /**
  * Get page title and meta data
  */
-async function get_page_info(params) {
+async function get_page_info(params, options = {}) {
   try {
     const { url } = params;
 
@@ -158,7 +165,7 @@ async function get_page_info(params) {
       throw new Error('URL parameter is required');
     }
 
-    const response = await axios.get(url);
+    const response = await axios.get(url, { timeout: options.timeoutMs || 0, signal: options.signal });
     const html = response.data;
 
     // Extract title
@@ -0,0 +1,159 @@
+const fs = require('fs');
+
+/**
+ * Step assertions
+ *
+ * Post-conditions checked after a tool step returns. A failed assertion
+ * fails the step, so it is retried and then handled by error_handling
+ * like any other error.
+ *
+ *   "assertions": [
+ *     { "type": "exit_code", "equals": 0 },
+ *     { "type": "file_exists", "path": "{{variables.output}}" },
+ *     { "type": "row_count", "gt": 10 },
+ *     { "type": "status", "range": "2xx" },
+ *     { "type": "matches", "pattern": "Total: \\d+", "field": "stdout" }
+ *   ]
+ *
+ * Comparisons: equals, not_equals, gt, gte, lt, lte, in
+ * A tool result with `success: false` (e.g. a shell command that exited
+ * non-zero) fails the step unless the step declares its own exit_code
+ * assertion.
+ */
+
+const COMPARISONS = {
+  equals: (actual, expected) => actual === expected || (isNumeric(actual) && Number(actual) === Number(expected)),
+  not_equals: (actual, expected) => !COMPARISONS.equals(actual, expected),
+  gt: (actual, expected) => Number(actual) > Number(expected),
+  gte: (actual, expected) => Number(actual) >= Number(expected),
+  lt: (actual, expected) => Number(actual) < Number(expected),
+  lte: (actual, expected) => Number(actual) <= Number(expected),
+  in: (actual, expected) => [].concat(expected).some(value => COMPARISONS.equals(actual, value)),
+};
+
+// Result fields checked by `matches` when no field is given
+const TEXT_FIELDS = ['stdout', 'output', 'data', 'content'];
+
+// Result fields that hold a row count, in order of preference
+const ROW_COUNT_FIELDS = ['rowCount', 'rowsWritten', 'totalRows', 'matchedRows'];
+
+function isNumeric(value) {
+  return value !== null && value !== '' && !Number.isNaN(Number(value));
+}
+
+/**
+ * Compare a value using the comparison keys present on an assertion
+ * @returns {{passed: boolean, expectation: string}}
+ */
+function compare(assertion, actual, defaults) {
+  const keys = Object.keys(COMPARISONS).filter(key => assertion[key] !== undefined);
+  const comparisons = keys.length > 0 ? keys.map(key => [key, assertion[key]]) : Object.entries(defaults);
+
+  const passed = comparisons.every(([key, expected]) => COMPARISONS[key](actual, expected));
+  const expectation = comparisons.map(([key, expected]) => `${key} ${JSON.stringify(expected)}`).join(' and ');
+  return { passed, expectation };
+}
+
+/**
+ * Count the rows in a spreadsheet tool result
+ */
+function getRowCount(result) {
+  const field = ROW_COUNT_FIELDS.find(name => typeof result[name] === 'number');
+  if (field) {
+    return result[field];
+  }
+  return Array.isArray(result.data) ? result.data.length : undefined;
+}
+
+/**
+ * Check a single assertion against a tool result
+ * @returns {{type: string, passed: boolean, message: string}}
+ */
+function checkAssertion(assertion, result, parameters = {}) {
+  const type = assertion.type;
+
+  switch (type) {
+    case 'exit_code': {
+      const actual = result.exitCode !== undefined ? result.exitCode : (result.success === false ? 1 : 0);
+      const { passed, expectation } = compare(assertion, actual, { equals: 0 });
+      return { type, passed, message: `exit code ${actual} (expected ${expectation})` };
+    }
+
+    case 'status': {
+      const actual = result.status;
+      if (assertion.range) {
+        const passed = actual !== undefined && `${String(actual)[0]}xx` === String(assertion.range).toLowerCase();
+        return { type, passed, message: `status ${actual} (expected ${assertion.range})` };
+      }
+      const { passed, expectation } = compare(assertion, actual, { gte: 200, lt: 300 });
+      return { type, passed, message: `status ${actual} (expected ${expectation})` };
+    }
+
+    case 'row_count': {
+      const actual = getRowCount(result);
+      const { passed, expectation } = compare(assertion, actual, { gt: 0 });
+      return { type, passed: actual !== undefined && passed, message: `row count ${actual} (expected ${expectation})` };
+    }
+
+    case 'file_exists': {
+      const filePath = assertion.path || parameters.path || parameters.newPath || parameters.destination;
+      if (!filePath) {
+        return { type, passed: false, message: 'file_exists assertion has no path' };
+      }
+      const expected = assertion.exists !== false;
+      const exists = fs.existsSync(filePath);
+      return {
+        type,
+        passed: exists === expected,
+        message: `${filePath} ${exists ? 'exists' : 'does not exist'} (expected it ${expected ? 'to exist' : 'not to exist'})`,
+      };
+    }
+
+    case 'matches': {
+      const field = assertion.field || TEXT_FIELDS.find(name => typeof result[name] === 'string');
+      const value = field ? result[field] : undefined;
+      const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+      const passed = new RegExp(assertion.pattern, assertion.flags || '').test(text);
+      return { type, passed, message: `${field || 'output'} ${passed ? 'matches' : 'does not match'} /${assertion.pattern}/` };
+    }
+
+    default:
+      return { type, passed: false, message: `unknown assertion type: ${type}` };
+  }
+}
+
+/**
+ * Check a step's assertions, throwing if any fail
+ * @param {Object} result - the tool's own result
+ * @param {Object} parameters - the step's resolved parameters
+ * @param {Array} assertions - the step's resolved assertions
+ * @returns {Array} every check that was made
+ */
+function assertStepResult(result, parameters, assertions = []) {
+  const toolResult = result || {};
+  const checks = assertions.map(assertion => checkAssertion(assertion, toolResult, parameters));
+
+  if (toolResult.success === false && !assertions.some(a => a.type === 'exit_code')) {
+    const detail = toolResult.error || toolResult.stderr || 'no details';
+    checks.unshift({
+      type: 'success',
+      passed: false,
+      message: `tool reported failure${toolResult.exitCode !== undefined ? ` (exit code ${toolResult.exitCode})` : ''}: ${String(detail).trim()}`,
+    });
+  }
+
+  const failed = checks.filter(check => !check.passed);
+  if (failed.length > 0) {
+    const error = new Error(`Assertion failed: ${failed.map(check => check.message).join('; ')}`);
+    error.code = 'EASSERT';
+    error.assertions = checks;
+    throw error;
+  }
+
+  return checks;
+}
+
+module.exports = {
+  assertStepResult,
+  checkAssertion,
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+
+// Makes temp file names unique within this process
+let counter = 0;
+
+/**
+ * Write a file so readers see either the old content or the new, never a
+ * partial write: the data goes to a temp file beside the target, is
+ * flushed to disk, then renamed over it.
+ * @param {Object} options - {exclusive: true} to fail with EEXIST instead
+ *   of replacing an existing file
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const tempPath = `${filePath}.${process.pid}.${++counter}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, 'wx');
+    try {
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (options.exclusive) {
+      // link, unlike rename, refuses to replace the target
+      fs.linkSync(tempPath, filePath);
+      fs.unlinkSync(tempPath);
+    } else {
+      fs.renameSync(tempPath, filePath);
+    }
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write a value as formatted JSON, atomically
+ */
+function writeJsonAtomic(filePath, value, options = {}) {
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2), options);
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+};
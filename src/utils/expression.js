@@ -0,0 +1,238 @@
+const { lookup } = require('./template');
+
+/**
+ * Condition expressions for `if` steps
+ *
+ * A small, side-effect free expression language evaluated against the run
+ * context (no `eval`):
+ *   steps.1.result.count > 0
+ *   {{variables.mode}} == 'full' && !steps.2.result.exists
+ *   steps.1.result.files contains 'report.xlsx'
+ *   variables.filename matches '^test_.*\.xlsx$'
+ *
+ * Operators: == != === !== > >= < <= && || ! and or not contains matches
+ * Literals: numbers, 'single' or "double" quoted strings, true, false, null
+ * References resolve like templates; unknown references evaluate to undefined.
+ */
+
+const KEYWORDS = {
+  true: { type: 'literal', value: true },
+  false: { type: 'literal', value: false },
+  null: { type: 'literal', value: null },
+  and: { type: 'op', value: '&&' },
+  or: { type: 'op', value: '||' },
+  not: { type: 'op', value: '!' },
+  contains: { type: 'op', value: 'contains' },
+  matches: { type: 'op', value: 'matches' },
+};
+
+const COMPARISON_OPERATORS = ['==', '!=', '===', '!==', '>', '>=', '<', '<=', 'contains', 'matches'];
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // {{ reference }}
+    if (expression.startsWith('{{', i)) {
+      const end = expression.indexOf('}}', i);
+      if (end === -1) {
+        throw new Error(`Unterminated reference in expression: ${expression}`);
+      }
+      tokens.push({ type: 'ref', value: expression.slice(i + 2, end).trim() });
+      i = end + 2;
+      continue;
+    }
+
+    // Quoted strings
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== char) {
+        if (expression[i] === '\\' && i + 1 < expression.length) {
+          value += expression[i + 1];
+          i += 2;
+        } else {
+          value += expression[i];
+          i++;
+        }
+      }
+      if (i >= expression.length) {
+        throw new Error(`Unterminated string in expression: ${expression}`);
+      }
+      tokens.push({ type: 'literal', value });
+      i++;
+      continue;
+    }
+
+    // Numbers
+    const numberMatch = expression.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (numberMatch && (char !== '-' || tokens.length === 0 || tokens[tokens.length - 1].type === 'op')) {
+      tokens.push({ type: 'literal', value: Number(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    // Operators and parentheses
+    const operatorMatch = expression.slice(i).match(/^(===|!==|==|!=|>=|<=|&&|\|\||[><!()])/);
+    if (operatorMatch) {
+      const value = operatorMatch[0];
+      tokens.push({ type: value === '(' || value === ')' ? value : 'op', value });
+      i += value.length;
+      continue;
+    }
+
+    // References and keywords
+    const identifierMatch = expression.slice(i).match(/^[A-Za-z_$][\w$]*(\.[\w$]+|\[\d+\])*/);
+    if (identifierMatch) {
+      const word = identifierMatch[0];
+      tokens.push(KEYWORDS[word] ? { ...KEYWORDS[word] } : { type: 'ref', value: word });
+      i += word.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${char}' in expression: ${expression}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Apply a comparison operator
+ */
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return left == right;
+    case '!=':
+      return left != right;
+    case '===':
+      return left === right;
+    case '!==':
+      return left !== right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case 'contains':
+      if (Array.isArray(left) || typeof left === 'string') {
+        return left.includes(right);
+      }
+      if (left && typeof left === 'object') {
+        return Object.prototype.hasOwnProperty.call(left, right);
+      }
+      return false;
+    case 'matches':
+      return new RegExp(String(right)).test(String(left ?? ''));
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+}
+
+/**
+ * Evaluate a condition expression against the run context
+ * @param {string|boolean} expression
+ * @param {Object} context - run context (steps, variables, loop values)
+ * @returns {*} the expression value
+ */
+function evaluate(expression, context) {
+  if (typeof expression === 'boolean') {
+    return expression;
+  }
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Condition must be a non-empty expression');
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isOp = (...values) => peek() && peek().type === 'op' && values.includes(peek().value);
+
+  function parseOr() {
+    let value = parseAnd();
+    while (isOp('||')) {
+      next();
+      const right = parseAnd();
+      value = value || right;
+    }
+    return value;
+  }
+
+  function parseAnd() {
+    let value = parseNot();
+    while (isOp('&&')) {
+      next();
+      const right = parseNot();
+      value = value && right;
+    }
+    return value;
+  }
+
+  function parseNot() {
+    if (isOp('!')) {
+      next();
+      return !parseNot();
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parsePrimary();
+    if (isOp(...COMPARISON_OPERATORS)) {
+      const operator = next().value;
+      const right = parsePrimary();
+      return compare(operator, left, right);
+    }
+    return left;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${expression}`);
+    }
+
+    if (token.type === 'literal') {
+      return token.value;
+    }
+    if (token.type === 'ref') {
+      return lookup(token.value, context).value;
+    }
+    if (token.type === '(') {
+      const value = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error(`Missing closing parenthesis in expression: ${expression}`);
+      }
+      next();
+      return value;
+    }
+
+    throw new Error(`Unexpected '${token.value}' in expression: ${expression}`);
+  }
+
+  const result = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${peek().value}' in expression: ${expression}`);
+  }
+  return result;
+}
+
+module.exports = {
+  evaluate,
+};
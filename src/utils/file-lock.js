@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { isProcessAlive } = require('./helpers');
+
+/**
+ * Advisory locks shared between processes (the Electron app and the API
+ * server write the same data directory)
+ * A lock is a file created with the wx flag, holding its owner's pid. It
+ * is re-entrant within a process and taken over only once its owner, on
+ * this host, has exited - however long a live owner holds it. Storage calls
+ * are synchronous, so waiting for a lock blocks briefly rather than yielding.
+ */
+
+const LOCK_TIMEOUT_MS = 10000;
+// A lock file still empty or half-written after this long was never finished
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 20;
+
+// Locks held by this process: path -> depth
+const held = new Map();
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleep(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+/**
+ * Read an existing lock file left behind by a process that is gone
+ * @returns {string|null} its contents, or null while the lock is held or gone
+ */
+function readStaleLock(lockPath) {
+  let contents;
+  let owner;
+  try {
+    contents = fs.readFileSync(lockPath, 'utf-8');
+  } catch (error) {
+    // Gone already: try again
+    return null;
+  }
+  try {
+    owner = JSON.parse(contents);
+  } catch (error) {
+    // Caught half-written, unless its owner died before writing it
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS ? contents : null;
+    } catch (statError) {
+      return null;
+    }
+  }
+  const dead = owner.host === os.hostname() && owner.pid !== process.pid && !isProcessAlive(owner.pid);
+  return dead ? contents : null;
+}
+
+/**
+ * Remove a stale lock, unless another process has taken it over and
+ * written its own since it was read
+ */
+function removeStaleLock(lockPath, contents) {
+  try {
+    if (fs.readFileSync(lockPath, 'utf-8') === contents) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  } catch (error) {
+    // Removed by another waiter
+  }
+}
+
+function acquire(lockPath, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname() }), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stale = readStaleLock(lockPath);
+    if (stale !== null) {
+      removeStaleLock(lockPath, stale);
+    } else if (Date.now() >= deadline) {
+      const error = new Error(`Timed out waiting for lock ${path.basename(lockPath)}`);
+      error.code = 'ELOCKED';
+      throw error;
+    } else {
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+}
+
+/**
+ * Run fn while holding the lock file at lockPath
+ * @returns whatever fn returns
+ */
+function withFileLock(lockPath, fn, options = {}) {
+  const depth = held.get(lockPath) || 0;
+  if (depth === 0) {
+    acquire(lockPath, options.timeoutMs || LOCK_TIMEOUT_MS);
+  }
+  held.set(lockPath, depth + 1);
+
+  try {
+    return fn();
+  } finally {
+    if (depth === 0) {
+      held.delete(lockPath);
+      fs.rmSync(lockPath, { force: true });
+    } else {
+      held.set(lockPath, depth);
+    }
+  }
+}
+
+module.exports = {
+  withFileLock,
+};
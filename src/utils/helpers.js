@@ -47,6 +47,22 @@ function isEmpty(obj) {
   return Object.keys(obj).length === 0;
 }
 
+/**
+ * Check whether a process with this ID is still running
+ */
+function isProcessAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
 /**
  * Get current system info
  */
@@ -70,6 +86,7 @@ module.exports = {
   delay,
   deepClone,
   isEmpty,
+  isProcessAlive,
   getSystemInfo,
   logger,
 };
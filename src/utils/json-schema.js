@@ -0,0 +1,129 @@
+/**
+ * JSON Schema validation
+ *
+ * Validates documents against the subset of JSON Schema (draft-07) used by
+ * src/storage/schema.js:
+ *   type, enum, const, required, properties, items, minLength, minItems,
+ *   minimum, maximum, allOf, if/then/else, $ref ("#/definitions/name")
+ * and boolean schemas (`false` rejects any value present).
+ *
+ * Errors are plain strings naming the offending path, e.g.
+ *   "analysis.steps[2].tool_action is required"
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(path) {
+  return path || 'document';
+}
+
+/**
+ * Resolve a "#/definitions/name" reference against the root schema
+ */
+function resolveRef(ref, root) {
+  const resolved = ref
+    .replace(/^#\/?/, '')
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key], root);
+  if (resolved === undefined) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return resolved;
+}
+
+/**
+ * Validate a value, appending errors to the list
+ */
+function check(schema, value, path, root, errors) {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push(`${describe(path)} is not allowed`);
+    return;
+  }
+  if (schema.$ref) {
+    check(resolveRef(schema.$ref, root), value, path, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${describe(path)} must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${describe(path)} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${describe(path)} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${describe(path)} must not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${describe(path)} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${describe(path)} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${describe(path)} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, root, errors));
+    }
+  } else if (value !== null && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        check(propertySchema, value[key], path ? `${path}.${key}` : key, root, errors);
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(part => check(part, value, path, root, errors));
+
+  if (schema.if) {
+    const branch = validate(schema.if, value, root).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) {
+      check(branch, value, path, root, errors);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} root - schema holding `definitions` for $ref (defaults
+ *   to the schema itself)
+ * @returns {string[]} errors, empty if the value is valid
+ */
+function validate(schema, value, root = schema) {
+  const errors = [];
+  check(schema, value, '', root, errors);
+  return errors;
+}
+
+module.exports = {
+  validate,
+};
@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { maskSecrets } = require('./secret-mask');
 
 // Create logs directory if it doesn't exist
 const logDir = process.env.LOG_DIR || './logs';
@@ -8,11 +9,20 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
+// Replace secret values with their {{secret.NAME}} references
+const maskSecretValues = winston.format(info => {
+  Object.keys(info).forEach(key => {
+    info[key] = maskSecrets(info[key]);
+  });
+  return info;
+});
+
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
+    maskSecretValues(),
     winston.format.printf(({ level, message, timestamp, stack }) => {
       const msg = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
       return stack ? `${msg}\n${stack}` : msg;
@@ -30,8 +40,8 @@ const logger = winston.createLogger({
   ],
 });
 
-// Also log to console in development
-if (process.env.NODE_ENV !== 'production') {
+// Also log to console in development (not in production or under tests)
+if (!['production', 'test'].includes(process.env.NODE_ENV)) {
   logger.add(
     new winston.transports.Console({
       format: winston.format.combine(
@@ -0,0 +1,177 @@
+/**
+ * Step retry policies and timeouts
+ *
+ * Step schema:
+ *   "retry": {
+ *     "attempts": 3,                 // total attempts, including the first
+ *     "backoff": "exponential",      // "fixed" | "exponential" | ms | { type, delay_ms, max_delay_ms, factor }
+ *     "retryOn": ["timeout", "network", "http_5xx", "EBUSY"]
+ *   },
+ *   "timeout_ms": 60000              // per attempt
+ *
+ * retryOn entries are keywords (any, timeout, network, http_5xx, http_429, assertion)
+ * or text matched against the error code and message (case-insensitive).
+ * When retryOn is omitted every error is retried.
+ */
+
+const DEFAULT_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const RETRY_KEYWORDS = {
+  any: () => true,
+  timeout: error =>
+    error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED' || /timed? ?out/i.test(error.message),
+  network: error =>
+    NETWORK_CODES.includes(error.code) ||
+    NETWORK_CODES.some(code => error.message.includes(code)) ||
+    /socket hang up|network/i.test(error.message),
+  http_5xx: error => /status code 5\d\d/.test(error.message) || (error.status >= 500 && error.status < 600),
+  http_429: error => /status code 429/.test(error.message) || error.status === 429,
+  assertion: error => error.code === 'EASSERT',
+};
+
+/**
+ * Normalize a step's retry settings
+ * @returns {{attempts: number, backoff: {type: string, delayMs: number, maxDelayMs: number, factor: number}, retryOn: string[], timeoutMs: number|null}}
+ */
+function getRetryPolicy(step) {
+  const retry = step.retry || {};
+  const attempts = Math.max(1, parseInt(retry.attempts, 10) || 1);
+
+  let backoff = { type: 'fixed', delayMs: DEFAULT_DELAY_MS, maxDelayMs: DEFAULT_MAX_DELAY_MS, factor: 2 };
+  if (typeof retry.backoff === 'number') {
+    backoff.delayMs = retry.backoff;
+  } else if (typeof retry.backoff === 'string') {
+    backoff.type = retry.backoff;
+  } else if (retry.backoff && typeof retry.backoff === 'object') {
+    backoff = {
+      type: retry.backoff.type || 'fixed',
+      delayMs: retry.backoff.delay_ms ?? DEFAULT_DELAY_MS,
+      maxDelayMs: retry.backoff.max_delay_ms ?? DEFAULT_MAX_DELAY_MS,
+      factor: retry.backoff.factor ?? 2,
+    };
+  }
+
+  const retryOn = retry.retryOn === undefined
+    ? ['any']
+    : [].concat(retry.retryOn).map(String);
+
+  const timeoutMs = parseInt(step.timeout_ms, 10) > 0 ? parseInt(step.timeout_ms, 10) : null;
+
+  return { attempts, backoff, retryOn, timeoutMs };
+}
+
+/**
+ * Delay before the next attempt (attempt is the 1-based attempt that failed)
+ */
+function getBackoffDelay(policy, attempt) {
+  const { type, delayMs, maxDelayMs, factor } = policy.backoff;
+  const delay = type === 'exponential' ? delayMs * Math.pow(factor, attempt - 1) : delayMs;
+  return Math.min(delay, maxDelayMs);
+}
+
+/**
+ * Should this error be retried under the policy?
+ */
+function shouldRetry(policy, error) {
+  return policy.retryOn.some(rule => {
+    const keyword = RETRY_KEYWORDS[rule.toLowerCase()];
+    if (keyword) {
+      return keyword(error);
+    }
+    const text = `${error.code || ''} ${error.message || ''}`.toLowerCase();
+    return text.includes(rule.toLowerCase());
+  });
+}
+
+/**
+ * Reject if a promise does not settle within timeoutMs
+ * The promise itself keeps running; the error has timedOut set so callers
+ * can tell this from a timeout the operation reported itself.
+ */
+function withTimeout(promise, timeoutMs, label = 'Operation') {
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Error thrown when an execution is cancelled
+ */
+function createCancelError(label = 'Operation') {
+  const error = new Error(`${label} cancelled`);
+  error.name = 'AbortError';
+  error.code = 'ECANCELLED';
+  return error;
+}
+
+/**
+ * Reject as soon as the signal is aborted, even if the promise keeps running
+ */
+function withAbort(promise, signal, label = 'Operation') {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(createCancelError(label));
+  }
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(createCancelError(label));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Wait between attempts, stopping early if the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelError('Retry backoff'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelError('Retry backoff'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+module.exports = {
+  getRetryPolicy,
+  getBackoffDelay,
+  shouldRetry,
+  withTimeout,
+  withAbort,
+  sleep,
+  createCancelError,
+};
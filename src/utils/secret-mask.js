@@ -0,0 +1,180 @@
+/**
+ * Secret masking
+ *
+ * The values of unlocked secrets (see src/modules/secrets.js) are replaced
+ * by their reference, e.g. "Bearer {{secret.GITHUB_TOKEN}}", wherever a
+ * run's parameters, results or errors leave the executor: logs, run
+ * history, saved execution states, progress events and API responses.
+ * unmaskSecrets() turns references back into values for parameters the
+ * user sends back (edited confirmations, resumed steps).
+ *
+ * Step results and variables saved for resuming are masked with
+ * maskSecretsTracked(), which also records where each reference was put.
+ * restoreMaskedSecrets() puts values back at those places only, so text a
+ * step returned that merely looks like a reference (a fetched page
+ * containing "{{secret.API_TOKEN}}") stays as it was.
+ *
+ * Values shorter than MIN_MASKED_LENGTH characters are not masked; they
+ * would match too much ordinary text.
+ */
+
+const MIN_MASKED_LENGTH = 4;
+
+const SECRET_REFERENCE = /\{\{\s*secret\.([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// name -> value
+let secretValues = new Map();
+// [value, name] pairs to mask, longest value first so a secret that
+// contains another is masked whole
+let maskedValues = [];
+
+/**
+ * Set the secrets to mask, replacing any set before
+ * @param {Map<string, string>} secrets - name -> value
+ */
+function setMaskedSecrets(secrets) {
+  secretValues = new Map(secrets);
+  maskedValues = Array.from(secretValues.entries())
+    .filter(([, value]) => typeof value === 'string' && value.length >= MIN_MASKED_LENGTH)
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([name, value]) => [value, name]);
+}
+
+function reference(name) {
+  return `{{secret.${name}}}`;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Apply fn(text, path) to every string in a value, copying arrays and
+ * plain objects; path lists the keys and indexes leading to the string
+ */
+function mapStrings(value, fn, path = []) {
+  if (typeof value === 'string') {
+    return fn(value, path);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => mapStrings(item, fn, [...path, index]));
+  }
+  if (isPlainObject(value)) {
+    const mapped = {};
+    Object.entries(value).forEach(([key, item]) => {
+      mapped[key] = mapStrings(item, fn, [...path, key]);
+    });
+    return mapped;
+  }
+  return value;
+}
+
+/**
+ * Replace secret values in a string with their references
+ * @returns {{text: string, refs: Array<{at: number, name: string}>}} refs
+ *   gives the offset in the masked text of each reference put in
+ */
+function maskText(text) {
+  const refs = [];
+  let masked = '';
+  let from = 0;
+  for (;;) {
+    // The earliest secret from here on; the longest one if several start there
+    let next = null;
+    maskedValues.forEach(([secret, name]) => {
+      const index = text.indexOf(secret, from);
+      if (index !== -1 && (next === null || index < next.index)) {
+        next = { index, secret, name };
+      }
+    });
+    if (!next) {
+      break;
+    }
+    masked += text.slice(from, next.index);
+    refs.push({ at: masked.length, name: next.name });
+    masked += reference(next.name);
+    from = next.index + next.secret.length;
+  }
+  return { text: refs.length > 0 ? masked + text.slice(from) : text, refs };
+}
+
+/**
+ * Replace secret values in a string, array or plain object with their
+ * references
+ * @returns a masked copy (the value itself when there is nothing to mask)
+ */
+function maskSecrets(value) {
+  if (maskedValues.length === 0) {
+    return value;
+  }
+  return mapStrings(value, text => maskText(text).text);
+}
+
+/**
+ * Mask a value as maskSecrets() does, recording where references were put
+ * @returns {{value, masked: Array<{path: Array<string|number>, refs: Array<{at: number, name: string}>}>}}
+ *   masked lists each changed string by its path, for restoreMaskedSecrets()
+ */
+function maskSecretsTracked(value) {
+  const masked = [];
+  if (maskedValues.length === 0) {
+    return { value, masked };
+  }
+  const copy = mapStrings(value, (text, path) => {
+    const result = maskText(text);
+    if (result.refs.length > 0) {
+      masked.push({ path, refs: result.refs });
+    }
+    return result.text;
+  });
+  return { value: copy, masked };
+}
+
+/**
+ * Put secret values back where maskSecretsTracked() masked them, and
+ * nowhere else; a reference to a secret that no longer exists is left as
+ * it is
+ * @param {Array} masked - from maskSecretsTracked()
+ */
+function restoreMaskedSecrets(value, masked = []) {
+  if (masked.length === 0) {
+    return value;
+  }
+  const refsByPath = new Map(masked.map(entry => [JSON.stringify(entry.path), entry.refs]));
+  return mapStrings(value, (text, path) => {
+    const refs = refsByPath.get(JSON.stringify(path));
+    if (!refs) {
+      return text;
+    }
+    // Last first, so earlier offsets still hold
+    return [...refs]
+      .sort((a, b) => b.at - a.at)
+      .reduce((restored, { at, name }) => {
+        const placeholder = reference(name);
+        if (!secretValues.has(name) || !restored.startsWith(placeholder, at)) {
+          return restored;
+        }
+        return restored.slice(0, at) + secretValues.get(name) + restored.slice(at + placeholder.length);
+      }, text);
+  });
+}
+
+/**
+ * Replace {{secret.NAME}} references with the secrets' values; references
+ * to unknown secrets are left as they are
+ */
+function unmaskSecrets(value) {
+  return mapStrings(value, text =>
+    text.replace(SECRET_REFERENCE, (match, name) => (secretValues.has(name) ? secretValues.get(name) : match))
+  );
+}
+
+module.exports = {
+  setMaskedSecrets,
+  maskSecrets,
+  maskSecretsTracked,
+  restoreMaskedSecrets,
+  unmaskSecrets,
+};
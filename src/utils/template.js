@@ -0,0 +1,125 @@
+/**
+ * Step parameter templating
+ *
+ * Parameters may reference values produced earlier in a run:
+ *   {{steps.1.result.files}}     - result of step 1
+ *   {{steps.2.result.data[0]}}   - array indexing
+ *   {{steps.rename.result}}      - step with `id: 'rename'`
+ *   {{variables.sample_name}}    - workflow variable
+ *   {{sample_name}}              - shorthand for a workflow variable
+ *   {{secret.API_TOKEN}}         - secret from the vault (src/modules/secrets.js)
+ *
+ * A string that consists of a single reference resolves to the raw value
+ * (arrays and objects are preserved); references embedded in a longer
+ * string are interpolated as text.
+ */
+
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_TEMPLATE_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+const ROOT_NAMESPACES = ['steps', 'variables', 'secret'];
+
+/**
+ * Split a reference such as "steps.1.result.data[0].name" into path segments
+ */
+function parsePath(reference) {
+  return reference
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .map(segment => segment.trim())
+    .filter(segment => segment.length > 0);
+}
+
+/**
+ * Whether a value has its own key (not one inherited, such as
+ * `constructor` or `__proto__`)
+ */
+function hasOwn(value, key) {
+  return Object.prototype.hasOwnProperty.call(value, key);
+}
+
+/**
+ * Look up a reference in the execution context
+ * @returns {{found: boolean, value: *}}
+ */
+function lookup(reference, context) {
+  let segments = parsePath(reference);
+
+  // Bare names are shorthand for workflow variables
+  if (!ROOT_NAMESPACES.includes(segments[0]) && !hasOwn(context, segments[0])) {
+    segments = ['variables', ...segments];
+  }
+
+  let current = context;
+  for (const segment of segments) {
+    if (current === null || current === undefined || !hasOwn(current, segment)) {
+      return { found: false, value: undefined };
+    }
+    current = current[segment];
+  }
+
+  return { found: true, value: current };
+}
+
+/**
+ * Resolve a single reference, throwing if it cannot be found
+ */
+function resolveReference(reference, context) {
+  const { found, value } = lookup(reference, context);
+  if (!found) {
+    throw new Error(`Unresolved template reference: {{${reference}}}`);
+  }
+  return value;
+}
+
+/**
+ * Convert a resolved value to text for interpolation
+ */
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Resolve templates in a string
+ */
+function resolveString(str, context) {
+  const single = str.match(SINGLE_TEMPLATE_PATTERN);
+  if (single) {
+    return resolveReference(single[1], context);
+  }
+
+  return str.replace(TEMPLATE_PATTERN, (match, reference) =>
+    stringify(resolveReference(reference, context))
+  );
+}
+
+/**
+ * Recursively resolve templates in a value (string, array or object)
+ */
+function resolveTemplates(value, context) {
+  if (typeof value === 'string') {
+    return resolveString(value, context);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, context));
+  }
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    Object.entries(value).forEach(([key, item]) => {
+      resolved[key] = resolveTemplates(item, context);
+    });
+    return resolved;
+  }
+  return value;
+}
+
+module.exports = {
+  resolveTemplates,
+  resolveReference,
+  lookup,
+};
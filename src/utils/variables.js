@@ -0,0 +1,153 @@
+/**
+ * Workflow variable validation
+ *
+ * Checks values supplied for a run against the variables declared in
+ * `analysis.variables`, coercing form/JSON input to the declared type.
+ */
+
+/**
+ * Coerce a single value to a declared type
+ * @returns {{value: *, error: string|null}}
+ */
+function coerceValue(value, type) {
+  const normalizedType = (type || 'string').toLowerCase();
+
+  switch (normalizedType) {
+    case 'number':
+    case 'integer': {
+      const num = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || Number.isNaN(num)) {
+        return { value, error: 'must be a number' };
+      }
+      if (normalizedType === 'integer' && !Number.isInteger(num)) {
+        return { value, error: 'must be an integer' };
+      }
+      return { value: num, error: null };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return { value, error: null };
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return { value: true, error: null };
+      if (['false', 'no', '0'].includes(text)) return { value: false, error: null };
+      return { value, error: 'must be true or false' };
+    }
+
+    case 'array':
+    case 'list': {
+      if (Array.isArray(value)) {
+        return { value, error: null };
+      }
+      const text = String(value).trim();
+      if (text.startsWith('[')) {
+        try {
+          const parsed = JSON.parse(text);
+          if (Array.isArray(parsed)) {
+            return { value: parsed, error: null };
+          }
+        } catch (e) {
+          return { value, error: 'must be a JSON array or comma-separated list' };
+        }
+      }
+      return {
+        value: text === '' ? [] : text.split(',').map(item => item.trim()),
+        error: null,
+      };
+    }
+
+    case 'object': {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return { value, error: null };
+      }
+      try {
+        const parsed = JSON.parse(String(value));
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          return { value: parsed, error: null };
+        }
+      } catch (e) {
+        // fall through
+      }
+      return { value, error: 'must be a JSON object' };
+    }
+
+    case 'url': {
+      try {
+        new URL(String(value));
+        return { value: String(value), error: null };
+      } catch (e) {
+        return { value, error: 'must be a valid URL' };
+      }
+    }
+
+    case 'date': {
+      if (Number.isNaN(Date.parse(String(value)))) {
+        return { value, error: 'must be a valid date' };
+      }
+      return { value: String(value), error: null };
+    }
+
+    default:
+      if (value !== null && typeof value === 'object') {
+        return { value, error: 'must be text' };
+      }
+      return { value: String(value), error: null };
+  }
+}
+
+/**
+ * Validate supplied values against declared workflow variables
+ * @param {Array} declared - analysis.variables
+ * @param {Object} supplied - values provided for this run, keyed by name
+ * @returns {{valid: boolean, errors: string[], values: Object}}
+ */
+function validateVariables(declared = [], supplied = {}) {
+  const errors = [];
+  const values = {};
+
+  if (supplied === null || typeof supplied !== 'object' || Array.isArray(supplied)) {
+    return { valid: false, errors: ['variables must be an object'], values };
+  }
+
+  const declaredByName = {};
+  (declared || []).forEach(variable => {
+    if (variable && variable.name) {
+      declaredByName[variable.name] = variable;
+    }
+  });
+
+  Object.keys(supplied).forEach(name => {
+    if (!declaredByName[name]) {
+      errors.push(`Unknown variable: ${name}`);
+    }
+  });
+
+  Object.values(declaredByName).forEach(variable => {
+    const hasSupplied = supplied[variable.name] !== undefined && supplied[variable.name] !== null;
+    const raw = hasSupplied ? supplied[variable.name] : variable.value;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (variable.required) {
+        errors.push(`Variable "${variable.name}" is required`);
+      } else {
+        values[variable.name] = raw === undefined ? '' : raw;
+      }
+      return;
+    }
+
+    const { value, error } = coerceValue(raw, variable.type);
+    if (error) {
+      errors.push(`Variable "${variable.name}" ${error}`);
+    } else {
+      values[variable.name] = value;
+    }
+  });
+
+  return { valid: errors.length === 0, errors, values };
+}
+
+module.exports = {
+  validateVariables,
+  coerceValue,
+};
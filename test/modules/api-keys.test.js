@@ -0,0 +1,68 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-api-keys-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const apiKeys = require('../../src/modules/api-keys');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const SCOPE_TABLE = [
+  ['GET', '/workflows', 'read'],
+  ['GET', '/workflows/abc', 'read'],
+  ['GET', '/workflows/abc/versions/2', 'read'],
+  ['GET', '/workflows/abc/fixes', 'read'],
+  ['GET', '/trash', 'read'],
+  ['GET', '/secrets', 'read'],
+  ['POST', '/workflows/abc/execute', 'run'],
+  ['POST', '/workflows/abc/dry-run', 'run'],
+  ['POST', '/executions/run-1/resume', 'run'],
+  ['POST', '/executions/run-1/rollback', 'run'],
+  ['POST', '/Workflows/abc/Execute/', 'run'],
+  ['GET', '/workflows/export', 'admin'],
+  ['GET', '/workflows/export/', 'admin'],
+  ['GET', '/Workflows/Export', 'admin'],
+  ['GET', '/workflows/abc/runs', 'admin'],
+  ['GET', '/runs/run-1', 'admin'],
+  ['GET', '/executions', 'admin'],
+  ['GET', '/executions/run-1/events', 'admin'],
+  ['GET', '/keys', 'admin'],
+  ['GET', '/audit', 'admin'],
+  ['HEAD', '/workflows/export', 'admin'],
+  ['POST', '/workflows', 'admin'],
+  ['POST', '/workflows/import', 'admin'],
+  ['POST', '/secrets/unlock', 'admin'],
+  ['PUT', '/workflows/abc/execute', 'admin'],
+  ['DELETE', '/workflows/abc', 'admin'],
+];
+
+test('requests need the scope in the scope table', () => {
+  SCOPE_TABLE.forEach(([method, requestPath, scope]) => {
+    assert.strictEqual(apiKeys.requiredScope(method, requestPath), scope, `${method} ${requestPath}`);
+  });
+});
+
+test('admin keys allow every scope; others only their own', () => {
+  assert.ok(apiKeys.allows({ scopes: ['admin'] }, 'read'));
+  assert.ok(apiKeys.allows({ scopes: ['admin'] }, 'run'));
+  assert.ok(apiKeys.allows({ scopes: ['read', 'run'] }, 'run'));
+  assert.ok(!apiKeys.allows({ scopes: ['run'] }, 'read'));
+  assert.ok(!apiKeys.allows({ scopes: ['read', 'run'] }, 'admin'));
+});
+
+test('a created key verifies with its scopes until it is revoked', () => {
+  const { key, token } = apiKeys.create({ name: 'ci', scopes: ['read'] });
+  assert.deepStrictEqual(apiKeys.verify(token).scopes, ['read']);
+  assert.strictEqual(apiKeys.verify(`${token}x`), null);
+  apiKeys.revoke(key.id);
+  assert.strictEqual(apiKeys.verify(token), null);
+});
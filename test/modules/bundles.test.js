@@ -0,0 +1,156 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-bundles-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const bundles = require('../../src/modules/bundles');
+
+const FIXTURE = path.join(tmpDir, 'input.txt');
+
+function recording(name, steps) {
+  return { name, analysis: { goal: `Run ${name}`, steps } };
+}
+
+function readStep(filePath) {
+  return { description: 'Read', tool: 'filesystem', tool_action: 'read_file', parameters: { path: filePath } };
+}
+
+beforeEach(() => {
+  storage.getAllWorkflows().forEach(workflow => storage.deleteWorkflow(workflow.id));
+  fs.writeFileSync(FIXTURE, 'fixture data');
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('exports sub-workflows and fixtures, and imports them with new IDs', () => {
+  const child = storage.saveOrUpdateWorkflow(recording('Child', [readStep(FIXTURE)]));
+  storage.saveOrUpdateWorkflow(recording('Child', [readStep(FIXTURE), readStep(FIXTURE)]));
+  const parent = storage.saveOrUpdateWorkflow(
+    recording('Parent', [{ description: 'Run child', type: 'workflow', workflow: child.id }])
+  );
+
+  const bundle = bundles.export({ ids: [parent.id] });
+  assert.deepStrictEqual(bundle.workflows.map(entry => entry.workflow.name), ['Parent', 'Child']);
+  assert.strictEqual(bundle.workflows[1].versions.length, 2);
+  assert.deepStrictEqual(bundle.files.map(file => file.path), [FIXTURE]);
+
+  storage.deleteWorkflow(parent.id);
+  storage.deleteWorkflow(child.id);
+  const result = bundles.import(JSON.parse(JSON.stringify(bundle)));
+
+  assert.deepStrictEqual(result.imported.map(entry => [entry.name, entry.action, entry.versions]), [
+    ['Parent', 'created', 1],
+    ['Child', 'created', 2],
+  ]);
+  const [importedParent, importedChild] = result.imported.map(entry => storage.getWorkflow(entry.id));
+  assert.notStrictEqual(importedChild.id, child.id);
+  assert.strictEqual(importedParent.analysis.steps[0].workflow, importedChild.id);
+  const copy = importedChild.analysis.steps[0].parameters.path;
+  assert.notStrictEqual(copy, FIXTURE);
+  assert.strictEqual(fs.readFileSync(copy, 'utf-8'), 'fixture data');
+});
+
+test('exports the versions asked for, and runs only once per workflow', () => {
+  storage.saveOrUpdateWorkflow(recording('History', [readStep('a.txt')]));
+  const stored = storage.saveOrUpdateWorkflow(recording('History', [readStep('b.txt')]));
+  const runId = '0b6c2f52-3f0e-4d8e-9a57-5b1f8f6f4f11';
+  storage.saveRun({ runId, workflowId: stored.id, status: 'completed', startedAt: new Date().toISOString() });
+
+  assert.deepStrictEqual(bundles.export({ versions: 'current' }).workflows[0].versions.map(v => v.version), [2]);
+  assert.deepStrictEqual(bundles.export({ versions: '1' }).workflows[0].versions.map(v => v.version), [2]);
+  assert.deepStrictEqual(bundles.export({ versions: 'none' }).workflows[0].versions, []);
+  assert.deepStrictEqual(bundles.export().workflows[0].runs, []);
+
+  const bundle = bundles.export({ runs: true, files: false });
+  assert.deepStrictEqual(bundle.workflows[0].runs.map(run => run.runId), [runId]);
+
+  // Overwriting the workflow the runs came from copies none of them
+  assert.strictEqual(bundles.import(bundle, { onConflict: 'overwrite' }).imported[0].runs, 0);
+
+  const copy = bundles.import(bundle).imported[0];
+  assert.deepStrictEqual([copy.versions, copy.runs], [2, 1]);
+  const [imported] = storage.getRuns(copy.id);
+  assert.notStrictEqual(imported.runId, runId);
+  assert.strictEqual(imported.importedRunId, runId);
+});
+
+test('renames, skips or overwrites a workflow whose name is taken', () => {
+  const stored = storage.saveOrUpdateWorkflow(recording('Report', [readStep('a.txt')]));
+  const bundle = bundles.export({ files: false });
+
+  const renamed = bundles.import(bundle);
+  assert.deepStrictEqual(renamed.imported.map(entry => [entry.name, entry.action]), [
+    ['Report (imported)', 'renamed'],
+  ]);
+  assert.strictEqual(bundles.import(bundle).imported[0].name, 'Report (imported 2)');
+
+  const skipped = bundles.import(bundle, { onConflict: 'skip' });
+  assert.deepStrictEqual(skipped.imported, []);
+  assert.deepStrictEqual(skipped.skipped, [{ name: 'Report', originalId: stored.id, id: stored.id }]);
+
+  const overwritten = bundles.import(bundle, { onConflict: 'overwrite' });
+  assert.deepStrictEqual(overwritten.imported.map(entry => [entry.id, entry.action]), [[stored.id, 'overwritten']]);
+  assert.strictEqual(storage.getWorkflow(stored.id).version, 2);
+});
+
+test('a name used twice in one bundle conflicts like a stored one', () => {
+  const first = storage.saveOrUpdateWorkflow(recording('Twin', [readStep('a.txt')]));
+  const entry = bundles.export({ files: false }).workflows[0];
+  storage.deleteWorkflow(first.id);
+  const second = JSON.parse(JSON.stringify(entry));
+  second.workflow.id = '0d9c4f7e-5a2b-4e61-9f38-2c7b1a6d8e40';
+  second.workflow.analysis.steps = [readStep('b.txt')];
+  const caller = JSON.parse(JSON.stringify(entry));
+  caller.workflow.id = '6b2e8a1f-3c4d-4f5a-8b9c-0d1e2f3a4b5c';
+  caller.workflow.name = 'Caller';
+  caller.workflow.analysis.steps = [{ description: 'Run twin', type: 'workflow', workflow: 'Twin' }];
+  caller.versions = [];
+  const bundle = {
+    format: 'you-only-do-once/workflow-bundle',
+    formatVersion: 1,
+    workflows: [entry, second, caller],
+  };
+
+  const renamed = bundles.import(JSON.parse(JSON.stringify(bundle)));
+  assert.deepStrictEqual(renamed.imported.map(item => [item.name, item.action]), [
+    ['Twin', 'created'],
+    ['Twin (imported)', 'renamed'],
+    ['Caller', 'created'],
+  ]);
+  assert.strictEqual(storage.getWorkflowByName('Twin').analysis.steps[0].parameters.path, 'a.txt');
+  assert.strictEqual(storage.getWorkflowByName('Twin (imported)').analysis.steps[0].parameters.path, 'b.txt');
+  assert.strictEqual(storage.getWorkflowByName('Caller').analysis.steps[0].workflow, 'Twin');
+  storage.getAllWorkflows().forEach(workflow => storage.deleteWorkflow(workflow.id));
+
+  const skipped = bundles.import(JSON.parse(JSON.stringify(bundle)), { onConflict: 'skip' });
+  assert.deepStrictEqual(skipped.imported.map(item => item.name), ['Twin', 'Caller']);
+  assert.deepStrictEqual(skipped.skipped.map(item => [item.name, item.id]), [['Twin', skipped.imported[0].id]]);
+  storage.getAllWorkflows().forEach(workflow => storage.deleteWorkflow(workflow.id));
+
+  const overwritten = bundles.import(JSON.parse(JSON.stringify(bundle)), { onConflict: 'overwrite' });
+  const twin = storage.getWorkflowByName('Twin');
+  assert.deepStrictEqual(overwritten.imported.map(item => [item.id, item.action]).slice(0, 2), [
+    [twin.id, 'created'],
+    [twin.id, 'overwritten'],
+  ]);
+  assert.strictEqual(twin.analysis.steps[0].parameters.path, 'b.txt');
+  assert.strictEqual(storage.getAllWorkflows().length, 2);
+});
+
+test('refuses an invalid bundle or conflict mode', () => {
+  assert.throws(() => bundles.import({ format: 'other' }), { code: 'EINVALID' });
+  assert.throws(
+    () => bundles.import({ format: 'you-only-do-once/workflow-bundle', formatVersion: 1, workflows: [] }, { onConflict: 'merge' }),
+    { code: 'EINVALID' }
+  );
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-catalog-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const catalog = require('../../src/modules/catalog');
+
+let report;
+let deploy;
+
+function step(description, tool, toolAction, parameters = {}) {
+  return { description, tool, tool_action: toolAction, parameters };
+}
+
+before(() => {
+  report = storage.saveOrUpdateWorkflow({
+    name: 'Quarterly report',
+    analysis: {
+      goal: 'Export the finance share totals',
+      steps: [step('Read the ledger', 'spreadsheet', 'read_spreadsheet', { path: '/mnt/finance/ledger.xlsx' })],
+    },
+  });
+  deploy = storage.saveOrUpdateWorkflow({
+    name: 'Deploy site',
+    analysis: {
+      goal: 'Publish the website',
+      steps: [{ type: 'parallel', steps: [step('Build the site', 'shell', 'execute_command', { command: 'npm run build' })] }],
+    },
+  });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('details are cleaned up before they are saved', () => {
+  assert.deepStrictEqual(catalog.normalizeDetails({ tags: ' Finance, q3,finance,', folder: '\\Finance//Reports/ ' }), {
+    tags: ['finance', 'q3'],
+    folder: 'Finance/Reports',
+  });
+  assert.deepStrictEqual(catalog.normalizeDetails({}), {});
+
+  const updated = catalog.updateDetails(report.id, {
+    tags: ['Finance', 'Q3'],
+    folder: 'Finance/Reports',
+    description: ' Totals ',
+  });
+  assert.deepStrictEqual(
+    [updated.tags, updated.folder, updated.description],
+    [['finance', 'q3'], 'Finance/Reports', 'Totals']
+  );
+  assert.throws(() => catalog.updateDetails(report.id, {}), /No details to update/);
+  assert.throws(() => catalog.updateDetails(report.id, { tags: 'x' }, 0), { code: 'ECONFLICT' });
+});
+
+test('text searches goals, step parameters and nested steps, ranked by relevance', () => {
+  const finance = catalog.search({ q: 'finance share' });
+  assert.deepStrictEqual(finance.workflows.map(w => w.name), ['Quarterly report']);
+  assert.ok(finance.workflows[0].matchedFields.includes('goal'));
+
+  assert.deepStrictEqual(catalog.search({ q: 'build' }).workflows.map(w => w.name), ['Deploy site']);
+  assert.deepStrictEqual(catalog.search({ q: 'quart' }).workflows.map(w => w.name), ['Quarterly report']);
+  assert.strictEqual(catalog.search({ q: 'nothing-like-this' }).total, 0);
+});
+
+test('tag, tool and folder filters can be given as options or in the query', () => {
+  assert.deepStrictEqual(catalog.search({ tag: 'FINANCE' }).workflows.map(w => w.id), [report.id]);
+  assert.deepStrictEqual(catalog.search({ q: 'tool:shell.execute_command' }).workflows.map(w => w.id), [deploy.id]);
+  assert.deepStrictEqual(catalog.search({ folder: 'finance' }).workflows.map(w => w.id), [report.id]);
+  assert.strictEqual(catalog.search({ q: 'tag:finance site' }).total, 0);
+});
+
+test('results come a page at a time in the order asked for', () => {
+  const byName = catalog.search({ sort: 'name', limit: '1' });
+  assert.deepStrictEqual([byName.total, byName.limit, byName.offset], [2, 1, 0]);
+  assert.deepStrictEqual(byName.workflows.map(w => w.name), ['Deploy site']);
+  const second = catalog.search({ sort: 'name', limit: 1, offset: 1 });
+  assert.deepStrictEqual(second.workflows.map(w => w.name), ['Quarterly report']);
+  assert.strictEqual(catalog.search({ limit: 1000 }).limit, 200);
+  assert.throws(() => catalog.search({ sort: 'size' }), { code: 'EINVALID', message: /Unknown sort: size/ });
+});
@@ -0,0 +1,98 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-step-assertions-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function runCommand(name, command, extra = {}, variables = []) {
+  const workflow = storage.saveOrUpdateWorkflow({
+    name,
+    analysis: {
+      goal: 'Check what a step produced',
+      variables,
+      steps: [
+        {
+          description: command,
+          tool: 'shell',
+          tool_action: 'execute_command',
+          parameters: { command, cwd: tmpDir },
+          error_handling: 'stop',
+          ...extra,
+        },
+      ],
+    },
+  });
+  return executor.execute(workflow);
+}
+
+test('passing assertions are logged with the step', async () => {
+  const result = await runCommand('Counts', 'echo Total: 12', {
+    assertions: [{ type: 'matches', pattern: 'Total: \\d+' }, { type: 'exit_code', equals: 0 }],
+  });
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(
+    result.executionLog[0].assertions.map(check => [check.type, check.passed]),
+    [['matches', true], ['exit_code', true]]
+  );
+});
+
+test('a failed assertion fails the step and logs every check', async () => {
+  const result = await runCommand('No total', 'echo nothing', {
+    assertions: [{ type: 'matches', pattern: 'Total' }, { type: 'exit_code' }],
+  });
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Assertion failed: stdout does not match \/Total\//);
+  assert.deepStrictEqual(result.executionLog[0].assertions.map(check => check.passed), [false, true]);
+});
+
+test('assertions are resolved against the run', async () => {
+  const result = await runCommand(
+    'Made the file',
+    'echo made > made.txt',
+    { assertions: [{ type: 'file_exists', path: path.join(tmpDir, '{{variables.name}}') }] },
+    [{ name: 'name', type: 'string', value: 'made.txt' }]
+  );
+
+  assert.strictEqual(result.success, true, result.error);
+});
+
+test('a step that asserts its exit code may exit non-zero', async () => {
+  const result = await runCommand('Grep finds nothing', 'exit 1', { assertions: [{ type: 'exit_code', in: [0, 1] }] });
+  assert.strictEqual(result.success, true, result.error);
+});
+
+test('failed assertions are retried only when retryOn allows it', async () => {
+  const marker = path.join(tmpDir, 'tries.txt');
+  const command = `echo x >> ${marker} && wc -l < ${marker}`;
+  const assertions = [{ type: 'matches', pattern: '^\\s*2\\s*$' }];
+
+  const retried = await runCommand('Second try', command, {
+    assertions,
+    retry: { attempts: 2, backoff: 10, retryOn: ['assertion'] },
+  });
+  assert.strictEqual(retried.success, true, retried.error);
+  assert.strictEqual(retried.executionLog[0].attempts.length, 2);
+
+  fs.rmSync(marker);
+  const notRetried = await runCommand('Only timeouts', command, {
+    assertions,
+    retry: { attempts: 2, backoff: 10, retryOn: ['timeout'] },
+  });
+  assert.strictEqual(notRetried.success, false);
+  assert.strictEqual(notRetried.executionLog[0].attempts.length, 1);
+});
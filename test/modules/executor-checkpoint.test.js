@@ -0,0 +1,129 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-checkpoint-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+// Runs workflow argv[2] in another process, which stops at the
+// confirmation of step 2 after writing the file argv[3]
+const RUN_SCRIPT = `
+const fs = require('fs');
+const executor = require(process.argv[1]);
+const storage = require(process.argv[2]);
+const workflow = storage.getWorkflow(process.argv[3]);
+executor.executeWithConfirmation(workflow, {}, async request => {
+  if (request.stepId === 2) {
+    fs.writeFileSync(process.argv[4], request.runId);
+    // Wait until killed
+    return new Promise(() => setInterval(() => {}, 1000));
+  }
+  return { action: 'approve' };
+});
+`;
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Start a run in another process and kill it while step 2 waits
+ * @returns {Promise<string>} the run ID
+ */
+async function interruptRun(workflow, dir) {
+  const marker = path.join(dir, 'waiting');
+  const child = spawn(
+    process.execPath,
+    ['-e', RUN_SCRIPT, require.resolve('../../src/modules/executor'), require.resolve('../../src/modules/storage'), workflow.id, marker],
+    { env: process.env, stdio: 'ignore' }
+  );
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  try {
+    const deadline = Date.now() + 15000;
+    while (!fs.existsSync(marker)) {
+      assert.ok(Date.now() < deadline, 'The run did not reach step 2');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const runId = fs.readFileSync(marker, 'utf-8');
+    assert.deepStrictEqual(
+      executor.getSavedExecutions(workflow.id).map(state => [state.runId, state.status]),
+      [[runId, 'running']]
+    );
+    return runId;
+  } finally {
+    child.kill('SIGKILL');
+    await exited;
+  }
+}
+
+function saveWorkflow(name, dir) {
+  return storage.saveOrUpdateWorkflow({
+    name,
+    analysis: {
+      goal: 'Survive a restart',
+      steps: [
+        {
+          step_number: 1,
+          description: 'Log the start',
+          tool: 'shell',
+          tool_action: 'execute_command',
+          parameters: { command: 'echo started >> log.txt && echo ok', cwd: dir },
+        },
+        {
+          step_number: 2,
+          description: 'Write the output',
+          tool: 'filesystem',
+          tool_action: 'write_file',
+          parameters: { path: path.join(dir, 'out.txt'), content: '{{steps.1.result.stdout}}' },
+        },
+      ],
+    },
+  });
+}
+
+test('a run whose process died resumes from its first incomplete step', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const workflow = saveWorkflow('Interrupted', dir);
+  const runId = await interruptRun(workflow, dir);
+
+  const [saved] = executor.getSavedExecutions(workflow.id);
+  assert.strictEqual(saved.status, 'interrupted');
+  assert.strictEqual(saved.completed['1'].status, 'success');
+  await assert.rejects(executor.resume(runId, { action: 'skip' }), /Invalid resume decision: skip/);
+
+  const result = await executor.resume(runId, { action: 'retry' });
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'log.txt'), 'utf-8'), 'started\n');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'out.txt'), 'utf-8'), 'ok\n');
+  assert.deepStrictEqual(executor.getSavedExecutions(workflow.id), []);
+});
+
+test('an interrupted run can be aborted', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const workflow = saveWorkflow('Interrupted and aborted', dir);
+  const runId = await interruptRun(workflow, dir);
+
+  const result = await executor.resume(runId, { action: 'abort' });
+  assert.strictEqual(result.aborted, true);
+  assert.match(result.error, /aborted by user after interruption/);
+  assert.strictEqual(storage.getExecutionState(runId), null);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'out.txt')), false);
+});
+
+test('finished runs leave no checkpoint behind', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const workflow = saveWorkflow('Finished', dir);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(storage.getExecutionState(result.runId), null);
+});
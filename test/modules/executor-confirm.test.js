@@ -0,0 +1,98 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-confirm-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * A workflow writing a.txt and b.txt in a new directory
+ */
+function setUp(name) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const steps = ['a', 'b'].map((file, index) => ({
+    step_number: index + 1,
+    description: `Write ${file}`,
+    tool: 'filesystem',
+    tool_action: 'write_file',
+    parameters: { path: path.join(dir, `${file}.txt`), content: file },
+  }));
+  return { dir, workflow: storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Write files', steps } }) };
+}
+
+test('each tool step waits for approval, with its details', async () => {
+  const { dir, workflow } = setUp('Approve');
+  const requests = [];
+
+  const result = await executor.executeWithConfirmation(workflow, {}, async request => {
+    requests.push(request);
+    return { action: 'approve' };
+  });
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(
+    requests.map(request => [request.runId, request.stepId, request.tool, request.toolAction, request.parameters.content]),
+    [
+      [result.runId, 1, 'filesystem', 'write_file', 'a'],
+      [result.runId, 2, 'filesystem', 'write_file', 'b'],
+    ]
+  );
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['a.txt', 'b.txt']);
+});
+
+test('a step can be skipped or approved with edited parameters', async () => {
+  const { dir, workflow } = setUp('Skip and edit');
+
+  const result = await executor.executeWithConfirmation(workflow, {}, async request =>
+    request.stepId === 1
+      ? { action: 'skip' }
+      : { action: 'approve', parameters: { ...request.parameters, content: 'edited' } }
+  );
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.executionLog.map(entry => entry.status), ['skipped', 'success']);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['b.txt']);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'b.txt'), 'utf-8'), 'edited');
+});
+
+test('aborting stops the run before the step', async () => {
+  const { dir, workflow } = setUp('Abort');
+
+  const result = await executor.executeWithConfirmation(workflow, {}, async request =>
+    request.stepId === 2 ? { action: 'abort' } : { action: 'approve' }
+  );
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.aborted, true);
+  assert.match(result.error, /aborted by user at step 2/);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['a.txt']);
+});
+
+test('an unknown decision or edited parameters that are not an object fail the step', async () => {
+  const { dir, workflow } = setUp('Bad decision');
+  workflow.analysis.steps.forEach(step => {
+    step.error_handling = 'continue';
+  });
+
+  const result = await executor.executeWithConfirmation(workflow, {}, async request =>
+    request.stepId === 1 ? { action: 'maybe' } : { action: 'approve', parameters: ['not', 'an', 'object'] }
+  );
+
+  assert.deepStrictEqual(
+    result.executionLog.map(entry => entry.error),
+    ['Invalid confirmation decision: maybe', 'Edited parameters must be an object']
+  );
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,113 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-control-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function saveWorkflow(name, steps, variables = []) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Branch and loop', variables, steps } });
+}
+
+function writeStep(filePath, content, extra = {}) {
+  return {
+    description: `Write ${path.basename(filePath)}`,
+    tool: 'filesystem',
+    tool_action: 'write_file',
+    parameters: { path: filePath, content },
+    ...extra,
+  };
+}
+
+test('an if step runs the branch its condition picks', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'if-'));
+  const workflow = saveWorkflow(
+    'Branch',
+    [
+      {
+        type: 'if',
+        description: 'Full or quick',
+        condition: "variables.mode == 'full'",
+        then: [writeStep(path.join(dir, 'full.txt'), 'full')],
+        else: [writeStep(path.join(dir, 'quick.txt'), 'quick')],
+      },
+    ],
+    [{ name: 'mode', type: 'string', value: 'quick' }]
+  );
+
+  const quick = await executor.execute(workflow);
+  assert.strictEqual(quick.success, true, quick.error);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['quick.txt']);
+  assert.deepStrictEqual(
+    quick.executionLog.map(entry => [entry.step, entry.branch]),
+    [[1, 'else'], ['1.1', undefined]]
+  );
+
+  const full = await executor.execute(workflow, { mode: 'full' });
+  assert.strictEqual(full.success, true, full.error);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['full.txt', 'quick.txt']);
+});
+
+test('a condition that cannot be evaluated fails the if step', async () => {
+  const workflow = saveWorkflow('Bad condition', [
+    { type: 'if', description: 'Broken', condition: '(true', then: [], error_handling: 'stop' },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Missing closing parenthesis/);
+});
+
+test('a for_each step runs its steps once per item', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'loop-'));
+  const workflow = saveWorkflow(
+    'Loop',
+    [
+      {
+        type: 'for_each',
+        description: 'Each name',
+        items: '{{variables.names}}',
+        as: 'name',
+        steps: [
+          writeStep(path.join(dir, '{{name}}.txt'), '{{loop.index}}/{{loop.count}}', { id: 'write' }),
+          writeStep(path.join(dir, '{{name}}.log'), '{{steps.write.result.path}}'),
+        ],
+      },
+    ],
+    [{ name: 'names', type: 'array' }]
+  );
+
+  const result = await executor.execute(workflow, { names: ['a', 'b'] });
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(
+    result.executionLog.map(entry => entry.step),
+    [1, '1[0].1', '1[0].2', '1[1].1', '1[1].2']
+  );
+  assert.strictEqual(result.executionLog[0].iterations, 2);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'b.txt'), 'utf-8'), '1/2');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'a.log'), 'utf-8'), path.join(dir, 'a.txt'));
+});
+
+test('for_each items that are not a list fail the step', async () => {
+  const workflow = saveWorkflow(
+    'Not a list',
+    [{ type: 'for_each', description: 'Each', items: '{{variables.names}}', steps: [], error_handling: 'stop' }],
+    [{ name: 'names', type: 'string', value: 'a,b' }]
+  );
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /must resolve to an array, got string/);
+});
@@ -0,0 +1,79 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-dry-run-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function fileStep(action, parameters) {
+  return { description: action, tool: 'filesystem', tool_action: action, parameters };
+}
+
+function saveWorkflow(name, steps) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Try it out', steps } });
+}
+
+test('reports the effects of each step without making them', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'effects-'));
+  const input = path.join(dir, 'input.txt');
+  fs.writeFileSync(input, 'hello');
+  const workflow = saveWorkflow('Effects', [
+    fileStep('read_file', { path: input }),
+    fileStep('write_file', { path: path.join(dir, 'out.txt'), content: '{{steps.1.result.content}}!' }),
+    fileStep('read_file', { path: path.join(dir, 'out.txt') }),
+    fileStep('delete_file', { path: input }),
+  ]);
+
+  const events = [];
+  const listener = event => events.push(event);
+  executor.on('execution-event', listener);
+  const result = await executor.dryRun(workflow).finally(() => executor.off('execution-event', listener));
+  assert.strictEqual(result.success, true, result.problems.join('\n'));
+  assert.strictEqual(result.isDryRun, true);
+  const [read, write, readBack, remove] = result.simulationLog;
+  assert.strictEqual(read.executed, true);
+  assert.strictEqual(read.wouldExecute, true);
+  assert.deepStrictEqual(write.effects, [`Create ${path.join(dir, 'out.txt')} (6 bytes)`]);
+  assert.strictEqual(readBack.status, 'success');
+  assert.strictEqual(readBack.executed, false);
+  assert.deepStrictEqual(remove.effects, [`Delete ${input} (5 bytes)`]);
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ['input.txt']);
+  assert.deepStrictEqual(storage.getRuns(workflow.id), []);
+  assert.deepStrictEqual(events, []);
+});
+
+test('reports every failed precondition instead of stopping at the first', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'problems-'));
+  const input = path.join(dir, 'input.txt');
+  fs.writeFileSync(input, 'hello');
+  const workflow = saveWorkflow('Problems', [
+    fileStep('read_file', { path: path.join(dir, 'missing.txt') }),
+    fileStep('delete_file', { path: input }),
+    fileStep('read_file', { path: input }),
+    {
+      description: 'Run a tool',
+      tool: 'shell',
+      tool_action: 'execute_command',
+      parameters: { command: 'no-such-binary-for-yodo --version', cwd: dir },
+    },
+  ]);
+
+  const result = await executor.dryRun(workflow);
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.problems.map(problem => problem.split(':')[0]), ['Step 1', 'Step 3', 'Step 4']);
+  assert.match(result.problems[2], /no-such-binary-for-yodo not found on PATH/);
+  assert.strictEqual(fs.existsSync(input), true);
+});
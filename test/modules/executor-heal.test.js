@@ -0,0 +1,113 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-heal-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const healer = require('../../src/modules/healer');
+const executor = require('../../src/modules/executor');
+
+const proposeFix = healer.proposeFix;
+// The corrected step the AI returns for the next failure
+let correctedStep;
+
+beforeEach(() => {
+  healer.proposeFix = async () => ({ step: correctedStep, explanation: 'Use the other one' });
+});
+
+after(() => {
+  healer.proposeFix = proposeFix;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function saveWorkflow(name, step) {
+  return storage.saveOrUpdateWorkflow({
+    name,
+    analysis: { goal: 'Heal a step', steps: [{ step_number: 1, description: 'Failing step', error_handling: 'heal', ...step }] },
+  });
+}
+
+function shellStep(command) {
+  return { tool: 'shell', tool_action: 'execute_command', parameters: { command, cwd: tmpDir } };
+}
+
+function fileStep(action, parameters) {
+  return { tool: 'filesystem', tool_action: action, parameters };
+}
+
+test('a fix that reads another file runs at once and is kept as a proposal', async () => {
+  const input = path.join(tmpDir, 'input.txt');
+  fs.writeFileSync(input, 'data');
+  const workflow = saveWorkflow('Read heal', fileStep('read_file', { path: path.join(tmpDir, 'missing.txt') }));
+  correctedStep = fileStep('read_file', { path: input });
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true);
+  const entry = result.executionLog.find(logged => logged.step === 1);
+  assert.strictEqual(entry.status, 'success');
+  assert.ok(entry.healed.proposalId);
+  assert.strictEqual(storage.getWorkflow(workflow.id).healProposals[0].status, 'pending');
+});
+
+test('a shell fix is only dry run and proposed when steps are not confirmed', async () => {
+  const marker = path.join(tmpDir, 'shell-ran');
+  const workflow = saveWorkflow('Shell heal', shellStep('exit 3'));
+  correctedStep = shellStep(`touch ${marker}`);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.requiresUserInput, true);
+  assert.strictEqual(fs.existsSync(marker), false);
+  const entry = result.executionLog.find(logged => logged.step === 1);
+  assert.strictEqual(entry.status, 'error');
+  assert.strictEqual(entry.heal.status, 'proposed');
+  assert.deepStrictEqual(entry.heal.correctedStep, correctedStep);
+  const [proposal] = storage.getWorkflow(workflow.id).healProposals;
+  assert.strictEqual(proposal.id, entry.heal.proposalId);
+});
+
+test('a fix that deletes a file is not run without confirmation', async () => {
+  const keep = path.join(tmpDir, 'keep.txt');
+  fs.writeFileSync(keep, 'keep me');
+  const workflow = saveWorkflow('Delete heal', fileStep('read_file', { path: path.join(tmpDir, 'nope.txt') }));
+  correctedStep = fileStep('delete_file', { path: keep });
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.requiresUserInput, true);
+  assert.strictEqual(fs.readFileSync(keep, 'utf-8'), 'keep me');
+  assert.ok(result.executionLog[0].heal.effects.length > 0);
+});
+
+test('a fix writing a file the step would not have written is not run without confirmation', async () => {
+  const other = path.join(tmpDir, 'other.txt');
+  // Writing to a directory fails
+  const workflow = saveWorkflow('Write heal', fileStep('write_file', { path: tmpDir, content: 'x' }));
+  correctedStep = fileStep('write_file', { path: other, content: 'x' });
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.requiresUserInput, true);
+  assert.strictEqual(fs.existsSync(other), false);
+});
+
+test('a shell fix runs once the user confirms it', async () => {
+  const marker = path.join(tmpDir, 'confirmed-ran');
+  const workflow = saveWorkflow('Confirmed heal', shellStep('exit 3'));
+  correctedStep = shellStep(`touch ${marker}`);
+  const confirmed = [];
+
+  const result = await executor.execute(workflow, {}, {
+    confirmStep: async request => {
+      confirmed.push(request.parameters.command);
+      return { action: 'approve' };
+    },
+  });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(confirmed, ['exit 3', `touch ${marker}`]);
+  assert.strictEqual(fs.existsSync(marker), true);
+});
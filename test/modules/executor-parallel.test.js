@@ -0,0 +1,156 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-parallel-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function saveWorkflow(name, steps) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Run steps side by side', steps } });
+}
+
+function shellStep(command, cwd, extra = {}) {
+  return { description: command, tool: 'shell', tool_action: 'execute_command', parameters: { command, cwd }, ...extra };
+}
+
+/**
+ * A child that logs when it starts and ends, with a pause between, so the
+ * log shows whether its siblings overlapped it
+ */
+function slowStep(name, dir) {
+  return shellStep(`echo start ${name} >> log.txt && sleep 0.3 && echo end ${name} >> log.txt`, dir);
+}
+
+function readLog(dir) {
+  return fs.readFileSync(path.join(dir, 'log.txt'), 'utf-8').trim().split('\n');
+}
+
+test('a parallel step runs at most concurrency children at once', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'limit-'));
+  const workflow = saveWorkflow('Limited', [
+    { type: 'parallel', description: 'Two at a time', concurrency: 2, steps: ['a', 'b', 'c'].map(name => slowStep(name, dir)) },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  const log = readLog(dir);
+  assert.deepStrictEqual(log.slice(0, 2).sort(), ['start a', 'start b']);
+  assert.ok(log.indexOf('start c') > Math.min(log.indexOf('end a'), log.indexOf('end b')));
+});
+
+test('a parallel step with a concurrency of 1 runs its children in turn', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'serial-'));
+  const workflow = saveWorkflow('Serial', [
+    { type: 'parallel', description: 'One at a time', concurrency: 1, steps: ['a', 'b'].map(name => slowStep(name, dir)) },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(readLog(dir), ['start a', 'end a', 'start b', 'end b']);
+});
+
+test('the group result lists child results in step order, and under child ids', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'results-'));
+  const workflow = saveWorkflow('Results', [
+    {
+      id: 'group',
+      type: 'parallel',
+      description: 'Echo',
+      steps: [
+        shellStep('sleep 0.2 && echo first', dir, { id: 'first' }),
+        shellStep('echo second', dir),
+      ],
+    },
+    {
+      description: 'Write the results',
+      tool: 'filesystem',
+      tool_action: 'write_file',
+      parameters: {
+        path: path.join(dir, 'out.txt'),
+        content: '{{steps.first.result.stdout}}|{{steps.group.result[1].stdout}}|{{steps.group.result.length}}',
+      },
+    },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(
+    result.executionLog.map(entry => entry.step).sort(),
+    [1, '1.1', '1.2', 2].sort()
+  );
+  const summary = result.executionLog.find(entry => entry.step === 1);
+  assert.strictEqual(summary.type, 'parallel');
+  assert.strictEqual(summary.succeeded, 2);
+  assert.strictEqual(summary.failed, 0);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'out.txt'), 'utf-8'), 'first\n|second\n|2');
+});
+
+test('a child that fails with error_handling continue is reported in the summary', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'continue-'));
+  const workflow = saveWorkflow('Continue', [
+    {
+      type: 'parallel',
+      description: 'One fails',
+      steps: [shellStep('exit 3', dir, { error_handling: 'continue' }), shellStep('echo ok', dir)],
+    },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  const summary = result.executionLog.find(entry => entry.step === 1);
+  assert.strictEqual(summary.succeeded, 1);
+  assert.strictEqual(summary.failed, 1);
+  assert.deepStrictEqual(summary.errors.map(error => error.step), ['1.1']);
+});
+
+test('a child that stops the run starts no more children', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'stop-'));
+  const workflow = saveWorkflow('Stop', [
+    {
+      type: 'parallel',
+      description: 'The first fails',
+      concurrency: 1,
+      steps: [shellStep('exit 3', dir, { error_handling: 'stop' }), shellStep('echo never >> log.txt', dir)],
+    },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, false);
+  assert.ok(!fs.existsSync(path.join(dir, 'log.txt')));
+  assert.ok(!result.executionLog.some(entry => entry.step === '1.2'));
+});
+
+test('children that suspend the run are all listed and retried together', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'suspend-'));
+  const workflow = saveWorkflow('Suspend', [
+    {
+      type: 'parallel',
+      description: 'Both need a file',
+      steps: [
+        shellStep('cat a.txt', dir, { error_handling: 'ask' }),
+        shellStep('cat b.txt', dir, { error_handling: 'ask' }),
+      ],
+    },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.requiresUserInput, true, result.error);
+  assert.deepStrictEqual(result.suspendedStep.steps.map(suspended => suspended.stepId).sort(), ['1.1', '1.2']);
+
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+  fs.writeFileSync(path.join(dir, 'b.txt'), 'b');
+  const resumed = await executor.resume(result.runId, { action: 'retry' });
+  assert.strictEqual(resumed.success, true, resumed.error);
+});
@@ -0,0 +1,121 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-pause-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * A workflow running `command`, then writing done.txt
+ */
+function setUp(name, command) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const workflow = storage.saveOrUpdateWorkflow({
+    name,
+    analysis: {
+      goal: 'Run then write',
+      steps: [
+        {
+          step_number: 1,
+          description: 'Run a command',
+          tool: 'shell',
+          tool_action: 'execute_command',
+          parameters: { command, cwd: dir },
+        },
+        {
+          step_number: 2,
+          description: 'Write done',
+          tool: 'filesystem',
+          tool_action: 'write_file',
+          parameters: { path: path.join(dir, 'done.txt'), content: 'done' },
+        },
+      ],
+    },
+  });
+  return { dir, workflow };
+}
+
+/**
+ * Resolve with the first progress event of a run that matches
+ */
+function nextEvent(runId, matches) {
+  return new Promise(resolve => {
+    const listener = event => {
+      if (event.runId === runId && matches(event)) {
+        executor.off('execution-event', listener);
+        resolve(event);
+      }
+    };
+    executor.on('execution-event', listener);
+  });
+}
+
+test('a paused run waits before its next step until it is unpaused', async () => {
+  const { dir, workflow } = setUp('Pause', 'echo one');
+  const { runId, promise } = executor.start(workflow);
+
+  executor.pause(runId);
+  await nextEvent(runId, event => event.type === 'step-finished' && event.stepId === 1);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(
+    executor.getActiveExecutions(workflow.id).map(run => [run.runId, run.status]),
+    [[runId, 'paused']]
+  );
+  assert.strictEqual(fs.existsSync(path.join(dir, 'done.txt')), false);
+  assert.throws(() => executor.pause(runId), /is not running/);
+
+  executor.unpause(runId);
+  const result = await promise;
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'done.txt')), true);
+  assert.deepStrictEqual(executor.getActiveExecutions(workflow.id), []);
+  assert.deepStrictEqual(
+    executor.getExecutionEvents(runId).map(event => event.type).filter(type => type.startsWith('run-')),
+    ['run-started', 'run-paused', 'run-resumed', 'run-finished']
+  );
+});
+
+test('cancelling stops the running command and the rest of the run', async () => {
+  // exec, so stopping the shell stops the sleep too
+  const { dir, workflow } = setUp('Cancel', 'exec sleep 5');
+  const started = Date.now();
+  const { runId, promise } = executor.start(workflow);
+
+  await nextEvent(runId, event => event.type === 'step-started' && event.stepId === 1);
+  executor.cancel(runId);
+  const result = await promise;
+
+  assert.strictEqual(result.cancelled, true);
+  assert.match(result.error, /cancelled at step 1/);
+  assert.ok(Date.now() - started < 4000);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'done.txt')), false);
+  assert.strictEqual(storage.getExecutionState(runId), null);
+  assert.strictEqual(storage.getRun(runId).status, 'cancelled');
+  assert.throws(() => executor.cancel(runId), /is not running/);
+});
+
+test('a paused run can be cancelled', async () => {
+  const { dir, workflow } = setUp('Cancel paused', 'echo one');
+  const { runId, promise } = executor.start(workflow);
+
+  executor.pause(runId);
+  await nextEvent(runId, event => event.type === 'step-finished' && event.stepId === 1);
+  executor.cancel(runId);
+  const result = await promise;
+
+  assert.strictEqual(result.cancelled, true);
+  assert.match(result.error, /cancelled before step 2/);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'done.txt')), false);
+});
@@ -0,0 +1,129 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-resume-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Suspend a run that appends to log.txt, then fails to read input.txt
+ * and asks, before copying the input to out.txt
+ */
+async function suspendRun(name) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const workflow = storage.saveOrUpdateWorkflow({
+    name,
+    analysis: {
+      goal: 'Copy the input',
+      steps: [
+        {
+          step_number: 1,
+          description: 'Log the start',
+          tool: 'shell',
+          tool_action: 'execute_command',
+          parameters: { command: 'echo started >> log.txt', cwd: dir },
+        },
+        {
+          step_number: 2,
+          description: 'Read the input',
+          tool: 'filesystem',
+          tool_action: 'read_file',
+          parameters: { path: path.join(dir, 'input.txt') },
+          error_handling: 'ask',
+        },
+        {
+          step_number: 3,
+          description: 'Write the output',
+          tool: 'filesystem',
+          tool_action: 'write_file',
+          parameters: { path: path.join(dir, 'out.txt'), content: '{{steps.2.result.content}}' },
+        },
+      ],
+    },
+  });
+
+  const result = await executor.execute(workflow);
+  return { dir, workflow, result };
+}
+
+test('a failing ask step suspends the run and saves its state', async () => {
+  const { dir, workflow, result } = await suspendRun('Suspend');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.requiresUserInput, true);
+  assert.strictEqual(result.suspendedStep.stepId, 2);
+  assert.strictEqual(result.suspendedStep.parameters.path, path.join(dir, 'input.txt'));
+  assert.strictEqual(fs.existsSync(path.join(dir, 'out.txt')), false);
+
+  const [saved] = executor.getSavedExecutions(workflow.id);
+  assert.strictEqual(saved.runId, result.runId);
+  assert.strictEqual(saved.status, 'suspended');
+  assert.strictEqual(storage.getRun(result.runId).status, 'suspended');
+});
+
+test('retrying continues from the failed step without running earlier ones again', async () => {
+  const { dir, result } = await suspendRun('Retry');
+  fs.writeFileSync(path.join(dir, 'input.txt'), 'ready');
+
+  const resumed = await executor.resume(result.runId, { action: 'retry' });
+  assert.strictEqual(resumed.success, true, resumed.error);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'out.txt'), 'utf-8'), 'ready');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'log.txt'), 'utf-8'), 'started\n');
+  assert.strictEqual(storage.getExecutionState(result.runId), null);
+  assert.strictEqual(storage.getRun(result.runId).status, 'completed');
+});
+
+test('retrying can replace the failed step\'s parameters', async () => {
+  const { dir, result } = await suspendRun('Edit');
+  const other = path.join(dir, 'other.txt');
+  fs.writeFileSync(other, 'from the other file');
+
+  const resumed = await executor.resume(result.runId, { action: 'retry', parameters: { path: other } });
+  assert.strictEqual(resumed.success, true, resumed.error);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'out.txt'), 'utf-8'), 'from the other file');
+});
+
+test('skipping leaves the step out and runs the rest', async () => {
+  const { dir, result } = await suspendRun('Skip');
+
+  const resumed = await executor.resume(result.runId, { action: 'skip' });
+  // Step 3 refers to the skipped step's result, so it suspends in turn
+  assert.strictEqual(resumed.requiresUserInput, true);
+  assert.strictEqual(resumed.suspendedStep.stepId, 3);
+  assert.ok(resumed.executionLog.some(entry => entry.step === 2 && entry.status === 'skipped'));
+  assert.strictEqual(fs.existsSync(path.join(dir, 'out.txt')), false);
+});
+
+test('aborting ends the run and forgets its state', async () => {
+  const { result } = await suspendRun('Abort');
+
+  const aborted = await executor.resume(result.runId, { action: 'abort' });
+  assert.strictEqual(aborted.aborted, true);
+  assert.match(aborted.error, /aborted by user at step 2/);
+  assert.strictEqual(storage.getExecutionState(result.runId), null);
+  assert.strictEqual(storage.getRun(result.runId).status, 'aborted');
+  await assert.rejects(executor.resume(result.runId, { action: 'retry' }), /Execution not found/);
+});
+
+test('refuses unknown decisions and parameters that are not an object', async () => {
+  const { result } = await suspendRun('Bad decision');
+
+  await assert.rejects(executor.resume(result.runId, { action: 'later' }), /Invalid resume decision: later/);
+  await assert.rejects(
+    executor.resume(result.runId, { action: 'retry', parameters: 'input.txt' }),
+    /Edited parameters must be an object/
+  );
+  assert.ok(storage.getExecutionState(result.runId));
+});
@@ -0,0 +1,72 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-retry-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Run one shell step with the given retry settings
+ */
+async function runCommand(name, command, settings) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  const workflow = storage.saveOrUpdateWorkflow({
+    name,
+    analysis: {
+      goal: 'Retry a command',
+      steps: [
+        {
+          step_number: 1,
+          description: 'Run the command',
+          tool: 'shell',
+          tool_action: 'execute_command',
+          parameters: { command, cwd: dir },
+          error_handling: 'stop',
+          ...settings,
+        },
+      ],
+    },
+  });
+  return executor.execute(workflow);
+}
+
+// Fails the first time it runs in a directory, then succeeds
+const FLAKY = 'test -f tried || { touch tried; echo busy >&2; exit 1; }';
+
+test('a failing attempt is retried after the backoff', async () => {
+  const result = await runCommand('Flaky', FLAKY, { retry: { attempts: 3, backoff: 20 } });
+
+  assert.strictEqual(result.success, true, result.error);
+  const [entry] = result.executionLog;
+  assert.deepStrictEqual(entry.attempts.map(attempt => attempt.status), ['error', 'success']);
+});
+
+test('errors that retryOn does not match are not retried', async () => {
+  const result = await runCommand('Not retried', FLAKY, { retry: { attempts: 3, backoff: 20, retryOn: ['timeout'] } });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.executionLog[0].attempts.length, 1);
+});
+
+test('an attempt that runs past timeout_ms is stopped and fails the step', async () => {
+  const started = Date.now();
+  // exec, so stopping the shell stops the sleep too
+  const result = await runCommand('Slow', 'exec sleep 5', { timeout_ms: 200, retry: { attempts: 2, backoff: 10 } });
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /timed out after 200ms/);
+  assert.strictEqual(result.executionLog[0].attempts.length, 2);
+  assert.ok(Date.now() - started < 4000);
+});
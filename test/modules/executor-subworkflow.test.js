@@ -0,0 +1,122 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-subworkflow-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function saveWorkflow(name, steps, extra = {}) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Reuse workflows', steps, ...extra } });
+}
+
+function writeStep(filePath, content, extra = {}) {
+  return {
+    description: `Write ${path.basename(filePath)}`,
+    tool: 'filesystem',
+    tool_action: 'write_file',
+    parameters: { path: filePath, content },
+    ...extra,
+  };
+}
+
+test('a workflow step runs the child by name and exposes its outputs', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'outputs-'));
+  saveWorkflow('Greet', [writeStep(path.join(dir, 'greeting.txt'), 'Hello {{variables.who}}', { id: 'write' })], {
+    variables: [{ name: 'who', type: 'string', required: true }],
+    outputs: { path: '{{steps.write.result.path}}', who: '{{variables.who}}' },
+  });
+  const parent = saveWorkflow(
+    'Greet everyone',
+    [
+      { id: 'greet', type: 'workflow', description: 'Greet', workflow: 'Greet', variables: { who: '{{variables.name}}' } },
+      writeStep(path.join(dir, 'done.txt'), '{{steps.greet.result.who}} at {{steps.greet.result.path}}'),
+    ],
+    { variables: [{ name: 'name', type: 'string', value: 'Ada' }] }
+  );
+
+  const result = await executor.execute(parent);
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(
+    result.executionLog.map(entry => entry.step),
+    ['1.1', 1, 2]
+  );
+  assert.strictEqual(result.executionLog[1].workflowName, 'Greet');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'greeting.txt'), 'utf-8'), 'Hello Ada');
+  assert.strictEqual(
+    fs.readFileSync(path.join(dir, 'done.txt'), 'utf-8'),
+    `Ada at ${path.join(dir, 'greeting.txt')}`
+  );
+});
+
+test('without outputs, the result is every child step result', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'results-'));
+  const child = saveWorkflow('No outputs', [writeStep(path.join(dir, 'a.txt'), 'a', { id: 'first' })]);
+  const parent = saveWorkflow('Uses no outputs', [
+    { id: 'child', type: 'workflow', description: 'Child', workflow: child.id },
+    writeStep(path.join(dir, 'b.txt'), '{{steps.child.result.first.path}}'),
+  ]);
+
+  const result = await executor.execute(parent);
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'b.txt'), 'utf-8'), path.join(dir, 'a.txt'));
+});
+
+test('variables the child rejects fail the step', async () => {
+  saveWorkflow('Needs a count', [writeStep(path.join(tmpDir, 'count.txt'), '{{variables.count}}')], {
+    variables: [{ name: 'count', type: 'number', required: true }],
+  });
+  const parent = saveWorkflow('Passes a word', [
+    { type: 'workflow', description: 'Child', workflow: 'Needs a count', variables: { count: 'many' }, error_handling: 'stop' },
+  ]);
+
+  const result = await executor.execute(parent);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Invalid variables for sub-workflow Needs a count/);
+});
+
+test('a workflow that is not stored fails the step', async () => {
+  const parent = saveWorkflow('Missing child', [
+    { type: 'workflow', description: 'Child', workflow: 'No such workflow', error_handling: 'stop' },
+  ]);
+
+  const result = await executor.execute(parent);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Sub-workflow not found: No such workflow/);
+});
+
+test('a workflow that runs itself through another is stopped as a cycle', async () => {
+  const first = saveWorkflow('Cycle A', [
+    { type: 'workflow', description: 'Run B', workflow: 'Cycle B', error_handling: 'stop' },
+  ]);
+  const second = saveWorkflow('Cycle B', [
+    { type: 'workflow', description: 'Run A', workflow: 'Cycle A', error_handling: 'stop' },
+  ]);
+
+  const result = await executor.execute(first);
+  assert.strictEqual(result.success, false);
+  assert.ok(result.error.includes(`Workflow cycle detected: ${first.id} -> ${second.id} -> ${first.id}`), result.error);
+});
+
+test('a workflow that runs itself is stopped as a cycle', async () => {
+  const self = saveWorkflow('Runs itself', [writeStep(path.join(tmpDir, 'self.txt'), 'self')]);
+  storage.saveOrUpdateWorkflow({
+    ...self,
+    analysis: { ...self.analysis, steps: [{ type: 'workflow', description: 'Again', workflow: self.id, error_handling: 'stop' }] },
+  });
+
+  const result = await executor.execute(storage.getWorkflow(self.id));
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Workflow cycle detected/);
+});
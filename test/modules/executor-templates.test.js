@@ -0,0 +1,84 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-templates-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function saveWorkflow(name, steps, variables = []) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Use earlier results', variables, steps } });
+}
+
+test('later steps use earlier results and workflow variables', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'run-'));
+  fs.writeFileSync(path.join(dir, 'name.txt'), 'batch-7');
+  const workflow = saveWorkflow(
+    'Templates',
+    [
+      {
+        step_number: 1,
+        description: 'Read the name',
+        tool: 'filesystem',
+        tool_action: 'read_file',
+        parameters: { path: path.join(dir, 'name.txt') },
+      },
+      {
+        id: 'listing',
+        description: 'List the folder',
+        tool: 'filesystem',
+        tool_action: 'list_files',
+        parameters: { path: dir },
+      },
+      {
+        step_number: 3,
+        description: 'Write the report',
+        tool: 'filesystem',
+        tool_action: 'write_file',
+        parameters: {
+          path: path.join(dir, '{{variables.prefix}}-{{steps.1.result.content}}.txt'),
+          content: '{{steps.1.result.content}} by {{owner}}: {{steps.listing.result.files}}',
+        },
+      },
+    ],
+    [
+      { name: 'prefix', type: 'string', value: 'report' },
+      { name: 'owner', type: 'string' },
+    ]
+  );
+
+  const result = await executor.execute(workflow, { owner: 'sam' });
+  assert.strictEqual(result.success, true, result.error);
+  const written = fs.readFileSync(path.join(dir, 'report-batch-7.txt'), 'utf-8');
+  assert.match(written, /^batch-7 by sam: \[.*"name.txt".*\]$/);
+  assert.strictEqual(result.executionLog[2].result.parameters.path, path.join(dir, 'report-batch-7.txt'));
+});
+
+test('a reference to a result that does not exist fails its step', async () => {
+  const workflow = saveWorkflow('Unresolved', [
+    {
+      step_number: 1,
+      description: 'Write',
+      tool: 'filesystem',
+      tool_action: 'write_file',
+      parameters: { path: path.join(tmpDir, 'never.txt'), content: '{{steps.4.result}}' },
+      error_handling: 'stop',
+    },
+  ]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Unresolved template reference: \{\{steps\.4\.result\}\}/);
+  assert.strictEqual(fs.existsSync(path.join(tmpDir, 'never.txt')), false);
+});
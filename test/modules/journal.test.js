@@ -0,0 +1,118 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-journal-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const journal = require('../../src/modules/journal');
+const executor = require('../../src/modules/executor');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function fileStep(stepNumber, action, parameters) {
+  return { step_number: stepNumber, description: action, tool: 'filesystem', tool_action: action, parameters };
+}
+
+async function run(name, steps) {
+  const workflow = storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Change files', steps } });
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  return result.runId;
+}
+
+test('rolling back restores changed files and removes created ones', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'files-'));
+  const report = path.join(dir, 'report.txt');
+  const old = path.join(dir, 'old.txt');
+  fs.writeFileSync(report, 'original');
+  fs.writeFileSync(old, 'to be deleted');
+
+  const runId = await run('Change files', [
+    fileStep(1, 'write_file', { path: report, content: 'changed' }),
+    fileStep(2, 'write_file', { path: path.join(dir, 'new.txt'), content: 'new' }),
+    fileStep(3, 'delete_file', { path: old }),
+  ]);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['new.txt', 'report.txt']);
+  assert.strictEqual(storage.getJournal(runId).steps.length, 3);
+
+  const rollback = journal.rollback(runId);
+  assert.strictEqual(rollback.success, true);
+  assert.deepStrictEqual(rollback.restored.map(entry => [entry.stepId, entry.action]), [
+    [3, 'restored'],
+    [2, 'removed'],
+    [1, 'restored'],
+  ]);
+  assert.strictEqual(fs.readFileSync(report, 'utf-8'), 'original');
+  assert.strictEqual(fs.readFileSync(old, 'utf-8'), 'to be deleted');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'new.txt')), false);
+  assert.throws(() => journal.rollback(runId), /already been rolled back/);
+});
+
+test('rolling back removes the directories the run created, deepest first', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'dirs-'));
+  const source = path.join(dir, 'source.txt');
+  fs.writeFileSync(source, 'data');
+
+  const runId = await run('Create directories', [
+    fileStep(1, 'write_file', { path: path.join(dir, 'out', 'a', 'b', 'written.txt'), content: 'x' }),
+    fileStep(2, 'copy_file', { source, destination: path.join(dir, 'out', 'a', 'copy.txt') }),
+    fileStep(3, 'rename_file', { oldPath: source, newPath: path.join(dir, 'moved', 'source.txt') }),
+  ]);
+  const created = storage.getJournal(runId).steps[0].files[0].createdDirs;
+  assert.deepStrictEqual(created, [path.join(dir, 'out', 'a', 'b'), path.join(dir, 'out', 'a'), path.join(dir, 'out')]);
+
+  const rollback = journal.rollback(runId);
+  assert.strictEqual(rollback.success, true);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['source.txt']);
+  assert.strictEqual(fs.readFileSync(source, 'utf-8'), 'data');
+  const removedDirs = rollback.restored.filter(entry => !path.extname(entry.path)).map(entry => entry.path);
+  assert.deepStrictEqual(removedDirs, [
+    path.join(dir, 'moved'),
+    path.join(dir, 'out', 'a', 'b'),
+    path.join(dir, 'out', 'a'),
+    path.join(dir, 'out'),
+  ]);
+});
+
+test('a created directory that holds other files is kept', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'kept-'));
+  const runId = await run('Keep directories', [
+    fileStep(1, 'write_file', { path: path.join(dir, 'out', 'written.txt'), content: 'x' }),
+  ]);
+  fs.writeFileSync(path.join(dir, 'out', 'mine.txt'), 'added by hand');
+
+  const rollback = journal.rollback(runId);
+  assert.strictEqual(rollback.success, true);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'out')), ['mine.txt']);
+});
+
+test('rolling back a suspended run discards it', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'suspended-'));
+  const workflow = storage.saveOrUpdateWorkflow({
+    name: 'Suspended',
+    analysis: {
+      goal: 'Change files',
+      steps: [
+        fileStep(1, 'write_file', { path: path.join(dir, 'written.txt'), content: 'x' }),
+        { ...fileStep(2, 'read_file', { path: path.join(dir, 'missing.txt') }), error_handling: 'ask' },
+      ],
+    },
+  });
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.requiresUserInput, true);
+
+  const rollback = executor.rollback(result.runId);
+  assert.strictEqual(rollback.success, true);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+  assert.strictEqual(storage.getExecutionState(result.runId), null);
+  assert.throws(() => executor.rollback('7e1d4a0c-2b9f-4c36-8d5e-0f3a6b9c1d24'), /No undo journal/);
+});
@@ -0,0 +1,67 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-retention-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const auditLog = require('../../src/modules/audit-log');
+const retention = require('../../src/modules/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Name of the audit log file for the day `days` days ago
+ */
+function dayFile(days) {
+  return `${new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10)}.jsonl`;
+}
+
+function auditFiles() {
+  return fs.readdirSync(auditLog.auditDir).sort();
+}
+
+beforeEach(() => {
+  fs.rmSync(auditLog.auditDir, { recursive: true, force: true });
+  auditLog.record({ keyId: null, method: 'POST', path: '/workflows', status: 200 });
+  fs.writeFileSync(path.join(auditLog.auditDir, dayFile(400)), '{}\n');
+  fs.writeFileSync(path.join(auditLog.auditDir, dayFile(40)), '{}\n');
+  fs.writeFileSync(path.join(auditLog.auditDir, 'notes.txt'), 'not an audit file');
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('the sweep deletes audit log files past auditDays', () => {
+  retention.savePolicy({ auditDays: 30 });
+  const result = retention.sweep();
+
+  assert.strictEqual(result.auditFilesDeleted, 2);
+  assert.deepStrictEqual(auditFiles(), [dayFile(0), 'notes.txt']);
+  assert.strictEqual(auditLog.list().entries.length, 1);
+});
+
+test('audit log files within auditDays, and today\'s, are kept', () => {
+  retention.savePolicy({ auditDays: 365 });
+  assert.strictEqual(retention.sweep().auditFilesDeleted, 1);
+
+  assert.strictEqual(auditLog.prune(0), 1);
+  assert.deepStrictEqual(auditFiles(), [dayFile(0), 'notes.txt']);
+});
+
+test('auditDays null keeps every audit log file', () => {
+  retention.savePolicy({ auditDays: null });
+  assert.strictEqual(retention.sweep().auditFilesDeleted, 0);
+  assert.strictEqual(auditFiles().length, 4);
+});
+
+test('auditDays must be a whole number of days or null', () => {
+  assert.throws(() => retention.savePolicy({ auditDays: -1 }), { code: 'EINVALID' });
+  assert.throws(() => retention.savePolicy({ auditDays: '30' }), { code: 'EINVALID' });
+});
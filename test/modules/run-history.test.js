@@ -0,0 +1,115 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-run-history-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+const runHistory = require('../../src/modules/run-history');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function saveWorkflow(name, steps, variables = []) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Keep a record', variables, steps } });
+}
+
+function writeStep(filePath, content) {
+  return {
+    description: `Write ${path.basename(filePath)}`,
+    tool: 'filesystem',
+    tool_action: 'write_file',
+    parameters: { path: filePath, content },
+  };
+}
+
+test('each run is recorded apart from the workflow, with its steps and artifacts', async () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'record-'));
+  const workflow = saveWorkflow(
+    'Recorded',
+    [writeStep(path.join(dir, '{{variables.name}}.txt'), 'hello')],
+    [{ name: 'name', type: 'string', value: 'out' }]
+  );
+
+  const result = await executor.execute(workflow, { name: 'report' });
+  assert.strictEqual(result.success, true, result.error);
+
+  const record = runHistory.get(result.runId);
+  assert.strictEqual(record.workflowId, workflow.id);
+  assert.strictEqual(record.status, 'completed');
+  assert.deepStrictEqual(record.variables, { name: 'report' });
+  assert.strictEqual(record.steps.length, 1);
+  assert.deepStrictEqual(
+    record.artifacts.map(artifact => [artifact.stepId, artifact.path]),
+    [[1, path.join(dir, 'report.txt')]]
+  );
+  assert.strictEqual(storage.getWorkflow(workflow.id).executionHistory, undefined);
+});
+
+test('failed and suspended runs are recorded with their status', async () => {
+  const workflow = saveWorkflow('Fails', [
+    { ...writeStep(path.join(tmpDir, 'missing', 'x.txt'), 'x'), tool_action: 'read_file', error_handling: 'stop' },
+  ]);
+  const failed = await executor.execute(workflow);
+  assert.strictEqual(runHistory.get(failed.runId).status, 'failed');
+
+  const asking = saveWorkflow('Asks', [
+    { ...writeStep(path.join(tmpDir, 'missing', 'x.txt'), 'x'), tool_action: 'read_file', error_handling: 'ask' },
+  ]);
+  const suspended = await executor.execute(asking);
+  assert.strictEqual(runHistory.get(suspended.runId).status, 'suspended');
+
+  const aborted = await executor.resume(suspended.runId, { action: 'abort' });
+  assert.strictEqual(aborted.success, false);
+  assert.strictEqual(runHistory.get(suspended.runId).status, 'aborted');
+});
+
+test('runs are listed newest first, a page at a time, without their steps', async () => {
+  const workflow = saveWorkflow('Paged', [writeStep(path.join(tmpDir, 'paged.txt'), 'x')]);
+  const runIds = [];
+  for (let i = 0; i < 3; i++) {
+    runIds.push((await executor.execute(workflow)).runId);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  const first = runHistory.list(workflow.id, { limit: '2' });
+  assert.strictEqual(first.total, 3);
+  assert.deepStrictEqual(first.runs.map(run => run.runId), [runIds[2], runIds[1]]);
+  assert.strictEqual(first.runs[0].steps, undefined);
+  assert.strictEqual(first.runs[0].stepCount, 1);
+
+  const second = runHistory.list(workflow.id, { limit: 2, offset: 2 });
+  assert.deepStrictEqual(second.runs.map(run => run.runId), [runIds[0]]);
+
+  assert.strictEqual(runHistory.list(workflow.id, { limit: 1000 }).limit, 100);
+  assert.strictEqual(runHistory.list(workflow.id, { status: 'failed' }).total, 0);
+});
+
+test('history embedded in an old workflow file is moved into run records', () => {
+  const workflow = saveWorkflow('Old format', [writeStep(path.join(tmpDir, 'old.txt'), 'x')]);
+  const file = path.join(storage.workflowsDir, `${workflow.id}.json`);
+  const stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  stored.executionHistory = [
+    {
+      id: 'ec0a1e5e-4f3b-4c52-9a3a-7b1d3c2e9f10',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      success: true,
+      variables: {},
+      result: { success: true, executionLog: [] },
+    },
+  ];
+  fs.writeFileSync(file, JSON.stringify(stored));
+
+  assert.strictEqual(runHistory.migrateExecutionHistory(), 1);
+  assert.strictEqual(runHistory.get('ec0a1e5e-4f3b-4c52-9a3a-7b1d3c2e9f10').status, 'completed');
+  assert.strictEqual(storage.getWorkflow(workflow.id).executionHistory, undefined);
+  assert.strictEqual(runHistory.migrateExecutionHistory(), 0);
+});
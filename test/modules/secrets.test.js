@@ -0,0 +1,85 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-secrets-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+delete process.env.SECRETS_MASTER_KEY;
+
+const storage = require('../../src/modules/storage');
+const secrets = require('../../src/modules/secrets');
+const { maskSecrets } = require('../../src/utils/secret-mask');
+const { resolveTemplates } = require('../../src/utils/template');
+
+const PASSPHRASE = 'correct horse battery staple';
+const vaultPath = path.join(storage.settingsDir, 'secrets.json');
+
+beforeEach(() => {
+  secrets.lock();
+  fs.rmSync(vaultPath, { force: true });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('the first passphrase creates the vault; a wrong one is refused', () => {
+  secrets.unlock(PASSPHRASE);
+  secrets.set('GITHUB_TOKEN', 'ghp-abcdef');
+  secrets.lock();
+
+  assert.throws(() => secrets.unlock('wrong'), { code: 'EPASSPHRASE' });
+  assert.throws(() => secrets.get('GITHUB_TOKEN'), { code: 'ESECRETSLOCKED' });
+  secrets.unlock(PASSPHRASE);
+  assert.strictEqual(secrets.get('GITHUB_TOKEN'), 'ghp-abcdef');
+  assert.ok(!fs.readFileSync(vaultPath, 'utf-8').includes('ghp-abcdef'));
+  assert.strictEqual(maskSecrets('token ghp-abcdef'), 'token {{secret.GITHUB_TOKEN}}');
+});
+
+test('templates resolve secret references while the vault is unlocked', () => {
+  secrets.unlock(PASSPHRASE);
+  secrets.set('GITHUB_TOKEN', 'ghp-abcdef');
+  const context = { secret: secrets.scope() };
+
+  assert.strictEqual(resolveTemplates('token {{secret.GITHUB_TOKEN}}', context), 'token ghp-abcdef');
+  assert.throws(() => resolveTemplates('{{secret.MISSING}}', context), /Unresolved/);
+  secrets.lock();
+  assert.throws(() => resolveTemplates('{{secret.GITHUB_TOKEN}}', context), { code: 'ESECRETSLOCKED' });
+});
+
+test('a vault file that cannot be parsed is not replaced by a new vault', () => {
+  secrets.unlock(PASSPHRASE);
+  secrets.set('GITHUB_TOKEN', 'ghp-abcdef');
+  secrets.lock();
+  // Cut short, as by a full disk
+  const damaged = fs.readFileSync(vaultPath, 'utf-8').slice(0, 40);
+  fs.writeFileSync(vaultPath, damaged);
+
+  assert.throws(() => secrets.unlock('any passphrase'), { code: 'EVAULTCORRUPT' });
+  assert.throws(() => secrets.list(), { code: 'EVAULTCORRUPT' });
+  assert.strictEqual(secrets.isUnlocked(), false);
+  assert.strictEqual(fs.readFileSync(vaultPath, 'utf-8'), damaged);
+});
+
+test('a vault holding secrets without its key salt is refused', () => {
+  fs.mkdirSync(storage.settingsDir, { recursive: true });
+  fs.writeFileSync(vaultPath, JSON.stringify({ version: 1, salt: null, check: null, secrets: { A: {} } }));
+
+  assert.throws(() => secrets.unlock(PASSPHRASE), { code: 'EVAULTCORRUPT' });
+  assert.strictEqual(JSON.parse(fs.readFileSync(vaultPath, 'utf-8')).salt, null);
+});
+
+test('an unlocked vault keeps the secrets it read if the file is damaged later', () => {
+  secrets.unlock(PASSPHRASE);
+  secrets.set('GITHUB_TOKEN', 'ghp-abcdef');
+  fs.writeFileSync(vaultPath, '{');
+
+  assert.strictEqual(secrets.get('GITHUB_TOKEN'), 'ghp-abcdef');
+  assert.throws(() => secrets.set('OTHER', 'value-1'), { code: 'EVAULTCORRUPT' });
+  assert.strictEqual(fs.readFileSync(vaultPath, 'utf-8'), '{');
+});
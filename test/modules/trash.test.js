@@ -0,0 +1,98 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-trash-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const trash = require('../../src/modules/trash');
+
+function recording(name) {
+  return {
+    name,
+    analysis: { goal: 'Test', steps: [{ description: 'Read', tool: 'filesystem', tool_action: 'read_file' }] },
+  };
+}
+
+beforeEach(() => {
+  trash.empty();
+  storage.getAllWorkflows().forEach(workflow => storage.deleteWorkflow(workflow.id));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a trashed workflow is restored with its ID and history', () => {
+  const workflow = storage.saveOrUpdateWorkflow(recording('Report'));
+  storage.saveOrUpdateWorkflow(recording('Report'));
+
+  const trashed = trash.trash(workflow.id, { author: 'sam' });
+  assert.strictEqual(trashed.deletedBy, 'sam');
+  assert.strictEqual(storage.getWorkflow(workflow.id), null);
+  assert.deepStrictEqual(trash.list().map(entry => [entry.id, entry.deletedBy]), [[workflow.id, 'sam']]);
+
+  const restored = trash.restore(workflow.id);
+  assert.strictEqual(restored.name, 'Report');
+  assert.strictEqual(restored.deletedAt, undefined);
+  assert.strictEqual(storage.getWorkflow(workflow.id).version, 2);
+  assert.strictEqual(storage.getWorkflowVersions(workflow.id).length, 2);
+  assert.deepStrictEqual(trash.list(), []);
+  assert.strictEqual(trash.restore(workflow.id), null);
+});
+
+test('a workflow whose name was taken is restored under a new one', () => {
+  const first = storage.saveOrUpdateWorkflow(recording('Report'));
+  trash.trash(first.id);
+  const second = storage.saveOrUpdateWorkflow(recording('Report'));
+  trash.trash(second.id);
+  storage.saveOrUpdateWorkflow(recording('Report'));
+
+  assert.strictEqual(trash.restore(first.id).name, 'Report (restored)');
+  assert.strictEqual(trash.restore(second.id).name, 'Report (restored 2)');
+  assert.strictEqual(storage.getWorkflowByName('Report (restored)').id, first.id);
+});
+
+test('restoring holds the lock on each name it checks until it is taken', t => {
+  const workflow = storage.saveOrUpdateWorkflow(recording('Locked'));
+  trash.trash(workflow.id);
+  storage.saveOrUpdateWorkflow(recording('Locked'));
+
+  const held = [];
+  let heldWhenRestored;
+  const lockWorkflowName = storage.lockWorkflowName;
+  t.mock.method(storage, 'lockWorkflowName', (name, fn) =>
+    lockWorkflowName.call(storage, name, () => {
+      held.push(name);
+      try {
+        return fn();
+      } finally {
+        held.pop();
+      }
+    })
+  );
+  const moveFromTrash = storage.moveFromTrash;
+  t.mock.method(storage, 'moveFromTrash', restored => {
+    heldWhenRestored = [...held];
+    return moveFromTrash.call(storage, restored);
+  });
+
+  assert.strictEqual(trash.restore(workflow.id).name, 'Locked (restored)');
+  assert.deepStrictEqual(heldWhenRestored, ['Locked', 'Locked (restored)']);
+});
+
+test('purging deletes a trashed workflow for good', () => {
+  const workflow = storage.saveOrUpdateWorkflow(recording('Gone'));
+  assert.strictEqual(trash.purge(workflow.id), false);
+  trash.trash(workflow.id);
+
+  assert.strictEqual(trash.purge(workflow.id), true);
+  assert.strictEqual(storage.readTrashedWorkflow(workflow.id), null);
+  assert.deepStrictEqual(storage.getWorkflowVersions(workflow.id), []);
+});
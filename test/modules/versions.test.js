@@ -0,0 +1,117 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-versions-'));
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.STORAGE_BACKEND = 'json';
+
+const storage = require('../../src/modules/storage');
+const executor = require('../../src/modules/executor');
+const versions = require('../../src/modules/versions');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeStep(name, content = name) {
+  return {
+    description: `Write ${name}`,
+    tool: 'filesystem',
+    tool_action: 'write_file',
+    parameters: { path: path.join(tmpDir, name), content },
+  };
+}
+
+function record(name, steps, meta) {
+  return storage.saveOrUpdateWorkflow({ name, analysis: { goal: 'Keep every version', steps } }, meta);
+}
+
+test('re-recording keeps the earlier definition as a version', () => {
+  const first = record('Tuned', [writeStep('a.txt')]);
+  const second = record('Tuned', [writeStep('b.txt')], { note: 'New recording', author: 'sam' });
+
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(second.version, 2);
+  assert.deepStrictEqual(
+    versions.list(first.id).map(version => [version.version, version.note, version.author, version.stepCount]),
+    [[2, 'New recording', 'sam', 1], [1, 'Recorded', null, 1]]
+  );
+  assert.strictEqual(versions.get(first.id, 1).analysis.steps[0].parameters.path, path.join(tmpDir, 'a.txt'));
+});
+
+test('a version cannot be written twice', () => {
+  const workflow = record('Immutable', [writeStep('a.txt')]);
+  assert.throws(() => storage.commitVersion({ ...workflow, version: 0 }));
+  assert.strictEqual(versions.get(workflow.id, 1).note, 'Recorded');
+});
+
+test('a workflow saved before versioning is kept as version 1 when it is re-recorded', () => {
+  const workflow = {
+    id: 'a3c1f7b2-5d4e-4f6a-8b9c-0d1e2f3a4b5c',
+    name: 'Old',
+    analysis: { goal: 'Old', steps: [writeStep('a.txt')] },
+  };
+  storage.saveWorkflow(workflow);
+
+  const updated = record('Old', [writeStep('b.txt')]);
+  assert.strictEqual(updated.version, 2);
+  assert.strictEqual(versions.get(workflow.id, 1).note, 'Saved before versioning');
+  assert.strictEqual(versions.get(workflow.id, 1).analysis.steps[0].description, 'Write a.txt');
+});
+
+test('diff reports added, removed and changed steps', () => {
+  const workflow = record('Diffed', [writeStep('a.txt'), writeStep('b.txt'), writeStep('c.txt')]);
+  record('Diffed', [writeStep('a.txt'), writeStep('b.txt', 'changed'), writeStep('d.txt'), writeStep('e.txt')]);
+
+  const { from, to, changes } = versions.diff(workflow.id, 1, 2);
+  assert.deepStrictEqual([from, to], [1, 2]);
+  assert.deepStrictEqual(
+    changes.map(change => [change.type, change.fromStep, change.toStep]),
+    [['changed', 2, 2], ['changed', 3, 3], ['added', undefined, 4]]
+  );
+  assert.deepStrictEqual(changes[0].fields.map(field => field.field), ['parameters']);
+  assert.throws(() => versions.diff(workflow.id, 1, 9), /Version not found: 9/);
+});
+
+test('restoring an old version saves it as a new version', () => {
+  const workflow = record('Restored', [writeStep('a.txt')]);
+  record('Restored', [writeStep('b.txt')]);
+
+  const restored = versions.restore(workflow.id, 1, { author: 'sam' });
+  assert.strictEqual(restored.version, 3);
+  assert.strictEqual(storage.getWorkflow(workflow.id).analysis.steps[0].description, 'Write a.txt');
+  assert.deepStrictEqual(
+    [versions.get(workflow.id, 3).note, versions.get(workflow.id, 3).author],
+    ['Restored version 1', 'sam']
+  );
+  assert.strictEqual(versions.list(workflow.id).length, 3);
+});
+
+test('a restore from a stale revision is refused', () => {
+  const workflow = record('Stale', [writeStep('a.txt')]);
+  record('Stale', [writeStep('b.txt')]);
+  const revision = storage.getWorkflow(workflow.id).revision || 0;
+
+  assert.throws(() => versions.restore(workflow.id, 1, { revision: revision + 1 }), { code: 'ECONFLICT' });
+  assert.throws(() => versions.restore(workflow.id, 7), /Version not found: 7/);
+  assert.strictEqual(storage.getWorkflow(workflow.id).version, 2);
+});
+
+test('a run records the version it executed', async () => {
+  record('Run version', [writeStep('run-1.txt')]);
+  const workflow = record('Run version', [writeStep('run-2.txt')]);
+
+  const result = await executor.execute(workflow);
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(storage.getRun(result.runId).workflowVersion, 2);
+
+  const atFirst = versions.getWorkflowAt(workflow, 1);
+  assert.strictEqual(atFirst.version, 1);
+  assert.strictEqual(atFirst.analysis.steps[0].description, 'Write run-1.txt');
+  assert.strictEqual(versions.getWorkflowAt(workflow, 9), workflow);
+});
@@ -0,0 +1,69 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const JsonStorage = require('../../src/storage/json-storage');
+const SqliteStorage = require('../../src/storage/sqlite-storage');
+const { migrate } = require('../../scripts/migrate-storage');
+
+const RUN_ID = '7e1d4a0c-2b9f-4c36-8d5e-0f3a6b9c1d24';
+
+let tmpDir;
+let source;
+let target;
+let kept;
+let trashed;
+
+function recording(name) {
+  return {
+    name,
+    analysis: { goal: 'Test', steps: [{ description: 'Read', tool: 'filesystem', tool_action: 'read' }] },
+  };
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-migrate-'));
+  source = new JsonStorage(path.join(tmpDir, 'json'));
+  target = new SqliteStorage(path.join(tmpDir, 'sqlite'));
+
+  kept = source.saveOrUpdateWorkflow(recording('Kept'));
+  trashed = source.saveOrUpdateWorkflow(recording('Trashed'));
+  source.saveOrUpdateWorkflow(recording('Trashed'));
+  source.saveRun({ runId: RUN_ID, workflowId: trashed.id, status: 'completed', startedAt: new Date().toISOString() });
+  source.moveToTrash({ ...source.getWorkflow(trashed.id), deletedAt: new Date().toISOString() });
+});
+
+afterEach(() => {
+  target.db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('copies trashed workflows into the trash with their versions and runs', () => {
+  const counts = migrate(source, target);
+
+  assert.deepStrictEqual(counts, { workflows: 1, trashed: 1, versions: 3, runs: 1, executionStates: 0 });
+  assert.deepStrictEqual(target.getAllWorkflows().map(workflow => workflow.id), [kept.id]);
+  const copy = target.readTrashedWorkflow(trashed.id);
+  assert.strictEqual(copy.name, 'Trashed');
+  assert.ok(copy.deletedAt);
+  assert.deepStrictEqual(
+    target.getWorkflowVersions(trashed.id).map(snapshot => snapshot.version),
+    [2, 1]
+  );
+  assert.strictEqual(target.getRun(RUN_ID).workflowId, trashed.id);
+});
+
+test('can be run again without duplicating anything', () => {
+  migrate(source, target);
+  const counts = migrate(source, target);
+
+  assert.strictEqual(counts.versions, 0);
+  assert.strictEqual(target.getTrashedWorkflows().length, 1);
+  assert.strictEqual(target.getWorkflowVersions(trashed.id).length, 2);
+  assert.strictEqual(target.getRuns(trashed.id).length, 1);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+let tmpDir;
+let port;
+let server;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+/**
+ * GET a path on the server from this machine
+ * @returns {Promise<number>} the status code
+ */
+function get(requestPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ host: '127.0.0.1', port, path: requestPath, headers }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('error', reject);
+  });
+}
+
+async function waitForServer() {
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    try {
+      if ((await get('/api/health')) === 200) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      throw new Error('The server did not start');
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-server-'));
+  port = await freePort();
+  server = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DATA_DIR: path.join(tmpDir, 'data'),
+      LOG_DIR: path.join(tmpDir, 'logs'),
+      STORAGE_BACKEND: 'json',
+      API_AUTH_LOCAL: 'false',
+      API_ALLOW_REMOTE: 'false',
+      API_HOST: '127.0.0.1',
+    },
+    stdio: 'ignore',
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('local requests to this server need no key', async () => {
+  assert.strictEqual(await get('/api/workflows'), 200);
+  assert.strictEqual(await get('/api/workflows', { Host: `localhost:${port}` }), 200);
+  assert.strictEqual(await get('/api/audit', { Origin: `http://127.0.0.1:${port}` }), 200);
+});
+
+test('loopback requests naming another host need a key', async () => {
+  // A rebound domain: same-origin requests carry its Host and no Origin
+  assert.strictEqual(await get('/api/workflows', { Host: `attacker.example:${port}` }), 401);
+  assert.strictEqual(await get('/api/audit', { Host: 'attacker.example' }), 401);
+  assert.strictEqual(await get('/api/workflows', { Host: 'localhost:1' }), 401);
+});
+
+test('loopback requests from another origin need a key', async () => {
+  assert.strictEqual(await get('/api/workflows', { Origin: 'http://attacker.example' }), 401);
+});
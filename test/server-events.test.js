@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const JsonStorage = require('../src/storage/json-storage');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+let tmpDir;
+let port;
+let server;
+let workflow;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+/**
+ * Send a request to the server
+ * @returns {Promise<{status: number, type: string, body: string}>}
+ */
+function request(method, requestPath, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port, method, path: requestPath, headers: { 'Content-Type': 'application/json' } },
+      response => {
+        let text = '';
+        response.setEncoding('utf-8');
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () =>
+          resolve({ status: response.statusCode, type: response.headers['content-type'], body: text })
+        );
+      }
+    );
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+async function waitForServer() {
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    try {
+      if ((await request('GET', '/api/health')).status === 200) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      throw new Error('The server did not start');
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Events in a Server-Sent Events body
+ */
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { type: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-events-'));
+  const dataDir = path.join(tmpDir, 'data');
+  workflow = new JsonStorage(dataDir).saveOrUpdateWorkflow({
+    name: 'Streamed',
+    analysis: {
+      goal: 'Report progress',
+      steps: [
+        {
+          step_number: 1,
+          description: 'Wait a moment',
+          tool: 'shell',
+          tool_action: 'execute_command',
+          parameters: { command: 'exec sleep 0.5', cwd: tmpDir },
+        },
+        {
+          step_number: 2,
+          description: 'Write done',
+          tool: 'filesystem',
+          tool_action: 'write_file',
+          parameters: { path: path.join(tmpDir, 'done.txt'), content: 'done' },
+        },
+      ],
+    },
+  });
+
+  port = await freePort();
+  server = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      LOG_DIR: path.join(tmpDir, 'logs'),
+      STORAGE_BACKEND: 'json',
+      API_AUTH_LOCAL: 'false',
+      API_ALLOW_REMOTE: 'false',
+      API_HOST: '127.0.0.1',
+    },
+    stdio: 'ignore',
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('streams a run\'s progress and ends with it', async () => {
+  const started = await request('POST', `/api/workflows/${workflow.id}/execute`, { wait: false });
+  assert.strictEqual(started.status, 202);
+  const { runId } = JSON.parse(started.body);
+
+  const stream = await request('GET', `/api/executions/${runId}/events`);
+  assert.strictEqual(stream.status, 200);
+  assert.match(stream.type, /^text\/event-stream/);
+  const events = parseEvents(stream.body);
+  assert.deepStrictEqual(events.map(event => [event.type, event.data.stepId]), [
+    ['run-started', undefined],
+    ['step-started', 1],
+    ['step-finished', 1],
+    ['step-started', 2],
+    ['step-finished', 2],
+    ['run-finished', undefined],
+  ]);
+  assert.ok(events.every(event => event.data.runId === runId && event.data.workflowId === workflow.id));
+  assert.strictEqual(events[2].data.entry.status, 'success');
+  assert.strictEqual(events[5].data.status, 'completed');
+
+  // A finished run replays its events and ends the stream at once
+  const replay = await request('GET', `/api/executions/${runId}/events`);
+  assert.deepStrictEqual(parseEvents(replay.body), events);
+});
+
+test('an unknown run has no event stream', async () => {
+  const response = await request('GET', '/api/executions/7e1d4a0c-2b9f-4c36-8d5e-0f3a6b9c1d24/events');
+  assert.strictEqual(response.status, 404);
+});
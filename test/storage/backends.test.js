@@ -0,0 +1,146 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const { createStorage, JsonStorage } = require('../../src/storage');
+const SqliteStorage = require('../../src/storage/sqlite-storage');
+
+const WORKFLOW_ID = '5d0f3c9e-8a43-4c1b-b2a6-3e8e6f0d9a27';
+const RUN_IDS = ['0b6c2f52-3f0e-4d8e-9a57-5b1f8f6f4f11', '7c2d9a10-6b1e-4f3a-8d5c-2e9f0a1b3c4d'];
+
+let dataDir;
+let backends;
+
+function workflow(name, extra = {}) {
+  return {
+    name,
+    analysis: {
+      goal: name,
+      steps: [{ description: 'List files', tool: 'filesystem', tool_action: 'list_directory', parameters: { path: '/tmp' } }],
+    },
+    ...extra,
+  };
+}
+
+function run(runId, startedAt, status = 'completed') {
+  return { runId, workflowId: WORKFLOW_ID, status, startedAt, steps: [{ step: 1, status: 'success' }] };
+}
+
+/**
+ * Run the same check against each backend
+ */
+function eachBackend(check) {
+  Object.entries(backends).forEach(([name, storage]) => {
+    try {
+      check(storage);
+    } catch (error) {
+      error.message = `${name}: ${error.message}`;
+      throw error;
+    }
+  });
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-backends-'));
+  backends = {
+    json: new JsonStorage(path.join(dataDir, 'json')),
+    sqlite: new SqliteStorage(path.join(dataDir, 'sqlite')),
+  };
+});
+
+afterEach(() => {
+  backends.sqlite.db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('createStorage picks the configured backend', () => {
+  const json = createStorage({ backend: 'json', dataDir: path.join(dataDir, 'picked-json') });
+  const sqlite = createStorage({ backend: 'SQLite', dataDir: path.join(dataDir, 'picked-sqlite') });
+  assert.ok(json instanceof JsonStorage);
+  assert.ok(sqlite instanceof SqliteStorage);
+  assert.ok(fs.existsSync(path.join(dataDir, 'picked-sqlite', 'storage.db')));
+  sqlite.db.close();
+
+  assert.throws(() => createStorage({ backend: 'redis', dataDir }), /Unknown storage backend: redis/);
+});
+
+test('workflows are saved, found by name and deleted the same way', () => {
+  eachBackend(storage => {
+    const saved = storage.saveOrUpdateWorkflow(workflow('Backup photos'));
+    storage.saveOrUpdateWorkflow(workflow('Archive mail'));
+
+    assert.strictEqual(saved.revision, 1);
+    assert.strictEqual(storage.getWorkflowByName('Backup photos').id, saved.id);
+    assert.deepStrictEqual(storage.getAllWorkflows().map(w => w.name).sort(), ['Archive mail', 'Backup photos']);
+
+    storage.deleteWorkflow(saved.id);
+    assert.strictEqual(storage.getWorkflow(saved.id), null);
+    assert.strictEqual(storage.getWorkflowByName('Backup photos'), null);
+  });
+});
+
+test('a save from a stale revision fails with ECONFLICT on either backend', () => {
+  eachBackend(storage => {
+    const saved = storage.saveOrUpdateWorkflow(workflow('Contended'));
+    const stale = { ...storage.getWorkflow(saved.id) };
+    storage.updateWorkflow(saved.id, { description: 'First writer' });
+
+    assert.throws(() => storage.saveWorkflow({ ...stale, description: 'Second writer' }), {
+      code: 'ECONFLICT',
+      revision: 2,
+    });
+    assert.strictEqual(storage.getWorkflow(saved.id).description, 'First writer');
+  });
+});
+
+test('re-recording keeps numbered versions on either backend', () => {
+  eachBackend(storage => {
+    const saved = storage.saveOrUpdateWorkflow(workflow('Versioned'));
+    storage.saveOrUpdateWorkflow(workflow('Versioned', { description: 'Again' }), { note: 'Second take' });
+
+    assert.deepStrictEqual(
+      storage.getWorkflowVersions(saved.id).map(v => [v.version, v.note]),
+      [[2, 'Second take'], [1, 'Recorded']]
+    );
+    assert.strictEqual(storage.getWorkflowVersion(saved.id, 1).version, 1);
+    assert.strictEqual(storage.getWorkflowVersion(saved.id, 3), null);
+  });
+});
+
+test('runs are listed newest first, a page at a time, on either backend', () => {
+  eachBackend(storage => {
+    storage.saveRun(run(RUN_IDS[0], '2024-01-01T00:00:00.000Z', 'failed'));
+    storage.saveRun(run(RUN_IDS[1], '2024-01-02T00:00:00.000Z'));
+
+    assert.deepStrictEqual(storage.getRuns(WORKFLOW_ID).map(r => r.runId), [RUN_IDS[1], RUN_IDS[0]]);
+    assert.strictEqual(storage.countRuns(WORKFLOW_ID), 2);
+
+    const page = storage.listRuns(WORKFLOW_ID, { limit: 1, offset: 1 });
+    assert.strictEqual(page.total, 2);
+    assert.deepStrictEqual(page.runs.map(r => [r.runId, r.steps, r.stepCount]), [[RUN_IDS[0], undefined, 1]]);
+    assert.strictEqual(storage.listRuns(WORKFLOW_ID, { status: 'failed' }).total, 1);
+
+    storage.deleteRun(RUN_IDS[0]);
+    assert.strictEqual(storage.getRun(RUN_IDS[0]), null);
+    assert.strictEqual(storage.countRuns(WORKFLOW_ID), 1);
+  });
+});
+
+test('execution states are kept until they are deleted, on either backend', () => {
+  eachBackend(storage => {
+    storage.saveExecutionState({ runId: RUN_IDS[0], workflowId: WORKFLOW_ID, updatedAt: '2024-01-01T00:00:00.000Z' });
+    storage.saveExecutionState({ runId: RUN_IDS[1], workflowId: 'other', updatedAt: '2024-01-02T00:00:00.000Z' });
+
+    assert.strictEqual(storage.getExecutionState(RUN_IDS[0]).workflowId, WORKFLOW_ID);
+    assert.deepStrictEqual(storage.getExecutionStates().map(s => s.runId), [RUN_IDS[1], RUN_IDS[0]]);
+    assert.deepStrictEqual(storage.getExecutionStates(WORKFLOW_ID).map(s => s.runId), [RUN_IDS[0]]);
+
+    storage.deleteExecutionState(RUN_IDS[0]);
+    assert.strictEqual(storage.getExecutionState(RUN_IDS[0]), null);
+  });
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const BACKENDS = {
+  json: require.resolve('../../src/storage/json-storage'),
+  sqlite: require.resolve('../../src/storage/sqlite-storage'),
+};
+
+// Saves a new workflow from another process once the clock reaches argv[3]
+const SAVE_SCRIPT = `
+const Storage = require(process.argv[1]);
+const storage = new Storage(process.argv[2]);
+while (Date.now() < Number(process.argv[3]));
+storage.saveOrUpdateWorkflow({
+  name: 'Same name',
+  analysis: { goal: 'Test', steps: [{ description: 'Read', tool: 'filesystem', tool_action: 'read' }] },
+});
+`;
+
+function runSave(modulePath, dataDir, startAt) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', SAVE_SCRIPT, modulePath, dataDir, String(startAt)], {
+      env: process.env,
+      stdio: 'inherit',
+    });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Save exited with code ${code}`))));
+  });
+}
+
+Object.entries(BACKENDS).forEach(([backend, modulePath]) => {
+  test(`${backend}: saves of a new name from several processes create one workflow`, async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `yodo-${backend}-`));
+    const dataDir = path.join(tmpDir, 'data');
+    try {
+      const Storage = require(modulePath);
+      // Create the data directory (and database) before the race
+      const storage = new Storage(dataDir);
+      const startAt = Date.now() + 1500;
+      await Promise.all([1, 2, 3, 4].map(() => runSave(modulePath, dataDir, startAt)));
+
+      const workflows = storage.getAllWorkflows();
+      assert.strictEqual(workflows.length, 1);
+      assert.strictEqual(workflows[0].version, 4);
+      if (storage.db) {
+        storage.db.close();
+      }
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
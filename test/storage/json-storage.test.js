@@ -0,0 +1,74 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const JsonStorage = require('../../src/storage/json-storage');
+
+const RUN_ID = '0b6c2f52-3f0e-4d8e-9a57-5b1f8f6f4f11';
+const WORKFLOW_ID = '5d0f3c9e-8a43-4c1b-b2a6-3e8e6f0d9a27';
+
+let dataDir;
+let storage;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-json-'));
+  storage = new JsonStorage(path.join(dataDir, 'data'));
+  storage.saveRun({ runId: RUN_ID, workflowId: WORKFLOW_ID, status: 'completed', startedAt: new Date().toISOString() });
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('reads and deletes runs by generated ID', () => {
+  assert.strictEqual(storage.getRun(RUN_ID).runId, RUN_ID);
+  storage.deleteRun(RUN_ID);
+  assert.strictEqual(storage.getRun(RUN_ID), null);
+});
+
+test('run IDs cannot reach files outside the data directory', () => {
+  // data/runs/{workflowId}/../../../outside.json is dataDir/outside.json
+  const outside = path.join(dataDir, 'outside.json');
+  fs.writeFileSync(outside, JSON.stringify({ runId: 'x', workflowId: 'y', status: 'completed' }));
+
+  assert.strictEqual(storage.getRun('../../../outside'), null);
+  storage.deleteRun('../../../outside');
+  assert.ok(fs.existsSync(outside));
+});
+
+test('workflow IDs cannot reach files outside the workflows directory', () => {
+  fs.mkdirSync(path.join(storage.dataDir, 'settings'), { recursive: true });
+  fs.writeFileSync(path.join(storage.dataDir, 'settings', 'secrets.json'), JSON.stringify({ id: 'x', name: 'x', analysis: {} }));
+
+  assert.strictEqual(storage.getWorkflow('../settings/secrets'), null);
+  assert.strictEqual(storage.readTrashedWorkflow('../settings/secrets'), null);
+  assert.deepStrictEqual(storage.getWorkflowVersions('..'), []);
+  assert.deepStrictEqual(storage.getRuns('..'), []);
+  assert.strictEqual(storage.countRuns('..'), 0);
+});
+
+test('journal and execution state IDs cannot remove other directories', () => {
+  storage.deleteJournal('..');
+  storage.deleteExecutionState('../workflows/.gitkeep');
+  storage.deleteFixtures('..');
+  assert.ok(fs.existsSync(storage.journalsDir));
+  assert.ok(fs.existsSync(storage.dataDir));
+  assert.strictEqual(storage.getJournal('..'), null);
+  assert.strictEqual(storage.getExecutionState('../runs'), null);
+});
+
+test('writes with unsafe IDs fail with EINVALID', () => {
+  assert.throws(() => storage.saveExecutionState({ runId: '../escape' }), { code: 'EINVALID' });
+  assert.throws(
+    () => storage.saveRun({ runId: '../../escape', workflowId: WORKFLOW_ID, status: 'completed' }),
+    { code: 'EINVALID' }
+  );
+  assert.throws(() => storage.getJournalDir('../x'), { code: 'EINVALID' });
+  assert.throws(() => storage.deleteWorkflow('../runs'), { code: 'EINVALID' });
+  assert.ok(fs.existsSync(storage.runsDir));
+});
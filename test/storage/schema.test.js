@@ -0,0 +1,104 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const JsonStorage = require('../../src/storage/json-storage');
+const { SCHEMA_VERSIONS, migrate, validateDocument } = require('../../src/storage/schema');
+
+const WORKFLOW_ID = '5d0f3c9e-8a43-4c1b-b2a6-3e8e6f0d9a27';
+
+let dataDir;
+let storage;
+
+function analysis(steps) {
+  return { goal: 'Check the schema', steps };
+}
+
+function toolStep(extra = {}) {
+  return { description: 'List files', tool: 'filesystem', tool_action: 'list_directory', parameters: {}, ...extra };
+}
+
+/**
+ * Write a workflow file directly, as an older version of the app would have
+ */
+function writeStored(workflow) {
+  fs.writeFileSync(path.join(storage.workflowsDir, `${workflow.id}.json`), JSON.stringify(workflow));
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-schema-'));
+  storage = new JsonStorage(path.join(dataDir, 'data'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('steps must be complete for their type', () => {
+  assert.deepStrictEqual(validateDocument('analysis', analysis([toolStep()])), []);
+  const control = [{ type: 'parallel', steps: [toolStep()] }, { type: 'workflow', workflow: 'Other' }];
+  assert.deepStrictEqual(validateDocument('analysis', analysis(control)), []);
+
+  assert.notDeepStrictEqual(validateDocument('step', { description: 'No tool' }), []);
+  assert.notDeepStrictEqual(validateDocument('step', { type: 'if', then: [] }), []);
+  assert.notDeepStrictEqual(validateDocument('step', { type: 'for_each', items: [] }), []);
+  assert.notDeepStrictEqual(validateDocument('step', { type: 'loop', steps: [] }), []);
+  assert.notDeepStrictEqual(validateDocument('analysis', analysis([{ type: 'parallel', steps: [{}] }])), []);
+});
+
+test('an AI answer that was not JSON is not a valid analysis', () => {
+  const fallback = { raw_response: 'Sorry', goal: 'x', steps: [toolStep()] };
+  assert.notDeepStrictEqual(validateDocument('analysis', fallback), []);
+  assert.notDeepStrictEqual(validateDocument('analysis', { goal: 'x', steps: [] }), []);
+});
+
+test('older documents are migrated to the current schema version', () => {
+  const workflow = migrate('workflow', { id: WORKFLOW_ID, name: 'Old', tags: 'Finance, Q3', executionHistory: [] });
+  assert.strictEqual(workflow.schemaVersion, SCHEMA_VERSIONS.workflow);
+  assert.deepStrictEqual(workflow.tags, ['finance', 'q3']);
+  assert.ok(!('executionHistory' in workflow));
+
+  assert.strictEqual(migrate('run', { runId: 'r', workflowId: 'w', success: true }).status, 'completed');
+  assert.strictEqual(migrate('run', { runId: 'r', workflowId: 'w', success: false }).status, 'failed');
+});
+
+test('saving an invalid workflow fails with EINVALID and writes nothing', () => {
+  assert.throws(() => storage.saveOrUpdateWorkflow({ name: 'Empty', analysis: analysis([]) }), {
+    code: 'EINVALID',
+    message: /analysis.steps must have at least 1 item/,
+  });
+  assert.strictEqual(storage.getWorkflowByName('Empty'), null);
+  assert.deepStrictEqual(fs.readdirSync(storage.versionsDir), []);
+
+  const run = { runId: WORKFLOW_ID, workflowId: WORKFLOW_ID, status: 'done' };
+  assert.throws(() => storage.saveRun(run), { code: 'EINVALID', message: /status/ });
+});
+
+test('a workflow written by a newer version of the app is refused on save', () => {
+  const future = { id: WORKFLOW_ID, name: 'Future', analysis: analysis([toolStep()]), schemaVersion: 99 };
+  assert.throws(() => storage.saveWorkflow(future), { code: 'EINVALID', message: /newer version of the app/ });
+});
+
+test('a stored workflow is migrated on load, and an invalid one is listed with its errors', () => {
+  writeStored({ id: WORKFLOW_ID, name: 'Old', tags: 'ops', analysis: analysis([toolStep()]) });
+  const loaded = storage.getWorkflow(WORKFLOW_ID);
+  assert.strictEqual(loaded.schemaVersion, SCHEMA_VERSIONS.workflow);
+  assert.deepStrictEqual(loaded.tags, ['ops']);
+  assert.strictEqual(loaded.schemaErrors, undefined);
+
+  writeStored({ id: WORKFLOW_ID, name: 'Broken', analysis: { raw_response: 'not JSON', steps: [] } });
+  const broken = storage.getWorkflow(WORKFLOW_ID);
+  assert.ok(broken.schemaErrors.length > 0);
+  assert.deepStrictEqual(storage.getAllWorkflows().map(w => w.name), ['Broken']);
+
+  // It may still be changed, as long as the change adds no new errors
+  const tagged = storage.updateWorkflow(WORKFLOW_ID, { tags: ['needs-fixing'] });
+  assert.deepStrictEqual(tagged.tags, ['needs-fixing']);
+  assert.ok(!JSON.parse(fs.readFileSync(path.join(storage.workflowsDir, `${WORKFLOW_ID}.json`), 'utf-8')).schemaErrors);
+  assert.throws(() => storage.updateWorkflow(WORKFLOW_ID, { name: '' }), { code: 'EINVALID' });
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'yodo-test-logs');
+
+const JsonStorage = require('../../src/storage/json-storage');
+const SqliteStorage = require('../../src/storage/sqlite-storage');
+
+const WORKFLOWS = [
+  {
+    name: 'Quarterly report export',
+    tags: ['finance', 'q3'],
+    folder: 'Finance/Reports',
+    description: 'Export the quarterly report',
+    analysis: {
+      goal: 'Export report data',
+      steps: [{ description: 'Read the sheet', tool: 'spreadsheet', tool_action: 'read', parameters: { path: '/tmp/q3.xlsx' } }],
+    },
+  },
+  {
+    name: 'Deploy site',
+    tags: ['ops'],
+    folder: 'Ops',
+    analysis: {
+      goal: 'Deploy the site',
+      steps: [
+        { description: 'Build', tool: 'shell', tool_action: 'run', parameters: { command: 'npm run build' } },
+        { type: 'parallel', steps: [{ description: 'Fetch the status report', tool: 'web', tool_action: 'fetch' }] },
+      ],
+    },
+  },
+  {
+    name: 'Café orders',
+    tags: ['finance'],
+    folder: 'Finance',
+    analysis: { goal: 'Count orders', steps: [{ description: 'Read orders', tool: 'filesystem', tool_action: 'read' }] },
+  },
+];
+
+const QUERIES = [
+  { terms: ['report'], sort: 'relevance' },
+  { terms: ['rep', 'exp'], sort: 'relevance' },
+  { terms: ['café'], sort: 'relevance' },
+  { tags: ['finance'], folders: ['finance'], sort: 'name' },
+  { tools: ['shell.run'], sort: 'newest' },
+  { sort: 'name', limit: 2, offset: 1 },
+];
+
+let dataDir;
+let storage;
+
+/**
+ * Names, scores and matched fields of a search, to compare backends
+ */
+function search(backend, query) {
+  const { matches, total } = backend.findWorkflows({ terms: [], tags: [], tools: [], folders: [], limit: 50, offset: 0, ...query });
+  return {
+    total,
+    matches: matches.map(({ workflow, score, matchedFields }) => [workflow.name, score, [...matchedFields].sort()]),
+  };
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-sqlite-'));
+  storage = new SqliteStorage(path.join(dataDir, 'sqlite'));
+  WORKFLOWS.forEach(workflow => storage.saveOrUpdateWorkflow(structuredClone(workflow)));
+});
+
+afterEach(() => {
+  storage.db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('search finds and ranks workflows as the JSON backend does', () => {
+  const json = new JsonStorage(path.join(dataDir, 'json'));
+  WORKFLOWS.forEach(workflow => json.saveOrUpdateWorkflow(structuredClone(workflow)));
+
+  QUERIES.forEach(query => assert.deepStrictEqual(search(storage, query), search(json, query)));
+  assert.deepStrictEqual(search(storage, { terms: ['report'], sort: 'relevance' }).matches[0], [
+    'Quarterly report export',
+    10,
+    ['description', 'folder', 'goal', 'name'],
+  ]);
+});
+
+test('trashed and deleted workflows leave the search index', () => {
+  const [first, second] = storage.getAllWorkflows();
+  storage.moveToTrash({ ...first, deletedAt: new Date().toISOString() });
+  storage.deleteWorkflow(second.id);
+
+  assert.strictEqual(search(storage, { sort: 'name' }).total, 1);
+  assert.strictEqual(storage.db.prepare('SELECT COUNT(*) AS count FROM workflow_words').get().count, 1);
+});
+
+test('workflows saved before the search tables existed are indexed on open', () => {
+  storage.db.exec('DROP TABLE workflow_search; DROP TABLE workflow_tags; DROP TABLE workflow_tools; DROP TABLE workflow_words;');
+  storage.db.close();
+  storage = new SqliteStorage(path.join(dataDir, 'sqlite'));
+
+  assert.strictEqual(search(storage, { terms: ['deploy'], tools: ['web.fetch'], sort: 'relevance' }).total, 1);
+});
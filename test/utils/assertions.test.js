@@ -0,0 +1,66 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { assertStepResult, checkAssertion } = require('../../src/utils/assertions');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-assertions-'));
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('comparisons accept numbers given as text', () => {
+  const result = { exitCode: 2, rowCount: 12 };
+  assert.strictEqual(checkAssertion({ type: 'exit_code', equals: '2' }, result).passed, true);
+  assert.strictEqual(checkAssertion({ type: 'exit_code', in: [0, 2] }, result).passed, true);
+  assert.strictEqual(checkAssertion({ type: 'row_count', gt: 10, lte: 12 }, result).passed, true);
+  assert.strictEqual(checkAssertion({ type: 'row_count', gt: 12 }, result).passed, false);
+  assert.strictEqual(checkAssertion({ type: 'row_count' }, { data: [] }).passed, false);
+});
+
+test('status assertions check a range or default to 2xx', () => {
+  assert.strictEqual(checkAssertion({ type: 'status', range: '2XX' }, { status: 204 }).passed, true);
+  assert.strictEqual(checkAssertion({ type: 'status' }, { status: 404 }).passed, false);
+  assert.strictEqual(checkAssertion({ type: 'status', equals: 404 }, { status: 404 }).passed, true);
+});
+
+test('file_exists falls back to the step path', () => {
+  const filePath = path.join(tmpDir, 'out.txt');
+  fs.writeFileSync(filePath, 'x');
+
+  assert.strictEqual(checkAssertion({ type: 'file_exists' }, {}, { path: filePath }).passed, true);
+  assert.strictEqual(checkAssertion({ type: 'file_exists', exists: false }, {}, { path: filePath }).passed, false);
+  assert.strictEqual(checkAssertion({ type: 'file_exists' }, {}, {}).message, 'file_exists assertion has no path');
+});
+
+test('matches checks the first text field unless one is named', () => {
+  const result = { stdout: 'Total: 12', stderr: 'warning' };
+  assert.strictEqual(checkAssertion({ type: 'matches', pattern: 'Total: \\d+' }, result).passed, true);
+  const named = { type: 'matches', pattern: '^WARN', flags: 'i', field: 'stderr' };
+  assert.strictEqual(checkAssertion(named, result).passed, true);
+  assert.strictEqual(checkAssertion({ type: 'nearly' }, result).message, 'unknown assertion type: nearly');
+});
+
+test('a failed assertion throws with every check', () => {
+  assert.throws(
+    () => assertStepResult({ stdout: 'none' }, {}, [{ type: 'matches', pattern: 'Total' }, { type: 'exit_code' }]),
+    error => {
+      assert.strictEqual(error.code, 'EASSERT');
+      assert.deepStrictEqual(error.assertions.map(check => check.passed), [false, true]);
+      assert.match(error.message, /^Assertion failed: stdout does not match \/Total\/$/);
+      return true;
+    }
+  );
+});
+
+test('a tool failure fails the step unless it asserts its own exit code', () => {
+  const failed = { success: false, exitCode: 1, stderr: 'no such file\n' };
+  assert.throws(() => assertStepResult(failed, {}, []), /tool reported failure \(exit code 1\): no such file$/);
+  assert.deepStrictEqual(
+    assertStepResult(failed, {}, [{ type: 'exit_code', equals: 1 }]).map(check => check.passed),
+    [true]
+  );
+});
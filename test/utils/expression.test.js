@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { evaluate } = require('../../src/utils/expression');
+
+const context = {
+  variables: { mode: 'full', limit: 2 },
+  steps: { 1: { result: { count: 3, files: ['report.xlsx', 'notes.txt'], exists: false } } },
+};
+
+test('compares references with literals', () => {
+  assert.strictEqual(evaluate('steps.1.result.count > 0', context), true);
+  assert.strictEqual(evaluate("{{variables.mode}} == 'full'", context), true);
+  assert.strictEqual(evaluate('steps.1.result.count <= variables.limit', context), false);
+  assert.strictEqual(evaluate('steps.1.result.files.length === 2', context), true);
+});
+
+test('combines conditions with precedence and parentheses', () => {
+  assert.strictEqual(evaluate("variables.mode == 'full' && !steps.1.result.exists", context), true);
+  assert.strictEqual(evaluate('false or true and false', context), false);
+  assert.strictEqual(evaluate('(false or true) and not false', context), true);
+});
+
+test('contains and matches', () => {
+  assert.strictEqual(evaluate("steps.1.result.files contains 'report.xlsx'", context), true);
+  assert.strictEqual(evaluate("steps.1.result contains 'count'", context), true);
+  assert.strictEqual(evaluate("steps.1.result contains 'toString'", context), false);
+  assert.strictEqual(evaluate("variables.mode matches '^fu'", context), true);
+});
+
+test('unknown references are undefined and bad expressions throw', () => {
+  assert.strictEqual(evaluate('steps.9.result', context), undefined);
+  assert.strictEqual(evaluate(true, context), true);
+  assert.throws(() => evaluate('', context), /non-empty/);
+  assert.throws(() => evaluate("variables.mode == 'full", context), /Unterminated string/);
+  assert.throws(() => evaluate('(true', context), /Missing closing parenthesis/);
+  assert.throws(() => evaluate('1 ; 2', context), /Unexpected character/);
+});
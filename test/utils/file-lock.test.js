@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { withFileLock } = require('../../src/utils/file-lock');
+
+let tmpDir;
+let deadPid;
+
+function writeLock(lockPath, pid, ageMs) {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid, host: os.hostname() }));
+  const at = new Date(Date.now() - ageMs);
+  fs.utimesSync(lockPath, at, at);
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yodo-lock-'));
+  // The pid of a process that has exited
+  const child = spawn(process.execPath, ['-e', '0'], { stdio: 'ignore' });
+  deadPid = child.pid;
+  await new Promise(resolve => child.on('exit', resolve));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('runs fn holding the lock and is re-entrant', () => {
+  const lockPath = path.join(tmpDir, 'a.lock');
+  const result = withFileLock(lockPath, () => {
+    assert.strictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid, process.pid);
+    return withFileLock(lockPath, () => 'inner');
+  });
+  assert.strictEqual(result, 'inner');
+  assert.strictEqual(fs.existsSync(lockPath), false);
+});
+
+test('takes over a lock whose owner has exited', () => {
+  const lockPath = path.join(tmpDir, 'dead.lock');
+  writeLock(lockPath, deadPid, 0);
+  assert.strictEqual(withFileLock(lockPath, () => 'ran', { timeoutMs: 200 }), 'ran');
+});
+
+test('waits for an old lock whose owner is still running', () => {
+  const lockPath = path.join(tmpDir, 'live.lock');
+  writeLock(lockPath, process.ppid, 60 * 60 * 1000);
+  assert.throws(() => withFileLock(lockPath, () => 'ran', { timeoutMs: 200 }), { code: 'ELOCKED' });
+  assert.strictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid, process.ppid);
+});
+
+test('takes over a lock file its owner never finished writing', () => {
+  const lockPath = path.join(tmpDir, 'empty.lock');
+  writeLock(lockPath, deadPid, 0);
+  fs.writeFileSync(lockPath, '');
+  assert.throws(() => withFileLock(lockPath, () => 'ran', { timeoutMs: 100 }), { code: 'ELOCKED' });
+
+  const at = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, at, at);
+  assert.strictEqual(withFileLock(lockPath, () => 'ran', { timeoutMs: 200 }), 'ran');
+});
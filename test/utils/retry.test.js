@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getRetryPolicy, getBackoffDelay, shouldRetry, withTimeout, sleep } = require('../../src/utils/retry');
+
+function error(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+test('a step without retry settings is tried once', () => {
+  assert.deepStrictEqual(getRetryPolicy({}), {
+    attempts: 1,
+    backoff: { type: 'fixed', delayMs: 1000, maxDelayMs: 30000, factor: 2 },
+    retryOn: ['any'],
+    timeoutMs: null,
+  });
+});
+
+test('backoff is fixed or exponential, capped at the maximum delay', () => {
+  const fixed = getRetryPolicy({ retry: { attempts: 3, backoff: 250 } });
+  assert.deepStrictEqual([1, 2, 3].map(attempt => getBackoffDelay(fixed, attempt)), [250, 250, 250]);
+
+  const exponential = getRetryPolicy({
+    retry: { attempts: 5, backoff: { type: 'exponential', delay_ms: 100, max_delay_ms: 500, factor: 3 } },
+    timeout_ms: '2000',
+  });
+  assert.deepStrictEqual([1, 2, 3].map(attempt => getBackoffDelay(exponential, attempt)), [100, 300, 500]);
+  assert.strictEqual(exponential.timeoutMs, 2000);
+});
+
+test('retryOn matches keywords or text in the error code and message', () => {
+  const policy = getRetryPolicy({ retry: { attempts: 2, retryOn: ['timeout', 'http_5xx', 'EBUSY'] } });
+
+  assert.strictEqual(shouldRetry(policy, error('Step 1 timed out after 10ms', 'ETIMEDOUT')), true);
+  assert.strictEqual(shouldRetry(policy, error('Request failed with status code 503')), true);
+  assert.strictEqual(shouldRetry(policy, error('resource busy', 'EBUSY')), true);
+  assert.strictEqual(shouldRetry(policy, error('Request failed with status code 404')), false);
+  assert.strictEqual(shouldRetry(policy, error('File not found', 'ENOENT')), false);
+});
+
+test('withTimeout rejects slow promises with a timedOut error', async () => {
+  assert.strictEqual(await withTimeout(Promise.resolve('done'), 50), 'done');
+  await assert.rejects(withTimeout(new Promise(() => {}), 20, 'Step 2'), {
+    code: 'ETIMEDOUT',
+    timedOut: true,
+    message: 'Step 2 timed out after 20ms',
+  });
+});
+
+test('sleep stops early when its signal is aborted', async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(sleep(5000, controller.signal), { code: 'ECANCELLED' });
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,50 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  setMaskedSecrets,
+  maskSecrets,
+  maskSecretsTracked,
+  restoreMaskedSecrets,
+  unmaskSecrets,
+} = require('../../src/utils/secret-mask');
+
+beforeEach(() => {
+  setMaskedSecrets(
+    new Map([
+      ['TOKEN', 'tok-123456'],
+      ['LONG', 'tok-123456-extra'],
+      ['PIN', '42'],
+    ])
+  );
+});
+
+test('masks secret values, the longest first, but not short ones', () => {
+  assert.deepStrictEqual(maskSecrets({ a: ['Bearer tok-123456', 'tok-123456-extra'], pin: '42', n: 42 }), {
+    a: ['Bearer {{secret.TOKEN}}', '{{secret.LONG}}'],
+    pin: '42',
+    n: 42,
+  });
+});
+
+test('restores values only where they were masked', () => {
+  const original = {
+    completed: { 1: { result: { content: 'x tok-123456 {{secret.TOKEN}} tok-123456' } } },
+    variables: { note: '{{secret.LONG}}' },
+  };
+  const { value, masked } = maskSecretsTracked(original);
+  assert.strictEqual(value.completed[1].result.content, 'x {{secret.TOKEN}} {{secret.TOKEN}} {{secret.TOKEN}}');
+
+  const restored = JSON.parse(JSON.stringify(restoreMaskedSecrets(value, JSON.parse(JSON.stringify(masked)))));
+  assert.deepStrictEqual(restored, original);
+});
+
+test('leaves masked references alone for secrets that are gone', () => {
+  const { value, masked } = maskSecretsTracked(['tok-123456']);
+  setMaskedSecrets(new Map());
+  assert.deepStrictEqual(restoreMaskedSecrets(value, masked), ['{{secret.TOKEN}}']);
+});
+
+test('unmaskSecrets resolves every reference, for parameters the user sends', () => {
+  assert.strictEqual(unmaskSecrets('{{ secret.TOKEN }}/{{secret.MISSING}}'), 'tok-123456/{{secret.MISSING}}');
+});
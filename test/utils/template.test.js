@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { resolveTemplates, lookup } = require('../../src/utils/template');
+
+const context = {
+  variables: { sample_name: 'batch-7', count: 3, empty: null },
+  steps: {
+    1: { result: { files: ['a.xlsx', 'b.xlsx'], data: [{ name: 'first' }] } },
+    rename: { result: { success: true } },
+  },
+};
+
+test('a single reference resolves to the raw value', () => {
+  assert.deepStrictEqual(resolveTemplates('{{steps.1.result.files}}', context), ['a.xlsx', 'b.xlsx']);
+  assert.strictEqual(resolveTemplates('{{ variables.count }}', context), 3);
+  assert.strictEqual(resolveTemplates('{{steps.rename.result.success}}', context), true);
+});
+
+test('references in longer strings are interpolated as text', () => {
+  assert.strictEqual(
+    resolveTemplates('{{sample_name}}/{{steps.1.result.data[0].name}} x{{count}} {{empty}}!', context),
+    'batch-7/first x3 !'
+  );
+  assert.strictEqual(resolveTemplates('files: {{steps.1.result.files}}', context), 'files: ["a.xlsx","b.xlsx"]');
+});
+
+test('objects and arrays are resolved throughout, other values kept', () => {
+  assert.deepStrictEqual(
+    resolveTemplates({ path: '{{sample_name}}.csv', list: ['{{count}}', 7], flag: false }, context),
+    { path: 'batch-7.csv', list: [3, 7], flag: false }
+  );
+});
+
+test('an unknown reference throws', () => {
+  assert.throws(() => resolveTemplates('{{steps.9.result}}', context), /Unresolved template reference: \{\{steps\.9\.result\}\}/);
+  assert.throws(() => resolveTemplates('{{missing}}', context), /Unresolved/);
+});
+
+test('only own keys are found, never inherited ones', () => {
+  assert.deepStrictEqual(lookup('constructor', context), { found: false, value: undefined });
+  assert.deepStrictEqual(lookup('variables.toString', context), { found: false, value: undefined });
+  assert.deepStrictEqual(lookup('steps.1.result.__proto__', context), { found: false, value: undefined });
+  assert.deepStrictEqual(lookup('steps.1.result.files.map', context), { found: false, value: undefined });
+  assert.throws(() => resolveTemplates('{{variables.sample_name.constructor}}', context), /Unresolved/);
+
+  assert.deepStrictEqual(lookup('steps.1.result.files.length', context), { found: true, value: 2 });
+  assert.deepStrictEqual(lookup('variables.sample_name.length', context), { found: true, value: 7 });
+});
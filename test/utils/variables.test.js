@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validateVariables, coerceValue } = require('../../src/utils/variables');
+
+const DECLARED = [
+  { name: 'sample_name', type: 'string', required: true },
+  { name: 'count', type: 'integer', value: 5 },
+  { name: 'verbose', type: 'boolean' },
+  { name: 'files', type: 'array' },
+  { name: 'site', type: 'url', value: 'https://example.com' },
+];
+
+test('coerces form input to the declared types and fills in defaults', () => {
+  const { valid, errors, values } = validateVariables(DECLARED, {
+    sample_name: 'batch-7',
+    verbose: 'yes',
+    files: 'a.xlsx, b.xlsx',
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(valid, true);
+  assert.deepStrictEqual(values, {
+    sample_name: 'batch-7',
+    count: 5,
+    verbose: true,
+    files: ['a.xlsx', 'b.xlsx'],
+    site: 'https://example.com',
+  });
+});
+
+test('reports missing, unknown and mistyped values', () => {
+  const { valid, errors } = validateVariables(DECLARED, { count: '2.5', site: 'not a url', extra: 1 });
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors.sort(), [
+    'Unknown variable: extra',
+    'Variable "count" must be an integer',
+    'Variable "sample_name" is required',
+    'Variable "site" must be a valid URL',
+  ]);
+});
+
+test('refuses variables that are not an object', () => {
+  assert.deepStrictEqual(validateVariables(DECLARED, ['batch-7']).errors, ['variables must be an object']);
+});
+
+test('parses JSON lists and objects', () => {
+  assert.deepStrictEqual(coerceValue('["a", "b"]', 'list'), { value: ['a', 'b'], error: null });
+  assert.deepStrictEqual(coerceValue('{"a": 1}', 'object'), { value: { a: 1 }, error: null });
+  assert.strictEqual(coerceValue('[1,', 'array').error, 'must be a JSON array or comma-separated list');
+  assert.strictEqual(coerceValue('maybe', 'boolean').error, 'must be true or false');
+  assert.strictEqual(coerceValue({ a: 1 }, 'string').error, 'must be text');
+});